@@ -124,10 +124,8 @@ class App {
         // Clipboard
         this.clipboard = null;
 
-        // Undo/redo
-        this.undoStack = [];
-        this.redoStack = [];
-        this.maxUndo = 5;
+        // Edit history entries kept per slot (persisted -- see RecController's Edit history)
+        this.maxUndo = 50;
 
         // State
         this.recordingSlotIndex = -1;
@@ -148,6 +146,16 @@ class App {
 
         // Comp
         this.comp = null;
+        this.slicer = null;
+        this.loopFinder = null;
+        this.fxChain = null;
+        this.spectrum = null;
+        this.song = null;
+        this.generator = null;
+        this.midiFile = null;
+        this.midiMap = null;
+        this.dmxShow = null;
+        this.dmxFixtures = null;
         this.compWaveform = null;
         this._compMode = false;
 
@@ -159,7 +167,7 @@ class App {
 
         // MIDI
         this.midi = null;
-        this._midiHeldNotes = new Map(); // midiNote -> voiceKey
+        this._midiHeldNotes = new Map(); // 'channel:note' -> voiceKey
 
         // Kit mode
         this._kitMode = false;
@@ -183,6 +191,16 @@ class App {
         // it never ran, so the whole app looked blank below the toolbar with no error
         // visible anywhere obvious. Confirmed live (27/07) on the real deploy.
         this.comp = (typeof CompController !== 'undefined') ? new CompController(this) : null;
+        this.slicer = new SlicerController(this);
+        this.loopFinder = new LoopFinderController(this);
+        this.fxChain = new FxChainController(this);
+        this.spectrum = new SpectrumController(this);
+        this.song = new SongController(this);
+        this.generator = new GeneratorController(this);
+        this.midiFile = new MidiFileController(this);
+        this.midiMap = new MidiMapController(this);
+        this.dmxShow = new DmxShowController(this);
+        this.dmxFixtures = new DmxFixtureController(this);
         this.seq._initSequencer();
         this.sample._initSampler();
         this._initMidi();
@@ -193,12 +211,22 @@ class App {
         this.buildSlotGrid();
         this.bindToolbar();
         this.bindDialogs();
+        this.slicer.bind();
+        this.loopFinder.bind();
+        this.fxChain.bind();
+        this.song.bind();
+        this.generator.bind();
+        this.midiFile.bind();
+        this.midiMap.bind();
+        this.dmxShow.bind();
+        this.dmxFixtures.bind();
         this.updateToolbarState();
         this.updateTransportInfo();
         // Waveform
         try {
             const canvas = document.getElementById('waveform');
             this.waveform = new WaveformRenderer(canvas);
+            this._setSnapToBeats(this._loadSnapToBeats());
             this.waveform.onSelectionChange = (sel) => {
                 this.updateToolbarState();
                 // Jump to and bound playback to the new selection whenever one is made
@@ -226,7 +254,9 @@ class App {
                 }
             };
             this.waveform.onLoopChange = (loop) => {
-                if (this._sampleMode) this.sample._updateSamplerLoopFromMarkers(loop);
+                if (!this._sampleMode) return;
+                if (this.loopFinder.isActive()) this.loopFinder.onLoopMarkersChange(loop);
+                else this.sample._updateSamplerLoopFromMarkers(loop);
             };
             this.waveform.onLoopClear = () => {
                 if (this._sampleMode) {
@@ -247,6 +277,8 @@ class App {
                 this.waveform.resize();
                 this.waveform.render();
             });
+            // Hooks waveform.onAudioChange, so only once the renderer exists
+            this.spectrum.bind();
         } catch (e) {
             console.error('Waveform init failed:', e);
         }
@@ -267,7 +299,11 @@ class App {
         // Load persisted slot data from IndexedDB
         try {
             await this.slots.init();
-            this.slots.onChange = () => this.renderSlotGrid();
+            this.slots.onChange = () => {
+                this.renderSlotGrid();
+                this._refreshBeatGrid();
+            };
+            this.slots.onHistoryClear = (key) => this.rec._onHistoryCleared(key);
             this._restoreDeviceSlotState(); // device-recording markers live in localStorage, not IndexedDB -- must run after slots exist
             this.renderSlotGrid();
         } catch (e) {
@@ -370,6 +406,10 @@ class App {
     }
 
     async _endRecording() {
+        if (this.audio.isMultiRecording || this.audio.isAutoArmed) {
+            await this.rec.stopRecording();
+            return;
+        }
         if (this.device && this.device.isConnected() && this.recordingSlotIndex >= 0) {
             this._armDeviceRecordWatchdog();
             try {
@@ -696,9 +736,31 @@ class App {
 
             const isSelected = i === this.slots.selectedIndex;
             el.classList.toggle('selected', isSelected);
-            el.classList.toggle('recording', i === this.recordingSlotIndex);
+            el.classList.toggle('recording', i === this.recordingSlotIndex || (this.audio.isMultiRecording && this.rec.isArmed(i)));
             el.classList.toggle('resampling', i === this._resampleTargetSlot);
 
+            // Multi-track arming: input label + a take meter (filled by
+            // RecController._updateTakeMeters() while recording)
+            const armed = this.rec.isArmed(i);
+            el.classList.toggle('armed', armed);
+            let armEl = el.querySelector('.slot-arm-label');
+            let meterEl = el.querySelector('.slot-arm-meter');
+            if (armed) {
+                if (!armEl) {
+                    armEl = document.createElement('span');
+                    armEl.className = 'slot-arm-label';
+                    el.appendChild(armEl);
+                    meterEl = document.createElement('div');
+                    meterEl.className = 'level-meter slot-arm-meter';
+                    meterEl.innerHTML = '<div class="level-meter-fill"></div>';
+                    el.appendChild(meterEl);
+                }
+                armEl.textContent = this.rec.armLabel(i);
+            } else if (armEl) {
+                armEl.remove();
+                if (meterEl) meterEl.remove();
+            }
+
             // Draw mini waveform
             const miniCanvas = el.querySelector('.slot-mini canvas');
             if (isKit) {
@@ -777,6 +839,9 @@ class App {
         await this.ensureAudioInit();
         const slot = this.slots.slots[index];
 
+        // Moving to another slot drops any slice markers on this one
+        if (index !== this.slots.selectedIndex) this.slicer.close();
+
         // Kit slots: single click selects, double-click enters kit mode
         if (slot.type === 'kit') {
             this.slots.selectSlot(index);
@@ -788,12 +853,18 @@ class App {
             return;
         }
 
-        // If we're recording into this slot, stop recording
-        if (this.recordingSlotIndex === index) {
+        // If we're recording into this slot (or any take of a multi-track pass), stop recording
+        if (this.recordingSlotIndex === index || (this.audio.isMultiRecording && this.rec.isArmed(index))) {
             await this._endRecording();
             return;
         }
 
+        // Auto record waiting for a hit: tapping its slot disarms, anything else is ignored
+        if (this.audio.isAutoArmed) {
+            if (this.rec.isArmed(index)) await this.rec.disarmAutoRecord();
+            return;
+        }
+
         // If we're recording into a different slot, or resampling, ignore
         if (this.recordingSlotIndex >= 0) return;
         if (this._resampleTargetSlot >= 0) return;
@@ -831,8 +902,6 @@ class App {
         this.rec.cancelAnimationLoop();
         const _pb = document.getElementById('play-btn'); _pb.classList.remove('playing'); _pb.innerHTML = '&#9654; PLAY';
         this.slots.selectSlot(index);
-        this.undoStack = [];
-        this.redoStack = [];
 
         // Restore per-slot loop state
         const loopState = !!slot._loop;
@@ -858,6 +927,7 @@ class App {
         this.updateTransportInfo();
         this.updateToolbarState();
         this.rec._applySlotLiveEffects();
+        this.rec.loadHistory();
     }
 
     // === Context Menu ===
@@ -891,6 +961,7 @@ class App {
             menu.querySelector('[data-action="rename"]').hidden = false;
             menu.querySelector('[data-action="save"]').hidden = false;
             menu.querySelector('[data-action="clear"]').hidden = false;
+            menu.querySelector('[data-action="arm"]').hidden = true;
             const x = e.clientX || e.pageX;
             const y = e.clientY || e.pageY;
             menu.style.left = Math.min(x, window.innerWidth - 170) + 'px';
@@ -919,6 +990,9 @@ class App {
             menu.querySelector('[data-action="make-kit"]').hidden = false;
             menu.querySelector('[data-action="unmake-kit"]').hidden = true;
             menu.querySelector('[data-action="resample"]').hidden = false;
+            const armBtn = menu.querySelector('[data-action="arm"]');
+            armBtn.hidden = false;
+            armBtn.textContent = this.rec.isArmed(index) ? 'Disarm' : 'Arm for multi-track';
             const x = e.clientX || e.pageX;
             const y = e.clientY || e.pageY;
             menu.style.left = Math.min(x, window.innerWidth - 170) + 'px';
@@ -945,6 +1019,7 @@ class App {
         menu.querySelector('[data-action="make-kit"]').hidden = isKit;
         menu.querySelector('[data-action="unmake-kit"]').hidden = !isKit;
         menu.querySelector('[data-action="resample"]').hidden = true;
+        menu.querySelector('[data-action="arm"]').hidden = true;
 
         const x = e.clientX || e.pageX;
         const y = e.clientY || e.pageY;
@@ -1112,6 +1187,9 @@ class App {
                 case 'resample':
                     await this.rec.startResample(index);
                     break;
+                case 'arm':
+                    this.rec.toggleArm(index);
+                    break;
             }
         });
     }
@@ -1138,6 +1216,12 @@ class App {
             await this.ensureAudioInit();
             if (this.recordingSlotIndex >= 0) {
                 await this._endRecording();
+            } else if (this.audio.isAutoArmed) {
+                // Still waiting for a hit -- REC disarms
+                await this.rec.disarmAutoRecord();
+            } else if (this.rec.hasArmedTracks() && !this._kitMode) {
+                // Armed slots take over REC -- all of them record at once
+                await this.rec.startMultiRecording();
             } else if (this.slots.selectedIndex >= 0) {
                 const slot = this.slots.getSelectedSlot();
                 if (slot && slot._deviceRecording) {
@@ -1188,6 +1272,18 @@ class App {
             this._selectedInputDeviceId = e.target.value || null;
         });
 
+        // Auto record (threshold-triggered, with pre-roll)
+        $('auto-btn').addEventListener('click', () => this.rec.openAutoRecDialog());
+        $('auto-rec-threshold').addEventListener('input', () => {
+            $('auto-rec-db').textContent = $('auto-rec-threshold').value + 'dB';
+        });
+        $('auto-rec-arm').addEventListener('click', () => this.rec.armAutoRecord());
+        $('auto-rec-cancel').addEventListener('click', () => { $('auto-rec-dialog').hidden = true; });
+
+        // Multi-track recording dialog
+        $('multitrack-add').addEventListener('click', () => this.rec.armNextEmptySlot());
+        $('multitrack-close').addEventListener('click', () => this.rec.closeMultitrackDialog());
+
         // Edit operations
         $('trim-btn').addEventListener('click', () => this.rec.applyEdit('trim'));
         $('reverse-btn').addEventListener('click', () => this.rec.applyEdit('reverse'));
@@ -1210,6 +1306,16 @@ class App {
             $('process-btn').classList.toggle('active', !bar.hidden);
         });
 
+        // Beat expander (beat-grid snap, slot tempo <-> sequencer tempo)
+        $('beat-btn').addEventListener('click', () => {
+            const bar = document.getElementById('beat-group');
+            bar.hidden = !bar.hidden;
+            $('beat-btn').classList.toggle('active', !bar.hidden);
+        });
+        $('snap-btn').addEventListener('click', () => this._setSnapToBeats(!this.waveform.snapToBeats));
+        $('beat-bpm-btn').addEventListener('click', () => this.rec.setSeqBpmFromSlot());
+        $('beat-fit-btn').addEventListener('click', () => this.rec.stretchToSeqBpm());
+
         // File operations
         $('save-btn').addEventListener('click', () => this.rec.saveCurrentToDevice());
         $('load-btn').addEventListener('click', () => $('file-input').click());
@@ -1225,10 +1331,17 @@ class App {
             });
         });
 
-        // Sample page FX panel: cross, layer, bounce
+        // FX dialog presets
+        $('fx-preset-select').addEventListener('change', (e) => this.rec.loadFxPreset(e.target.value));
+        $('fx-preset-save').addEventListener('click', () => this.rec.saveFxPreset());
+        $('fx-preset-delete').addEventListener('click', () => this.rec.deleteFxPreset());
+        $('chain-btn').addEventListener('click', () => this.fxChain.open());
+
+        // Sample page FX panel: cross, layer, bounce, chain
         $('sample-cross-btn').addEventListener('click', () => this.rec.openCrossDialog());
         $('sample-layer-btn').addEventListener('click', () => this.rec.openLayerDialog());
         $('sample-bounce-btn').addEventListener('click', () => this.rec.bounceToSlot());
+        $('sample-chain-btn').addEventListener('click', () => this.fxChain.open());
 
         // Cross-slot dialog
         $('cross-preview').addEventListener('click', () => this.rec.previewCross());
@@ -1370,6 +1483,7 @@ class App {
             this._closeMainMenu();
             if (action === 'bounce') this.rec.bounceToSlot();
             if (action === 'export-all') this.rec.exportAllSlots();
+            if (action === 'multitrack') this.rec.openMultitrackDialog();
             if (action === 'save-project') this.rec.saveProject();
             if (action === 'load-project') { document.getElementById('project-file-input').click(); return; }
             if (action === 'delete-all') this.deleteAll();
@@ -1421,6 +1535,10 @@ class App {
             if (a === 'cross')   this.rec.openCrossDialog();
             if (a === 'layer')   this.rec.openLayerDialog();
             if (a === 'bounce')  this.rec.bounceToSlot();
+            if (a === 'slice')   this.slicer.open();
+            if (a === 'loopfind') this.loopFinder.open();
+            if (a === 'spectrogram') this.spectrum.setView({ spectrogram: true });
+            if (a === 'pitch')   this.spectrum.setView({ pitch: true });
         });
         document.addEventListener('click', () => {
             document.getElementById('waveform-menu').hidden = true;
@@ -1476,6 +1594,12 @@ class App {
         $('pad-lfo-depth').addEventListener('input', () => this.sample._updatePadLfo());
         $('pad-lfo-shape').addEventListener('change', () => this.sample._updatePadLfo());
 
+        // TIME panel
+        $('pad-time-mode').addEventListener('change', () => this.sample._updatePadTime());
+        $('pad-stretch').addEventListener('input', () => this.sample._updatePadTime());
+        $('pad-sync-beats').addEventListener('change', () => this.sample._updatePadTime());
+        $('pad-formant-toggle').addEventListener('click', () => this.sample._togglePadFormant());
+
         // MORPH panel
         $('morph-target').addEventListener('change', () => this.sample._updateMorphConfig());
         $('morph-type').addEventListener('change', () => this.sample._updateMorphConfig());
@@ -1502,6 +1626,14 @@ class App {
             document.getElementById('seq-speed-btn').textContent = this.sequencer.speed + 'x';
             this.seq._saveSeqPattern();
         });
+        $('seq-swing').addEventListener('change', (e) => {
+            this.sequencer.setSwing(parseInt(e.target.value));
+            this.seq._saveSeqPattern();
+        });
+        $('seq-fill-btn').addEventListener('click', () => {
+            this.sequencer.fill = !this.sequencer.fill;
+            document.getElementById('seq-fill-btn').classList.toggle('loop-on', this.sequencer.fill);
+        });
         $('seq-random-btn').addEventListener('click', () => this.seq.seqRandomise());
         $('seq-stutter-btn').addEventListener('click', () => this.seq.seqStutter());
         $('seq-stutter-amount').addEventListener('input', (e) => {
@@ -1532,6 +1664,8 @@ class App {
         // Undo/redo
         $('undo-btn').addEventListener('click', () => this.rec.undo());
         $('redo-btn').addEventListener('click', () => this.rec.redo());
+        $('history-btn').addEventListener('click', () => this.rec.openHistoryDialog());
+        $('history-close').addEventListener('click', () => { $('history-dialog').hidden = true; });
 
         // Zoom
         $('zoom-in').addEventListener('click', () => {
@@ -1698,8 +1832,7 @@ class App {
         // Clear app state
         this.channels = null;
         this.clipboard = null;
-        this.undoStack = [];
-        this.redoStack = [];
+        this.rec.loadHistory();
 
         // Device-recording session bookkeeping lives on the App instance, not on
         // the slots -- _clearSlotFully() above already wiped every slot's
@@ -1750,6 +1883,48 @@ class App {
         document.getElementById('info-bits').textContent = `${AudioEngine.WAV_BITS_PER_SAMPLE}-bit`;
         const dur = this.channels ? this.channels[0].length / this.bufferSampleRate : 0;
         document.getElementById('info-duration').textContent = this.formatTime(dur);
+        this._refreshBeatGrid();
+    }
+
+    /** Slot meta for the audio the REC view is showing (kit pad or slot), or null. */
+    _activeSlotMeta() {
+        if (this._kitMode) {
+            return this._kitSelectedSub >= 0 ? this.slots.getKitSlotMeta(this._kitParentSlot, this._kitSelectedSub) : null;
+        }
+        return this.slots.getSelectedSlot();
+    }
+
+    // Beat grid and BPM readout for the shown slot. A slot with no estimate
+    // yet (saved before tempo detection existed) gets one queued here; the
+    // grid shows once it's in.
+    _refreshBeatGrid() {
+        if (!this.waveform) return;
+        const meta = this._activeSlotMeta();
+        // Lengths must agree: channels can still be a take (or an edit) the slot hasn't saved yet
+        const current = !!(meta && meta.hasAudio && this.channels &&
+            Math.abs(meta.duration - this.channels[0].length / this.bufferSampleRate) < 0.001);
+        if (current && meta.tempo === undefined) {
+            if (this._kitMode) {
+                this.slots.ensureKitSlotTempo(this._kitParentSlot, this._kitSelectedSub, this.channels, this.bufferSampleRate);
+            } else {
+                this.slots.ensureSlotTempo(this.slots.selectedIndex, this.channels, this.bufferSampleRate);
+            }
+        }
+        const tempo = current ? meta.tempo || null : null;
+        if (this.waveform.getBeatGrid() !== tempo) this.waveform.setBeatGrid(tempo);
+        document.getElementById('info-bpm').textContent = tempo ? tempo.bpm.toFixed(1) + ' BPM' : '-- BPM';
+        document.getElementById('beat-bpm-btn').disabled = !tempo;
+        document.getElementById('beat-fit-btn').disabled = !tempo;
+    }
+
+    _setSnapToBeats(on) {
+        this.waveform.snapToBeats = on;
+        document.getElementById('snap-btn').classList.toggle('active', on);
+        try { localStorage.setItem('soniphorm-snap-beats', on ? '1' : '0'); } catch (_) {}
+    }
+
+    _loadSnapToBeats() {
+        try { return localStorage.getItem('soniphorm-snap-beats') === '1'; } catch (_) { return false; }
     }
 
     updateToolbarState() {
@@ -1769,6 +1944,7 @@ class App {
         document.getElementById('copy-btn').disabled = !hasSel;
         document.getElementById('paste-btn').disabled = !this.clipboard;
         document.getElementById('process-btn').disabled = !hasAudio;
+        document.getElementById('beat-btn').disabled = !hasAudio;
         document.getElementById('save-btn').disabled = !hasAudio;
         document.getElementById('load-btn').disabled = false;
 
@@ -1781,6 +1957,8 @@ class App {
         document.getElementById('sample-cross-btn').disabled = !hasAudio;
         document.getElementById('sample-layer-btn').disabled = !hasMultiSlot;
         document.getElementById('sample-bounce-btn').disabled = !hasAudio;
+        document.getElementById('chain-btn').disabled = !hasAudio;
+        document.getElementById('sample-chain-btn').disabled = !hasAudio;
 
         this.rec.updateUndoCount();
     }
@@ -1799,6 +1977,11 @@ class App {
         menu.querySelector('[data-wfm="cross"]').hidden   = !hasAudio;
         menu.querySelector('[data-wfm="layer"]').hidden   = !hasMulti;
         menu.querySelector('[data-wfm="bounce"]').hidden  = !hasAudio;
+        menu.querySelector('[data-wfm="slice"]').hidden   = !hasAudio || this._kitMode || this.slicer.isActive();
+        menu.querySelector('[data-wfm="loopfind"]').hidden = !this._sampleMode || this._kitMode || this.loopFinder.isActive()
+            || this.sampler.pads[this.sample._sampleSelectedPad].mode !== 'loop' || !this.waveform.getLoopMarkers();
+        menu.querySelector('[data-wfm="spectrogram"]').hidden = !hasAudio || this.spectrum.settings.spectrogram;
+        menu.querySelector('[data-wfm="pitch"]').hidden   = !hasAudio || this.spectrum.settings.pitch;
         menu.style.left = Math.min(x, window.innerWidth - 160) + 'px';
         menu.style.top  = Math.min(y, window.innerHeight - 240) + 'px';
         menu.hidden = false;
@@ -1817,6 +2000,10 @@ class App {
 
         await this.ensureAudioInit();
 
+        // Slice markers belong to the rec-mode waveform of one slot
+        this.slicer.close();
+        this.loopFinder.close();
+
         // Stop rec-mode playback when leaving rec mode
         if (!this._seqMode && !this._sampleMode && !this._compMode) {
             this.rec.stopAudio();
@@ -1868,6 +2055,8 @@ class App {
         // which beats the `hidden` attribute's UA-stylesheet rule regardless of
         // specificity -- inline style.display is used for those instead of .hidden.
         document.getElementById('toolbar').hidden = (mode === 'comp');
+        // Analysis overlays stay on across modes, but comp has no main waveform to overlay
+        document.getElementById('spectrum-transport').style.display = (mode === 'comp') ? 'none' : '';
         document.getElementById('slot-grid').style.display = (mode === 'comp') ? 'none' : '';
         document.getElementById('waveform').style.display = (mode === 'comp') ? 'none' : '';
         if (mode === 'comp') document.getElementById('waveform-empty').hidden = true;
@@ -1917,32 +2106,44 @@ class App {
         if (typeof MidiManager === 'undefined') return;
         this.midi = new MidiManager();
 
-        this.midi.onNoteOn = (note, velocity) => this._midiNoteOn(note, velocity);
-        this.midi.onNoteOff = (note) => this._midiNoteOff(note);
+        this.midi.onNoteOn = (note, velocity, channel) => this._midiNoteOn(note, velocity, channel);
+        this.midi.onNoteOff = (note, channel) => this._midiNoteOff(note, channel);
+        this.midi.onNoteExpression = (note, channel, expression) => {
+            const voiceKey = this._midiHeldNotes.get(channel + ':' + note);
+            if (voiceKey && this.sampler) this.sampler.setPolyExpression(voiceKey, expression);
+        };
+        this.midi.onMpeConfig = () => this._syncMpeSelects();
         this.midi.onCC = (cc, value, mapping) => this._midiCC(cc, value, mapping);
-        this.midi.onClockStart = () => {
-            if (!this.sequencer.playing) this.seq.seqPlayStop();
+        // Clock follower: every tick re-anchors the sequencer's step phase.
+        // Once ticks stop coming for a few periods, the pattern's own tempo is back.
+        this.midi.onClockTick = (pos, time, period) => {
+            this.sequencer.clockSync = { tick: pos, time: this._perfToAudioTime(time), period: period / 1000 };
+            clearTimeout(this._clockLostTimer);
+            this._clockLostTimer = setTimeout(() => {
+                this.sequencer.clockSync = null;
+                this.sequencer.clockTempo = null;
+                this.seq._updateBpmDisplay();
+            }, Math.max(100, period * 8));
+        };
+        this.midi.onClockStart = async (pos) => {
+            // Start/Continue while playing restarts from the clock's position
+            if (this.sequencer.playing) await this.seq.seqPlayStop();
+            this.seq.seqPlayStop(Math.ceil(pos * this.sequencer.speed / 6));
         };
         this.midi.onClockStop = () => {
             if (this.sequencer.playing) this.seq.seqPlayStop();
         };
         this.midi.onBpmEstimate = (bpm) => {
             if (this.midi.clockMode === 'receive') {
-                this.sequencer.setBpm(bpm);
-                document.getElementById('bpm-display').textContent = bpm;
+                this.sequencer.clockTempo = bpm;
+                this.seq._updateBpmDisplay();
             }
         };
         this.midi.onPortsChanged = () => this._refreshMidiPortUI();
-        this.midi.onLearnComplete = (target, cc) => {
-            const indicator = document.getElementById('midi-indicator');
-            if (indicator) indicator.classList.remove('midi-learning');
-        };
-        this.midi.onLearnCancel = () => {
-            const indicator = document.getElementById('midi-indicator');
-            if (indicator) indicator.classList.remove('midi-learning');
-        };
 
         const ok = await this.midi.init();
+        // Learn callbacks and the active mapping profile
+        if (ok) this.midiMap.attach(this.midi);
         const indicator = document.getElementById('midi-indicator');
         if (ok && indicator) {
             indicator.hidden = false;
@@ -1985,6 +2186,22 @@ class App {
             clkSel.addEventListener('change', () => {
                 this.midi.clockMode = clkSel.value;
                 this.midi._saveSettings();
+                // Leaving receive hands the tempo back to the pattern
+                if (this.midi.clockMode !== 'receive') {
+                    clearTimeout(this._clockLostTimer);
+                    this.sequencer.clockSync = null;
+                    this.sequencer.clockTempo = null;
+                    this.seq._updateBpmDisplay();
+                }
+            });
+        }
+        const clkOfs = document.getElementById('midi-clock-offset');
+        if (clkOfs) {
+            clkOfs.value = this.midi.clockOffset;
+            clkOfs.addEventListener('change', () => {
+                this.midi.clockOffset = Math.max(-100, Math.min(100, parseInt(clkOfs.value) || 0));
+                clkOfs.value = this.midi.clockOffset;
+                this.midi._saveSettings();
             });
         }
         const mapSel = document.getElementById('midi-notemap-select');
@@ -1995,6 +2212,20 @@ class App {
                 this.midi._saveSettings();
             });
         }
+        const mpeSel = document.getElementById('midi-mpe-select');
+        const bendSel = document.getElementById('midi-bend-select');
+        if (mpeSel) mpeSel.addEventListener('change', () => {
+            this.midi.mpe.zone = mpeSel.value;
+            this.midi._saveSettings();
+            this._syncMpeSelects();
+        });
+        if (bendSel) bendSel.addEventListener('change', () => {
+            // The range in use: member channels under MPE, else ordinary bend
+            if (this.midi.mpe.zone !== 'off') this.midi.mpe.bendRange = parseInt(bendSel.value);
+            else this.midi.bendRange = parseInt(bendSel.value);
+            this.midi._saveSettings();
+        });
+        this._syncMpeSelects();
 
         this._refreshMidiPortUI();
     }
@@ -2037,9 +2268,20 @@ class App {
             });
         }
         if (blackoutBtn) {
+            // Output-stage blackout: channels keep their values for when it's lifted
             blackoutBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (this.dmx) this.dmx.blackout();
+                this.dmx.setBlackout(!this.dmx.blackedOut);
+                blackoutBtn.textContent = this.dmx.blackedOut ? 'Lift blackout' : 'Blackout';
+                blackoutBtn.classList.toggle('active', this.dmx.blackedOut);
+            });
+        }
+        const masterInput = document.getElementById('dmx-master');
+        const masterVal = document.getElementById('dmx-master-val');
+        if (masterInput) {
+            masterInput.addEventListener('input', () => {
+                this.dmx.setMaster(parseInt(masterInput.value, 10) / 100);
+                if (masterVal) masterVal.textContent = masterInput.value + '%';
             });
         }
 
@@ -2051,9 +2293,43 @@ class App {
         if (applyBtn) applyBtn.addEventListener('click', () => this._buildDmxSliders());
         if (zeroBtn) zeroBtn.addEventListener('click', () => this._zeroDmxVisible());
 
-        // Attempt auto-connect if a port was previously authorized and we had
-        // been connected on last load.
+        // Output transport: Enttec over Web Serial, or Art-Net/sACN through
+        // the WebSocket bridge
         const prefs = this.dmx.loadSettings();
+        if (prefs.transport) this.dmx.transportKind = prefs.transport;
+        if (prefs.bridgeUrl) this.dmx.bridgeUrl = prefs.bridgeUrl;
+        if (prefs.universes) this.dmx.setUniverseCount(prefs.universes);
+        const transportSel = document.getElementById('dmx-transport-select');
+        const bridgeInput = document.getElementById('dmx-bridge-url');
+        const universesInput = document.getElementById('dmx-universes');
+        if (transportSel) {
+            transportSel.value = this.dmx.transportKind;
+            transportSel.addEventListener('change', async () => {
+                if (this.dmx.connected) await this.dmx.disconnect();
+                this.dmx.transportKind = transportSel.value;
+                this.dmx._saveSettings();
+                this._updateDmxStatus();
+            });
+        }
+        if (bridgeInput) {
+            bridgeInput.value = this.dmx.bridgeUrl;
+            bridgeInput.addEventListener('change', () => {
+                this.dmx.bridgeUrl = bridgeInput.value.trim() || DMX_BRIDGE_URL;
+                bridgeInput.value = this.dmx.bridgeUrl;
+                this.dmx._saveSettings();
+            });
+        }
+        if (universesInput) {
+            universesInput.value = this.dmx.universeCount;
+            universesInput.addEventListener('change', () => {
+                this.dmx.setUniverseCount(parseInt(universesInput.value, 10) || 1);
+                universesInput.value = this.dmx.universeCount;
+                this.dmx._saveSettings();
+            });
+        }
+
+        // Attempt auto-connect if a port was previously authorized (or the
+        // bridge was in use) and we had been connected on last load.
         if (prefs.autoConnect && this.dmx.isSupported()) {
             this.dmx.tryAutoConnect().catch(() => {});
         }
@@ -2065,13 +2341,17 @@ class App {
         const status = document.getElementById('dmx-status');
         const btn = document.getElementById('dmx-connect-btn');
         if (!this.dmx) return;
+        const network = this.dmx.transportKind !== 'serial';
+        const bridgeRow = document.getElementById('dmx-bridge-row');
+        if (bridgeRow) bridgeRow.hidden = !network;
         if (!this.dmx.isSupported()) {
-            if (status) status.textContent = 'Web Serial not supported';
+            if (status) status.textContent = network ? 'WebSockets not supported' : 'Web Serial not supported';
             if (btn) btn.disabled = true;
             return;
         }
-        if (status) status.textContent = this.dmx.connected ? 'Connected' : 'Not connected';
-        if (btn) btn.textContent = this.dmx.connected ? 'Disconnect' : 'Connect…';
+        if (btn) btn.disabled = false;
+        if (status) status.textContent = this.dmx.connected ? 'Connected — ' + this.dmx.transportLabel : 'Not connected';
+        if (btn) btn.textContent = this.dmx.connected ? 'Disconnect' : (network ? 'Connect' : 'Connect…');
     }
 
     // === Smart Contact Mic (device recording) ===
@@ -2207,6 +2487,28 @@ class App {
                 }
             });
         }
+        document.getElementById('device-upload-ok').addEventListener('click', () => this._runDeviceUpload());
+        document.getElementById('device-upload-cancel').addEventListener('click', () => {
+            if (this.device.isUploading()) {
+                this.device.cancelUpload();
+                document.getElementById('device-upload-status').textContent = 'Cancelling…';
+                return;
+            }
+            const dialog = document.getElementById('device-upload-dialog');
+            dialog._upload = null;
+            dialog.hidden = true;
+        });
+        document.getElementById('device-upload-path').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') document.getElementById('device-upload-ok').click();
+        });
+        if (typeof SdBrowserController !== 'undefined') {
+            this.sdBrowser = new SdBrowserController(this);
+            this.sdBrowser.bind();
+            document.getElementById('device-browse-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.sdBrowser.open();
+            });
+        }
         const importBtn = document.getElementById('device-import-btn');
         if (importBtn) {
             importBtn.addEventListener('click', (e) => {
@@ -2348,6 +2650,8 @@ class App {
         this._deviceDownloadQueueRunning = true;
         while (this._pendingDeviceDownloads && this._pendingDeviceDownloads.length > 0) {
             if (!this.device || !this.device.isConnected()) break; // rest stay marked _deviceRecording -- MSC import or a later reconnect can still pick them up
+            // One transfer at a time on the firmware side -- let a Save-to-SCM upload finish first
+            if (this.device.isUploading()) { await new Promise(r => setTimeout(r, 500)); continue; }
             const { index, path } = this._pendingDeviceDownloads.shift();
             await this._downloadDeviceRecording(index, path);
         }
@@ -2467,6 +2771,82 @@ class App {
         if (fill) fill.style.width = `${Math.round(fraction * 100)}%`;
     }
 
+    // Save-to-SCM: the upload half of the device link, reverse of
+    // _downloadDeviceRecording(). Opens #device-upload-dialog for the SD path;
+    // the actual transfer runs from its Upload button (_runDeviceUpload()) so a
+    // failed upload can be retried from the same dialog (see
+    // DeviceController.uploadFile()). slotIndex < 0 for kit sub-slots, which
+    // have no cell on the main grid to show progress on.
+    _uploadToDevice(channels, sampleRate, name, slotIndex = -1) {
+        // Firmware runs one file transfer at a time in either direction
+        if (this._deviceDownloadQueueRunning) {
+            alert('SCM is still sending recordings to the app -- try again once they have finished.');
+            return;
+        }
+        const dialog = document.getElementById('device-upload-dialog');
+        // SD paths go out inside a space-separated command line -- no whitespace allowed
+        const safeName = String(name || 'recording').trim().replace(/\s+/g, '-').replace(/[^\w.-]/g, '') || 'recording';
+        dialog._upload = { channels, sampleRate, slotIndex };
+        document.getElementById('device-upload-path').value = `/samples/${safeName}.wav`;
+        document.getElementById('device-upload-progress').hidden = true;
+        document.getElementById('device-upload-fill').style.width = '0%';
+        document.getElementById('device-upload-status').textContent = '';
+        document.getElementById('device-upload-ok').disabled = false;
+        dialog.hidden = false;
+    }
+
+    async _runDeviceUpload() {
+        const dialog = document.getElementById('device-upload-dialog');
+        const job = dialog._upload;
+        if (!job) return;
+        const path = document.getElementById('device-upload-path').value.trim();
+        const statusEl = document.getElementById('device-upload-status');
+        const fill = document.getElementById('device-upload-fill');
+        const okBtn = document.getElementById('device-upload-ok');
+        if (!/^\/\S+\.wav$/i.test(path)) {
+            statusEl.textContent = 'Path must start with / and end in .wav, no spaces';
+            return;
+        }
+        if (!this.device || !this.device.isConnected()) {
+            statusEl.textContent = 'Not connected to SCM';
+            return;
+        }
+
+        okBtn.disabled = true;
+        document.getElementById('device-upload-progress').hidden = false;
+        statusEl.textContent = 'Uploading…';
+        if (job.slotIndex >= 0) this._setSlotImporting(job.slotIndex, true);
+        const startMs = performance.now();
+        try {
+            const wav = await AudioEngine.encodeWAV(job.channels, job.sampleRate).arrayBuffer();
+            const result = await this.device.uploadFile(path, wav, (pct, attempt) => {
+                fill.style.width = pct + '%';
+                // Uploads can't resume -- a lost ack starts the file over
+                statusEl.textContent = attempt > 1
+                    ? `Link dropped, started over (attempt ${attempt})… ${pct}%`
+                    : `Uploading… ${pct}%`;
+                if (job.slotIndex >= 0) this._setSlotImportProgress(job.slotIndex, pct / 100);
+            });
+            const secs = (performance.now() - startMs) / 1000;
+            console.log(`[device] UPLOADED ${result.path} (${result.size} bytes, verified) -- ${secs.toFixed(1)}s, ${(result.size / 1024 / secs).toFixed(1)}KB/s`);
+            const status = document.getElementById('device-status');
+            if (status) status.textContent = `Saved ${path.split('/').pop()} to SD`;
+            dialog._upload = null;
+            dialog.hidden = true;
+        } catch (err) {
+            if (err.cancelled) {
+                dialog._upload = null;
+                dialog.hidden = true;
+            } else {
+                console.warn(`[device] upload of ${path} failed:`, err);
+                statusEl.textContent = 'Upload failed: ' + err.message + ' -- Upload again to retry (it starts from the beginning)';
+                okBtn.disabled = false;
+            }
+        } finally {
+            if (job.slotIndex >= 0) this._setSlotImporting(job.slotIndex, false);
+        }
+    }
+
     // Customizes the #waveform-empty overlay for a selected slot that still only
     // holds a device recording (not yet downloaded) -- otherwise it just shows the
     // generic "Select a slot to begin" text, which doesn't make sense once a slot
@@ -2969,10 +3349,15 @@ class App {
     _buildDmxSliders() {
         const container = document.getElementById('dmx-sliders');
         if (!container || !this.dmx) return;
+        const universeInput = document.getElementById('dmx-ch-universe');
         const startInput = document.getElementById('dmx-ch-start');
         const countInput = document.getElementById('dmx-ch-count');
+        // Shown 1-based, like the channels
+        const universe = Math.max(1, Math.min(this.dmx.universeCount, parseInt(universeInput.value) || 1)) - 1;
         const start = Math.max(1, Math.min(512, parseInt(startInput.value) || 1));
         const count = Math.max(1, Math.min(512 - start + 1, parseInt(countInput.value) || 24));
+        universeInput.max = this.dmx.universeCount;
+        universeInput.value = universe + 1;
         startInput.value = start;
         countInput.value = count;
 
@@ -2990,8 +3375,9 @@ class App {
             slider.type = 'range';
             slider.min = 0;
             slider.max = 255;
-            slider.value = this.dmx.getChannel(ch);
+            slider.value = this.dmx.getChannel(ch, universe);
             slider.dataset.channel = ch;
+            slider.dataset.universe = universe;
 
             const val = document.createElement('span');
             val.className = 'dmx-ch-val';
@@ -2999,7 +3385,7 @@ class App {
 
             slider.addEventListener('input', () => {
                 const v = parseInt(slider.value);
-                this.dmx.setChannel(ch, v);
+                this.dmx.setChannel(ch, v, universe);
                 val.textContent = v;
             });
 
@@ -3015,37 +3401,57 @@ class App {
         if (!container || !this.dmx) return;
         container.querySelectorAll('input[type=range]').forEach(s => {
             const ch = parseInt(s.dataset.channel);
-            this.dmx.setChannel(ch, 0);
+            this.dmx.setChannel(ch, 0, parseInt(s.dataset.universe));
             s.value = 0;
             const val = s.nextElementSibling;
             if (val) val.textContent = '0';
         });
     }
 
+    // MPE zone and bend range can change from the controller (MCM / RPN 0)
+    _syncMpeSelects() {
+        const mpeSel = document.getElementById('midi-mpe-select');
+        const bendSel = document.getElementById('midi-bend-select');
+        if (mpeSel) mpeSel.value = this.midi.mpe.zone;
+        if (bendSel) {
+            const range = this.midi.mpe.zone !== 'off' ? this.midi.mpe.bendRange : this.midi.bendRange;
+            if (![...bendSel.options].some(o => parseInt(o.value) === range)) {
+                const opt = document.createElement('option');
+                opt.value = range;
+                opt.textContent = '±' + range;
+                bendSel.appendChild(opt);
+            }
+            bendSel.value = range;
+        }
+    }
+
     _updateMidiIndicator() {
         const indicator = document.getElementById('midi-indicator');
         if (!indicator || !this.midi) return;
         indicator.classList.toggle('midi-active', !!(this.midi.activeInput || this.midi.activeOutput));
     }
 
-    _midiNoteOn(midiNote, velocity) {
+    _midiNoteOn(midiNote, velocity, channel = 0) {
+        // Notes bound to a DMX scene fire the scene instead of a pad
+        if (this.dmxShow.noteOn(midiNote)) return;
         if (!this.sampler) return;
         this.ensureAudioInit();
         const padIdx = this.sample._sampleSelectedPad;
 
         if (this._sampleMode && this.sample._chromaticMode) {
-            // Chromatic mode: play at MIDI pitch + pad pitch as transpose
+            // Chromatic mode: play at MIDI pitch + pad pitch as transpose.
+            // One voice per channel+note, so MPE notes each get their own.
             const pad = this.sampler.pads[padIdx];
             const semitones = (midiNote - 60) + pad.pitch;
-            const voiceKey = 'midi-' + midiNote;
+            const voiceKey = 'midi-' + channel + '-' + midiNote;
             if (this._kitMode) {
                 const meta = this.slots.getKitSlotMeta(this._kitParentSlot, padIdx);
                 if (!meta || !meta.hasAudio) return;
             } else {
                 if (!this.slots.slots[padIdx].hasAudio) return;
             }
-            this.sampler.triggerPoly(padIdx, semitones, voiceKey);
-            this._midiHeldNotes.set(midiNote, voiceKey);
+            this.sampler.triggerPoly(padIdx, semitones, voiceKey, velocity / 127, this.midi.noteExpression(channel, midiNote));
+            this._midiHeldNotes.set(channel + ':' + midiNote, voiceKey);
             if (this._seqRecording && this.sequencer.playing) {
                 this.seq._recordPadToStep(padIdx, midiNote - 60, voiceKey);
             }
@@ -3066,17 +3472,17 @@ class App {
         }
     }
 
-    _midiNoteOff(midiNote) {
+    _midiNoteOff(midiNote, channel = 0) {
         if (!this.sampler) return;
         const padIdx = this.sample._sampleSelectedPad;
 
         if (this._sampleMode && this.sample._chromaticMode) {
-            const voiceKey = this._midiHeldNotes.get(midiNote);
+            const voiceKey = this._midiHeldNotes.get(channel + ':' + midiNote);
             if (voiceKey) {
                 const pad = this.sampler.pads[padIdx];
                 this.sampler.releasePoly(voiceKey, pad.release);
                 if (this.sampler.onRelease) this.sampler.onRelease(padIdx);
-                this._midiHeldNotes.delete(midiNote);
+                this._midiHeldNotes.delete(channel + ':' + midiNote);
                 if (this._seqRecording && this.sequencer.playing) {
                     this.seq._recordNoteOff(voiceKey);
                 }
@@ -3092,28 +3498,29 @@ class App {
     }
 
     _midiCC(cc, value, mapping) {
-        // CC handling (macros removed)
+        this.midiMap.handleCC(cc, value, mapping);
     }
 
-    _midiSendStep(stepIndex, time) {
+    // hits: the entries the sequencer scheduled for this step, each with its
+    // own time -- swing, nudge, track lengths, mutes, conditions and ratchets
+    // already applied
+    _midiSendStep(stepIndex, time, hits) {
         if (!this.midi || !this.midi.activeOutput) return;
-        const step = this.sequencer.pattern[stepIndex];
-        if (!step) return;
         const now = this.sequencer.audioContext.currentTime;
-        const delayMs = Math.max(0, (time - now) * 1000);
 
-        // Send clock ticks if in send mode (6 ticks per step = 24 PPQ at 1/16 resolution)
+        // Send clock ticks if in send mode (6 ticks per step = 24 PPQ at 1/16
+        // resolution), timestamped for when the step is heard
         if (this.midi.clockMode === 'send') {
             const stepMs = this.sequencer.stepDuration * 1000;
+            const stepPerf = this._audioToPerfTime(time);
             for (let t = 0; t < 6; t++) {
-                setTimeout(() => this.midi.sendClockTick(), delayMs + (t * stepMs / 6));
+                this.midi.sendClockTick(stepPerf + t * stepMs / 6);
             }
         }
 
-        // Send note events for each entry in the step
-        for (const entry of step.slots) {
-            if (this.sequencer.shouldPlaySlot && !this.sequencer.shouldPlaySlot(entry.slot)) continue;
-
+        // Send note events for each hit, at its own (off-grid) time
+        for (const { entry, time: hitTime, dur } of hits) {
+            const hitDelayMs = Math.max(0, (hitTime - now) * 1000);
             let note, vel, ch;
             if (entry.kitSub !== undefined) {
                 // Kit sub-slot: use GM drum mapping
@@ -3126,19 +3533,38 @@ class App {
                 const baseMidi = 36 + entry.slot;
                 const pitchOffset = entry.pitch + (pad ? pad.pitch : 0);
                 note = Math.max(0, Math.min(127, baseMidi + pitchOffset));
-                vel = Math.max(1, Math.min(127, Math.round((pad ? pad.volume : 1) * 127)));
+                // Ratchet ramps carry their own velocity
+                vel = entry.velocity !== undefined ? entry.velocity : Math.max(1, Math.min(127, Math.round((pad ? pad.volume : 1) * 127)));
                 ch = entry.slot & 0x0F; // slot 0-15 → MIDI channel 1-16
             }
 
-            // Note duration: use entry.duration if set, otherwise one step
+            // Note duration: a ratchet's own length, else entry.duration if set, otherwise one step
             const durSteps = (entry.duration > 0) ? entry.duration : 1;
-            const durMs = durSteps * this.sequencer.stepDuration * 1000;
+            const durMs = dur ? dur * 1000 : durSteps * this.sequencer.stepDuration * 1000;
 
-            setTimeout(() => this.midi.sendNoteOn(note, vel, ch), delayMs);
-            setTimeout(() => this.midi.sendNoteOff(note, ch), delayMs + durMs - 5);
+            setTimeout(() => this.midi.sendNoteOn(note, vel, ch), hitDelayMs);
+            setTimeout(() => this.midi.sendNoteOff(note, ch), hitDelayMs + durMs - 5);
         }
     }
 
+    // performance.now() ms <-> AudioContext time. getOutputTimestamp() pairs
+    // the two at the speaker, so output latency is already allowed for.
+    _perfToAudioTime(ms) {
+        const ctx = this.audio.audioContext;
+        if (!ctx) return 0;
+        const ts = ctx.getOutputTimestamp ? ctx.getOutputTimestamp() : null;
+        if (ts && ts.performanceTime) return ts.contextTime + (ms - ts.performanceTime) / 1000;
+        return ctx.currentTime + (ms - performance.now()) / 1000;
+    }
+
+    _audioToPerfTime(time) {
+        const ctx = this.audio.audioContext;
+        if (!ctx) return performance.now();
+        const ts = ctx.getOutputTimestamp ? ctx.getOutputTimestamp() : null;
+        if (ts && ts.performanceTime) return ts.performanceTime + (time - ts.contextTime) * 1000;
+        return performance.now() + (time - ctx.currentTime) * 1000;
+    }
+
     _refreshMidiPortUI() {
         if (!this.midi) return;
         const inSel = document.getElementById('midi-input-select');
@@ -3171,6 +3597,8 @@ class App {
         if (outChSel) outChSel.value = this.midi.outChannel;
         const clkSel = document.getElementById('midi-clock-select');
         if (clkSel) clkSel.value = this.midi.clockMode;
+        const clkOfs = document.getElementById('midi-clock-offset');
+        if (clkOfs) clkOfs.value = this.midi.clockOffset;
         const mapSel = document.getElementById('midi-notemap-select');
         if (mapSel) mapSel.value = this.midi.noteMap;
     }
@@ -3223,6 +3651,7 @@ class App {
         // Rebuild and render the grid for kit sub-slots
         this._buildKitGrid();
         this._renderKitGrid();
+        this.rec.loadHistory();
     }
 
     _exitKitMode() {
@@ -3256,6 +3685,7 @@ class App {
 
         // Return to REC mode view
         this.switchMode('rec');
+        this.rec.loadHistory();
     }
 
     async _preloadKitBuffers(parentSlot) {
@@ -3530,6 +3960,7 @@ class App {
         this._renderKitGrid();
         this.updateTransportInfo();
         this.updateToolbarState();
+        this.rec.loadHistory();
     }
 
     _showKitSlotRenameDialog(parentSlot, subIndex) {
@@ -3547,9 +3978,15 @@ class App {
     async _saveKitSlotToDevice(parentSlot, subIndex) {
         const data = await this.slots.getKitSlotAudio(parentSlot, subIndex);
         if (!data) return;
-        const blob = AudioEngine.encodeWAV(data.channels, data.sampleRate);
         const meta = this.slots.getKitSlotMeta(parentSlot, subIndex);
         const name = (meta && meta.name) || 'kit-sample';
+        // Connected to SCM: real upload to its SD card. Otherwise fall back to a
+        // browser download of the same WAV, as before.
+        if (this.device && this.device.isConnected()) {
+            this._uploadToDevice(data.channels, data.sampleRate, name);
+            return;
+        }
+        const blob = AudioEngine.encodeWAV(data.channels, data.sampleRate);
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
         const filename = `soniphorm-${name}-${timestamp}.wav`;
         const a = document.createElement('a');
@@ -20,6 +20,11 @@ class AudioEngine {
     // fmt chunk, nothing here assumes a fixed depth when reading), no migration.
     static WAV_BITS_PER_SAMPLE = 24;
 
+    // Asked for (as an ideal, not exact) whenever a multi-track take opens the
+    // input -- without a channelCount constraint browsers hand back mono/stereo
+    // even from an 8-in interface. The device answers with what it really has.
+    static MAX_INPUT_CHANNELS = 32;
+
     constructor() {
         this.audioContext = null;
         this._isRecording = false;
@@ -28,6 +33,8 @@ class AudioEngine {
         this._inputLevel = 0;
         this._recordedChunks = [];
         this._mediaStream = null;
+        this._mediaStreamChannels = 0;   // channels the open stream actually delivers
+        this._mediaStreamRequested = 0;  // channelCount constraint it was opened with (0 = none)
         this._scriptProcessor = null;
         this._mediaStreamSource = null;
         this._sourceNode = null;
@@ -59,6 +66,17 @@ class AudioEngine {
         // Input device selection
         this._selectedDeviceId = null;
 
+        // Multi-track recording: one entry per take while startMultiRecording() is
+        // running ({inputs, chunks[ch][], level, gateEnabled, gateThreshold, gateOpen}),
+        // null otherwise
+        this._multiTracks = null;
+
+        // Auto record (armed-and-waiting, see startAutoRecording)
+        this._autoArmed = false;
+        this._autoCapturing = false;
+        this.onAutoTrigger = null; // callback(Float32Array preRoll)
+        this.onAutoTake = null;    // callback({channels, sampleRate})
+
         // Persistent master bus (created in init)
         this._masterBus = null;
 
@@ -72,6 +90,7 @@ class AudioEngine {
         this._liveDelayFeedback = null;
         this._liveDelayDry = null;
         this._liveDelayWet = null;
+        this._liveDelayMix = null; // null = dry and wet both at full, as first built
         this._liveGain = null;
     }
 
@@ -101,6 +120,8 @@ class AudioEngine {
             } catch (e) {
                 console.warn('AudioWorklet not available, using ScriptProcessor fallback:', e);
             }
+            // Stretch-mode pads play tape-style until (or unless) this loads
+            StretchSource.register(this.audioContext).catch(e => console.warn('Failed to load stretch worklet:', e));
         }
     }
 
@@ -122,37 +143,58 @@ class AudioEngine {
 
     // === Noise Gate ===
 
-    setGateEnabled(enabled) {
+    // `track` addresses one take of a multi-track recording; without it these
+    // drive the single-input gate exactly as before.
+    setGateEnabled(enabled, track) {
+        if (track !== undefined) {
+            const t = this._multiTracks && this._multiTracks[track];
+            if (!t) return;
+            t.gateEnabled = enabled;
+            if (!enabled) t.gateOpen = true;
+            if (this._workletNode) {
+                this._workletNode.port.postMessage({ track, gate: enabled, gateThreshold: t.gateThreshold });
+            }
+            return;
+        }
         this._gateEnabled = enabled;
         if (!enabled) this._gateOpen = true;
         // Push to worklet if active
-        if (this._workletNode) {
+        if (this._workletNode && !this._multiTracks) {
             this._workletNode.port.postMessage({ gate: enabled, gateThreshold: this._gateThreshold });
         }
     }
 
-    setGateThreshold(linear) {
+    setGateThreshold(linear, track) {
+        if (track !== undefined) {
+            const t = this._multiTracks && this._multiTracks[track];
+            if (!t) return;
+            t.gateThreshold = linear;
+            if (this._workletNode) {
+                this._workletNode.port.postMessage({ track, gateThreshold: linear });
+            }
+            return;
+        }
         this._gateThreshold = linear;
-        if (this._workletNode) {
+        if (this._workletNode && !this._multiTracks) {
             this._workletNode.port.postMessage({ gateThreshold: linear });
         }
     }
 
-    isGateOpen() {
+    isGateOpen(track) {
+        if (track !== undefined) {
+            const t = this._multiTracks && this._multiTracks[track];
+            return t ? t.gateOpen : true;
+        }
         return this._gateOpen;
     }
 
     // === Recording ===
 
-    async startRecording(deviceId) {
-        if (!this.audioContext) await this.init();
-
-        this._recordedChunks = [];
-        this._inputLevel = 0;
-
-        // If device changed, close existing stream so we open a new one
+    async _openInputStream(deviceId, channelCount = 0) {
+        // If device changed, close existing stream so we open a new one. Same if
+        // a multi-track take needs more channels than the stream was opened for.
         const deviceChanged = (deviceId || null) !== (this._selectedDeviceId || null);
-        if (deviceChanged && this._mediaStream) {
+        if ((deviceChanged || channelCount > this._mediaStreamRequested) && this._mediaStream) {
             this._mediaStream.getTracks().forEach(t => t.stop());
             this._mediaStream = null;
         }
@@ -166,11 +208,36 @@ class AudioEngine {
                     noiseSuppression: false,
                     autoGainControl: false,
                     sampleRate: 48000,
+                    ...(channelCount ? { channelCount: { ideal: channelCount } } : {}),
                     ...(deviceId ? { deviceId: { exact: deviceId } } : {})
                 }
             };
             this._mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
+            const track = this._mediaStream.getAudioTracks()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+            this._mediaStreamChannels = settings.channelCount || (channelCount ? 2 : 1);
+            this._mediaStreamRequested = channelCount;
         }
+    }
+
+    /**
+     * How many input channels the device really delivers -- opens (or reuses)
+     * the stream with the multi-track channelCount constraint, so the answer is
+     * the interface's own count, not the browser's mono/stereo default.
+     */
+    async getInputChannelCount(deviceId) {
+        if (!this.audioContext) await this.init();
+        await this._openInputStream(deviceId, AudioEngine.MAX_INPUT_CHANNELS);
+        return this._mediaStreamChannels;
+    }
+
+    async startRecording(deviceId) {
+        if (!this.audioContext) await this.init();
+
+        this._recordedChunks = [];
+        this._inputLevel = 0;
+
+        await this._openInputStream(deviceId);
 
         this._mediaStreamSource = this.audioContext.createMediaStreamSource(this._mediaStream);
 
@@ -225,9 +292,214 @@ class AudioEngine {
         this._isRecording = true;
     }
 
-    stopRecording() {
+    /**
+     * Record several takes at once from the channels of one (multichannel) input.
+     * tracks: [{ inputs: [0] | [0, 1], gate, gateThreshold }] -- mono or stereo,
+     * zero-based input channels, gate threshold in linear amplitude. One worklet
+     * splits every render quantum into all takes, so they come back sample-aligned
+     * and equal length. Stop with stopMultiRecording().
+     */
+    async startMultiRecording(deviceId, tracks) {
+        if (!this.audioContext) await this.init();
+
+        await this._openInputStream(deviceId, AudioEngine.MAX_INPUT_CHANNELS);
+        const needed = Math.max(...tracks.flatMap(t => t.inputs)) + 1;
+        if (needed > this._mediaStreamChannels) {
+            throw new Error(`Input delivers ${this._mediaStreamChannels} channel${this._mediaStreamChannels === 1 ? '' : 's'}, takes need ${needed}`);
+        }
+
+        this._inputLevel = 0;
+        this._multiTracks = tracks.map(t => ({
+            inputs: t.inputs.slice(),
+            chunks: t.inputs.map(() => []),
+            level: 0,
+            gateEnabled: !!t.gate,
+            gateThreshold: t.gateThreshold !== undefined ? t.gateThreshold : 0.01,
+            gateOpen: true
+        }));
+
+        this._mediaStreamSource = this.audioContext.createMediaStreamSource(this._mediaStream);
+        const channelCount = this._mediaStreamChannels;
+
+        if (this._workletReady) {
+            // 'discrete' so input N arrives as channel N -- the default 'speakers'
+            // interpretation would up/down-mix anything that isn't a known layout
+            this._workletNode = new AudioWorkletNode(this.audioContext, 'recorder-processor', {
+                channelCount,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'discrete',
+                processorOptions: {
+                    tracks: this._multiTracks.map(t => ({ inputs: t.inputs, gate: t.gateEnabled, gateThreshold: t.gateThreshold }))
+                }
+            });
+            this._workletNode.port.onmessage = (e) => this._onMultiChunk(e.data.tracks);
+            this._mediaStreamSource.connect(this._workletNode);
+            this._workletNode.connect(this.audioContext.destination);
+        } else {
+            // Fallback: ScriptProcessor, gated per whole chunk like the mono fallback
+            this._scriptProcessor = this.audioContext.createScriptProcessor(4096, channelCount, 1);
+            this._scriptProcessor.channelCountMode = 'explicit';
+            this._scriptProcessor.channelInterpretation = 'discrete';
+            this._scriptProcessor.onaudioprocess = (e) => {
+                const input = e.inputBuffer;
+                this._onMultiChunk(this._multiTracks.map(t => {
+                    let peak = 0;
+                    const chunks = t.inputs.map(ch => {
+                        const chunk = new Float32Array(input.length);
+                        if (ch < input.numberOfChannels) chunk.set(input.getChannelData(ch));
+                        for (let i = 0; i < chunk.length; i++) {
+                            const abs = Math.abs(chunk[i]);
+                            if (abs > peak) peak = abs;
+                        }
+                        return chunk;
+                    });
+                    let gateOpen = true;
+                    if (t.gateEnabled) {
+                        gateOpen = peak >= t.gateThreshold;
+                        if (!gateOpen) {
+                            chunks.forEach(c => c.fill(0));
+                            peak = 0;
+                        }
+                    }
+                    return { chunks, peak, gateOpen };
+                }));
+            };
+            this._mediaStreamSource.connect(this._scriptProcessor);
+            this._scriptProcessor.connect(this.audioContext.destination);
+        }
+        this._isRecording = true;
+    }
+
+    _onMultiChunk(tracks) {
+        if (!this._multiTracks) return; // late message after stop
+        let loudest = 0;
+        tracks.forEach((data, i) => {
+            const t = this._multiTracks[i];
+            data.chunks.forEach((chunk, ch) => t.chunks[ch].push(chunk));
+            t.level = data.peak;
+            t.gateOpen = data.gateOpen;
+            if (data.peak > loudest) loudest = data.peak;
+            if (this.onRecordChunk) this.onRecordChunk(data.chunks[0], i);
+        });
+        this._inputLevel = loudest;
+    }
+
+    /**
+     * Returns { tracks: [{ channels }], sampleRate } in the same order the takes
+     * were passed to startMultiRecording().
+     */
+    stopMultiRecording() {
+        const tracks = this._multiTracks || [];
+        this._multiTracks = null;
         this._isRecording = false;
+        this._disconnectRecordingNodes();
+        this._inputLevel = 0;
 
+        return {
+            tracks: tracks.map(t => ({ channels: t.chunks.map(chunks => AudioEngine._mergeChunks(chunks)) })),
+            sampleRate: this.audioContext.sampleRate
+        };
+    }
+
+    get isMultiRecording() {
+        return !!this._multiTracks;
+    }
+
+    /**
+     * Armed-and-waiting record off the selected input. The worklet keeps a
+     * rolling pre-roll of preRollMs and starts a take on the first sample at or
+     * above `threshold` (linear), with the pre-roll in front so the attack isn't
+     * lost. The take ends after holdMs below threshold, and the worklet goes
+     * back to waiting for the next hit. onAutoTrigger() fires when a take
+     * starts, onAutoTake() with each finished take. The input gate still
+     * applies to what's recorded. AudioWorklet only -- no ScriptProcessor
+     * fallback for this one.
+     */
+    async startAutoRecording(deviceId, { preRollMs, threshold, holdMs }) {
+        if (!this.audioContext) await this.init();
+        if (!this._workletReady) throw new Error('Auto record needs AudioWorklet support');
+
+        await this._openInputStream(deviceId);
+
+        this._recordedChunks = [];
+        this._inputLevel = 0;
+        this._autoCapturing = false;
+
+        const sr = this.audioContext.sampleRate;
+        this._mediaStreamSource = this.audioContext.createMediaStreamSource(this._mediaStream);
+        this._workletNode = new AudioWorkletNode(this.audioContext, 'recorder-processor', {
+            processorOptions: {
+                auto: {
+                    preRoll: Math.round(preRollMs / 1000 * sr),
+                    threshold,
+                    hold: Math.max(1, Math.round(holdMs / 1000 * sr))
+                }
+            }
+        });
+        this._workletNode.port.onmessage = (e) => {
+            const d = e.data;
+            if (d.level !== undefined) {
+                this._inputLevel = d.level;
+                return;
+            }
+            if (d.triggered) {
+                this._recordedChunks = d.preRoll.length ? [d.preRoll] : [];
+                this._autoCapturing = true;
+                if (this.onAutoTrigger) this.onAutoTrigger(d.preRoll);
+                return;
+            }
+            if (d.chunk) {
+                this._recordedChunks.push(d.chunk);
+                this._inputLevel = d.peak;
+                if (d.gateOpen !== undefined) this._gateOpen = d.gateOpen;
+                if (this.onRecordChunk) this.onRecordChunk(d.chunk);
+            }
+            if (d.released) {
+                const take = this._takeAutoChunks();
+                if (take && this.onAutoTake) this.onAutoTake(take);
+            }
+        };
+        this._mediaStreamSource.connect(this._workletNode);
+        this._workletNode.connect(this.audioContext.destination);
+        this._workletNode.port.postMessage({
+            gate: this._gateEnabled,
+            gateThreshold: this._gateThreshold
+        });
+        this._autoArmed = true;
+        this._isRecording = true;
+    }
+
+    _takeAutoChunks() {
+        const merged = AudioEngine._mergeChunks(this._recordedChunks);
+        this._recordedChunks = [];
+        this._autoCapturing = false;
+        return merged.length ? { channels: [merged], sampleRate: this.audioContext.sampleRate } : null;
+    }
+
+    /**
+     * Disarm. Returns the take in progress (cut off here, like stopRecording())
+     * or null if it was still waiting.
+     */
+    stopAutoRecording() {
+        const take = this._autoCapturing ? this._takeAutoChunks() : null;
+        this._autoArmed = false;
+        this._autoCapturing = false;
+        this._isRecording = false;
+        this._disconnectRecordingNodes();
+        this._recordedChunks = [];
+        this._inputLevel = 0;
+        return take;
+    }
+
+    get isAutoArmed() {
+        return this._autoArmed;
+    }
+
+    get isAutoCapturing() {
+        return this._autoCapturing;
+    }
+
+    _disconnectRecordingNodes() {
         if (this._workletNode) {
             this._workletNode.port.postMessage('stop');
             this._workletNode.disconnect();
@@ -246,14 +518,24 @@ class AudioEngine {
         }
 
         // Keep _mediaStream alive so subsequent recordings reuse the mic permission
+    }
 
-        const totalLength = this._recordedChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    static _mergeChunks(chunks) {
+        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
         const merged = new Float32Array(totalLength);
         let offset = 0;
-        for (const chunk of this._recordedChunks) {
+        for (const chunk of chunks) {
             merged.set(chunk, offset);
             offset += chunk.length;
         }
+        return merged;
+    }
+
+    stopRecording() {
+        this._isRecording = false;
+        this._disconnectRecordingNodes();
+
+        const merged = AudioEngine._mergeChunks(this._recordedChunks);
 
         this._recordedChunks = [];
         this._inputLevel = 0;
@@ -276,7 +558,11 @@ class AudioEngine {
         return this.audioContext ? this.audioContext.sampleRate : 0;
     }
 
-    getInputLevel() {
+    getInputLevel(track) {
+        if (track !== undefined) {
+            const t = this._multiTracks && this._multiTracks[track];
+            return t ? t.level : 0;
+        }
         return this._inputLevel;
     }
 
@@ -491,6 +777,10 @@ class AudioEngine {
             feedback.connect(this._liveDelay);
             this._liveDelay.connect(this._liveDelayWet);
 
+            if (this._liveDelayMix !== null) {
+                this._liveDelayDry.gain.value = 1 - this._liveDelayMix;
+                this._liveDelayWet.gain.value = this._liveDelayMix;
+            }
             this._liveDelayDry.connect(merger);
             this._liveDelayWet.connect(merger);
             node = merger;
@@ -626,6 +916,11 @@ class AudioEngine {
         if (params.feedback !== undefined) {
             this._liveDelayFeedback.gain.setTargetAtTime(params.feedback, this.audioContext.currentTime, 0.02);
         }
+        if (params.mix !== undefined && this._liveDelayDry && this._liveDelayWet) {
+            this._liveDelayMix = params.mix;
+            this._liveDelayDry.gain.setTargetAtTime(1 - params.mix, this.audioContext.currentTime, 0.02);
+            this._liveDelayWet.gain.setTargetAtTime(params.mix, this.audioContext.currentTime, 0.02);
+        }
     }
 
     disableLiveDelay() {
@@ -798,6 +1093,56 @@ class AudioEngine {
         return result;
     }
 
+    // === Region patches (edit history) ===
+    // A patch { at, removed, inserted } replaces the per-channel `removed` run
+    // starting at sample `at` with `inserted`; a patch list applies in order.
+
+    /**
+     * Smallest single patch turning `before` into `after`: everything outside
+     * the common head and tail. A change in channel count can't be expressed
+     * as a region, so that's a whole-buffer patch.
+     */
+    static diffRegion(before, after) {
+        const lenB = before[0].length;
+        const lenA = after[0].length;
+        if (before.length !== after.length) {
+            return { at: 0, removed: AudioEngine._cloneChannels(before), inserted: AudioEngine._cloneChannels(after) };
+        }
+        const same = (i, j) => {
+            for (let c = 0; c < before.length; c++) if (before[c][i] !== after[c][j]) return false;
+            return true;
+        };
+        const max = Math.min(lenB, lenA);
+        let head = 0;
+        while (head < max && same(head, head)) head++;
+        let tail = 0;
+        while (tail < max - head && same(lenB - 1 - tail, lenA - 1 - tail)) tail++;
+        return {
+            at: head,
+            removed: before.map(ch => ch.slice(head, lenB - tail)),
+            inserted: after.map(ch => ch.slice(head, lenA - tail))
+        };
+    }
+
+    static invertPatches(patches) {
+        return patches.slice().reverse().map(p => ({ at: p.at, removed: p.inserted, inserted: p.removed }));
+    }
+
+    static applyPatches(channels, patches) {
+        for (const p of patches) {
+            const removedLen = p.removed[0].length;
+            channels = p.inserted.map((ins, c) => {
+                const src = channels[Math.min(c, channels.length - 1)];
+                const out = new Float32Array(src.length - removedLen + ins.length);
+                out.set(src.subarray(0, p.at), 0);
+                out.set(ins, p.at);
+                out.set(src.subarray(p.at + removedLen), p.at + ins.length);
+                return out;
+            });
+        }
+        return channels;
+    }
+
     static encodeWAV(channels, sampleRate) {
         const numChannels = channels.length;
         const numSamples = channels[0].length;
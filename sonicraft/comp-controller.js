@@ -0,0 +1,645 @@
+// comp-controller.js — Comp mode controller: multi-take comping on #comp-canvas
+//
+// Each slot added to the comp becomes a take lane. Swiping across a lane
+// assigns that time range of the composite to that take; the composite is
+// rebuilt from the region list with an equal-power crossfade at every seam
+// and shown as its own lane at the top. Everything is drawn through
+// app.compWaveform's extra tracks (fixed-scale mode, no primary buffer), so
+// the renderer's own selection/loop pointer handling never fires here --
+// this file binds the canvas gestures itself.
+//
+// Lane layout, top to bottom: composite, then takes in the order added.
+
+const COMP_TAKE_COLORS = ['#f97316', '#a855f7', '#22c55e', '#eab308', '#ec4899', '#14b8a6', '#ef4444', '#0ea5e9'];
+const COMP_DIM_COLOR = 'rgba(148, 163, 184, 0.3)';
+const COMP_MIX_COLOR = '#e2e8f0';
+const COMP_LONG_PRESS_MS = 500;
+const COMP_MIN_DRAG_PX = 6;
+const COMP_DEFAULT_PX_PER_SEC = 100;
+
+class CompController {
+    constructor(app) {
+        this.app = app;
+        this._takes = [];    // {slotIndex, name, channels, length, offset, color}
+        this._regions = [];  // {start, end, take} -- sorted, non-overlapping, timeline samples
+        this._composite = null;
+        this._sampleRate = 48000;
+        this._xfadeMs = 10;
+        this._pxPerSec = COMP_DEFAULT_PX_PER_SEC;
+        this._animFrame = null;
+        this._playStart = 0;
+
+        // Gesture state (see _bindCanvasEvents)
+        this._gesture = null;
+        this._longPressTimer = null;
+
+        // Modulate: pick a carrier take then a modulator take, result lands as a new lane
+        this._modulateArmed = false;
+        this._modulatePicks = [];
+    }
+
+    // === Lifecycle ===
+
+    async enter() {
+        this.app._compMode = true;
+        if (this.app.audio.audioContext) this._sampleRate = this.app.audio.audioContext.sampleRate;
+        // switchMode() only flips #comp-canvas to display:block after enter()
+        // returns -- measure on the next frame or resize() reads a 0x0 canvas.
+        requestAnimationFrame(() => {
+            this.app.compWaveform.resize();
+            this.app.compWaveform.setFixedScale(this._pxPerSec / this._sampleRate);
+            this._refresh();
+        });
+    }
+
+    exit(targetMode) {
+        this.stop();
+        this._setModulateArmed(false);
+        this._cancelLongPress();
+        this._gesture = null;
+        this.app._compMode = false;
+    }
+
+    // === Binding ===
+
+    // Called once from App.init() after compWaveform exists. Also binds the
+    // comp transport and dialogs -- nothing else in app.js touches those.
+    _bindCanvasEvents() {
+        const c = document.getElementById('comp-canvas');
+        const $ = (id) => document.getElementById(id);
+
+        c.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            this._pointerDown(e.clientX, e.clientY);
+        });
+        c.addEventListener('mousemove', (e) => this._pointerMove(e.clientX, e.clientY));
+        c.addEventListener('mouseup', (e) => this._pointerUp(e.clientX));
+        c.addEventListener('mouseleave', (e) => { if (this._gesture) this._pointerUp(e.clientX); });
+
+        // WaveformRenderer's own touch handlers already preventDefault() on this
+        // canvas, and its two-finger pinch still scrolls the fixed-scale view --
+        // only single-touch gestures are handled here.
+        c.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) { this._cancelLongPress(); this._gesture = null; return; }
+            this._pointerDown(e.touches[0].clientX, e.touches[0].clientY);
+        });
+        c.addEventListener('touchmove', (e) => {
+            if (e.touches.length !== 1) return;
+            this._pointerMove(e.touches[0].clientX, e.touches[0].clientY);
+        });
+        c.addEventListener('touchend', (e) => {
+            if (this._gesture) this._pointerUp(e.changedTouches[0].clientX);
+        });
+
+        // Wheel scrolls the timeline; ctrl/cmd+wheel (and trackpad pinch, which
+        // browsers report as ctrl+wheel) zooms around the pointer.
+        c.addEventListener('wheel', (e) => {
+            if (!this._takes.length) return;
+            const wf = this.app.compWaveform;
+            if (e.ctrlKey || e.metaKey) {
+                const anchor = wf.sampleAtX(e.clientX);
+                const rect = c.getBoundingClientRect();
+                const factor = e.deltaY > 0 ? 1 / 1.15 : 1.15;
+                this._pxPerSec = Math.max(5, Math.min(20000, this._pxPerSec * factor));
+                const pxPerSample = this._pxPerSec / this._sampleRate;
+                wf.setFixedScale(pxPerSample);
+                wf.setScrollOffset(anchor - (e.clientX - rect.left) / pxPerSample);
+            } else {
+                const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+                wf.setScrollOffset(wf.getScrollOffset() + delta * this._sampleRate / this._pxPerSec);
+            }
+        }, { passive: true });
+
+        $('comp-play-btn').addEventListener('click', () => this.play());
+        $('comp-stop-btn').addEventListener('click', () => this.stop());
+        $('comp-bounce-btn').addEventListener('click', () => this.bounce());
+        $('comp-clear-btn').addEventListener('click', () => this.clear());
+        $('comp-xfade').addEventListener('change', (e) => {
+            this._xfadeMs = parseInt(e.target.value) || 10;
+            this._refresh();
+        });
+        $('comp-modulate-btn').addEventListener('click', () => this._setModulateArmed(!this._modulateArmed));
+
+        $('comp-picker-cancel').addEventListener('click', () => { $('comp-picker-dialog').hidden = true; });
+        $('comp-modulate-cancel').addEventListener('click', () => {
+            $('comp-modulate-dialog').hidden = true;
+            this._setModulateArmed(false);
+        });
+        $('comp-modulate-confirm').addEventListener('click', () => this._applyModulate());
+    }
+
+    // === Gestures ===
+    //
+    // Tap            -- set the play cursor (or pick a take while MODULATE is armed)
+    // Drag on a take -- swipe that time range into the composite
+    // Long-press     -- on a take: drag to slip it in time, release in place to
+    //                   remove it; on the composite lane / empty canvas: add a take
+
+    _pointerDown(clientX, clientY) {
+        const wf = this.app.compWaveform;
+        const lane = this._laneAtY(clientY);
+        this._gesture = {
+            startX: clientX,
+            startSample: wf.sampleAtX(clientX),
+            lane,
+            mode: 'tap',
+            origOffset: lane > 0 ? this._takes[lane - 1].offset : 0,
+        };
+        this._cancelLongPress();
+        this._longPressTimer = setTimeout(() => {
+            this._longPressTimer = null;
+            const g = this._gesture;
+            if (!g || g.mode !== 'tap') return;
+            if (g.lane > 0) {
+                g.mode = 'slip';
+            } else {
+                this._gesture = null;
+                this.openPicker();
+            }
+        }, COMP_LONG_PRESS_MS);
+    }
+
+    _pointerMove(clientX, clientY) {
+        const g = this._gesture;
+        if (!g) return;
+        const wf = this.app.compWaveform;
+        const dx = clientX - g.startX;
+
+        if (g.mode === 'tap' && Math.abs(dx) >= COMP_MIN_DRAG_PX) {
+            this._cancelLongPress();
+            // Only take lanes can be swiped -- a drag on the composite lane is a no-op
+            g.mode = g.lane > 0 && !this._modulateArmed ? 'swipe' : 'none';
+        }
+
+        if (g.mode === 'swipe') {
+            wf.setSelection(g.startSample, wf.sampleAtX(clientX));
+        } else if (g.mode === 'slip') {
+            const take = this._takes[g.lane - 1];
+            g.moved = g.moved || Math.abs(dx) >= COMP_MIN_DRAG_PX;
+            take.offset = Math.max(0, Math.round(g.origOffset + dx * this._sampleRate / this._pxPerSec));
+            // Live feedback on the take's own tracks only -- the composite is
+            // rebuilt once on release rather than on every mousemove.
+            for (const id of take._trackIds || []) {
+                const t = wf.getTracks().find(t => t.id === id);
+                if (t) wf.setTrackOffset(id, t.offset + (take.offset - take._drawnOffset));
+            }
+            take._drawnOffset = take.offset;
+        }
+    }
+
+    _pointerUp(clientX) {
+        const g = this._gesture;
+        this._gesture = null;
+        this._cancelLongPress();
+        if (!g) return;
+        const wf = this.app.compWaveform;
+
+        if (g.mode === 'tap') {
+            if (this._modulateArmed) {
+                if (g.lane > 0) this._pickModulateTake(g.lane - 1);
+                return;
+            }
+            if (!this._takes.length) { this.openPicker(); return; }
+            this._playStart = Math.max(0, g.startSample);
+            wf.setCursor(this._playStart);
+        } else if (g.mode === 'swipe') {
+            const end = wf.sampleAtX(clientX);
+            wf.clearSelection();
+            this._assignRegion(this._takes[g.lane - 1], Math.min(g.startSample, end), Math.max(g.startSample, end));
+            this._refresh();
+        } else if (g.mode === 'slip') {
+            const take = this._takes[g.lane - 1];
+            if (!g.moved) {
+                if (confirm(`Remove "${take.name}" from the comp?`)) this._removeTake(take);
+                else take.offset = g.origOffset;
+            }
+            this._refresh();
+        }
+    }
+
+    _cancelLongPress() {
+        if (this._longPressTimer) {
+            clearTimeout(this._longPressTimer);
+            this._longPressTimer = null;
+        }
+    }
+
+    /** 0 = composite lane, 1..n = take lanes. */
+    _laneAtY(clientY) {
+        const lanes = this._takes.length + 1;
+        const frac = this.app.compWaveform.yFractionAtY(clientY);
+        return Math.min(lanes - 1, Math.floor(frac * lanes));
+    }
+
+    // === Takes ===
+
+    openPicker() {
+        const list = document.getElementById('comp-picker-list');
+        list.innerHTML = '';
+        const used = new Set(this._takes.map(t => t.slotIndex));
+        const minis = [];
+
+        for (const slot of this.app.slots.slots) {
+            if (!slot.hasAudio || slot.type === 'kit' || used.has(slot.index)) continue;
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row comp-picker-row';
+
+            const mini = document.createElement('canvas');
+            mini.className = 'comp-picker-mini';
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = `${String(slot.index + 1).padStart(2, '0')} — ${slot.name || 'untitled'}`;
+
+            row.appendChild(mini);
+            row.appendChild(name);
+            row.addEventListener('click', async () => {
+                document.getElementById('comp-picker-dialog').hidden = true;
+                await this.addTake(slot.index);
+            });
+            list.appendChild(row);
+            if (slot.peaks) minis.push([mini, slot.peaks]);
+        }
+
+        if (!list.children.length) {
+            alert(this._takes.length ? 'Every slot with audio is already in the comp' : 'Record or load a sample into a slot first');
+            return;
+        }
+        document.getElementById('comp-picker-dialog').hidden = false;
+        // Thumbnails size themselves off clientWidth -- draw once the dialog is laid out
+        const color = COMP_TAKE_COLORS[this._takes.length % COMP_TAKE_COLORS.length];
+        for (const [mini, peaks] of minis) WaveformRenderer.drawMiniFromPeaks(mini, peaks, color);
+    }
+
+    async addTake(slotIndex) {
+        try {
+            const data = await this.app.slots.getSlotAudio(slotIndex);
+            if (!data) throw new Error('slot has no audio');
+            const slot = this.app.slots.slots[slotIndex];
+            this._pushTake(data.channels, data.sampleRate, slotIndex, slot.name || `slot ${slotIndex + 1}`);
+        } catch (err) {
+            console.error('Comp add take failed:', err);
+            alert('Could not add take: ' + err.message);
+        }
+    }
+
+    _pushTake(channels, sampleRate, slotIndex, name) {
+        // Takes share one timeline, so bring everything to the comp's rate up front
+        if (sampleRate !== this._sampleRate) {
+            channels = channels.map(ch => DSP.resample(ch, sampleRate, this._sampleRate));
+        }
+        const take = {
+            slotIndex,
+            name,
+            channels,
+            length: channels[0].length,
+            offset: 0,
+            color: COMP_TAKE_COLORS[this._takes.length % COMP_TAKE_COLORS.length],
+        };
+        this._takes.push(take);
+        // The first take seeds the composite; later takes only contribute what's swiped in
+        if (this._takes.length === 1) this._regions = [{ start: 0, end: take.length, take }];
+        this._refresh();
+        return take;
+    }
+
+    _removeTake(take) {
+        this._takes = this._takes.filter(t => t !== take);
+        this._regions = this._regions.filter(r => r.take !== take);
+        if (!this._takes.length) this._regions = [];
+    }
+
+    clear() {
+        if (this._takes.length && !confirm('Clear the comp? Takes stay in their slots.')) return;
+        this.stop();
+        this._takes = [];
+        this._regions = [];
+        this._playStart = 0;
+        this.app.compWaveform.setCursor(-1);
+        this._refresh();
+    }
+
+    // === Regions ===
+
+    /**
+     * Hand [start, end) of the timeline to `take`, clamped to where that take
+     * actually has audio. Whatever other regions covered that range are cut
+     * around it; neighbouring regions from the same take merge back together
+     * so a take swiped twice doesn't grow extra seams.
+     */
+    _assignRegion(take, start, end) {
+        start = Math.max(start, take.offset);
+        end = Math.min(end, take.offset + take.length);
+        if (end - start < Math.round(this._sampleRate * 0.005)) return;
+
+        const out = [];
+        for (const r of this._regions) {
+            if (r.end <= start || r.start >= end) { out.push(r); continue; }
+            if (r.start < start) out.push({ start: r.start, end: start, take: r.take });
+            if (r.end > end) out.push({ start: end, end: r.end, take: r.take });
+        }
+        out.push({ start, end, take });
+        out.sort((a, b) => a.start - b.start);
+
+        this._regions = [];
+        for (const r of out) {
+            const prev = this._regions[this._regions.length - 1];
+            if (prev && prev.take === r.take && prev.end === r.start) prev.end = r.end;
+            else this._regions.push(r);
+        }
+    }
+
+    _timelineLength() {
+        let len = 0;
+        for (const t of this._takes) len = Math.max(len, t.offset + t.length);
+        return len;
+    }
+
+    // === Composite ===
+
+    /**
+     * Build the composite from the region list. Each region boundary gets an
+     * equal-power (sin/cos) crossfade centred on the seam, so the outgoing and
+     * incoming takes overlap by the XFADE length instead of butting together --
+     * a hard cut between two takes of the same part clicks almost every time.
+     * Takes with fewer channels than the comp are spread across the rest.
+     */
+    _renderComposite() {
+        const len = this._timelineLength();
+        if (!len || !this._regions.length) return null;
+        const numCh = Math.max(...this._takes.map(t => t.channels.length));
+        const out = [];
+        for (let ch = 0; ch < numCh; ch++) out.push(new Float32Array(len));
+
+        const half = Math.max(1, Math.round(this._xfadeMs / 1000 * this._sampleRate / 2));
+        const xf = half * 2;
+        for (const r of this._regions) {
+            const { take } = r;
+            const from = Math.max(0, r.start - half);
+            const to = Math.min(len, r.end + half);
+            const fadeInEnd = r.start + half;
+            const fadeOutStart = r.end - half;
+            for (let ch = 0; ch < numCh; ch++) {
+                const src = take.channels[Math.min(ch, take.channels.length - 1)];
+                const dst = out[ch];
+                for (let n = from; n < to; n++) {
+                    const i = n - take.offset;
+                    if (i < 0 || i >= take.length) continue;
+                    let g = 1;
+                    if (n < fadeInEnd) g *= Math.sin(((n - (r.start - half)) / xf) * Math.PI / 2);
+                    if (n >= fadeOutStart) g *= Math.cos(((n - fadeOutStart) / xf) * Math.PI / 2);
+                    dst[n] += src[i] * g;
+                }
+            }
+        }
+        return out;
+    }
+
+    /** Rebuild the composite and every lane's tracks on the comp canvas. */
+    _refresh() {
+        const wf = this.app.compWaveform;
+        if (!wf) return;
+        this._composite = this._renderComposite();
+        document.getElementById('comp-empty').hidden = this._takes.length > 0 || !this.app._compMode;
+
+        wf.clearTracks();
+        const lanes = this._takes.length + 1;
+        const laneH = wf.getHeight() / lanes;
+        // Extra tracks draw at a fixed band height regardless of how many lanes
+        // share the canvas -- scale each one down through its gain so lanes don't overlap.
+        const laneGain = Math.min(1, (laneH * 0.9) / Math.max(1, wf.trackBandHeightPx()));
+        const center = (lane) => (lane + 0.5) / lanes;
+
+        if (this._composite) {
+            const id = wf.addTrack(this._composite, this._sampleRate, 0, COMP_MIX_COLOR, center(0));
+            wf.setTrackGain(id, laneGain);
+        }
+
+        this._takes.forEach((take, i) => {
+            const y = center(i + 1);
+            take._trackIds = [];
+            take._drawnOffset = take.offset;
+            // Whole take dimmed underneath, the parts actually in the composite drawn on top in colour
+            const base = wf.addTrack(take.channels, this._sampleRate, take.offset, COMP_DIM_COLOR, y);
+            wf.setTrackGain(base, laneGain);
+            take._trackIds.push(base);
+            for (const r of this._regions) {
+                if (r.take !== take) continue;
+                const s = Math.max(r.start, take.offset);
+                const e = Math.min(r.end, take.offset + take.length);
+                if (e <= s) continue;
+                const seg = take.channels.map(ch => ch.subarray(s - take.offset, e - take.offset));
+                const id = wf.addTrack(seg, this._sampleRate, take.offset, take.color, y);
+                wf.setTrackOffset(id, s);
+                wf.setTrackGain(id, laneGain);
+                take._trackIds.push(id);
+            }
+        });
+        wf.render();
+    }
+
+    // === Transport ===
+
+    play() {
+        if (!this._composite) return;
+        const len = this._composite[0].length;
+        const start = this._playStart < len ? this._playStart : 0;
+        this.app.audio.play(this._composite, this._sampleRate, start, null, () => {
+            this._stopAnimation();
+            document.getElementById('comp-play-btn').classList.remove('playing');
+            this.app.compWaveform.setCursor(start);
+        });
+        document.getElementById('comp-play-btn').classList.add('playing');
+        this._startAnimation();
+    }
+
+    stop() {
+        if (this.app.audio.isPlaying) this.app.audio.stop();
+        this._stopAnimation();
+        document.getElementById('comp-play-btn').classList.remove('playing');
+        if (this.app.compWaveform) this.app.compWaveform.setCursor(this._takes.length ? this._playStart : -1);
+    }
+
+    _startAnimation() {
+        this._stopAnimation();
+        const animate = () => {
+            if (!this.app.audio.isPlaying) return;
+            this.app.compWaveform.setCursor(this.app.audio.getPlaybackSample());
+            this._animFrame = requestAnimationFrame(animate);
+        };
+        animate();
+    }
+
+    _stopAnimation() {
+        if (this._animFrame) {
+            cancelAnimationFrame(this._animFrame);
+            this._animFrame = null;
+        }
+    }
+
+    async bounce() {
+        if (!this._composite) { alert('Add a take to the comp first'); return; }
+        const emptySlot = this.app.slots.findEmptySlot();
+        if (emptySlot < 0) { alert('No empty slots available'); return; }
+
+        const btn = document.getElementById('comp-bounce-btn');
+        btn.textContent = 'BOUNCING...';
+        btn.disabled = true;
+        try {
+            // Auto-name from the takes that made it into the composite: comp-01+03
+            const used = this._takes.filter(t => t.slotIndex != null && this._regions.some(r => r.take === t));
+            const name = used.length ? 'comp-' + used.map(t => String(t.slotIndex + 1).padStart(2, '0')).join('+') : 'comp';
+            await this.app.slots.saveSlotAudio(emptySlot, this._composite, this._sampleRate);
+            await this.app.slots.renameSlot(emptySlot, name);
+            delete this.app._slotBuffers[emptySlot];
+            await this.app.seq._seqPreloadBuffers();
+            this.app.buildSlotGrid();
+            this.app.renderSlotGrid();
+            this._showHint(`Bounced to slot ${emptySlot + 1}`);
+        } catch (err) {
+            console.error('Comp bounce failed:', err);
+            alert('Bounce failed: ' + err.message);
+        } finally {
+            btn.textContent = 'BOUNCE';
+            btn.disabled = false;
+        }
+    }
+
+    _showHint(text) {
+        const hint = document.getElementById('comp-modulate-hint');
+        hint.textContent = text;
+        hint.hidden = false;
+        clearTimeout(this._hintTimer);
+        this._hintTimer = setTimeout(() => { if (!this._modulateArmed) hint.hidden = true; }, 2500);
+    }
+
+    // === Modulate ===
+
+    _setModulateArmed(armed) {
+        if (armed && this._takes.length < 2) {
+            alert('Need at least 2 takes in the comp to modulate');
+            armed = false;
+        }
+        this._modulateArmed = armed;
+        this._modulatePicks = [];
+        document.getElementById('comp-modulate-btn').classList.toggle('active', armed);
+        const hint = document.getElementById('comp-modulate-hint');
+        hint.textContent = armed ? 'Tap the carrier take' : '';
+        hint.hidden = !armed;
+    }
+
+    _pickModulateTake(index) {
+        const take = this._takes[index];
+        if (this._modulatePicks.includes(take)) return;
+        this._modulatePicks.push(take);
+        const hint = document.getElementById('comp-modulate-hint');
+        if (this._modulatePicks.length === 1) {
+            hint.textContent = `Carrier: ${take.name} — tap the modulator take`;
+        } else {
+            hint.textContent = `${this._modulatePicks[0].name} × ${take.name}`;
+            document.getElementById('comp-modulate-dialog').hidden = false;
+        }
+    }
+
+    async _applyModulate() {
+        const [carrier, modulator] = this._modulatePicks;
+        const op = document.getElementById('comp-modulate-op').value;
+        document.getElementById('comp-modulate-dialog').hidden = true;
+        this._setModulateArmed(false);
+        if (!carrier || !modulator) return;
+
+        try {
+            const channels = await this._modulate(op, carrier.channels, modulator.channels[0]);
+            const take = this._pushTake(channels, this._sampleRate, null, `${op} ${carrier.name}`);
+            take.offset = carrier.offset;
+            this._refresh();
+        } catch (err) {
+            console.error('Comp modulate failed:', err);
+            alert('Modulate failed: ' + err.message);
+        }
+    }
+
+    /** Carrier channels × mono modulator -> new channels, peak-normalised to 0.9. */
+    async _modulate(op, channels, mod) {
+        const sr = this._sampleRate;
+        const len = channels[0].length;
+        let result;
+
+        if (op === 'ringmod') {
+            result = channels.map(ch => {
+                const out = new Float32Array(len);
+                for (let i = 0; i < len; i++) out[i] = ch[i] * mod[i % mod.length];
+                return out;
+            });
+        } else if (op === 'fm') {
+            // Modulator drives the carrier's read position (±2ms), i.e. phase modulation
+            const depth = sr * 0.002;
+            result = channels.map(ch => {
+                const out = new Float32Array(len);
+                for (let i = 0; i < len; i++) {
+                    const pos = Math.max(0, Math.min(len - 1, i + mod[i % mod.length] * depth));
+                    const idx = Math.floor(pos);
+                    const frac = pos - idx;
+                    const b = idx + 1 < len ? ch[idx + 1] : ch[idx];
+                    out[i] = ch[idx] + frac * (b - ch[idx]);
+                }
+                return out;
+            });
+        } else if (op === 'vocoder') {
+            const fSize = 2048;
+            const hop = fSize / 4;
+            const win = DSP.hannWindow(fSize);
+            const modReal = new Float32Array(fSize);
+            const modImag = new Float32Array(fSize);
+            result = channels.map(ch => {
+                const processed = DSP.ola(ch, fSize, hop, hop, (real, imag, frameIdx) => {
+                    const modStart = (frameIdx * hop) % Math.max(1, mod.length - fSize);
+                    for (let i = 0; i < fSize; i++) {
+                        const idx = modStart + i;
+                        modReal[i] = (idx < mod.length ? mod[idx] : 0) * win[i];
+                        modImag[i] = 0;
+                    }
+                    DSP.fft(modReal, modImag);
+                    // Modulator magnitudes, carrier phases
+                    for (let i = 0; i < fSize; i++) {
+                        const modMag = Math.sqrt(modReal[i] * modReal[i] + modImag[i] * modImag[i]);
+                        const carMag = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+                        if (carMag > 1e-10) {
+                            real[i] *= modMag / carMag;
+                            imag[i] *= modMag / carMag;
+                        }
+                    }
+                });
+                const out = new Float32Array(len);
+                out.set(processed.subarray(0, len));
+                return out;
+            });
+        } else if (op === 'convolve') {
+            // Modulator as impulse response, capped at 3s like the cross-slot convolve
+            const irLen = Math.min(mod.length, sr * 3);
+            const offline = new OfflineAudioContext(channels.length, len + irLen, sr);
+            const buf = offline.createBuffer(channels.length, len, sr);
+            channels.forEach((ch, i) => buf.getChannelData(i).set(ch));
+            const ir = offline.createBuffer(1, irLen, sr);
+            ir.getChannelData(0).set(mod.subarray(0, irLen));
+            const src = offline.createBufferSource();
+            src.buffer = buf;
+            const conv = offline.createConvolver();
+            conv.buffer = ir;
+            src.connect(conv);
+            conv.connect(offline.destination);
+            src.start();
+            const rendered = await offline.startRendering();
+            result = channels.map((_, i) => new Float32Array(rendered.getChannelData(Math.min(i, rendered.numberOfChannels - 1))));
+        } else {
+            throw new Error('unknown operation ' + op);
+        }
+
+        let peak = 0;
+        for (const ch of result) for (let i = 0; i < ch.length; i++) peak = Math.max(peak, Math.abs(ch[i]));
+        if (peak > 0) {
+            const gain = 0.9 / peak;
+            for (const ch of result) for (let i = 0; i < ch.length; i++) ch[i] *= gain;
+        }
+        return result;
+    }
+}
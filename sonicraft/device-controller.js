@@ -17,6 +17,12 @@
  *   FMOVE <src> <dst> -> rename a file already on SD (SD.rename), replies FMOVE_OK/FMOVE_ERROR
  *   FILE_SEND <path> -> download a file from SD: FSEND_START -> FSCHUNK:<base64> (repeated)
  *                       -> FSEND_END. See downloadFile() below.
+ *   FILE_START:<path>:<size> -> upload a file to SD, same as the patcher's: FILE_READY ->
+ *                       FCHUNK:<base64> (each acked with FCHUNK_OK) -> FILE_END ->
+ *                       FILE_OK:<size>; FILE_ABORT drops it. See uploadFile() below.
+ *   LS [path]       -> list a directory: LS_START -> F:<name>:<size> / D:<name> (repeated)
+ *                       -> LS_END, or LS_ERROR:<reason>. See listDir().
+ *   FILE_DELETE <path> -> delete a file from SD, replies FILE_DELETED:/FDEL_ERROR:
  *
  * Transport choice: Web Serial is preferred when available (desktop Chrome/Edge,
  * Android Chrome) since it's the more battle-tested path. Web Bluetooth is the
@@ -40,6 +46,10 @@ const DEVICE_BLE_SERVICE_UUID       = '4f6e6950-686f-726d-5061-746368496e66';
 const DEVICE_BLE_UPLOAD_CHAR_UUID   = '4f6e6950-686f-726d-5061-746368557000';
 const DEVICE_BLE_RESPONSE_CHAR_UUID = '4f6e6950-686f-726d-5061-744368527300';
 const DEVICE_BLE_CHUNK_SIZE = 200; // MTU-safe write size, matches desktop BLETransport.js
+// Raw bytes per FCHUNK line (base64 adds a third). Serial matches the patcher's
+// PatchUploader.js; BLE stays small so one chunk is only a handful of MTU-sized writes.
+const DEVICE_UPLOAD_CHUNK_SERIAL = 2048;
+const DEVICE_UPLOAD_CHUNK_BLE = 600;
 
 class DeviceController {
     constructor() {
@@ -370,34 +380,40 @@ class DeviceController {
         if (!this._pendingWaiters || this._pendingWaiters.length === 0) return;
         for (let i = this._pendingWaiters.length - 1; i >= 0; i--) {
             const waiter = this._pendingWaiters[i];
-            for (const pattern of waiter.patterns) {
-                const idx = this._responseBuffer.indexOf(pattern);
-                if (idx === -1) continue;
-                const endIdx = this._responseBuffer.indexOf('\n', idx);
-                if (endIdx === -1) continue; // wait for the complete line
-                const matched = this._responseBuffer.substring(idx, endIdx).replace(/\r/g, '');
-                this._responseBuffer = this._responseBuffer.substring(endIdx + 1);
-                this._emitPos = Math.max(0, this._emitPos - (endIdx + 1));
-                this._pendingWaiters.splice(i, 1);
-                waiter.resolve(matched);
-                break;
-            }
+            const matched = this._takeResponse(waiter.patterns);
+            if (matched === null) continue;
+            this._pendingWaiters.splice(i, 1);
+            waiter.resolve(matched);
         }
     }
 
-    _waitForResponse(patterns, timeout) {
-        if (typeof patterns === 'string') patterns = [patterns];
+    /**
+     * Consume the buffer up to and including the first complete line holding
+     * any of `patterns`, and return that line from the match on (null if none
+     * yet). Earliest in the buffer wins, not first in the list -- LS waits on
+     * F: and D: together, and a later match would swallow the lines before it.
+     */
+    _takeResponse(patterns) {
+        let best = -1, bestEnd = -1;
         for (const pattern of patterns) {
             const idx = this._responseBuffer.indexOf(pattern);
-            if (idx !== -1) {
-                const endIdx = this._responseBuffer.indexOf('\n', idx);
-                if (endIdx === -1) continue;
-                const matched = this._responseBuffer.substring(idx, endIdx).replace(/\r/g, '');
-                this._responseBuffer = this._responseBuffer.substring(endIdx + 1);
-                this._emitPos = Math.max(0, this._emitPos - (endIdx + 1));
-                return Promise.resolve(matched);
-            }
+            if (idx === -1 || (best !== -1 && idx >= best)) continue;
+            const endIdx = this._responseBuffer.indexOf('\n', idx);
+            if (endIdx === -1) continue; // wait for the complete line
+            best = idx;
+            bestEnd = endIdx;
         }
+        if (best === -1) return null;
+        const matched = this._responseBuffer.substring(best, bestEnd).replace(/\r/g, '');
+        this._responseBuffer = this._responseBuffer.substring(bestEnd + 1);
+        this._emitPos = Math.max(0, this._emitPos - (bestEnd + 1));
+        return matched;
+    }
+
+    _waitForResponse(patterns, timeout) {
+        if (typeof patterns === 'string') patterns = [patterns];
+        const matched = this._takeResponse(patterns);
+        if (matched !== null) return Promise.resolve(matched);
         return new Promise((resolve) => {
             if (!this._pendingWaiters) this._pendingWaiters = [];
             const waiter = { patterns, resolve: null };
@@ -649,6 +665,63 @@ class DeviceController {
         return result;
     }
 
+    /**
+     * LS [path] -- list one directory on SD. Resolves to an array of entries
+     * (see parseLsEntry()), directories first then files, each alphabetical.
+     * Entry lines stream in like FSCHUNK does, so the same _streamConsuming
+     * guard applies -- a big directory arrives faster than this loop re-enters.
+     */
+    async listDir(path = '/') {
+        if (!this.isConnected()) throw new Error('Not connected to device');
+        this._streamConsuming = true;
+        try {
+            await this._send(`LS ${path}\n`);
+            const start = await this._waitForResponse(['LS_START', 'LS_ERROR'], DEVICE_COMMAND_TIMEOUT);
+            if (!start || start.includes('LS_ERROR')) {
+                throw new Error(start || 'No response to LS');
+            }
+            const entries = [];
+            while (true) {
+                // Same patterns as the patcher's listDir() -- entry lines have no prefix of their
+                // own, so it's _takeResponse()'s earliest-match rule that keeps them in order
+                const line = await this._waitForResponse(['F:', 'D:', 'LS_END'], DEVICE_COMMAND_TIMEOUT);
+                if (!line) throw new Error(`LS ${path} timed out after ${entries.length} entries`);
+                if (line.startsWith('LS_END')) break;
+                const entry = DeviceController.parseLsEntry(line, path);
+                if (entry) entries.push(entry);
+            }
+            entries.sort((a, b) => (b.isDir - a.isDir) || a.name.localeCompare(b.name));
+            return entries;
+        } finally {
+            this._streamConsuming = false;
+        }
+    }
+
+    /**
+     * Parse one F:<name>:<size> (file) or D:<name> (directory) line into
+     * {name, path, isDir, size}. The size is everything after the last colon,
+     * so names containing ':' survive. Returns null for anything else.
+     */
+    static parseLsEntry(line, dir = '/') {
+        const text = line.trim();
+        const base = dir.endsWith('/') ? dir : dir + '/';
+        let m = /^D:(.+)$/.exec(text);
+        if (m) return { name: m[1], path: base + m[1], isDir: true, size: 0 };
+        m = /^F:(.+):(\d+)$/.exec(text);
+        if (!m) return null;
+        return { name: m[1], path: base + m[1], isDir: false, size: parseInt(m[2], 10) };
+    }
+
+    /** FILE_DELETE <path> -- remove one file from SD. */
+    async deleteFile(path) {
+        await this._send(`FILE_DELETE ${path}\n`);
+        const result = await this._waitForResponse(['FILE_DELETED', 'FDEL_ERROR'], DEVICE_COMMAND_TIMEOUT);
+        if (!result || result.includes('FDEL_ERROR')) {
+            throw new Error(result || 'No response to FILE_DELETE');
+        }
+        return result;
+    }
+
     /**
      * SDSPACE — query current SD-card usage. Returns null if there's no card or
      * the device didn't respond (caller should treat that as "nothing to warn
@@ -678,8 +751,12 @@ class DeviceController {
      * retries on timeout (as long as the device is still connected) rather
      * than failing. This is what lets a download run safely in the background
      * while the user records the next take.
+     *
+     * isCancelled, if given, is polled between chunks; once it returns true the
+     * transfer is cancelled on the firmware (cancelDownload()) and the promise
+     * rejects with an Error whose `cancelled` flag is set.
      */
-    async downloadFile(path, onProgress) {
+    async downloadFile(path, onProgress, isCancelled) {
         if (!this.isConnected()) throw new Error('Not connected to device');
         const progress = onProgress || (() => {});
 
@@ -733,6 +810,12 @@ class DeviceController {
                 let gapBroke = false;
 
                 while (true) {
+                    if (isCancelled && isCancelled()) {
+                        await this.cancelDownload();
+                        const err = new Error('Download cancelled');
+                        err.cancelled = true;
+                        throw err;
+                    }
                     if (!this.isConnected()) throw new Error('Device disconnected during download');
                     const line = await this._waitForResponse(['FSCHUNK:', 'FSEND_END'], CHUNK_WAIT);
                     if (!line) continue; // no chunk yet -- likely paused for an active recording, keep waiting
@@ -789,6 +872,157 @@ class DeviceController {
         }
     }
 
+    /**
+     * FILE_START:<path>:<size> -> FILE_READY, then FCHUNK:<base64> lines each
+     * acked with FCHUNK_OK, then FILE_END -> FILE_OK:<size>. Uploads `data`
+     * (ArrayBuffer or Uint8Array) to the device's SD card -- the reverse of
+     * downloadFile(), over whichever transport is active. Same protocol and
+     * retry rules as desktop's PatchUploader.js.
+     *
+     * Uploads can't resume. Chunks carry no offset, so one can't be resent
+     * once its ack might have been lost (the firmware would append it twice),
+     * and the firmware keeps no partial file to pick up after a reconnect: an
+     * FCHUNK_ERROR is retried in place, but a missing ack aborts the file
+     * (FILE_ABORT) and starts it again from byte 0, and a disconnect fails the
+     * upload. onProgress(pct, attempt) says which attempt is running, so the UI
+     * can tell the user it started over.
+     *
+     * Once FILE_OK is in, the file is read back through downloadFile() and
+     * compared byte for byte -- the firmware has no checksum reply of its own.
+     * Progress covers both halves (sending, then reading back).
+     *
+     * cancelUpload() stops either half at the next chunk boundary -- while
+     * sending, the file is aborted on the firmware; while reading back, the
+     * read-back is cancelled and the unverified file deleted -- and the
+     * promise then rejects with an Error whose `cancelled` flag is set.
+     */
+    async uploadFile(path, data, onProgress) {
+        if (!this.isConnected()) throw new Error('Not connected to device');
+        const progress = onProgress || (() => {});
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const size = bytes.length;
+        const chunkSize = this._transport === 'ble' ? DEVICE_UPLOAD_CHUNK_BLE : DEVICE_UPLOAD_CHUNK_SERIAL;
+        const ACK_WAIT = 15000;
+        const MAX_CHUNK_RETRIES = 3;
+        const MAX_ATTEMPTS = 3;
+
+        this._uploadCancelRequested = false;
+        this._uploading = true;
+        let attempt = 1;
+        try {
+            for (; ; attempt++) {
+                if (attempt > 1) {
+                    await this._sendUploadAbort();
+                    console.warn(`[device] restarting upload of ${path} (attempt ${attempt}/${MAX_ATTEMPTS})`);
+                }
+                const sent = await this._sendFile(path, bytes, chunkSize, ACK_WAIT, MAX_CHUNK_RETRIES,
+                    (n) => progress(Math.min(49, Math.round((n / size) * 50)), attempt));
+                if (sent) break;
+                if (attempt === MAX_ATTEMPTS) {
+                    await this._sendUploadAbort();
+                    throw new Error(`Upload of ${path} failed after ${MAX_ATTEMPTS} attempts: no ack from device`);
+                }
+            }
+
+            await this._send('FILE_END\n');
+            const done = await this._waitForResponse(['FILE_OK', 'FILE_ERROR'], DEVICE_COMMAND_TIMEOUT * 2);
+            if (!done || done.includes('FILE_ERROR')) {
+                throw new Error(done || 'No response to FILE_END');
+            }
+            const gotSize = parseInt(done.split(':')[1], 10);
+            if (gotSize !== size) {
+                throw new Error(`Upload verify failed: device wrote ${gotSize} bytes, expected ${size}`);
+            }
+
+            let back;
+            try {
+                back = new Uint8Array(await this.downloadFile(path,
+                    (pct) => progress(50 + Math.round(pct / 2), attempt),
+                    () => this._uploadCancelRequested));
+            } catch (err) {
+                if (!err.cancelled) throw err;
+                try { await this.deleteFile(path); } catch (_) { /* best-effort */ }
+                throw this._uploadCancelledError();
+            }
+            let mismatch = back.length === size ? -1 : Math.min(back.length, size);
+            for (let i = 0; mismatch < 0 && i < size; i++) if (back[i] !== bytes[i]) mismatch = i;
+            if (mismatch >= 0) {
+                throw new Error(`Upload verify failed: ${path} reads back ${back.length} bytes, differing from byte ${mismatch}`);
+            }
+            progress(100, attempt);
+            return { path, size };
+        } finally {
+            this._uploading = false;
+            this._uploadCancelRequested = false;
+        }
+    }
+
+    // One pass of FILE_START + FCHUNKs. Resolves true once every chunk is acked,
+    // false if an ack never came (the caller restarts the file); throws on a
+    // refusal, a cancel or a disconnect.
+    async _sendFile(path, bytes, chunkSize, ackWait, maxRetries, onSent) {
+        const size = bytes.length;
+        await this._send(`FILE_START:${path}:${size}\n`);
+        const ready = await this._waitForResponse(['FILE_READY', 'FILE_ERROR'], DEVICE_COMMAND_TIMEOUT * 2);
+        if (!ready || ready.includes('FILE_ERROR')) {
+            throw new Error(ready || 'No response to FILE_START');
+        }
+
+        for (let offset = 0; offset < size; offset += chunkSize) {
+            if (this._uploadCancelRequested) {
+                await this._sendUploadAbort();
+                throw this._uploadCancelledError();
+            }
+            if (!this.isConnected()) throw new Error('Device disconnected during upload');
+
+            const end = Math.min(size, offset + chunkSize);
+            let binStr = '';
+            for (let i = offset; i < end; i++) binStr += String.fromCharCode(bytes[i]);
+            const line = `FCHUNK:${btoa(binStr)}\n`;
+
+            let ack = null;
+            for (let retry = 0; retry < maxRetries; retry++) {
+                await this._send(line);
+                ack = await this._waitForResponse(['FCHUNK_OK', 'FCHUNK_ERROR'], ackWait);
+                if (!ack) return false;
+                if (!ack.includes('FCHUNK_ERROR')) break;
+                // Refused, so nothing was written -- the same chunk can go again
+                console.warn(`[device] ${path} @${offset}: ${ack.trim()} -- retry ${retry + 1}/${maxRetries}`);
+                await new Promise(r => setTimeout(r, 500));
+            }
+            if (ack.includes('FCHUNK_ERROR')) {
+                await this._sendUploadAbort();
+                throw new Error(`Chunk at byte ${offset} failed after ${maxRetries} attempts: ${ack.trim()}`);
+            }
+            onSent(end);
+        }
+        return true;
+    }
+
+    _uploadCancelledError() {
+        const err = new Error('Upload cancelled');
+        err.cancelled = true;
+        return err;
+    }
+
+    /** Ask a running uploadFile() to stop at its next chunk boundary (see there). */
+    cancelUpload() {
+        if (this._uploading) this._uploadCancelRequested = true;
+    }
+
+    isUploading() {
+        return !!this._uploading;
+    }
+
+    /** FILE_ABORT -- firmware drops the file being written. Best-effort, like cancelDownload(). */
+    async _sendUploadAbort() {
+        try {
+            await this._send('FILE_ABORT\n');
+            // No reply to wait for -- give it a moment to close the file
+            await new Promise(r => setTimeout(r, 200));
+        } catch (_) { /* best-effort */ }
+    }
+
     // === Persistence (auto-reconnect on next load, same pattern as DmxController) ===
 
     /**
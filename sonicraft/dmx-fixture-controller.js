@@ -0,0 +1,260 @@
+/* dmx-fixture-controller.js – fixture patch over the DMX universe: profiles, addresses and per-attribute control */
+
+const DMX_PATCH_KEY = 'soniphorm-dmx-patch';
+
+class DmxFixtureController {
+    constructor(app) {
+        this.app = app;
+        this.customProfiles = {};   // key -> profile, imported from JSON
+        this.fixtures = [];         // [{ name, profile, address }]
+        this._load();
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('dmx-patch-btn').addEventListener('click', () => this.open());
+        $('dmx-patch-close').addEventListener('click', () => { $('dmx-patch-dialog').hidden = true; });
+        $('dmx-patch-profile').addEventListener('change', () => this._suggestAddress());
+        $('dmx-patch-add').addEventListener('click', () => this.addFixture());
+        $('dmx-profile-import').addEventListener('click', () => $('dmx-profile-input').click());
+        $('dmx-profile-input').addEventListener('change', (e) => this.importProfiles(e));
+        this._applyMask();
+    }
+
+    /** Built-in profiles plus imported ones (an import can replace a built-in of the same key). */
+    get profiles() {
+        return Object.assign({}, DmxFixtures.PROFILES, this.customProfiles);
+    }
+
+    // === Persistence ===
+
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DMX_PATCH_KEY) || '{}');
+            this.customProfiles = saved.profiles || {};
+            this.fixtures = Array.isArray(saved.fixtures) ? saved.fixtures : [];
+        } catch (e) {
+            console.warn('Failed to load DMX patch:', e);
+            this.customProfiles = {};
+            this.fixtures = [];
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(DMX_PATCH_KEY, JSON.stringify({ profiles: this.customProfiles, fixtures: this.fixtures }));
+        } catch (e) {
+            console.warn('Failed to save DMX patch:', e);
+        }
+        this._applyMask();
+    }
+
+    /** After a project load replaced the saved patch. */
+    reload() {
+        this._load();
+        this._applyMask();
+        if (!document.getElementById('dmx-patch-dialog').hidden) this.render();
+    }
+
+    // The grand master follows the patch: intensity yes, pan/tilt no
+    _applyMask() {
+        if (this.app.dmx) this.app.dmx.setMasterMask(DmxFixtures.masterMask(this.fixtures, this.profiles));
+    }
+
+    // === Fixture control ===
+
+    fixture(name) {
+        return this.fixtures.find(f => f.name === name) || null;
+    }
+
+    /** Set one attribute of a patched fixture (0-255). Returns false if it has no such attribute. */
+    setAttribute(name, attribute, value) {
+        const f = this.fixture(name);
+        const ch = f ? DmxFixtures.channelOf(f, this.profiles, attribute) : -1;
+        if (ch < 0 || !this.app.dmx) return false;
+        this.app.dmx.setChannel(ch, value);
+        return true;
+    }
+
+    // === Patching ===
+
+    addFixture() {
+        const key = document.getElementById('dmx-patch-profile').value;
+        const address = parseInt(document.getElementById('dmx-patch-address').value, 10);
+        const profile = this.profiles[key];
+        if (!profile || isNaN(address)) return;
+        const count = this.fixtures.filter(f => f.profile === key).length;
+        const name = prompt('Fixture name:', `${profile.name} ${count + 1}`);
+        if (!name || !name.trim()) return;
+        if (this.fixture(name.trim())) {
+            alert(`There is already a fixture called "${name.trim()}"`);
+            return;
+        }
+        const fixture = { name: name.trim(), profile: key, address };
+        const conflict = DmxFixtures.findConflict(this.fixtures, this.profiles, fixture);
+        if (conflict) {
+            alert('Cannot patch: ' + conflict);
+            return;
+        }
+        this.fixtures.push(fixture);
+        this.fixtures.sort((a, b) => a.address - b.address);
+        this._save();
+        this.render();
+    }
+
+    _moveFixture(fixture, address) {
+        const moved = Object.assign({}, fixture, { address });
+        const conflict = DmxFixtures.findConflict(this.fixtures, this.profiles, moved, this.fixtures.indexOf(fixture));
+        if (conflict) {
+            alert('Cannot move: ' + conflict);
+        } else {
+            fixture.address = address;
+            this.fixtures.sort((a, b) => a.address - b.address);
+            this._save();
+        }
+        this.render();
+    }
+
+    _removeFixture(fixture) {
+        this.fixtures = this.fixtures.filter(f => f !== fixture);
+        this._save();
+        this.render();
+    }
+
+    /**
+     * A .json file holding one profile, an array of them, or a { key: profile }
+     * table. Keys come from the table, else from the profile name.
+     */
+    async importProfiles(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        e.target.value = '';
+        try {
+            const data = JSON.parse(await file.text());
+            let entries;
+            if (Array.isArray(data)) entries = data.map(p => [null, p]);
+            else if (data && Array.isArray(data.channels)) entries = [[null, data]];
+            else entries = Object.entries(data || {});
+            if (!entries.length) throw new Error('no profiles in file');
+            const parsed = entries.map(([key, p]) => {
+                const profile = DmxFixtures.parseProfile(p);
+                return [key || profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'), profile];
+            });
+            for (const [key, profile] of parsed) this.customProfiles[key] = profile;
+            this._save();
+            this.render();
+        } catch (err) {
+            console.error('DMX profile import error:', err);
+            alert('Profile import failed: ' + err.message);
+        }
+    }
+
+    // === Dialog ===
+
+    open() {
+        if (!this.app.dmx) {
+            alert('DMX is not available in this browser');
+            return;
+        }
+        this.render();
+        document.getElementById('dmx-patch-dialog').hidden = false;
+    }
+
+    _suggestAddress() {
+        const profile = this.profiles[document.getElementById('dmx-patch-profile').value];
+        const address = profile ? DmxFixtures.nextFree(this.fixtures, this.profiles, profile.channels.length) : -1;
+        document.getElementById('dmx-patch-address').value = address > 0 ? address : '';
+    }
+
+    render() {
+        const profiles = this.profiles;
+        const select = document.getElementById('dmx-patch-profile');
+        const prev = select.value;
+        select.innerHTML = '';
+        for (const [key, p] of Object.entries(profiles)) {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = `${p.name} (${p.channels.length}ch)`;
+            select.appendChild(opt);
+        }
+        if (profiles[prev]) select.value = prev;
+        this._suggestAddress();
+
+        const list = document.getElementById('dmx-patch-list');
+        list.innerHTML = '';
+        for (const fixture of this.fixtures) {
+            const profile = profiles[fixture.profile];
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row dmx-lane-row';
+
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            const r = DmxFixtures.range(fixture, profiles);
+            name.textContent = profile
+                ? `${fixture.name} — ${profile.name}, ${r.first}-${r.last}`
+                : `${fixture.name} — missing profile "${fixture.profile}"`;
+            row.appendChild(name);
+
+            const address = document.createElement('input');
+            address.type = 'number';
+            address.className = 'song-entry-num';
+            address.title = 'Start address';
+            address.min = 1;
+            address.max = DMX_UNIVERSE_SIZE;
+            address.value = fixture.address;
+            address.addEventListener('change', () => {
+                const v = parseInt(address.value, 10);
+                if (!isNaN(v) && v !== fixture.address) this._moveFixture(fixture, v);
+            });
+            row.appendChild(address);
+
+            const remove = document.createElement('button');
+            remove.className = 'chain-stage-btn';
+            remove.innerHTML = '&#10005;';
+            remove.title = 'Unpatch';
+            remove.addEventListener('click', () => this._removeFixture(fixture));
+            row.appendChild(remove);
+
+            if (profile) row.appendChild(this._attributeSliders(fixture, profile));
+            list.appendChild(row);
+        }
+        if (!this.fixtures.length) {
+            const hint = document.createElement('span');
+            hint.className = 'menu-hint';
+            hint.textContent = 'Pick a profile and start address, then Patch';
+            list.appendChild(hint);
+        }
+    }
+
+    // Same sliders as the channel test, labelled by attribute
+    _attributeSliders(fixture, profile) {
+        const container = document.createElement('div');
+        container.className = 'dmx-sliders dmx-fixture-sliders';
+        profile.channels.forEach((attr, i) => {
+            const ch = fixture.address + i;
+            const row = document.createElement('div');
+            row.className = 'dmx-slider-row';
+            const label = document.createElement('span');
+            label.className = 'dmx-ch-label dmx-attr-label';
+            label.textContent = attr;
+            label.title = `Channel ${ch}`;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 255;
+            slider.value = this.app.dmx.getChannel(ch);
+            const val = document.createElement('span');
+            val.className = 'dmx-ch-val';
+            val.textContent = slider.value;
+            slider.addEventListener('input', () => {
+                this.app.dmx.setChannel(ch, parseInt(slider.value, 10));
+                val.textContent = slider.value;
+            });
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(val);
+            container.appendChild(row);
+        });
+        return container;
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * DmxFixtures — fixture profiles and address patching over the raw
+ * universe. Pure functions, no I/O; see DmxFixtureController for the UI.
+ * Plain global object like SMF/PatternGen; load via <script> tag after dmx.js.
+ *
+ * A profile is JSON: { name, channels: [attribute, ...] } -- one attribute
+ * per DMX channel in footprint order ('intensity', 'red', 'pan-fine', ...).
+ * A patched fixture is { name, profile, address }, `profile` being a key
+ * into the profile table and `address` its first channel (1-512).
+ */
+const DmxFixtures = {
+
+    PROFILES: {
+        dimmer: { name: 'Dimmer', channels: ['intensity'] },
+        'rgb-par': { name: 'RGB par', channels: ['red', 'green', 'blue'] },
+        'rgbw-par': { name: 'RGBW par', channels: ['intensity', 'red', 'green', 'blue', 'white', 'strobe'] },
+        'moving-head': {
+            name: 'Moving head (12ch)',
+            channels: ['pan', 'pan-fine', 'tilt', 'tilt-fine', 'speed', 'intensity', 'strobe', 'red', 'green', 'blue', 'white', 'gobo']
+        }
+    },
+
+    // What the grand master scales. Colour only counts on a fixture with no
+    // intensity channel of its own -- an RGB par's brightness is its colours.
+    INTENSITY: ['intensity'],
+    COLOUR: ['red', 'green', 'blue', 'white', 'amber', 'uv'],
+
+    /** Check a profile read from JSON. Throws with the reason if it won't do. */
+    parseProfile(data) {
+        if (!data || typeof data !== 'object') throw new Error('profile is not an object');
+        if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('profile has no name');
+        const channels = data.channels;
+        if (!Array.isArray(channels) || !channels.length || channels.length > DMX_UNIVERSE_SIZE) {
+            throw new Error(`"${data.name}" needs 1-${DMX_UNIVERSE_SIZE} channels`);
+        }
+        if (channels.some(c => typeof c !== 'string' || !c.trim())) {
+            throw new Error(`"${data.name}" has a channel without an attribute name`);
+        }
+        return { name: data.name.trim(), channels: channels.map(c => c.trim().toLowerCase()) };
+    },
+
+    /** First and last channel a fixture takes, or null if its profile is unknown. */
+    range(fixture, profiles) {
+        const profile = profiles[fixture.profile];
+        if (!profile) return null;
+        return { first: fixture.address, last: fixture.address + profile.channels.length - 1 };
+    },
+
+    /**
+     * Why `candidate` can't be patched alongside `patch` (skipping index
+     * `ignore`, the fixture being moved), or null if it fits.
+     */
+    findConflict(patch, profiles, candidate, ignore = -1) {
+        const r = DmxFixtures.range(candidate, profiles);
+        if (!r) return `unknown profile "${candidate.profile}"`;
+        const span = ({ first, last }) => first === last ? `channel ${first}` : `channels ${first}-${last}`;
+        if (r.first < 1 || r.last > DMX_UNIVERSE_SIZE) return `${span(r)} would be outside the universe`;
+        for (let i = 0; i < patch.length; i++) {
+            if (i === ignore) continue;
+            const other = DmxFixtures.range(patch[i], profiles);
+            if (other && r.first <= other.last && other.first <= r.last) {
+                return `${span(r)} would overlap ${patch[i].name} (${span(other)})`;
+            }
+        }
+        return null;
+    },
+
+    /** Lowest address with `size` free channels, or -1 if the universe is full. */
+    nextFree(patch, profiles, size) {
+        const used = new Uint8Array(DMX_UNIVERSE_SIZE + 1);
+        for (const f of patch) {
+            const r = DmxFixtures.range(f, profiles);
+            if (r) for (let ch = r.first; ch <= r.last && ch <= DMX_UNIVERSE_SIZE; ch++) used[ch] = 1;
+        }
+        let run = 0;
+        for (let ch = 1; ch <= DMX_UNIVERSE_SIZE; ch++) {
+            run = used[ch] ? 0 : run + 1;
+            if (run === size) return ch - size + 1;
+        }
+        return -1;
+    },
+
+    /** Channel a fixture's attribute sits on, or -1. */
+    channelOf(fixture, profiles, attribute) {
+        const profile = profiles[fixture.profile];
+        const i = profile ? profile.channels.indexOf(attribute) : -1;
+        return i < 0 ? -1 : fixture.address + i;
+    },
+
+    /**
+     * Per-channel flags (index = DMX channel) for DmxController.setMasterMask:
+     * 1 where the grand master and blackout apply. Unpatched channels count
+     * as plain dimmers; pan, tilt, gobo and the like on a fixture never do.
+     */
+    masterMask(patch, profiles) {
+        const mask = new Uint8Array(DMX_UNIVERSE_SIZE + 1).fill(1);
+        mask[0] = 0; // start code
+        for (const f of patch) {
+            const profile = profiles[f.profile];
+            if (!profile) continue;
+            const hasIntensity = profile.channels.some(c => DmxFixtures.INTENSITY.includes(c));
+            profile.channels.forEach((attr, i) => {
+                const ch = f.address + i;
+                if (ch > DMX_UNIVERSE_SIZE) return;
+                const scaled = DmxFixtures.INTENSITY.includes(attr) || (!hasIntensity && DmxFixtures.COLOUR.includes(attr));
+                mask[ch] = scaled ? 1 : 0;
+            });
+        }
+        return mask;
+    }
+};
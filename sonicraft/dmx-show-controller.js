@@ -0,0 +1,577 @@
+/* dmx-show-controller.js – sequencer-driven DMX: step lanes, scenes, flash-on-hit and envelope follow */
+
+const DMX_SHOW_SCENES_KEY = 'soniphorm-dmx-scenes';
+const DMX_SHOW_ENV_FRAME = 0.01; // seconds per point of a follow envelope
+
+/**
+ * The pattern's `dmx` data (Sequencer.dmx, saved with the bank) is played
+ * here: lanes move channels on the steps that have a value, fading over
+ * `fade` steps from whatever the channel was on; triggers flash a channel
+ * when a track fires; follows put a track's amplitude envelope on a
+ * channel. Everything is timed from onStepSchedule, so it runs a
+ * lookahead ahead of the lights and is rendered into the universe at the
+ * DMX refresh rate. Flashes and follows merge highest-takes-precedence
+ * over the lanes.
+ *
+ * Scenes are global, not per pattern. Recalling one crossfades over its
+ * `fade` (s): its channels to their levels, and channels only the last
+ * scene had down to zero. A scene can also fire from a pad or a MIDI note.
+ */
+class DmxShowController {
+    constructor(app) {
+        this.app = app;
+        this.scenes = [];             // [{ name, values: { channel: value }, fade, pad?, note? }]
+        this._activeScene = null;     // last scene recalled -- what a crossfade fades out
+        this._levels = new Map();     // channel -> level the lanes have left it on
+        this._fades = new Map();      // channel -> [{ to, start, end, from }], in start order
+        this._flashes = new Map();    // channel -> [{ value, start, decay }]
+        this._follows = new Map();    // channel -> [{ env, start, end, rate, scale }]
+        this._envCache = new WeakMap(); // AudioBuffer -> Float32Array
+        this._timer = null;
+        this._load();
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('dmx-show-btn').addEventListener('click', () => this.open());
+        $('dmx-show-close').addEventListener('click', () => { $('dmx-show-dialog').hidden = true; });
+        $('dmx-scene-store').addEventListener('click', () => this.storeScene());
+        $('dmx-lane-add').addEventListener('click', () => this._addLane('channel'));
+        $('dmx-lane-add-scene').addEventListener('click', () => this._addLane('scene'));
+        $('dmx-trigger-add').addEventListener('click', () => this._addHitRule('triggers'));
+        $('dmx-follow-add').addEventListener('click', () => this._addHitRule('follows'));
+    }
+
+    // === Scenes ===
+
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DMX_SHOW_SCENES_KEY) || '[]');
+            this.scenes = Array.isArray(saved) ? saved.filter(s => s && s.name && s.values) : [];
+        } catch (e) {
+            console.warn('Failed to load DMX scenes:', e);
+            this.scenes = [];
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(DMX_SHOW_SCENES_KEY, JSON.stringify(this.scenes));
+        } catch (e) {
+            console.warn('Failed to save DMX scenes:', e);
+        }
+    }
+
+    /** After a project load replaced the saved scenes. */
+    reload() {
+        this._load();
+        if (!document.getElementById('dmx-show-dialog').hidden) this.render();
+    }
+
+    /** Name the universe as it is now -- channels at zero are left out, so scenes layer. */
+    storeScene() {
+        if (!this.app.dmx) return;
+        const name = prompt('Scene name:', `Scene ${this.scenes.length + 1}`);
+        if (!name || !name.trim()) return;
+        const snap = this.app.dmx.snapshot();
+        const values = {};
+        for (let ch = 1; ch < snap.length; ch++) {
+            if (snap[ch]) values[ch] = snap[ch];
+        }
+        const existing = this.scenes.find(s => s.name === name.trim());
+        if (existing) {
+            if (!confirm(`Replace scene "${existing.name}"?`)) return;
+            existing.values = values;
+        } else {
+            this.scenes.push({ name: name.trim(), values, fade: 1 });
+        }
+        this._save();
+        this.render();
+    }
+
+    /** Crossfade to a scene, now or at an audio time; `dur` defaults to the scene's own fade. */
+    recallScene(name, time, dur) {
+        const scene = this.scenes.find(s => s.name === name);
+        if (!scene || !this.app.dmx) return;
+        if (time === undefined) {
+            // Fades run on the audio clock, which a pad, note or the dialog
+            // can get to before anything has started audio
+            const ctx = this.app.audio.audioContext;
+            if (!ctx) {
+                this.app.ensureAudioInit().then(() => {
+                    if (this.app.audio.audioContext) this.recallScene(name, undefined, dur);
+                });
+                return;
+            }
+            time = ctx.currentTime;
+        }
+        this._crossfade(scene, time, dur !== undefined ? dur : scene.fade || 0);
+        this._startRender();
+    }
+
+    _crossfade(scene, start, dur) {
+        const prev = this._activeScene;
+        if (prev && prev !== scene) {
+            for (const ch of Object.keys(prev.values)) {
+                if (!(ch in scene.values)) this._fadeTo(Number(ch), 0, start, dur);
+            }
+        }
+        for (const [ch, value] of Object.entries(scene.values)) this._fadeTo(Number(ch), value, start, dur);
+        this._activeScene = scene;
+    }
+
+    /** Sampler.onTrigger -- scenes bound to the pad. */
+    onPadTrigger(pad) {
+        for (const scene of this.scenes) {
+            if (scene.pad === pad) this.recallScene(scene.name);
+        }
+    }
+
+    /** MIDI note-on. True if the note fired a scene, so it shouldn't play a pad too. */
+    noteOn(note) {
+        const scene = this.scenes.find(s => s.note === note);
+        if (!scene) return false;
+        this.recallScene(scene.name);
+        return true;
+    }
+
+    // Lanes that pointed at it are left alone -- their steps just do nothing
+    deleteScene(name) {
+        if (!confirm(`Delete scene "${name}"?`)) return;
+        if (this._activeScene && this._activeScene.name === name) this._activeScene = null;
+        this.scenes = this.scenes.filter(s => s.name !== name);
+        this._save();
+        this.render();
+    }
+
+    // === Playback ===
+
+    /** Sequencer.onStepSchedule, after MIDI: queue this step's lane moves, flashes and follows. */
+    onStep(stepIndex, time, hits) {
+        const seq = this.app.sequencer;
+        const show = seq.dmx;
+        if (!this.app.dmx || !show) return;
+        const stepDur = seq.stepDuration;
+        let queued = false;
+
+        for (const lane of show.lanes) {
+            const value = lane.values[stepIndex];
+            if (value === undefined) continue;
+            const dur = (lane.fade || 0) * stepDur;
+            if (lane.type === 'scene') {
+                const scene = this.scenes.find(s => s.name === value);
+                if (!scene) continue;
+                this._crossfade(scene, time, dur);
+            } else {
+                this._fadeTo(lane.channel, value, time, dur);
+            }
+            queued = true;
+        }
+
+        for (const hit of hits) {
+            const entry = hit.entry;
+            const key = Sequencer.trackKey(entry);
+            // A slot's rule also catches the kit hits under it
+            const matches = (rule) => rule.track === key || rule.track === String(entry.slot);
+            const vel = (entry.velocity !== undefined ? entry.velocity : 127) / 127;
+
+            for (const rule of show.triggers) {
+                if (!matches(rule)) continue;
+                this._push(this._flashes, rule.channel, { value: rule.value * vel, start: hit.time, decay: Math.max(0.01, rule.decay) });
+                queued = true;
+            }
+
+            const follows = show.follows.filter(matches);
+            if (!follows.length) continue;
+            const { buffer, pad } = seq._entrySource(entry, hit.step);
+            if (!buffer) continue;
+            const env = this._envelope(buffer);
+            const rate = Math.pow(2, (entry.pitch + (pad ? pad.pitch : 0)) / 12);
+            let end = hit.time + env.length * DMX_SHOW_ENV_FRAME / rate;
+            if (hit.dur) end = Math.min(end, hit.time + hit.dur);
+            for (const rule of follows) {
+                this._push(this._follows, rule.channel, { env, start: hit.time, end, rate, scale: 255 * rule.gain * vel });
+                queued = true;
+            }
+        }
+        if (queued) this._startRender();
+    }
+
+    _push(map, channel, item) {
+        if (channel < 1 || channel > DMX_UNIVERSE_SIZE) return;
+        if (!map.has(channel)) map.set(channel, []);
+        map.get(channel).push(item);
+    }
+
+    _fadeTo(channel, value, start, dur) {
+        this._push(this._fades, channel, { to: Math.max(0, Math.min(255, value)), start, end: start + dur });
+    }
+
+    /**
+     * Peak level per DMX_SHOW_ENV_FRAME, normalised so the loudest point is
+     * full -- quiet samples still use the whole channel, and gain trims it.
+     */
+    _envelope(buffer) {
+        let env = this._envCache.get(buffer);
+        if (env) return env;
+        const frame = Math.max(1, Math.round(buffer.sampleRate * DMX_SHOW_ENV_FRAME));
+        env = new Float32Array(Math.ceil(buffer.length / frame));
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                const a = Math.abs(data[i]);
+                const f = (i / frame) | 0;
+                if (a > env[f]) env[f] = a;
+            }
+        }
+        let max = 0;
+        for (let i = 0; i < env.length; i++) if (env[i] > max) max = env[i];
+        if (max > 0) for (let i = 0; i < env.length; i++) env[i] /= max;
+        this._envCache.set(buffer, env);
+        return env;
+    }
+
+    _startRender() {
+        if (this._timer) return;
+        this._timer = setInterval(() => this._render(), Math.round(1000 / DMX_REFRESH_HZ));
+    }
+
+    _stopRender() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    _render() {
+        const dmx = this.app.dmx;
+        const seq = this.app.sequencer;
+        const ctx = this.app.audio.audioContext;
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        // Stopped: whatever was queued past now never happens
+        if (!seq.playing) {
+            for (const map of [this._fades, this._flashes, this._follows]) {
+                for (const [ch, list] of map) {
+                    const kept = list.filter(item => item.start <= now);
+                    if (kept.length) map.set(ch, kept);
+                    else map.delete(ch);
+                }
+            }
+        }
+
+        const channels = new Set([...this._fades.keys(), ...this._flashes.keys(), ...this._follows.keys()]);
+        for (const ch of channels) {
+            if (!this._levels.has(ch)) this._levels.set(ch, dmx.getChannel(ch));
+            let level = this._levels.get(ch);
+
+            // A fade cut short by the next one hands over from wherever it got to
+            const fades = this._fades.get(ch);
+            while (fades && fades.length && fades[0].start <= now) {
+                const seg = fades[0];
+                if (seg.from === undefined) seg.from = level;
+                const t = seg.end > seg.start ? Math.min(1, (now - seg.start) / (seg.end - seg.start)) : 1;
+                level = seg.from + (seg.to - seg.from) * t;
+                if (t < 1 && !(fades[1] && fades[1].start <= now)) break;
+                fades.shift();
+            }
+            if (fades && !fades.length) this._fades.delete(ch);
+            this._levels.set(ch, level);
+
+            let out = level;
+            const flashes = this._flashes.get(ch);
+            if (flashes) {
+                for (const f of flashes) {
+                    if (f.start <= now) out = Math.max(out, f.value * Math.max(0, 1 - (now - f.start) / f.decay));
+                }
+                const live = flashes.filter(f => now < f.start + f.decay);
+                if (live.length) this._flashes.set(ch, live);
+                else this._flashes.delete(ch);
+            }
+
+            const follows = this._follows.get(ch);
+            if (follows) {
+                // Latest hit to have started owns the channel
+                let current = null;
+                for (const f of follows) if (f.start <= now) current = f;
+                if (current && now < current.end) {
+                    const i = Math.min(current.env.length - 1, ((now - current.start) * current.rate / DMX_SHOW_ENV_FRAME) | 0);
+                    out = Math.max(out, current.env[i] * current.scale);
+                }
+                const live = follows.filter(f => f === current ? now < f.end : f.start > now);
+                if (live.length) this._follows.set(ch, live);
+                else this._follows.delete(ch);
+            }
+            dmx.setChannel(ch, Math.round(out));
+            // Idle again: the next move starts from the channel itself, in
+            // case something else (sliders, fixtures) set it meanwhile
+            if (!this._fades.has(ch) && !this._flashes.has(ch) && !this._follows.has(ch)) this._levels.delete(ch);
+        }
+
+        if (!this._fades.size && !this._flashes.size && !this._follows.size) this._stopRender();
+    }
+
+    // === Dialog ===
+
+    open() {
+        if (!this.app.dmx) {
+            alert('DMX is not available in this browser');
+            return;
+        }
+        this.render();
+        document.getElementById('dmx-show-dialog').hidden = false;
+    }
+
+    // Lanes and rules belong to the pattern -- edits go into the bank like any step edit
+    _changed() {
+        this.app.seq._saveSeqPattern();
+        this.render();
+    }
+
+    _addLane(type) {
+        if (type === 'scene' && !this.scenes.length) {
+            alert('Store a scene first');
+            return;
+        }
+        const lanes = this.app.sequencer.dmx.lanes;
+        const used = lanes.filter(l => l.type === 'channel').map(l => l.channel);
+        const channel = used.length ? Math.min(DMX_UNIVERSE_SIZE, Math.max(...used) + 1) : 1;
+        lanes.push(type === 'scene' ? { type, fade: 0, values: {} } : { type, channel, fade: 0, values: {} });
+        this._changed();
+    }
+
+    _addHitRule(kind) {
+        const tracks = Object.keys(this._trackOptions());
+        if (!tracks.length) {
+            alert('Load a sample into a slot first');
+            return;
+        }
+        const rule = kind === 'triggers'
+            ? { track: tracks[0], channel: 1, value: 255, decay: 0.25 }
+            : { track: tracks[0], channel: 1, gain: 1 };
+        this.app.sequencer.dmx[kind].push(rule);
+        this._changed();
+    }
+
+    // Loaded slots, with the loaded sub-slots of any kit after it
+    _trackOptions() {
+        const slots = this.app.slots;
+        const options = {};
+        slots.slots.forEach((s, i) => {
+            if (i >= 16) return;
+            const num = String(i + 1).padStart(2, '0');
+            if (s.type === 'kit') {
+                options[i] = `${num} ${s.name || 'kit'} (all)`;
+                for (let sub = 0; sub < 16; sub++) {
+                    const meta = slots.getKitSlotMeta(i, sub);
+                    if (meta && meta.hasAudio) options[i + ':' + sub] = `${num}.${String(sub + 1).padStart(2, '0')} ${meta.name || ''}`;
+                }
+            } else if (s.hasAudio) {
+                options[i] = `${num} ${s.name || 'untitled'}`;
+            }
+        });
+        return options;
+    }
+
+    render() {
+        this._renderScenes();
+        this._renderLanes();
+        this._renderHitRules();
+    }
+
+    _hint(container, text) {
+        const hint = document.createElement('span');
+        hint.className = 'menu-hint';
+        hint.textContent = text;
+        container.appendChild(hint);
+    }
+
+    _removeButton(row, title, onClick) {
+        const remove = document.createElement('button');
+        remove.className = 'chain-stage-btn';
+        remove.innerHTML = '&#10005;';
+        remove.title = title;
+        remove.addEventListener('click', onClick);
+        row.appendChild(remove);
+    }
+
+    // Pattern data by default -- scenes pass their own save
+    _num(row, title, value, min, max, step, onChange, changed = () => this._changed()) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'song-entry-num';
+        input.title = title;
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        input.addEventListener('change', () => {
+            const v = parseFloat(input.value);
+            if (!isNaN(v)) onChange(Math.max(min, Math.min(max, v)));
+            changed();
+        });
+        row.appendChild(input);
+    }
+
+    _renderScenes() {
+        const list = document.getElementById('dmx-scene-list');
+        list.innerHTML = '';
+        for (const scene of this.scenes) {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row dmx-lane-row';
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = `${scene.name} (${Object.keys(scene.values).length} ch)`;
+            row.appendChild(name);
+            this._num(row, 'Crossfade (s)', scene.fade || 0, 0, 60, 0.1, (v) => { scene.fade = v; }, () => this._save());
+
+            const pad = document.createElement('select');
+            pad.className = 'seq-step-select';
+            pad.title = 'Fire from pad';
+            for (let i = -1; i < 16; i++) {
+                const opt = document.createElement('option');
+                opt.value = i;
+                opt.textContent = i < 0 ? 'No pad' : `Pad ${i + 1}`;
+                pad.appendChild(opt);
+            }
+            pad.value = scene.pad !== undefined ? scene.pad : -1;
+            pad.addEventListener('change', () => {
+                const v = parseInt(pad.value, 10);
+                if (v < 0) delete scene.pad;
+                else scene.pad = v;
+                this._save();
+            });
+            row.appendChild(pad);
+
+            const note = document.createElement('input');
+            note.type = 'number';
+            note.className = 'song-entry-num';
+            note.title = 'Fire from MIDI note (blank = none)';
+            note.placeholder = 'note';
+            note.min = 0;
+            note.max = 127;
+            note.value = scene.note !== undefined ? scene.note : '';
+            note.addEventListener('change', () => {
+                const v = parseInt(note.value, 10);
+                if (isNaN(v)) delete scene.note;
+                else scene.note = Math.max(0, Math.min(127, v));
+                this._save();
+                this._renderScenes();
+            });
+            row.appendChild(note);
+
+            const recall = document.createElement('button');
+            recall.className = 'dialog-btn';
+            recall.textContent = 'Recall';
+            recall.addEventListener('click', () => this.recallScene(scene.name));
+            row.appendChild(recall);
+            this._removeButton(row, 'Delete scene', () => this.deleteScene(scene.name));
+            list.appendChild(row);
+        }
+        if (!this.scenes.length) this._hint(list, 'Set channels in the channel test, then store them as a scene');
+    }
+
+    _renderLanes() {
+        const seq = this.app.sequencer;
+        const lanes = seq.dmx.lanes;
+        const list = document.getElementById('dmx-lane-list');
+        list.innerHTML = '';
+
+        lanes.forEach((lane, index) => {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row dmx-lane-row';
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = lane.type === 'scene' ? 'Scenes' : 'Ch';
+            row.appendChild(name);
+            if (lane.type === 'channel') this._num(row, 'DMX channel', lane.channel, 1, DMX_UNIVERSE_SIZE, 1, (v) => { lane.channel = Math.round(v); });
+            this._num(row, 'Fade (steps)', lane.fade || 0, 0, 64, 0.25, (v) => { lane.fade = v; });
+            this._removeButton(row, 'Remove lane', () => {
+                lanes.splice(index, 1);
+                this._changed();
+            });
+
+            const cells = document.createElement('div');
+            cells.className = 'dmx-lane-cells';
+            cells.style.gridTemplateColumns = `repeat(${seq.pattern.length}, 1fr)`;
+            for (let i = 0; i < seq.pattern.length; i++) {
+                const value = lane.values[i];
+                const cell = document.createElement('span');
+                cell.className = 'dmx-lane-cell' + (value !== undefined ? ' set' : '') + (i % 4 === 0 ? ' beat' : '');
+                cell.textContent = value === undefined ? '' : (lane.type === 'scene' ? String(value).slice(0, 2) : value);
+                cell.title = `Step ${i + 1}` + (value !== undefined ? `: ${value}` : '');
+                cell.addEventListener('click', () => this._editCell(lane, i));
+                cells.appendChild(cell);
+            }
+            row.appendChild(cells);
+            list.appendChild(row);
+        });
+        if (!lanes.length) this._hint(list, 'Add a lane, then click its steps to set a level or scene');
+    }
+
+    // Channel steps take a typed level; scene steps cycle through the scenes and back to empty
+    _editCell(lane, step) {
+        const current = lane.values[step];
+        if (lane.type === 'scene') {
+            const names = this.scenes.map(s => s.name);
+            const next = names[names.indexOf(current) + 1];
+            if (next === undefined) delete lane.values[step];
+            else lane.values[step] = next;
+        } else {
+            const input = prompt(`Step ${step + 1} level (0-255, blank = hold):`, current !== undefined ? current : '');
+            if (input === null) return;
+            const v = parseInt(input, 10);
+            if (input.trim() === '' || isNaN(v)) delete lane.values[step];
+            else lane.values[step] = Math.max(0, Math.min(255, v));
+        }
+        this._changed();
+    }
+
+    _renderHitRules() {
+        const show = this.app.sequencer.dmx;
+        const list = document.getElementById('dmx-hit-list');
+        list.innerHTML = '';
+        const tracks = this._trackOptions();
+
+        const addRow = (kind, rule, index) => {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row';
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = kind === 'triggers' ? 'Flash' : 'Follow';
+            row.appendChild(name);
+
+            const sel = document.createElement('select');
+            sel.className = 'seq-step-select';
+            sel.title = 'Track';
+            // Keep a rule's track even while its slot is empty
+            const options = Object.assign({}, tracks);
+            if (!(rule.track in options)) options[rule.track] = `${rule.track} (empty)`;
+            for (const [key, label] of Object.entries(options)) {
+                const opt = document.createElement('option');
+                opt.value = key;
+                opt.textContent = label;
+                sel.appendChild(opt);
+            }
+            sel.value = rule.track;
+            sel.addEventListener('change', () => { rule.track = sel.value; this._changed(); });
+            row.appendChild(sel);
+
+            this._num(row, 'DMX channel', rule.channel, 1, DMX_UNIVERSE_SIZE, 1, (v) => { rule.channel = Math.round(v); });
+            if (kind === 'triggers') {
+                this._num(row, 'Flash level (0-255, scaled by velocity)', rule.value, 0, 255, 1, (v) => { rule.value = Math.round(v); });
+                this._num(row, 'Decay (s)', rule.decay, 0.01, 10, 0.05, (v) => { rule.decay = v; });
+            } else {
+                this._num(row, 'Gain', rule.gain, 0, 4, 0.05, (v) => { rule.gain = v; });
+            }
+            this._removeButton(row, 'Remove', () => {
+                show[kind].splice(index, 1);
+                this._changed();
+            });
+            list.appendChild(row);
+        };
+        show.triggers.forEach((rule, i) => addRow('triggers', rule, i));
+        show.follows.forEach((rule, i) => addRow('follows', rule, i));
+        if (!show.triggers.length && !show.follows.length) {
+            this._hint(list, 'Flash a channel when a track fires, or follow its envelope');
+        }
+    }
+}
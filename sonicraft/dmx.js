@@ -1,77 +1,349 @@
 /**
- * DmxController — Web Serial wrapper for the Enttec DMX USB Pro.
+ * DmxController — DMX universes and their output, over a pluggable
+ * transport:
  *
- * Protocol: packets are framed as
- *   0x7E | label | len_lo | len_hi | data... | 0xE7
- * Label 0x06 = "Output Only Send DMX Packet". Data is the DMX start code
- * (0x00) followed by up to 512 channel bytes. The box's onboard MCU handles
- * the 250 kbit/s DMX timing (break, MAB, frame), so from the app side it's
- * just a USB serial write.
+ *   DmxSerialTransport   Enttec DMX USB Pro over Web Serial (one universe)
+ *   DmxNetworkTransport  Art-Net or sACN packets, handed to a local bridge
+ *                        over WebSocket (tools/dmx-bridge.js) which puts
+ *                        them on UDP -- browsers can't send UDP themselves
+ *
+ * A transport is { connected, onLost, async open(), async close(),
+ * async send(universe, buffer) } where buffer is 513 bytes, [0] the start
+ * code and [1..512] the channels, and universe is 0-based. A transport
+ * whose receivers need data even when nothing changes sets `keepAlive`
+ * (ms): every universe goes out at least that often.
+ *
+ * The buffers hold what's been set; the grand master and blackout are
+ * applied on the way out, so they never lose the look underneath. Both
+ * move at most one step per refresh frame, ramping over DMX_MASTER_FADE.
  */
 
 const DMX_START = 0x7E;
 const DMX_END = 0xE7;
 const DMX_LABEL_OUTPUT = 0x06;
 const DMX_UNIVERSE_SIZE = 512;
+const DMX_MAX_UNIVERSES = 16;
 const DMX_REFRESH_HZ = 40;
+const DMX_MASTER_FADE = 0.2; // seconds for blackout (and master moves) to ramp
+const DMX_BRIDGE_URL = 'ws://localhost:8765';
+// sACN receivers drop a source after 2.5s without data (E1.31 network data
+// loss), and Art-Net nodes expect ArtDmx every few seconds too
+const DMX_NETWORK_KEEPALIVE_MS = 1000;
 
-class DmxController {
+/**
+ * Enttec DMX USB Pro. Packets are framed as
+ *   0x7E | label | len_lo | len_hi | data... | 0xE7
+ * Label 0x06 = "Output Only Send DMX Packet". Data is the DMX start code
+ * (0x00) followed by up to 512 channel bytes. The box's onboard MCU handles
+ * the 250 kbit/s DMX timing (break, MAB, frame), so from the app side it's
+ * just a USB serial write. It has one output: universes past the first
+ * are dropped.
+ */
+class DmxSerialTransport {
     constructor() {
         this.port = null;
         this.writer = null;
         this.connected = false;
+        this.onLost = null;        // () => void -- unplugged or write failed
+    }
+
+    static isSupported() {
+        return 'serial' in navigator;
+    }
+
+    get label() {
+        return 'Enttec USB Pro';
+    }
+
+    /**
+     * Prompt the user to pick a serial port, or reopen one authorized
+     * before (`reopen`, no prompt -- fails if there isn't one).
+     * Filters for FTDI (Enttec uses FTDI chips) but user can override.
+     */
+    async open(reopen = false) {
+        if (!DmxSerialTransport.isSupported()) {
+            throw new Error('Web Serial not supported — use Chrome or Edge on desktop.');
+        }
+        let port;
+        if (reopen) {
+            const ports = await navigator.serial.getPorts();
+            if (ports.length === 0) throw new Error('no authorized serial port');
+            // Prefer FTDI
+            port = ports.find(p => p.getInfo().usbVendorId === 0x0403) || ports[0];
+        } else {
+            port = await navigator.serial.requestPort({
+                filters: [{ usbVendorId: 0x0403 }] // FTDI
+            });
+        }
+        // 57600 is the documented Enttec USB baud. Since it's an FTDI bridge
+        // over USB bulk, the rate is nominal — but we stick to spec.
+        await port.open({ baudRate: 57600 });
+        this.port = port;
+        this.writer = port.writable.getWriter();
+        this.connected = true;
+
+        // Listen for physical disconnect
+        navigator.serial.addEventListener('disconnect', this._onPortDisconnect = (e) => {
+            if (e.target === this.port) this._lost();
+        });
+    }
+
+    async close() {
+        try {
+            if (this.writer) {
+                try { await this.writer.close(); } catch (_) {}
+            }
+            if (this.port) {
+                try { await this.port.close(); } catch (_) {}
+            }
+        } finally {
+            this._reset();
+        }
+    }
+
+    _reset() {
+        this.writer = null;
+        this.port = null;
+        this.connected = false;
+        if (this._onPortDisconnect) {
+            navigator.serial.removeEventListener('disconnect', this._onPortDisconnect);
+            this._onPortDisconnect = null;
+        }
+    }
+
+    _lost() {
+        this._reset();
+        if (this.onLost) this.onLost();
+    }
+
+    async send(universe, buffer) {
+        if (universe !== 0 || !this.writer) return;
+        await this.writer.write(DmxSerialTransport.packet(buffer));
+    }
+
+    static packet(buffer) {
+        const dataLen = buffer.length; // 513
+        const packet = new Uint8Array(5 + dataLen);
+        packet[0] = DMX_START;
+        packet[1] = DMX_LABEL_OUTPUT;
+        packet[2] = dataLen & 0xFF;
+        packet[3] = (dataLen >> 8) & 0xFF;
+        packet.set(buffer, 4);
+        packet[4 + dataLen] = DMX_END;
+        return packet;
+    }
+}
+
+/**
+ * Art-Net (ArtDmx) or sACN (E1.31) packets, built here and sent whole as
+ * binary WebSocket messages; the bridge only has to pick the UDP
+ * destination. Universe 0 goes out as Art-Net port-address 0 and as sACN
+ * universe 1 (sACN counts from 1).
+ */
+class DmxNetworkTransport {
+    constructor(protocol, url = DMX_BRIDGE_URL) {
+        this.protocol = protocol;  // 'artnet' | 'sacn'
+        this.url = url;
+        this.ws = null;
+        this.connected = false;
+        this.onLost = null;
+        this.sourceName = 'Soniphorm';
+        this.keepAlive = DMX_NETWORK_KEEPALIVE_MS;
+        this._sequence = new Uint8Array(DMX_MAX_UNIVERSES);
+        // sACN sources identify themselves by a random CID, fixed per session
+        this._cid = crypto.getRandomValues(new Uint8Array(16));
+    }
+
+    static isSupported() {
+        return 'WebSocket' in window;
+    }
+
+    get label() {
+        return (this.protocol === 'sacn' ? 'sACN' : 'Art-Net') + ' via ' + this.url;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            let ws;
+            try {
+                ws = new WebSocket(this.url);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            ws.binaryType = 'arraybuffer';
+            ws.onopen = () => {
+                this.ws = ws;
+                this.connected = true;
+                resolve();
+            };
+            // A WebSocket error carries no detail -- the close that follows has it
+            ws.onclose = (e) => {
+                if (!this.connected) {
+                    reject(new Error(`no DMX bridge at ${this.url}` + (e.code !== 1006 && e.reason ? ` (${e.reason})` : '')));
+                    return;
+                }
+                this.ws = null;
+                this.connected = false;
+                if (this.onLost) this.onLost();
+            };
+        });
+    }
+
+    async close() {
+        const ws = this.ws;
+        this.ws = null;
+        this.connected = false;
+        if (ws) {
+            ws.onclose = null;
+            ws.close();
+        }
+    }
+
+    async send(universe, buffer) {
+        const ws = this.ws;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        // Bridge falling behind: drop this frame rather than queue stale ones
+        if (ws.bufferedAmount > 64 * 1024) return;
+        const seq = this._sequence[universe] = (this._sequence[universe] + 1) & 0xFF || 1;
+        ws.send(this.protocol === 'sacn'
+            ? DmxNetworkTransport.sacnPacket(universe + 1, buffer, seq, this._cid, this.sourceName)
+            : DmxNetworkTransport.artnetPacket(universe, buffer, seq));
+    }
+
+    /** ArtDmx: "Art-Net", OpCode 0x5000 (LE), ProtVer 14, sequence, physical, port-address (LE), length (BE), data. */
+    static artnetPacket(universe, buffer, sequence) {
+        const len = buffer.length - 1;
+        const packet = new Uint8Array(18 + len);
+        packet.set([0x41, 0x72, 0x74, 0x2D, 0x4E, 0x65, 0x74, 0x00], 0);
+        packet[8] = 0x00;
+        packet[9] = 0x50;
+        packet[10] = 0;
+        packet[11] = 14;
+        packet[12] = sequence;
+        packet[13] = 0;
+        packet[14] = universe & 0xFF;        // SubUni
+        packet[15] = (universe >> 8) & 0x7F; // Net
+        packet[16] = (len >> 8) & 0xFF;
+        packet[17] = len & 0xFF;
+        packet.set(buffer.subarray(1), 18);
+        return packet;
+    }
+
+    /** E1.31 data packet: root, framing and DMP layers, then start code + slots. */
+    static sacnPacket(universe, buffer, sequence, cid, sourceName, priority = 100) {
+        const slots = buffer.length; // start code + channels
+        const size = 125 + slots;
+        const packet = new Uint8Array(size);
+        const view = new DataView(packet.buffer);
+        // Root layer
+        view.setUint16(0, 0x0010);
+        view.setUint16(2, 0x0000);
+        packet.set([0x41, 0x53, 0x43, 0x2D, 0x45, 0x31, 0x2E, 0x31, 0x37, 0x00, 0x00, 0x00], 4);
+        view.setUint16(16, 0x7000 | (size - 16));
+        view.setUint32(18, 0x00000004);
+        packet.set(cid, 22);
+        // Framing layer
+        view.setUint16(38, 0x7000 | (size - 38));
+        view.setUint32(40, 0x00000002);
+        packet.set(new TextEncoder().encode(sourceName).subarray(0, 63), 44);
+        packet[108] = priority;
+        view.setUint16(109, 0);  // sync address
+        packet[111] = sequence;
+        packet[112] = 0;         // options
+        view.setUint16(113, universe);
+        // DMP layer
+        view.setUint16(115, 0x7000 | (size - 115));
+        packet[117] = 0x02;
+        packet[118] = 0xA1;
+        view.setUint16(119, 0x0000);
+        view.setUint16(121, 0x0001);
+        view.setUint16(123, slots);
+        packet.set(buffer, 125);
+        return packet;
+    }
+}
+
+class DmxController {
+    constructor() {
+        this.transport = null;
+        this.connected = false;
+        // 'serial' | 'artnet' | 'sacn' -- what connect() opens
+        this.transportKind = 'serial';
+        this.bridgeUrl = DMX_BRIDGE_URL;
 
-        // 513-byte buffer: [0] = start code 0x00, [1..512] = channels.
-        // Channel N (1-indexed DMX) lives at buffer[N].
-        this._buffer = new Uint8Array(DMX_UNIVERSE_SIZE + 1);
-        this._dirty = false;
+        // One 513-byte buffer per universe: [0] = start code 0x00,
+        // [1..512] = channels. Channel N (1-indexed DMX) lives at buffer[N].
+        this._universes = [];
+        this._dirty = [];
+        this._lastSent = [];  // per universe, performance.now() of its last send
+        this.setUniverseCount(1);
         this._flushTimer = null;
         this._writing = false;
 
+        // Output stage: master 0-1 and blackout, eased into _outLevel a frame
+        // at a time. The mask marks the first universe's channels they scale
+        // (null = all); further universes are always scaled throughout.
+        this.master = 1;
+        this.blackedOut = false;
+        this._outLevel = 1;
+        this._masterMask = null;
+
         // Callbacks
         this.onConnect = null;     // () => void
         this.onDisconnect = null;  // () => void
         this.onError = null;       // (err) => void
     }
 
-    isSupported() {
-        return 'serial' in navigator;
+    isSupported(kind = this.transportKind) {
+        return kind === 'serial' ? DmxSerialTransport.isSupported() : DmxNetworkTransport.isSupported();
+    }
+
+    get universeCount() {
+        return this._universes.length;
+    }
+
+    /** Keeps the universes already there; extra ones start dark. */
+    setUniverseCount(n) {
+        n = Math.max(1, Math.min(DMX_MAX_UNIVERSES, n | 0));
+        while (this._universes.length < n) {
+            this._universes.push(new Uint8Array(DMX_UNIVERSE_SIZE + 1));
+            this._dirty.push(true);
+        }
+        this._universes.length = n;
+        this._dirty.length = n;
     }
 
     // === Connection ===
 
+    _makeTransport() {
+        return this.transportKind === 'serial'
+            ? new DmxSerialTransport()
+            : new DmxNetworkTransport(this.transportKind, this.bridgeUrl);
+    }
+
     /**
-     * Prompt the user to pick a serial port and connect to it.
-     * Filters for FTDI (Enttec uses FTDI chips) but user can override.
+     * Connect with the current transportKind. Serial prompts the user to
+     * pick a port.
      */
     async connect() {
         if (!this.isSupported()) {
-            throw new Error('Web Serial not supported — use Chrome or Edge on desktop.');
+            throw new Error(this.transportKind === 'serial'
+                ? 'Web Serial not supported — use Chrome or Edge on desktop.'
+                : 'WebSockets not supported in this browser.');
         }
         if (this.connected) return;
-
-        const port = await navigator.serial.requestPort({
-            filters: [{ usbVendorId: 0x0403 }] // FTDI
-        });
-        await this._openPort(port);
+        await this._open(this._makeTransport(), false);
     }
 
     /**
-     * Try to reconnect to a previously-authorized port without a user prompt.
-     * Returns true if reconnected.
+     * Try to reconnect without a user prompt -- a previously-authorized
+     * serial port, or the bridge. Returns true if reconnected.
      */
     async tryAutoConnect() {
         if (!this.isSupported()) return false;
-        const ports = await navigator.serial.getPorts();
-        if (ports.length === 0) return false;
-        // Prefer FTDI
-        const ftdi = ports.find(p => {
-            const info = p.getInfo();
-            return info.usbVendorId === 0x0403;
-        });
-        const port = ftdi || ports[0];
         try {
-            await this._openPort(port);
+            await this._open(this._makeTransport(), true);
             return true;
         } catch (e) {
             console.warn('DMX auto-connect failed:', e);
@@ -79,21 +351,14 @@ class DmxController {
         }
     }
 
-    async _openPort(port) {
-        // 57600 is the documented Enttec USB baud. Since it's an FTDI bridge
-        // over USB bulk, the rate is nominal — but we stick to spec.
-        await port.open({ baudRate: 57600 });
-        this.port = port;
-        this.writer = port.writable.getWriter();
+    async _open(transport, reopen) {
+        await transport.open(reopen);
+        this.transport = transport;
         this.connected = true;
+        transport.onLost = () => this._handleDisconnect();
 
         this._startFlushLoop();
 
-        // Listen for physical disconnect
-        navigator.serial.addEventListener('disconnect', this._onPortDisconnect = (e) => {
-            if (e.target === this.port) this._handleDisconnect();
-        });
-
         if (this.onConnect) this.onConnect();
         this._saveSettings();
     }
@@ -101,20 +366,10 @@ class DmxController {
     async disconnect() {
         this._stopFlushLoop();
         try {
-            if (this.writer) {
-                try { await this.writer.close(); } catch (_) {}
-                this.writer = null;
-            }
-            if (this.port) {
-                try { await this.port.close(); } catch (_) {}
-            }
+            if (this.transport) await this.transport.close();
         } finally {
-            this.port = null;
+            this.transport = null;
             this.connected = false;
-            if (this._onPortDisconnect) {
-                navigator.serial.removeEventListener('disconnect', this._onPortDisconnect);
-                this._onPortDisconnect = null;
-            }
             if (this.onDisconnect) this.onDisconnect();
             this._saveSettings();
         }
@@ -122,48 +377,105 @@ class DmxController {
 
     _handleDisconnect() {
         this._stopFlushLoop();
-        this.writer = null;
-        this.port = null;
+        this.transport = null;
         this.connected = false;
         if (this.onDisconnect) this.onDisconnect();
     }
 
+    /** Which transport is live, for the status line. */
+    get transportLabel() {
+        return this.transport ? this.transport.label : '';
+    }
+
     // === Universe state ===
 
     /**
-     * Set one DMX channel (1..512) to value (0..255).
+     * Set one DMX channel (1..512) of a universe (0-based) to value (0..255).
      */
-    setChannel(channel, value) {
-        if (channel < 1 || channel > DMX_UNIVERSE_SIZE) return;
+    setChannel(channel, value, universe = 0) {
+        const buf = this._universes[universe];
+        if (!buf || channel < 1 || channel > DMX_UNIVERSE_SIZE) return;
         const v = Math.max(0, Math.min(255, value | 0));
-        if (this._buffer[channel] !== v) {
-            this._buffer[channel] = v;
-            this._dirty = true;
+        if (buf[channel] !== v) {
+            buf[channel] = v;
+            this._dirty[universe] = true;
         }
     }
 
     /**
      * Read current universe value for a channel.
      */
-    getChannel(channel) {
-        if (channel < 1 || channel > DMX_UNIVERSE_SIZE) return 0;
-        return this._buffer[channel];
+    getChannel(channel, universe = 0) {
+        const buf = this._universes[universe];
+        if (!buf || channel < 1 || channel > DMX_UNIVERSE_SIZE) return 0;
+        return buf[channel];
     }
 
     /**
      * Blackout — zero all channels.
      */
     blackout() {
-        this._buffer.fill(0);
-        this._buffer[0] = 0; // start code stays 0
-        this._dirty = true;
+        for (const buf of this._universes) buf.fill(0); // start code stays 0
+        this._markAllDirty();
     }
 
     /**
-     * Get a copy of the universe (513 bytes, index 0 = start code).
+     * Get a copy of a universe (513 bytes, index 0 = start code), as set --
+     * before the grand master and blackout.
      */
-    snapshot() {
-        return this._buffer.slice();
+    snapshot(universe = 0) {
+        return this._universes[universe].slice();
+    }
+
+    _markAllDirty() {
+        this._dirty.fill(true);
+    }
+
+    // === Grand master / blackout ===
+
+    /** Grand master, 0..1. Takes effect from the next refresh frame. */
+    setMaster(level) {
+        this.master = Math.max(0, Math.min(1, level));
+        this._markAllDirty();
+    }
+
+    /** Blackout on the output only -- channel values are kept for when it's lifted. */
+    setBlackout(on) {
+        this.blackedOut = !!on;
+        this._markAllDirty();
+    }
+
+    /**
+     * Which channels of the first universe the master and blackout scale: a
+     * 513-entry array of flags (see DmxFixtures.masterMask), or null for
+     * every channel.
+     */
+    setMasterMask(mask) {
+        this._masterMask = mask;
+        this._dirty[0] = true;
+    }
+
+    // One refresh frame's move of the output level towards its target
+    _stepOutputLevel() {
+        const target = this.blackedOut ? 0 : this.master;
+        const maxStep = 1 / (DMX_MASTER_FADE * DMX_REFRESH_HZ);
+        const diff = target - this._outLevel;
+        this._outLevel = Math.abs(diff) <= maxStep ? target : this._outLevel + Math.sign(diff) * maxStep;
+        // Keep sending until the ramp lands
+        if (this._outLevel !== target) this._markAllDirty();
+    }
+
+    // A universe as it goes out: the buffer with the output level applied
+    _outputBuffer(universe) {
+        const buf = this._universes[universe];
+        const level = this._outLevel;
+        if (level >= 1) return buf;
+        const out = buf.slice();
+        const mask = universe === 0 ? this._masterMask : null;
+        for (let ch = 1; ch < out.length; ch++) {
+            if (!mask || mask[ch]) out[ch] = Math.round(buf[ch] * level);
+        }
+        return out;
     }
 
     // === Flush loop ===
@@ -172,7 +484,7 @@ class DmxController {
         if (this._flushTimer) return;
         const interval = Math.round(1000 / DMX_REFRESH_HZ);
         this._flushTimer = setInterval(() => this._flush(), interval);
-        this._dirty = true; // send once on connect
+        this._markAllDirty(); // send once on connect
     }
 
     _stopFlushLoop() {
@@ -183,43 +495,43 @@ class DmxController {
     }
 
     async _flush() {
-        if (!this.connected || !this.writer || this._writing) return;
-        // DMX should refresh continuously, but there's no harm in skipping
-        // when nothing has changed at this tick. Send at least once when dirty.
-        if (!this._dirty) return;
+        if (!this.connected || !this.transport || this._writing) return;
+        // The Enttec box refreshes the line on its own, so an unchanged
+        // universe can be skipped. Network receivers time a source out
+        // instead, so those get every universe again once keepAlive is up.
+        const now = performance.now();
+        const keepAlive = this.transport.keepAlive || 0;
+        const due = this._dirty.map((d, u) => d || (keepAlive > 0 && now - (this._lastSent[u] || 0) >= keepAlive));
+        if (!due.includes(true)) return;
 
         this._writing = true;
-        this._dirty = false;
+        this._dirty.fill(false);
+        this._stepOutputLevel();
         try {
-            const packet = this._buildPacket();
-            await this.writer.write(packet);
+            for (let u = 0; u < due.length; u++) {
+                if (!due[u]) continue;
+                await this.transport.send(u, this._outputBuffer(u));
+                this._lastSent[u] = now;
+            }
         } catch (e) {
             console.warn('DMX write failed:', e);
             if (this.onError) this.onError(e);
+            if (this.transport) await this.transport.close().catch(() => {});
             this._handleDisconnect();
         } finally {
             this._writing = false;
         }
     }
 
-    _buildPacket() {
-        const dataLen = this._buffer.length; // 513
-        const packet = new Uint8Array(5 + dataLen);
-        packet[0] = DMX_START;
-        packet[1] = DMX_LABEL_OUTPUT;
-        packet[2] = dataLen & 0xFF;
-        packet[3] = (dataLen >> 8) & 0xFF;
-        packet.set(this._buffer, 4);
-        packet[4 + dataLen] = DMX_END;
-        return packet;
-    }
-
     // === Persistence ===
 
     _saveSettings() {
         try {
             localStorage.setItem('soniphorm-dmx', JSON.stringify({
-                autoConnect: this.connected
+                autoConnect: this.connected,
+                transport: this.transportKind,
+                bridgeUrl: this.bridgeUrl,
+                universes: this.universeCount
             }));
         } catch (_) {}
     }
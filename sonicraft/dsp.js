@@ -8,6 +8,10 @@
  *   DSP.ola                    — Generic overlap-add processor
  *   DSP.nextPow2               — Smallest power of 2 >= n
  *   DSP.resample               — Linear-interpolation sample-rate converter
+ *   DSP.spectralFlux           — Per-frame onset strength (rectified spectral flux)
+ *   DSP.detectTempo            — BPM, beat phase and downbeat from onsets
+ *   DSP.findLoopPoints         — Seamless loop points near a rough start/end
+ *   DSP.crossfadeLoop          — Bake a crossfade into a loop seam
  *
  * Load this as a plain <script> tag BEFORE effects.js.
  * No ES modules — everything lives on the global `DSP` object.
@@ -303,5 +307,359 @@ const DSP = {
     }
 
     return output;
+  },
+
+  // ---------------------------------------------------------------
+  //  Analysis
+  // ---------------------------------------------------------------
+
+  /**
+   * Onset-strength curve: for each frame, the summed positive change in
+   * log-magnitude per bin since the previous frame (half-wave rectified
+   * spectral flux). Rises sharply at transients, stays near zero through
+   * sustained or decaying sound. Frame f starts at sample f * hop.
+   *
+   * @param {Float32Array} channel   — mono audio
+   * @param {number}       frameSize — FFT window size (power of 2)
+   * @param {number}       hop       — advance per frame in samples
+   * @param {number}       [bins]    — only sum the lowest `bins` bins (default all)
+   * @returns {Float32Array} flux per frame (frame 0 is always 0)
+   */
+  spectralFlux(channel, frameSize, hop, bins = frameSize >>> 1) {
+    const numFrames = Math.max(0, Math.floor((channel.length - frameSize) / hop) + 1);
+    const flux = new Float32Array(numFrames);
+    const window = DSP.hannWindow(frameSize);
+    const half = Math.min(bins, frameSize >>> 1);
+    const real = new Float32Array(frameSize);
+    const imag = new Float32Array(frameSize);
+    let prev = new Float32Array(half);
+    let cur = new Float32Array(half);
+
+    for (let f = 0; f < numFrames; f++) {
+      const offset = f * hop;
+      for (let n = 0; n < frameSize; n++) {
+        real[n] = channel[offset + n] * window[n];
+        imag[n] = 0.0;
+      }
+      DSP.fft(real, imag);
+
+      let sum = 0;
+      for (let k = 0; k < half; k++) {
+        // log1p compresses the range so quiet hits still register next to loud ones
+        cur[k] = Math.log1p(100 * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]));
+        const d = cur[k] - prev[k];
+        if (d > 0) sum += d;
+      }
+      flux[f] = f === 0 ? 0 : sum;
+
+      const tmp = prev;
+      prev = cur;
+      cur = tmp;
+    }
+    return flux;
+  },
+
+  /**
+   * Tempo and beat grid of a loop or groove, from its onsets. The onset
+   * curve (spectral flux, less its local mean) is autocorrelated over the
+   * minBpm..maxBpm lag range (scored with its double and half lag, so the
+   * beat beats its own off-beats), weighted towards ~120 BPM so half- and
+   * double-time readings lose out, and nudged to a whole number of bars
+   * or a power-of-two beat count when the clip is within 2% of one (a cut
+   * loop usually is). The beat phase is the offset whose grid lands on the
+   * most onset energy, low end counted double so kicks beat off-beat hats;
+   * the downbeat is the beat of the bar with the most low-end onsets.
+   *
+   * @param {Float32Array} channel    — mono audio
+   * @param {number}       sampleRate — Hz
+   * @param {Object}       [opts]     — { minBpm = 60, maxBpm = 180, beatsPerBar = 4 }
+   * @returns {?{bpm: number, firstBeat: number, downbeat: number, beatsPerBar: number, confidence: number}}
+   *   times in seconds (firstBeat is the earliest beat, downbeat the
+   *   earliest bar start, both >= 0); confidence 0-1. Null if the clip is
+   *   too short or has no onsets to go on.
+   */
+  detectTempo(channel, sampleRate, opts = {}) {
+    const minBpm = opts.minBpm || 60;
+    const maxBpm = opts.maxBpm || 180;
+    const beatsPerBar = opts.beatsPerBar || 4;
+    const frameSize = 1024;
+    const hop = DSP.nextPow2(Math.round(sampleRate / 200)); // ~5 ms grid
+    const fps = sampleRate / hop;
+    const duration = channel.length / sampleRate;
+    if (duration < 2 * 60 / maxBpm + frameSize / sampleRate) return null;
+
+    // Onset envelope: flux above its ~0.25 s running mean. A window of
+    // silence goes in front so a hit right at the start registers; flux
+    // frame f then reads onsets around half a window before its start.
+    const padded = new Float32Array(channel.length + frameSize);
+    padded.set(channel, frameSize);
+    const radius = Math.round(fps / 8);
+    const onsets = DSP._onsetCurve(DSP.spectralFlux(padded, frameSize, hop), radius);
+    const lowBins = Math.ceil(200 * frameSize / sampleRate);
+    const lowOnsets = DSP._onsetCurve(DSP.spectralFlux(padded, frameSize, hop, lowBins), radius);
+    const latency = -frameSize / 2 / sampleRate;
+    const n = onsets.length;
+
+    const lagMin = Math.max(2, Math.floor(60 * fps / maxBpm));
+    const lagMax = Math.min(n - 2, Math.ceil(60 * fps / minBpm));
+    if (lagMax <= lagMin) return null;
+    const acfLen = Math.min(n - 1, 2 * lagMax + 1);
+    const acf = new Float32Array(acfLen + 1);
+    for (let lag = 0; lag <= acfLen; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) sum += onsets[i] * onsets[i + lag];
+      acf[lag] = sum / (n - lag);
+    }
+    if (acf[0] <= 0) return null;
+
+    // The beat lag also lines up at twice the lag, and its off-beats at
+    // half; the prior breaks the remaining octave ties
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = lagMin; lag <= lagMax; lag++) {
+      const twice = 2 * lag <= acfLen ? acf[2 * lag] : acf[lag];
+      const half = 0.5 * (acf[lag >> 1] + acf[(lag + 1) >> 1]);
+      const octaves = Math.log2(60 * fps / lag / 120);
+      const score = (acf[lag] + 0.5 * twice + 0.5 * half) * Math.exp(-0.5 * octaves * octaves);
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0) return null;
+
+    // Parabolic peak for a fractional lag
+    let period = bestLag;
+    if (bestLag > lagMin && bestLag < lagMax) {
+      const a = acf[bestLag - 1], b = acf[bestLag], c = acf[bestLag + 1];
+      const denom = a - 2 * b + c;
+      if (denom < 0) period += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom));
+    }
+    let bpm = 60 * fps / period;
+    const beats = duration * bpm / 60;
+    const whole = Math.round(beats);
+    const tidy = whole % beatsPerBar === 0 || (whole & (whole - 1)) === 0;
+    if (whole >= 2 && tidy && Math.abs(beats - whole) / whole < 0.02) {
+      bpm = whole * 60 / duration;
+      period = 60 * fps / bpm;
+    }
+
+    // Beat phase: the grid offset collecting the most onset energy
+    const gridSum = (phase, step, curve) => {
+      let sum = 0;
+      for (let t = phase; t < n - 1; t += step) {
+        const i = Math.floor(t);
+        const frac = t - i;
+        sum += curve[i] * (1 - frac) + curve[i + 1] * frac;
+      }
+      return sum;
+    };
+    let phase = 0;
+    let phaseScore = -1;
+    const norm = (curve) => {
+      let sum = 0;
+      for (let i = 0; i < n; i++) sum += curve[i];
+      return sum > 0 ? 1 / sum : 0;
+    };
+    const onsetNorm = norm(onsets);
+    const lowNorm = norm(lowOnsets);
+    for (let p = 0; p < period; p += 0.5) {
+      const s = gridSum(p, period, onsets) * onsetNorm + 2 * gridSum(p, period, lowOnsets) * lowNorm;
+      if (s > phaseScore) {
+        phaseScore = s;
+        phase = p;
+      }
+    }
+
+    // Downbeat: low end (below ~200 Hz) per beat of the bar
+    let barBeat = 0;
+    let barScore = -1;
+    for (let b = 0; b < beatsPerBar; b++) {
+      const p = phase + b * period;
+      const s = gridSum(p, period * beatsPerBar, lowOnsets) * lowNorm + 0.25 * gridSum(p, period * beatsPerBar, onsets) * onsetNorm;
+      if (s > barScore) {
+        barScore = s;
+        barBeat = b;
+      }
+    }
+
+    // Earliest beat and bar start, a beat just short of a grid line counting as on it
+    const earliest = (t, step) => {
+      const slack = 0.01;
+      return Math.max(0, ((t + slack) % step + step) % step - slack);
+    };
+    const beatSec = 60 / bpm;
+    const firstBeat = earliest(phase / fps + latency, beatSec);
+    const downbeat = earliest((phase + barBeat * period) / fps + latency, beatSec * beatsPerBar);
+
+    return {
+      bpm: Math.round(bpm * 100) / 100,
+      firstBeat,
+      downbeat,
+      beatsPerBar,
+      confidence: Math.max(0, Math.min(1, acf[bestLag] / acf[0]))
+    };
+  },
+
+  /** Flux less its running mean over `radius` frames either side, floored at 0. */
+  _onsetCurve(flux, radius) {
+    const n = flux.length;
+    const out = new Float32Array(n);
+    let sum = 0;
+    let lo = 0, hi = -1;
+    for (let i = 0; i < n; i++) {
+      while (hi < Math.min(n - 1, i + radius)) sum += flux[++hi];
+      while (lo < i - radius) sum -= flux[lo++];
+      const d = flux[i] - sum / (hi - lo + 1);
+      out[i] = d > 0 ? d : 0;
+    }
+    return out;
+  },
+
+  // ---------------------------------------------------------------
+  //  Loop Seams
+  // ---------------------------------------------------------------
+
+  /**
+   * Loop points near `start` / `end` that join without a click. Candidates
+   * are the rising zero crossings within `searchMs` of each marker; a pair
+   * scores by how alike the audio around the two points is (triangle-
+   * weighted normalised correlation over `matchMs` either side, less a
+   * level-mismatch penalty), since at the seam the sound leading up to
+   * `end` runs on into what follows `start`. A small pull towards the
+   * original markers breaks near-ties.
+   *
+   * @param {Float32Array} channel    — mono audio
+   * @param {number}       sampleRate — Hz
+   * @param {number}       start      — rough loop start (sample)
+   * @param {number}       end        — rough loop end (sample, exclusive)
+   * @param {Object}       [opts]     — { searchMs = 25, matchMs = 10, count = 8 }
+   * @returns {Array<{start: number, end: number, score: number}>} up to
+   *   `count` distinct pairs, best first; score is -1..1 (1 = identical)
+   */
+  findLoopPoints(channel, sampleRate, start, end, opts = {}) {
+    const radius = Math.max(1, Math.round((opts.searchMs || 25) / 1000 * sampleRate));
+    const half = Math.max(8, Math.round((opts.matchMs || 10) / 1000 * sampleRate));
+    const count = opts.count || 8;
+    const n = channel.length;
+    const maxPerSide = 64;
+
+    const crossingsNear = (centre) => {
+      const lo = Math.max(1, centre - radius);
+      const hi = Math.min(n - 1, centre + radius);
+      const found = [];
+      for (let i = lo; i <= hi; i++) {
+        if (channel[i - 1] < 0 && channel[i] >= 0) found.push(i);
+      }
+      found.sort((a, b) => Math.abs(a - centre) - Math.abs(b - centre));
+      return found.length ? found.slice(0, maxPerSide) : [Math.max(0, Math.min(n, centre))];
+    };
+    const starts = crossingsNear(Math.round(start));
+    const ends = crossingsNear(Math.round(end));
+    const minLength = 2 * half;
+
+    const pairs = [];
+    for (const s of starts) {
+      for (const e of ends) {
+        if (e - s < minLength) continue;
+        const score = DSP.seamScore(channel, s, e, half)
+          - 0.05 * (Math.abs(s - start) + Math.abs(e - end)) / (2 * radius);
+        pairs.push({ start: s, end: e, score });
+      }
+    }
+    pairs.sort((a, b) => b.score - a.score);
+
+    // Neighbouring crossings a period apart say much the same thing -- keep one
+    const picked = [];
+    for (const p of pairs) {
+      const near = picked.some(q => Math.abs(q.start - p.start) < half / 2 && Math.abs(q.end - p.end) < half / 2);
+      if (near) continue;
+      picked.push({ start: p.start, end: p.end, score: DSP.seamScore(channel, p.start, p.end, half) });
+      if (picked.length >= count) break;
+    }
+    return picked;
+  },
+
+  /**
+   * How well a loop from `end` back to `start` joins: triangle-weighted
+   * normalised correlation of the `half` samples either side of each point,
+   * less a penalty for any difference in level. 1 = seamless, <= 0 = a jump.
+   *
+   * @param {Float32Array} channel — mono audio
+   * @param {number}       start   — loop start (sample)
+   * @param {number}       end     — loop end (sample, exclusive)
+   * @param {number}       half    — samples compared either side of the seam
+   * @returns {number}
+   */
+  seamScore(channel, start, end, half) {
+    const w = Math.min(half, start, end, channel.length - end, channel.length - start);
+    if (w < 1) return 0;
+    let ab = 0, aa = 0, bb = 0;
+    for (let k = -w; k < w; k++) {
+      const weight = 1 - Math.abs(k + 0.5) / w;
+      const a = channel[start + k];
+      const b = channel[end + k];
+      ab += weight * a * b;
+      aa += weight * a * a;
+      bb += weight * b * b;
+    }
+    if (aa === 0 && bb === 0) return 1; // silence either side joins silence
+    if (aa === 0 || bb === 0) return 0;
+    const ncc = ab / Math.sqrt(aa * bb);
+    const ra = Math.sqrt(aa), rb = Math.sqrt(bb);
+    return ncc - Math.abs(ra - rb) / (ra + rb);
+  },
+
+  /**
+   * Fade gains at position t (0-1) through a crossfade: [outgoing, incoming].
+   * 'equal' keeps the summed power constant (for uncorrelated material),
+   * 'linear' the summed amplitude (for near-identical material).
+   */
+  crossfadeGains(t, shape = 'equal') {
+    if (shape === 'linear') return [1 - t, t];
+    return [Math.cos(t * Math.PI / 2), Math.sin(t * Math.PI / 2)];
+  },
+
+  /**
+   * Copy of `channels` with a crossfade baked into the loop seam: the last
+   * `fade` samples before `end` fade out while the audio leading up to
+   * `start` fades in, so the wrap from end to start continues exactly where
+   * that fade-in left off. If there isn't `fade` of audio before `start`, the
+   * fade goes after `start` instead, fading in from what follows `end`.
+   * Whatever's available (and at most half the loop) is used.
+   *
+   * @param {Float32Array[]} channels — audio, one array per channel
+   * @param {number}         start    — loop start (sample)
+   * @param {number}         end      — loop end (sample, exclusive)
+   * @param {number}         fade     — crossfade length in samples
+   * @param {string}         [shape]  — 'equal' (power) or 'linear'
+   * @returns {Float32Array[]} new channels, same length
+   */
+  crossfadeLoop(channels, start, end, fade, shape = 'equal') {
+    const out = channels.map(ch => new Float32Array(ch));
+    const len = channels[0].length;
+    const maxFade = Math.floor((end - start) / 2);
+    const before = Math.min(fade, start, maxFade);
+    const after = Math.min(fade, len - end, maxFade);
+    if (before >= after && before > 0) {
+      for (let c = 0; c < channels.length; c++) {
+        const src = channels[c];
+        const dst = out[c];
+        for (let i = 0; i < before; i++) {
+          const [gOut, gIn] = DSP.crossfadeGains((i + 0.5) / before, shape);
+          dst[end - before + i] = src[end - before + i] * gOut + src[start - before + i] * gIn;
+        }
+      }
+    } else if (after > 0) {
+      for (let c = 0; c < channels.length; c++) {
+        const src = channels[c];
+        const dst = out[c];
+        for (let i = 0; i < after; i++) {
+          const [gOut, gIn] = DSP.crossfadeGains((i + 0.5) / after, shape);
+          dst[start + i] = src[end + i] * gOut + src[start + i] * gIn;
+        }
+      }
+    }
+    return out;
   }
 };
@@ -736,6 +736,220 @@ const Effects = {
         return result;
     },
 
+    /**
+     * Run an ordered chain of registry effects over [start, end). Stages are
+     * [{ fx, params }]; each one's output feeds the next. Stretch-type stages
+     * change the length, so the region's end is carried forward by however
+     * much the previous stage grew or shrank the buffer.
+     */
+    async processChain(channels, sampleRate, start, end, stages) {
+        var result = channels;
+        for (var i = 0; i < stages.length; i++) {
+            var fx = Effects.registry[stages[i].fx];
+            if (!fx) throw new Error('Unknown effect: ' + stages[i].fx);
+            var before = result[0].length;
+            result = await fx.process(result, sampleRate, start, end, stages[i].params || {});
+            end = Math.max(start, Math.min(result[0].length, end + result[0].length - before));
+        }
+        return result;
+    },
+
+    /** Defaults for every param of a registry effect. */
+    defaultParams(fxName) {
+        var params = {};
+        Effects.registry[fxName].params.forEach(function(p) { params[p.key] = p.default; });
+        return params;
+    },
+
+    // === Spectral editing ===
+
+    /**
+     * Change only the time-frequency bins inside a shape drawn on the
+     * spectrogram: STFT the stretch of audio under it (DSP.ola, Hann, 75%
+     * overlap), scale the bins inside, overlap-add back. Everything outside
+     * passes through at unity, so a narrow band (mains hum, a whistle) can go
+     * without touching the rest of the spectrum the way a filter would.
+     *
+     * region: { points: [{ sample, hz }], scale: 'log'|'linear' } -- a polygon
+     *   in the spectrogram's own axes. A lasso drawn on a log view has straight
+     *   edges in log frequency, so the inside test is done on that axis too.
+     * mode: 'attenuate' / 'boost' by params.db, or 'heal' -- magnitudes inside
+     *   are interpolated from the nearest frames either side in the same bin
+     *   (or from the bins either side, for a shape spanning the whole take),
+     *   keeping the original phase.
+     * params.fftSize: analysis size (power of 2), default 2048.
+     */
+    spectralEdit(channels, sampleRate, region, mode, params) {
+        var N = params.fftSize || 2048;
+        var hop = N / 4;
+        var half = N / 2;
+        var len = channels[0].length;
+        var axis = region.scale === 'log'
+            ? function(hz) { return Math.log(Math.max(hz, 1)); }
+            : function(hz) { return hz; };
+        var poly = region.points.map(function(p) { return { x: p.sample, y: axis(p.hz) }; });
+
+        var minX = Infinity, maxX = -Infinity;
+        for (var i = 0; i < poly.length; i++) {
+            minX = Math.min(minX, poly[i].x);
+            maxX = Math.max(maxX, poly[i].x);
+        }
+        // Audio more than a frame away from the shape is left exactly as is
+        var segStart = Math.max(0, Math.floor(minX) - N);
+        var segEnd = Math.min(len, Math.ceil(maxX) + N);
+        var copy = function() { return channels.map(function(ch) { return new Float32Array(ch); }); };
+        if (poly.length < 3 || segEnd <= segStart) return copy();
+
+        // Zero-padded a frame each side -- DSP.ola only has full window overlap
+        // from a frame in -- and rounded up to a whole number of hops
+        var padded = N + Math.ceil((segEnd - segStart + N) / hop) * hop;
+        var numFrames = (padded - N) / hop + 1;
+        var frameCenter = function(f) { return segStart - N + f * hop + half; };
+
+        // mask[f * bins + k]: bin k of frame f is inside the shape
+        var bins = half + 1;
+        var binAxis = new Float32Array(bins);
+        for (var k = 0; k < bins; k++) binAxis[k] = axis(k * sampleRate / N);
+        var mask = new Uint8Array(numFrames * bins);
+        var any = false;
+        for (var f = 0; f < numFrames; f++) {
+            var spans = Effects._polygonSpans(poly, frameCenter(f));
+            for (var s = 0; s + 1 < spans.length; s += 2) {
+                for (var k = 0; k < bins; k++) {
+                    if (binAxis[k] >= spans[s] && binAxis[k] <= spans[s + 1]) {
+                        mask[f * bins + k] = 1;
+                        any = true;
+                    }
+                }
+            }
+        }
+        if (!any) return copy();
+
+        // Frames centered inside the actual audio -- the padding frames aren't
+        // fit to heal from
+        var firstReal = Math.max(0, Math.ceil((N - half - segStart) / hop));
+        var lastReal = Math.min(numFrames - 1, Math.floor((len - 1 - segStart + N - half) / hop));
+        var gain = Math.pow(10, (mode === 'boost' ? 1 : -1) * (params.db || 0) / 20);
+
+        return channels.map(function(ch) {
+            var input = new Float32Array(padded);
+            input.set(ch.subarray(segStart, segEnd), N);
+            var healed = mode === 'heal'
+                ? Effects._healMagnitudes(input, N, hop, numFrames, mask, firstReal, lastReal)
+                : null;
+
+            var output = DSP.ola(input, N, hop, hop, function(real, imag, f) {
+                var row = f * bins;
+                for (var k = 0; k < bins; k++) {
+                    if (!mask[row + k]) continue;
+                    var g = gain;
+                    if (healed) {
+                        var mag = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+                        g = mag > 1e-12 ? healed[row + k] / mag : 0;
+                    }
+                    real[k] *= g;
+                    imag[k] *= g;
+                    // Mirror bin, so the frame stays real-valued
+                    if (k > 0 && k < half) {
+                        real[N - k] *= g;
+                        imag[N - k] *= g;
+                    }
+                }
+            });
+
+            var out = new Float32Array(ch);
+            out.set(output.subarray(N, N + segEnd - segStart), segStart);
+            return out;
+        });
+    },
+
+    /** Sorted y values where a polygon's edges cross the vertical line at x -- inside runs between pairs. */
+    _polygonSpans(poly, x) {
+        var ys = [];
+        for (var i = 0; i < poly.length; i++) {
+            var a = poly[i];
+            var b = poly[(i + 1) % poly.length];
+            // Half-open so a vertex on the line counts once
+            if ((a.x <= x) !== (b.x <= x)) {
+                ys.push(a.y + (x - a.x) / (b.x - a.x) * (b.y - a.y));
+            }
+        }
+        return ys.sort(function(p, q) { return p - q; });
+    },
+
+    /**
+     * Replacement magnitudes for the masked bins of a spectral heal, laid out
+     * like the mask. Same framing and window as DSP.ola so the two line up.
+     */
+    _healMagnitudes(input, N, hop, numFrames, mask, firstReal, lastReal) {
+        var half = N / 2;
+        var bins = half + 1;
+        var window = DSP.hannWindow(N);
+        var real = new Float32Array(N);
+        var imag = new Float32Array(N);
+        var mags = new Float32Array(numFrames * bins);
+        for (var f = 0; f < numFrames; f++) {
+            for (var n = 0; n < N; n++) {
+                real[n] = input[f * hop + n] * window[n];
+                imag[n] = 0;
+            }
+            DSP.fft(real, imag);
+            for (var k = 0; k < bins; k++) {
+                mags[f * bins + k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+            }
+        }
+
+        // Across time first: each masked run in a bin bridges the frames either side
+        var healed = new Float32Array(numFrames * bins);
+        var unresolved = false;
+        for (var k = 0; k < bins; k++) {
+            var f = 0;
+            while (f < numFrames) {
+                if (!mask[f * bins + k]) { f++; continue; }
+                var a = f;
+                while (f < numFrames && mask[f * bins + k]) f++;
+                var p = a - 1, q = f;
+                var hasP = p >= firstReal, hasQ = q <= lastReal;
+                for (var j = a; j < f; j++) {
+                    if (hasP && hasQ) {
+                        var t = (j - p) / (q - p);
+                        healed[j * bins + k] = mags[p * bins + k] * (1 - t) + mags[q * bins + k] * t;
+                    } else if (hasP || hasQ) {
+                        healed[j * bins + k] = mags[(hasP ? p : q) * bins + k];
+                    } else {
+                        healed[j * bins + k] = -1;
+                        unresolved = true;
+                    }
+                }
+            }
+        }
+        if (!unresolved) return healed;
+
+        // Shape covers the whole take in those bins -- bridge across frequency instead
+        for (var f = 0; f < numFrames; f++) {
+            var row = f * bins;
+            var k = 0;
+            while (k < bins) {
+                if (healed[row + k] !== -1) { k++; continue; }
+                var a = k;
+                while (k < bins && healed[row + k] === -1) k++;
+                var lo = a - 1, hi = k;
+                // A neighbour that was itself healed across time gives its healed value
+                var lv = lo >= 0 ? (mask[row + lo] ? healed[row + lo] : mags[row + lo]) : 0;
+                var hv = hi < bins ? (mask[row + hi] ? healed[row + hi] : mags[row + hi]) : 0;
+                for (var j = a; j < k; j++) {
+                    if (lo >= 0 && hi < bins) {
+                        var t = (j - lo) / (hi - lo);
+                        healed[row + j] = lv * (1 - t) + hv * t;
+                    } else {
+                        healed[row + j] = lo >= 0 ? lv : hv;
+                    }
+                }
+            }
+        }
+        return healed;
+    },
+
     generateIR(sampleRate, decay, numChannels) {
         numChannels = numChannels || 1;
         var length = Math.floor(sampleRate * decay);
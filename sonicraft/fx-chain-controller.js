@@ -0,0 +1,313 @@
+/* fx-chain-controller.js – Offline effect chains, chain presets and per-effect parameter presets */
+
+// Named chains and per-effect param presets, shared with the FX dialog
+const FX_PRESETS_KEY = 'soniphorm-fx-presets';
+// Export file marker -- imports without it are rejected rather than half-merged
+const FX_PRESETS_FILE_TYPE = 'soniphorm-fx-presets';
+
+class FxChainController {
+    constructor(app) {
+        this.app = app;
+        this._stages = [];      // [{ fx, params }] -- the chain being built
+        this._chainName = '';   // preset the chain was loaded from, if any
+        this._presets = this._loadPresets();
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('chain-preset-select').addEventListener('change', (e) => this.loadChain(e.target.value));
+        $('chain-preset-save').addEventListener('click', () => this.saveChain());
+        $('chain-preset-delete').addEventListener('click', () => this.deleteChain());
+        $('chain-add').addEventListener('click', () => this.addStage($('chain-add-select').value));
+        $('chain-export').addEventListener('click', () => this.exportPresets());
+        $('chain-import').addEventListener('click', () => $('chain-import-input').click());
+        $('chain-import-input').addEventListener('change', (e) => this.importPresets(e));
+        $('chain-preview').addEventListener('click', () => this.preview());
+        $('chain-apply').addEventListener('click', () => this.apply());
+        $('chain-cancel').addEventListener('click', () => this.close());
+    }
+
+    // === Presets ===
+
+    _loadPresets() {
+        try {
+            const json = localStorage.getItem(FX_PRESETS_KEY);
+            if (json) {
+                const data = JSON.parse(json);
+                return { effects: data.effects || {}, chains: data.chains || {} };
+            }
+        } catch (e) {
+            console.warn('Failed to load FX presets:', e);
+        }
+        return { effects: {}, chains: {} };
+    }
+
+    _savePresets() {
+        localStorage.setItem(FX_PRESETS_KEY, JSON.stringify(this._presets));
+    }
+
+    getEffectPresets(fxName) {
+        return this._presets.effects[fxName] || {};
+    }
+
+    saveEffectPreset(fxName, name, params) {
+        if (!this._presets.effects[fxName]) this._presets.effects[fxName] = {};
+        this._presets.effects[fxName][name] = Object.assign({}, params);
+        this._savePresets();
+    }
+
+    deleteEffectPreset(fxName, name) {
+        if (!this._presets.effects[fxName]) return;
+        delete this._presets.effects[fxName][name];
+        if (!Object.keys(this._presets.effects[fxName]).length) delete this._presets.effects[fxName];
+        this._savePresets();
+    }
+
+    exportPresets() {
+        const data = Object.assign({ type: FX_PRESETS_FILE_TYPE, version: 1 }, this._presets);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'soniphorm-fx-presets.json';
+        a.click();
+        URL.revokeObjectURL(a.href);
+    }
+
+    /**
+     * Merge a shared presets file into ours -- same-named presets are replaced.
+     * Effects this build doesn't have, and chains using them, are skipped
+     * rather than stored half-working.
+     */
+    async importPresets(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        e.target.value = '';
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (err) {
+            alert('Import failed: ' + err.message);
+            return;
+        }
+        if (!data || data.type !== FX_PRESETS_FILE_TYPE) {
+            alert('Import failed: not a Soniphorm FX presets file');
+            return;
+        }
+
+        let effects = 0, chains = 0, skipped = 0;
+        for (const [fxName, presets] of Object.entries(data.effects || {})) {
+            if (!Effects.registry[fxName]) { skipped += Object.keys(presets).length; continue; }
+            for (const [name, params] of Object.entries(presets)) {
+                this.saveEffectPreset(fxName, name, params);
+                effects++;
+            }
+        }
+        for (const [name, stages] of Object.entries(data.chains || {})) {
+            if (!Array.isArray(stages) || !stages.every(s => s && this._chainable(s.fx))) { skipped++; continue; }
+            this._presets.chains[name] = stages.map(s => ({ fx: s.fx, params: Object.assign({}, s.params) }));
+            chains++;
+        }
+        this._savePresets();
+        this._renderChainOptions();
+        alert(`Imported ${effects} effect preset${effects === 1 ? '' : 's'} and ${chains} chain${chains === 1 ? '' : 's'}` +
+            (skipped ? ` (${skipped} skipped -- unknown effects)` : ''));
+    }
+
+    // === Chain dialog ===
+
+    // Bounce cuts the buffer down to the region, which would leave every later
+    // stage pointing at the wrong samples -- it stays a single-shot action
+    _chainable(fxName) {
+        return !!Effects.registry[fxName] && fxName !== 'bounce';
+    }
+
+    open() {
+        if (this.app._sampleMode) {
+            const slot = this.app.slots.slots[this.app.sample._sampleSelectedPad];
+            if (!slot || !slot.hasAudio) return;
+        } else if (!this.app.channels) return;
+
+        const add = document.getElementById('chain-add-select');
+        add.innerHTML = '';
+        for (const [key, fx] of Object.entries(Effects.registry)) {
+            if (!this._chainable(key)) continue;
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = fx.label;
+            add.appendChild(opt);
+        }
+        this._renderChainOptions();
+        this.renderStages();
+        document.getElementById('chain-dialog').hidden = false;
+    }
+
+    close() {
+        this.app.audio.stop();
+        document.getElementById('chain-dialog').hidden = true;
+    }
+
+    _renderChainOptions() {
+        const select = document.getElementById('chain-preset-select');
+        select.innerHTML = '<option value="">Saved chains…</option>';
+        for (const name of Object.keys(this._presets.chains).sort()) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            select.appendChild(opt);
+        }
+        select.value = this._presets.chains[this._chainName] ? this._chainName : '';
+        document.getElementById('chain-preset-delete').disabled = !select.value;
+    }
+
+    renderStages() {
+        const list = document.getElementById('chain-list');
+        list.innerHTML = '';
+        this._stages.forEach((stage, i) => {
+            const fx = Effects.registry[stage.fx];
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row chain-stage-row';
+
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = `${i + 1}. ${fx.label}`;
+            const summary = document.createElement('span');
+            summary.className = 'chain-stage-params';
+            summary.textContent = fx.params.map(p => `${p.label} ${stage.params[p.key]}${p.unit || ''}`).join(', ');
+            row.appendChild(name);
+            row.appendChild(summary);
+
+            const button = (label, title, onClick, disabled = false) => {
+                const b = document.createElement('button');
+                b.className = 'chain-stage-btn';
+                b.innerHTML = label;
+                b.title = title;
+                b.disabled = disabled;
+                b.addEventListener('click', (e) => { e.stopPropagation(); onClick(); });
+                row.appendChild(b);
+            };
+            button('&#8593;', 'Move up', () => this.moveStage(i, -1), i === 0);
+            button('&#8595;', 'Move down', () => this.moveStage(i, 1), i === this._stages.length - 1);
+            button('&#10005;', 'Remove', () => this.removeStage(i));
+
+            // Tap the stage itself to edit its params in the normal FX dialog
+            row.addEventListener('click', () => this.app.rec.openFxDialog(stage.fx, stage));
+            list.appendChild(row);
+        });
+
+        const empty = this._stages.length === 0;
+        if (empty) {
+            const hint = document.createElement('span');
+            hint.className = 'menu-hint';
+            hint.textContent = 'Add effects below -- they run top to bottom';
+            list.appendChild(hint);
+        }
+        document.getElementById('chain-preview').disabled = empty;
+        document.getElementById('chain-apply').disabled = empty;
+        document.getElementById('chain-preset-save').disabled = empty;
+    }
+
+    addStage(fxName) {
+        if (!this._chainable(fxName)) return;
+        this._stages.push({ fx: fxName, params: Effects.defaultParams(fxName) });
+        this.renderStages();
+    }
+
+    moveStage(i, dir) {
+        const j = i + dir;
+        if (j < 0 || j >= this._stages.length) return;
+        [this._stages[i], this._stages[j]] = [this._stages[j], this._stages[i]];
+        this.renderStages();
+    }
+
+    removeStage(i) {
+        this._stages.splice(i, 1);
+        this.renderStages();
+    }
+
+    loadChain(name) {
+        const stages = this._presets.chains[name];
+        document.getElementById('chain-preset-delete').disabled = !stages;
+        if (!stages) return;
+        this._chainName = name;
+        // Copies -- editing the loaded chain mustn't change the preset until it's saved
+        this._stages = stages.map(s => ({ fx: s.fx, params: Object.assign(Effects.defaultParams(s.fx), s.params) }));
+        this.renderStages();
+    }
+
+    saveChain() {
+        if (!this._stages.length) return;
+        const name = prompt('Chain name:', this._chainName || '');
+        if (!name || !name.trim()) return;
+        this._chainName = name.trim();
+        this._presets.chains[this._chainName] = this._stages.map(s => ({ fx: s.fx, params: Object.assign({}, s.params) }));
+        this._savePresets();
+        this._renderChainOptions();
+    }
+
+    deleteChain() {
+        const name = document.getElementById('chain-preset-select').value;
+        if (!name || !confirm(`Delete chain "${name}"?`)) return;
+        delete this._presets.chains[name];
+        if (this._chainName === name) this._chainName = '';
+        this._savePresets();
+        this._renderChainOptions();
+    }
+
+    // === Processing ===
+
+    async preview() {
+        const rec = this.app.rec;
+        const ch = await rec._getActiveChannels();
+        const sr = rec._getActiveSampleRate();
+        if (!ch || !this._stages.length) return;
+        const { start, end } = rec._getFxRegion(ch);
+        // Same 3 second cap as a single-effect preview
+        const previewEnd = Math.min(end, start + sr * 3);
+
+        const btn = document.getElementById('chain-preview');
+        btn.textContent = '...';
+        btn.disabled = true;
+        try {
+            const result = await Effects.processChain(ch, sr, start, previewEnd, this._stages);
+            // Stretch stages move the end of the processed region
+            const playEnd = Math.min(result[0].length, previewEnd + result[0].length - ch[0].length);
+            this.app.audio.stop();
+            this.app.audio.play(result, sr, start, playEnd, () => {
+                document.getElementById('play-btn').classList.remove('playing');
+            });
+        } catch (e) {
+            console.error('FX chain preview error:', e);
+            alert('Chain preview failed: ' + e.message);
+        } finally {
+            btn.textContent = 'Preview';
+            btn.disabled = false;
+        }
+    }
+
+    // The whole chain lands as one edit-history step
+    async apply() {
+        const rec = this.app.rec;
+        const ch = await rec._getActiveChannels();
+        const sr = rec._getActiveSampleRate();
+        if (!ch || !this._stages.length) return;
+        const { start, end } = rec._getFxRegion(ch);
+
+        const btn = document.getElementById('chain-apply');
+        btn.textContent = 'Processing...';
+        btn.disabled = true;
+        try {
+            const stages = this._stages.map(s => ({ fx: s.fx, params: Object.assign({}, s.params) }));
+            const result = await Effects.processChain(ch, sr, start, end, stages);
+            const label = 'Chain: ' + (this._chainName || stages.map(s => Effects.registry[s.fx].label).join(' > '));
+            await rec._commitProcessed(label, { name: 'chain', start, end, stages }, ch, result, sr);
+            this.close();
+        } catch (e) {
+            console.error('FX chain apply error:', e);
+            alert('Chain processing failed: ' + e.message);
+        } finally {
+            btn.textContent = 'Apply';
+            btn.disabled = false;
+        }
+    }
+}
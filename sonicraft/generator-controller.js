@@ -0,0 +1,294 @@
+/* generator-controller.js – Euclidean / Markov / humanise generators for one sequencer track */
+
+// Param controls per generator -- the same shape as Effects.registry params
+const GEN_TYPES = {
+    euclid: {
+        label: 'Euclidean',
+        params: [
+            { key: 'hits', label: 'Hits', min: 0, max: 16, step: 1, default: 4 },
+            { key: 'steps', label: 'Steps', min: 1, max: 16, step: 1, default: 16 },
+            { key: 'rotation', label: 'Rotation', min: 0, max: 15, step: 1, default: 0 },
+            { key: 'variant', label: 'Variant', type: 'select', options: Object.keys(PatternGen.EUCLID_VARIANTS), default: 'bjorklund' }
+        ]
+    },
+    markov: {
+        label: 'Markov',
+        params: [
+            { key: 'source', label: 'Learn from', type: 'select', options: ['track', 'pattern'], default: 'pattern' },
+            { key: 'density', label: 'Density', min: 25, max: 200, step: 5, default: 100, unit: '%' }
+        ]
+    },
+    humanise: {
+        label: 'Humanise',
+        params: [
+            { key: 'timing', label: 'Timing', min: 0, max: 25, step: 1, default: 8, unit: '% step' },
+            { key: 'velocity', label: 'Velocity', min: 0, max: 50, step: 1, default: 15, unit: '%' }
+        ]
+    }
+};
+const GEN_ALL_TRACKS = '*'; // humanise only
+
+class GeneratorController {
+    constructor(app) {
+        this.app = app;
+        this._type = 'euclid';
+        this._params = {};        // type -> last used params
+        this._base = null;        // pattern JSON when the dialog opened -- previews build on it
+        this._result = null;      // { trackKey: cells } from the last generate()
+        this._auditioning = false;
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('seq-gen-btn').addEventListener('click', () => this.open());
+        $('gen-type').addEventListener('change', (e) => { this._type = e.target.value; this._renderParams(); this.generate(); });
+        $('gen-track').addEventListener('change', () => this.generate());
+        $('gen-reroll').addEventListener('click', () => this.generate());
+        $('gen-audition').addEventListener('click', () => this.toggleAudition());
+        $('gen-commit').addEventListener('click', () => this.commit());
+        $('gen-cancel').addEventListener('click', () => this.cancel());
+    }
+
+    // Kit rows in kit mode (what the drum grid shows), else the loaded slots
+    _tracks() {
+        const app = this.app;
+        const tracks = [];
+        if (app._kitMode && app._kitParentSlot >= 0) {
+            for (let sub = 0; sub < 16; sub++) {
+                const meta = app.slots.getKitSlotMeta(app._kitParentSlot, sub);
+                tracks.push([app._kitParentSlot + ':' + sub, `Kit ${String(sub + 1).padStart(2, '0')} ${(meta && meta.name) || ''}`]);
+            }
+        } else {
+            app.slots.slots.forEach((s, i) => {
+                if (i < 16 && s.hasAudio && s.type !== 'kit') tracks.push([String(i), `${String(i + 1).padStart(2, '0')} ${s.name || 'untitled'}`]);
+            });
+        }
+        return tracks;
+    }
+
+    open() {
+        const tracks = this._tracks();
+        if (!tracks.length) {
+            alert('Load a sample into a slot first');
+            return;
+        }
+        const select = document.getElementById('gen-track');
+        const prev = select.value;
+        select.innerHTML = '';
+        for (const [key, label] of [...tracks, [GEN_ALL_TRACKS, 'All tracks']]) {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = label;
+            select.appendChild(opt);
+        }
+        select.value = tracks.some(t => t[0] === prev) ? prev : tracks[0][0];
+        document.getElementById('gen-type').value = this._type;
+
+        this._base = this.app.sequencer.toJSON();
+        this._auditioning = false;
+        this._updateAuditionButton();
+        this._renderParams();
+        this.generate();
+        document.getElementById('gen-dialog').hidden = false;
+    }
+
+    _close() {
+        this._base = null;
+        this._result = null;
+        document.getElementById('gen-dialog').hidden = true;
+    }
+
+    // === Params ===
+
+    // Euclidean ranges follow the pattern's step count (16-64)
+    _paramDefs() {
+        const defs = GEN_TYPES[this._type].params;
+        if (this._type !== 'euclid') return defs;
+        const n = this.app.sequencer.stepCount;
+        return defs.map(p => {
+            if (p.key === 'hits' || p.key === 'steps') return Object.assign({}, p, { max: n, default: Math.min(p.default, n) });
+            if (p.key === 'rotation') return Object.assign({}, p, { max: n - 1 });
+            return p;
+        });
+    }
+
+    _renderParams() {
+        const container = document.getElementById('gen-params');
+        container.innerHTML = '';
+        const values = this._params[this._type] || (this._params[this._type] = {});
+        const allOption = document.querySelector(`#gen-track option[value="${GEN_ALL_TRACKS}"]`);
+        // All tracks only makes sense for a pass over what's there already
+        if (allOption) allOption.disabled = this._type !== 'humanise';
+        const track = document.getElementById('gen-track');
+        if (track.value === GEN_ALL_TRACKS && this._type !== 'humanise') track.selectedIndex = 0;
+
+        for (const p of this._paramDefs()) {
+            if (values[p.key] === undefined) values[p.key] = p.default;
+            if (p.max !== undefined && values[p.key] > p.max) values[p.key] = p.max;
+            const div = document.createElement('div');
+            div.className = 'fx-param';
+            const header = document.createElement('div');
+            header.className = 'fx-param-header';
+            const label = document.createElement('span');
+            label.className = 'fx-param-label';
+            label.textContent = p.label;
+            header.appendChild(label);
+            div.appendChild(header);
+
+            if (p.type === 'select') {
+                const select = document.createElement('select');
+                for (const o of p.options) {
+                    const opt = document.createElement('option');
+                    opt.value = o;
+                    opt.textContent = PatternGen.EUCLID_VARIANTS[o] || o;
+                    select.appendChild(opt);
+                }
+                select.value = values[p.key];
+                select.addEventListener('change', () => { values[p.key] = select.value; this.generate(); });
+                div.appendChild(select);
+            } else {
+                const unit = p.unit || '';
+                const value = document.createElement('span');
+                value.className = 'fx-param-value';
+                value.textContent = values[p.key] + unit;
+                header.appendChild(value);
+                const input = document.createElement('input');
+                input.type = 'range';
+                input.min = p.min;
+                input.max = p.max;
+                input.step = p.step;
+                input.value = values[p.key];
+                input.addEventListener('input', () => {
+                    values[p.key] = parseFloat(input.value);
+                    value.textContent = input.value + unit;
+                    this.generate();
+                });
+                div.appendChild(input);
+            }
+            container.appendChild(div);
+        }
+    }
+
+    // === Generate / preview ===
+
+    /** Run the generator against the pattern as it was when the dialog opened. */
+    generate() {
+        const base = new Sequencer(null);
+        base.fromJSON(this._base);
+        const n = base.stepCount;
+        const p = this._params[this._type];
+        const key = document.getElementById('gen-track').value;
+        const result = {};
+
+        switch (this._type) {
+            case 'euclid':
+                result[key] = PatternGen.euclid(p.hits, p.steps, p.rotation, p.variant, n);
+                break;
+            case 'markov': {
+                const toBools = (cells) => cells.map(c => !!c);
+                let rows = [];
+                if (p.source === 'track') rows = [toBools(base.getTrackCells(key))].filter(r => r.some(Boolean));
+                // Nothing on the track to learn from -- fall back to the whole pattern
+                if (!rows.length) {
+                    const keys = new Set();
+                    for (const step of base.pattern) for (const e of step.slots) keys.add(Sequencer.trackKey(e));
+                    rows = [...keys].map(k => toBools(base.getTrackCells(k)));
+                }
+                result[key] = PatternGen.markov(rows, n, p.density / 100);
+                break;
+            }
+            case 'humanise': {
+                const keys = key === GEN_ALL_TRACKS ? this._tracks().map(t => t[0]) : [key];
+                for (const k of keys) {
+                    const cells = base.getTrackCells(k);
+                    if (cells.some(Boolean)) result[k] = PatternGen.humanise(cells, p.timing / 100, p.velocity / 100);
+                }
+                break;
+            }
+        }
+        this._result = result;
+        this._renderPreview(n);
+        if (this._auditioning) this._applyResult();
+    }
+
+    // One row of cells per generated track: hits lit, humanised ones shaded by velocity
+    _renderPreview(n) {
+        const container = document.getElementById('gen-preview');
+        container.innerHTML = '';
+        const keys = Object.keys(this._result);
+        if (!keys.length) {
+            const hint = document.createElement('span');
+            hint.className = 'menu-hint';
+            hint.textContent = 'Nothing to humanise -- the track has no hits yet';
+            container.appendChild(hint);
+        }
+        for (const key of keys) {
+            const row = document.createElement('div');
+            row.className = 'gen-preview-row';
+            row.style.gridTemplateColumns = `repeat(${n}, 1fr)`;
+            this._result[key].forEach((cell, i) => {
+                const el = document.createElement('span');
+                el.className = 'gen-preview-cell' + (cell ? ' hit' : '') + (i % 4 === 0 ? ' beat' : '');
+                if (cell && cell.velocity !== undefined) el.style.opacity = 0.3 + 0.7 * cell.velocity / 127;
+                row.appendChild(el);
+            });
+            container.appendChild(row);
+        }
+        document.getElementById('gen-commit').disabled = !keys.length;
+        // Re-roll only does something for the random generators
+        document.getElementById('gen-reroll').disabled = this._type === 'euclid';
+    }
+
+    // Base pattern plus the result, into the live sequencer
+    _applyResult() {
+        const seq = this.app.sequencer;
+        seq.fromJSON(this._base);
+        for (const [key, cells] of Object.entries(this._result)) seq.setTrackCells(key, cells);
+        this._refreshViews();
+    }
+
+    _restoreBase() {
+        this.app.sequencer.fromJSON(this._base);
+        this._refreshViews();
+    }
+
+    _refreshViews() {
+        const seq = this.app.seq;
+        seq.renderSeqGrid();
+        if (this.app._drumGridView) seq._renderDrumGrid();
+        else if (seq._seqModeMenuStep >= 0) seq._renderSeqSampleList();
+    }
+
+    /** Hear the result in the running pattern -- starts playback if it's stopped. */
+    async toggleAudition() {
+        this._auditioning = !this._auditioning;
+        this._updateAuditionButton();
+        if (!this._auditioning) {
+            this._restoreBase();
+            return;
+        }
+        this._applyResult();
+        if (!this.app.sequencer.playing) await this.app.seq.seqPlayStop();
+    }
+
+    _updateAuditionButton() {
+        const btn = document.getElementById('gen-audition');
+        btn.textContent = this._auditioning ? 'Stop preview' : 'Preview';
+        btn.classList.toggle('primary', this._auditioning);
+    }
+
+    // The pre-generator pattern goes on the sequencer's UNDO stack
+    commit() {
+        if (!this._result || !Object.keys(this._result).length) return;
+        this.app.seq._pushSeqUndo(this._base);
+        this._applyResult();
+        this.app.seq._saveSeqPattern();
+        this._close();
+    }
+
+    cancel() {
+        if (this._auditioning) this._restoreBase();
+        this._auditioning = false;
+        this._close();
+    }
+}
@@ -0,0 +1,311 @@
+/* loop-finder-controller.js – Seamless loop finder: matched loop points near the pad's markers, seam preview, playback or baked crossfade */
+
+const LOOPFIND_COUNT = 8;        // candidates offered per search
+const LOOPFIND_SEARCH_MS = 25;   // how far either marker may move
+const LOOPFIND_MATCH_MS = 10;    // audio compared either side of the seam
+
+class LoopFinderController {
+    constructor(app) {
+        this.app = app;
+        this._active = false;
+        this._padIdx = -1;
+        this._mono = null;
+        this._sampleRate = 0;
+        this._candidates = [];
+        this._index = -1;
+        // Pad loop settings as they were on open, put back on cancel
+        this._original = null;
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('loopfind-prev').addEventListener('click', () => this.step(-1));
+        $('loopfind-next').addEventListener('click', () => this.step(1));
+        $('loopfind-xfade').addEventListener('input', (e) => this.setCrossfade(parseInt(e.target.value, 10)));
+        $('loopfind-shape').addEventListener('change', (e) => this.setShape(e.target.value));
+        $('loopfind-zoom').addEventListener('change', () => this.drawPreview());
+        $('loopfind-play').addEventListener('click', () => this.audition());
+        $('loopfind-use').addEventListener('click', () => this.apply());
+        $('loopfind-bake').addEventListener('click', () => this.bake());
+        $('loopfind-cancel').addEventListener('click', () => this.close());
+    }
+
+    isActive() {
+        return this._active;
+    }
+
+    _pad() {
+        return this.app.sampler.pads[this._padIdx];
+    }
+
+    // === Open / close ===
+
+    open() {
+        if (!this.app._sampleMode || this.app._kitMode) return;
+        const padIdx = this.app.sample._sampleSelectedPad;
+        const buf = this.app._slotBuffers[padIdx];
+        const loop = this.app.waveform.getLoopMarkers();
+        if (!buf || !loop || this.app.sampler.pads[padIdx].mode !== 'loop') return;
+
+        this._active = true;
+        this._padIdx = padIdx;
+        this._sampleRate = buf.sampleRate;
+        const pad = this._pad();
+        this._original = {
+            loopStart: pad.loopStart,
+            loopEnd: pad.loopEnd,
+            loopXfade: pad.loopXfade,
+            loopXfadeShape: pad.loopXfadeShape
+        };
+
+        // Mono sum for matching -- the seam has to join on both sides of a stereo loop
+        this._mono = new Float32Array(buf.length);
+        for (let ch = 0; ch < buf.numberOfChannels; ch++) {
+            const data = buf.getChannelData(ch);
+            for (let i = 0; i < buf.length; i++) this._mono[i] += data[i] / buf.numberOfChannels;
+        }
+
+        document.getElementById('loopfind-xfade').value = pad.loopXfade;
+        document.getElementById('loopfind-shape').value = pad.loopXfadeShape;
+        this._updateCrossfadeLabel();
+        document.getElementById('loopfind-transport').classList.add('active');
+        this.search(loop);
+    }
+
+    /** Close; unless the settings were kept (USE / BAKE), the pad's loop goes back to how it was. */
+    close(keep = false) {
+        if (!this._active) return;
+        this._active = false;
+        if (this.app.sampler.isPlaying(this._padIdx)) this.app.sampler.release(this._padIdx);
+        if (!keep) {
+            const pad = this._pad();
+            Object.assign(pad, this._original);
+            this.app.sampler.updateLoopRegion(this._padIdx, pad.loopStart, pad.loopEnd);
+            if (this.app.sample._sampleSelectedPad === this._padIdx && pad.loopStart >= 0 && pad.loopEnd >= 0) {
+                this.app.waveform.setLoopMarkers(
+                    Math.round(pad.loopStart * this._sampleRate),
+                    Math.round(pad.loopEnd * this._sampleRate)
+                );
+            }
+            this.app.sample._saveSamplerConfig();
+        }
+        this._mono = null;
+        this._candidates = [];
+        this._original = null;
+        document.getElementById('loopfind-play').classList.remove('active');
+        document.getElementById('loopfind-transport').classList.remove('active');
+    }
+
+    // === Candidates ===
+
+    /** Look for seams around `loop` ({ start, end } in samples) and take the best. */
+    search(loop) {
+        if (!this._active) return;
+        this._candidates = DSP.findLoopPoints(this._mono, this._sampleRate, loop.start, loop.end, {
+            searchMs: LOOPFIND_SEARCH_MS,
+            matchMs: LOOPFIND_MATCH_MS,
+            count: LOOPFIND_COUNT
+        });
+        this._index = -1;
+        if (this._candidates.length) {
+            this.choose(0);
+        } else {
+            this._updateLabel();
+            this.drawPreview();
+        }
+    }
+
+    // Dragging a loop marker by hand searches again around where it landed
+    onLoopMarkersChange(loop) {
+        this.search(loop);
+    }
+
+    step(delta) {
+        const n = this._candidates.length;
+        if (!n) return;
+        this.choose(((this._index < 0 ? 0 : this._index + delta) % n + n) % n);
+    }
+
+    choose(i) {
+        const c = this._candidates[i];
+        if (!c) return;
+        this._index = i;
+        const pad = this._pad();
+        pad.loopStart = c.start / this._sampleRate;
+        pad.loopEnd = c.end / this._sampleRate;
+        this.app.sampler.updateLoopRegion(this._padIdx, pad.loopStart, pad.loopEnd);
+        this.app.waveform.setLoopMarkers(c.start, c.end);
+        this._updateLabel();
+        this.drawPreview();
+        this._retrigger();
+    }
+
+    _updateLabel() {
+        const n = this._candidates.length;
+        const c = this._candidates[this._index];
+        document.getElementById('loopfind-match').textContent = !n
+            ? 'No match'
+            : c ? `${this._index + 1}/${n} · ${Math.round(Math.max(0, c.score) * 100)}%` : `-/${n}`;
+    }
+
+    // === Crossfade ===
+
+    setCrossfade(ms) {
+        if (!this._active) return;
+        this._pad().loopXfade = ms;
+        this._updateCrossfadeLabel();
+        this.drawPreview();
+        this._retrigger();
+    }
+
+    setShape(shape) {
+        if (!this._active) return;
+        this._pad().loopXfadeShape = shape;
+        this.drawPreview();
+        this._retrigger();
+    }
+
+    _updateCrossfadeLabel() {
+        const ms = parseInt(document.getElementById('loopfind-xfade').value, 10);
+        document.getElementById('loopfind-xfade-val').textContent = ms ? ms + 'ms' : 'Off';
+    }
+
+    // === Audition ===
+
+    audition() {
+        const btn = document.getElementById('loopfind-play');
+        if (this.app.sampler.isPlaying(this._padIdx)) {
+            this.app.sampler.release(this._padIdx);
+            btn.classList.remove('active');
+            return;
+        }
+        this.app.sampler.trigger(this._padIdx);
+        btn.classList.add('active');
+    }
+
+    // A playing voice keeps the crossfade it started with -- start it again
+    _retrigger() {
+        if (!document.getElementById('loopfind-play').classList.contains('active')) return;
+        if (this.app.sampler.isPlaying(this._padIdx)) this.app.sampler.trigger(this._padIdx);
+    }
+
+    // === Seam preview ===
+
+    /**
+     * The audio either side of the seam as the loop plays it: the run-up to
+     * the loop end on the left, what follows the loop start on the right.
+     * Dim trace without the crossfade, bright with it.
+     */
+    drawPreview() {
+        const canvas = document.getElementById('loopfind-preview');
+        if (!canvas || !this._active) return;
+        const rect = canvas.getBoundingClientRect();
+        if (rect.width < 1 || rect.height < 1) return;
+        const ctx = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+        ctx.scale(dpr, dpr);
+        const W = rect.width;
+        const H = rect.height;
+        ctx.fillStyle = '#0a0e1a';
+        ctx.fillRect(0, 0, W, H);
+
+        const loop = this.app.waveform.getLoopMarkers();
+        if (!loop) return;
+        const pad = this._pad();
+        const sr = this._sampleRate;
+        const span = Math.max(1, Math.round(parseInt(document.getElementById('loopfind-zoom').value, 10) / 1000 * sr));
+        const fade = Math.round((pad.loopXfade || 0) / 1000 * sr);
+        const faded = fade > 0
+            ? DSP.crossfadeLoop([this._mono], loop.start, loop.end, fade, pad.loopXfadeShape)[0]
+            : null;
+
+        let peak = 0;
+        const at = (data, j) => {
+            const i = j < span ? loop.end - span + j : loop.start + j - span;
+            return i >= 0 && i < data.length ? data[i] : 0;
+        };
+        for (let j = 0; j < 2 * span; j++) peak = Math.max(peak, Math.abs(at(this._mono, j)));
+        const scale = (H / 2 - 2) / (peak || 1);
+
+        ctx.strokeStyle = '#1e293b';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, H / 2);
+        ctx.lineTo(W, H / 2);
+        ctx.stroke();
+
+        // Min and max per column, so 100ms of audio still reads at a few hundred px
+        const trace = (data, color) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            for (let x = 0; x < W; x++) {
+                const from = Math.floor(x / W * 2 * span);
+                const to = Math.max(from + 1, Math.floor((x + 1) / W * 2 * span));
+                let lo = Infinity, hi = -Infinity;
+                for (let j = from; j < to; j++) {
+                    const v = at(data, j);
+                    if (v < lo) lo = v;
+                    if (v > hi) hi = v;
+                }
+                if (x === 0) ctx.moveTo(x, H / 2 - hi * scale);
+                else ctx.lineTo(x, H / 2 - hi * scale);
+                ctx.lineTo(x, H / 2 - lo * scale);
+            }
+            ctx.stroke();
+        };
+        trace(this._mono, faded ? 'rgba(14, 165, 233, 0.3)' : '#0ea5e9');
+        if (faded) trace(faded, '#0ea5e9');
+
+        ctx.strokeStyle = 'rgba(34, 197, 94, 0.9)';
+        ctx.beginPath();
+        ctx.moveTo(W / 2, 0);
+        ctx.lineTo(W / 2, H);
+        ctx.stroke();
+    }
+
+    // === Apply ===
+
+    /** Keep the loop points, with any crossfade done at playback. */
+    apply() {
+        this.app.sample._saveSamplerConfig();
+        this.close(true);
+    }
+
+    /** Write the crossfade into the slot's audio (one undoable edit) and loop it as is. */
+    async bake() {
+        const pad = this._pad();
+        const loop = this.app.waveform.getLoopMarkers();
+        if (!loop) return;
+        if (!(pad.loopXfade > 0)) {
+            this.apply();
+            return;
+        }
+        const padIdx = this._padIdx;
+        this.app.rec._showProgress('Crossfading…');
+        try {
+            const data = await this.app.slots.getSlotAudio(padIdx);
+            if (!data) return;
+            const sr = data.sampleRate;
+            const params = { fade: pad.loopXfade, shape: pad.loopXfadeShape };
+            const result = DSP.crossfadeLoop(data.channels, loop.start, loop.end,
+                Math.round(pad.loopXfade / 1000 * sr), pad.loopXfadeShape);
+            await this.app.rec._commitProcessed('Loop crossfade',
+                { name: 'loopxfade', start: loop.start, end: loop.end, params }, data.channels, result, sr);
+            pad.loopXfade = 0;
+            if (this.app.sample._sampleSelectedPad === padIdx) {
+                this.app.channels = result;
+                this.app.waveform.updateAudio(result, sr);
+                this.app.waveform.render();
+            }
+            this.app.sample._saveSamplerConfig();
+            this.close(true);
+        } catch (err) {
+            console.error('Loop crossfade failed:', err);
+            alert('Loop crossfade failed: ' + err.message);
+        } finally {
+            this.app.rec._hideProgress();
+        }
+    }
+}
@@ -0,0 +1,231 @@
+/* midi-file-controller.js – .mid export of sequencer patterns/banks and drum-file import */
+
+const MIDI_FILE_PPQ = 96;         // 24 ticks per 16th step at 1x speed
+const MIDI_FILE_STEP_TICKS = 24;
+
+class MidiFileController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('midi-export-btn').addEventListener('click', () => this.exportFile());
+        $('midi-import-btn').addEventListener('click', () => $('midi-import-input').click());
+        $('midi-import-input').addEventListener('change', (e) => this.importFile(e));
+    }
+
+    // Note maps live on MidiManager. Its settings only load once Web MIDI is
+    // up, so without it fall back to the saved map on a spare manager.
+    _noteMapper() {
+        if (this.app.midi && this.app.midi.midiAccess) return this.app.midi;
+        const mapper = new MidiManager();
+        try {
+            const saved = JSON.parse(localStorage.getItem('soniphorm-midi') || '{}');
+            if (saved.noteMap) mapper.noteMap = saved.noteMap;
+        } catch (e) {
+            console.warn('Failed to read MIDI note map:', e);
+        }
+        return mapper;
+    }
+
+    // === Export ===
+
+    /**
+     * Type 1 file: a conductor track, then one track per slot (or kit row)
+     * that has hits. With more than one bank saved, the banks can go out
+     * back to back, each marked "PAT nn" with its own tempo.
+     */
+    exportFile() {
+        const seq = this.app.seq;
+        if (!seq._seqBanks) seq._seqBanks = new Array(16).fill(null);
+        // The live pattern may be ahead of its saved bank
+        seq._seqBanks[seq._seqBankIndex] = this.app.sequencer.toJSON();
+        const used = [];
+        seq._seqBanks.forEach((bank, i) => {
+            if (bank && bank.pattern && bank.pattern.some(s => s.slots && s.slots.length)) used.push(i);
+        });
+        if (!used.length) {
+            alert('Pattern is empty — nothing to export');
+            return;
+        }
+
+        let banks = [seq._seqBankIndex];
+        if (used.length > 1 && confirm(`Export all ${used.length} pattern banks back to back? (Cancel = current pattern only)`)) {
+            banks = used;
+        }
+
+        try {
+            const bytes = SMF.write(this._buildTracks(banks.map(i => ({ index: i, data: seq._seqBanks[i] }))), MIDI_FILE_PPQ);
+            const blob = new Blob([bytes], { type: 'audio/midi' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = banks.length > 1 ? 'soniphorm-banks.mid' : `soniphorm-pat${String(banks[0] + 1).padStart(2, '0')}.mid`;
+            a.click();
+            URL.revokeObjectURL(a.href);
+        } catch (e) {
+            console.error('MIDI export error:', e);
+            alert('MIDI export failed: ' + e.message);
+        }
+    }
+
+    /**
+     * Hits come from the same path as playback (swing, nudge, track lengths,
+     * ratchets), one pass per bank. Conditions play as on the first loop
+     * without FILL; probability can't be written to a file, so every
+     * chance trig is included.
+     */
+    _buildTracks(banks) {
+        const mapper = this._noteMapper();
+        const conductor = { name: 'Soniphorm', events: [{ tick: 0, type: 'timesig', numerator: 4, denominator: 4 }] };
+        const tracks = new Map(); // trackKey -> { name, events }
+
+        let bankTick = 0;
+        let tick = 0;
+        for (const { index, data } of banks) {
+            const src = new Sequencer(null);
+            src.fromJSON(data);
+            // Speed changes step length, not tempo -- 0.5x steps are 8ths
+            const stepTicks = MIDI_FILE_STEP_TICKS / src.speed;
+            const stepDur = src.stepDuration;
+            conductor.events.push({ tick: bankTick, type: 'tempo', bpm: src.tempo });
+            if (banks.length > 1) conductor.events.push({ tick: bankTick, type: 'marker', text: 'PAT ' + String(index + 1).padStart(2, '0') });
+
+            for (let i = 0; i < src.pattern.length; i++, tick++) {
+                for (const trig of src._hitsAt(i, tick, stepDur)) {
+                    if (!src._trigPasses(Object.assign({}, trig.entry, { prob: undefined }), 0, false)) continue;
+                    for (const hit of src._ratchetHits(trig, stepDur)) {
+                        const entry = hit.entry;
+                        const key = Sequencer.trackKey(entry);
+                        if (!tracks.has(key)) tracks.set(key, { name: this._trackName(entry), events: [] });
+                        const { note, velocity, channel } = this._noteFor(entry, mapper);
+                        const on = Math.max(0, Math.round(bankTick + i * stepTicks + hit.offset / stepDur * stepTicks));
+                        const steps = hit.dur ? hit.dur / stepDur : (entry.duration > 0 ? entry.duration : 1);
+                        const off = on + Math.max(1, Math.round(steps * stepTicks) - 1);
+                        const events = tracks.get(key).events;
+                        events.push({ tick: on, type: 'on', note, velocity, channel });
+                        events.push({ tick: off, type: 'off', note, velocity: 0, channel });
+                    }
+                }
+            }
+            bankTick += src.pattern.length * stepTicks;
+        }
+        conductor.events.push({ tick: bankTick, type: 'marker', text: 'END' });
+
+        // Slot order, kit rows after their parent
+        const keys = [...tracks.keys()].sort((a, b) => {
+            const [sa, ka = -1] = a.split(':').map(Number);
+            const [sb, kb = -1] = b.split(':').map(Number);
+            return sa - sb || ka - kb;
+        });
+        return [conductor, ...keys.map(k => tracks.get(k))];
+    }
+
+    _trackName(entry) {
+        const slots = this.app.slots;
+        if (entry.kitSub !== undefined) {
+            const meta = slots.getKitSlotMeta(entry.slot, entry.kitSub);
+            return `${String(entry.slot + 1).padStart(2, '0')}.${String(entry.kitSub + 1).padStart(2, '0')} ${(meta && meta.name) || 'kit'}`;
+        }
+        const slot = slots.slots[entry.slot];
+        return `${String(entry.slot + 1).padStart(2, '0')} ${(slot && slot.name) || 'untitled'}`;
+    }
+
+    // Same channel/velocity rules as live output (_midiSendStep), notes from the note map
+    _noteFor(entry, mapper) {
+        const sampler = this.app.sampler;
+        const isKit = entry.kitSub !== undefined;
+        const pad = sampler ? sampler.pads[isKit ? entry.kitSub : entry.slot] : null;
+        const note = isKit
+            ? mapper.mapPadToNote(entry.kitSub)
+            : mapper.mapPadToNote(entry.slot) + entry.pitch + (pad ? pad.pitch : 0);
+        const velocity = entry.velocity !== undefined ? entry.velocity : Math.round((pad ? pad.volume : 1) * 127);
+        return {
+            note: Math.max(0, Math.min(127, note)),
+            velocity: Math.max(1, Math.min(127, velocity)),
+            channel: entry.slot & 0x0F
+        };
+    }
+
+    // === Import ===
+
+    /**
+     * Drum file into the current pattern: every note-on mapped to a pad by
+     * the note map, quantised to the nearest 16th of the pattern's
+     * stepCount. What's left of the quantising becomes the entry's nudge, so
+     * the groove survives. The old pattern goes on UNDO.
+     */
+    async importFile(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        e.target.value = '';
+
+        let midi;
+        try {
+            midi = SMF.read(await file.arrayBuffer());
+        } catch (err) {
+            alert('MIDI import failed: ' + err.message);
+            return;
+        }
+
+        const app = this.app;
+        const seq = app.sequencer;
+        const mapper = this._noteMapper();
+        const kit = app._kitMode && app._kitParentSlot >= 0 ? app._kitParentSlot : -1;
+        const stepTicks = midi.ppq / 4;
+        const n = seq.stepCount;
+
+        const hits = new Map(); // "step|pad" -> { step, pad, velocity, nudge }
+        let dropped = 0, unmapped = 0;
+        for (const track of midi.tracks) {
+            for (const ev of track.events) {
+                if (ev.type !== 'on') continue;
+                const pad = mapper.mapNoteToPad(ev.note);
+                // Slots need audio to play; kit rows are always there
+                if (pad < 0 || (kit < 0 && !app.slots.slots[pad].hasAudio)) { unmapped++; continue; }
+                const pos = ev.tick / stepTicks;
+                const step = Math.round(pos);
+                if (step >= n) { dropped++; continue; }
+                const key = step + '|' + pad;
+                const prev = hits.get(key);
+                // Flams on one step: keep the louder
+                if (!prev || ev.velocity > prev.velocity) {
+                    hits.set(key, { step, pad, velocity: ev.velocity, nudge: Math.round((pos - step) * 100) / 100 });
+                }
+            }
+        }
+        if (!hits.size) {
+            alert(`Nothing to import — no notes in "${file.name}" map to a loaded pad (note map: ${mapper.noteMap})`);
+            return;
+        }
+
+        app.seq._pushSeqUndo(seq.toJSON());
+        seq.clearPattern();
+        for (const { step, pad, velocity, nudge } of hits.values()) {
+            const entry = kit >= 0
+                ? { slot: kit, kitSub: pad, pitch: 0, duration: 0, velocity }
+                : { slot: pad, pitch: 0, duration: 0, velocity };
+            if (nudge) entry.nudge = nudge;
+            seq.pattern[step].slots.push(entry);
+        }
+        // File tempo, if it has one
+        for (const track of midi.tracks) {
+            const tempo = track.events.find(ev => ev.type === 'tempo');
+            if (tempo) {
+                seq.setBpm(Math.round(tempo.bpm));
+                app.seq._updateBpmDisplay();
+                break;
+            }
+        }
+
+        if (app._seqMode) {
+            app.seq.renderSeqGrid();
+            if (app._drumGridView) app.seq._renderDrumGrid();
+        }
+        app.seq._saveSeqPattern();
+        const notes = [];
+        if (dropped) notes.push(`${dropped} past step ${n} skipped`);
+        if (unmapped) notes.push(`${unmapped} on unmapped or empty pads skipped`);
+        alert(`Imported ${hits.size} hits from "${file.name}"` + (notes.length ? ` (${notes.join(', ')})` : ''));
+    }
+}
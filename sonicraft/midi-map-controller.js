@@ -0,0 +1,507 @@
+/* midi-map-controller.js – MIDI learn for sampler, live effect and sequencer params, with named profiles */
+
+const MIDI_MAP_PROFILES_KEY = 'soniphorm-midi-profiles';
+
+// Pad params act on the selected pad, through the same slider handlers the
+// SAMPLE view uses -- so voices, labels and saving follow for free
+const midiMapPadSlider = (id, toSlider) => (app, v) => {
+    const el = document.getElementById(id);
+    el.value = toSlider(app, v);
+    el.dispatchEvent(new Event('input'));
+};
+const midiMapPad = (app) => app.sampler.pads[app.sample._sampleSelectedPad];
+const midiMapEnv = (field) => (app, v) => {
+    midiMapPad(app)[field] = v;
+    app.sample._drawEnvelopes();
+    app.sample._saveSamplerConfig();
+};
+
+// Reverb/delay: the engine, plus the selected slot's live FX settings
+// (in the FX dialog's units) so the change survives switching slots
+const midiMapLiveFx = (app, name, engineParams, slotParams) => {
+    const running = name === 'reverb' ? app.audio._liveReverb : app.audio._liveDelay;
+    if (!running) return;
+    if (name === 'reverb') app.audio.updateLiveReverb(engineParams);
+    else app.audio.updateLiveDelay(engineParams);
+    const slot = app.slots.slots[app.slots.selectedIndex];
+    if (slot && slot._liveEffects && slot._liveEffects[name]) Object.assign(slot._liveEffects[name], slotParams);
+};
+
+/**
+ * Learnable targets. Ranges are in the param's own units; `scale: 'log'`
+ * sweeps them exponentially (frequencies, times), `step` rounds, and
+ * `toggle` targets switch on/off instead of taking a value.
+ */
+const MIDI_MAP_TARGETS = {
+    'pad.volume': { group: 'Pad', label: 'Volume', min: 0, max: 1, get: (app) => midiMapPad(app).volume, set: midiMapPadSlider('pad-volume', (app, v) => Math.round(v * 100)) },
+    'pad.pitch': { group: 'Pad', label: 'Pitch', min: -24, max: 24, step: 1, get: (app) => midiMapPad(app).pitch, set: midiMapPadSlider('pad-pitch', (app, v) => Math.round(v)) },
+    'pad.attack': { group: 'Pad', label: 'Attack', min: 0.001, max: 2, scale: 'log', get: (app) => midiMapPad(app).attack, set: midiMapEnv('attack') },
+    'pad.decay': { group: 'Pad', label: 'Decay', min: 0.001, max: 2, scale: 'log', get: (app) => midiMapPad(app).decay, set: midiMapEnv('decay') },
+    'pad.sustain': { group: 'Pad', label: 'Sustain', min: 0, max: 1, get: (app) => midiMapPad(app).sustain, set: midiMapEnv('sustain') },
+    'pad.release': { group: 'Pad', label: 'Release', min: 0.005, max: 5, scale: 'log', get: (app) => midiMapPad(app).release, set: midiMapEnv('release') },
+    'pad.filter': {
+        group: 'Pad', label: 'Filter on', toggle: true,
+        get: (app) => midiMapPad(app).filterEnabled,
+        set: (app) => app.sample._togglePadFilter()
+    },
+    'pad.filterFreq': { group: 'Pad', label: 'Filter freq', min: 20, max: 20000, scale: 'log', get: (app) => midiMapPad(app).filterFreq, set: midiMapPadSlider('pad-filter-freq', (app, v) => app.sample._sliderFromFreq(v)) },
+    'pad.filterQ': { group: 'Pad', label: 'Filter Q', min: 0.1, max: 20, scale: 'log', get: (app) => midiMapPad(app).filterQ, set: midiMapPadSlider('pad-filter-q', (app, v) => Math.round(v * 10)) },
+    'pad.lfo': {
+        group: 'Pad', label: 'LFO on', toggle: true,
+        get: (app) => midiMapPad(app).lfoEnabled,
+        set: (app) => app.sample._togglePadLfo()
+    },
+    'pad.lfoRate': { group: 'Pad', label: 'LFO rate', min: 0.1, max: 20, scale: 'log', get: (app) => midiMapPad(app).lfoRate, set: midiMapPadSlider('pad-lfo-rate', (app, v) => Math.round(v * 10)) },
+    'pad.lfoDepth': { group: 'Pad', label: 'LFO depth', min: 0, max: 1, get: (app) => midiMapPad(app).lfoDepth, set: midiMapPadSlider('pad-lfo-depth', (app, v) => Math.round(v * 100)) },
+    'pad.morphAmount': { group: 'Pad', label: 'Morph amount', min: 0, max: 1, get: (app) => midiMapPad(app).morphAmount, set: midiMapPadSlider('morph-amount', (app, v) => Math.round(v * 100)) },
+
+    // Live effects on the master bus. The filter switches itself on when
+    // first moved; reverb and delay follow the slot's FX settings, so they
+    // only respond while on
+    'fx.filterFreq': {
+        group: 'Live FX', label: 'Filter freq', min: 20, max: 20000, scale: 'log',
+        get: (app) => app.audio._liveFilter ? app.audio._liveFilter.frequency.value : 20000,
+        set: (app, v) => {
+            if (app.audio._liveFilter) app.audio.updateLiveFilter({ frequency: v });
+            else app.audio.enableLiveFilter('lowpass', v, 1);
+        }
+    },
+    'fx.filterQ': {
+        group: 'Live FX', label: 'Filter Q', min: 0.1, max: 20, scale: 'log',
+        get: (app) => app.audio._liveFilter ? app.audio._liveFilter.Q.value : 1,
+        set: (app, v) => {
+            if (app.audio._liveFilter) app.audio.updateLiveFilter({ q: v });
+            else app.audio.enableLiveFilter('lowpass', 20000, v);
+        }
+    },
+    'fx.reverbMix': {
+        group: 'Live FX', label: 'Reverb mix', min: 0, max: 1,
+        get: (app) => app.audio._liveReverbWet ? app.audio._liveReverbWet.gain.value : 0,
+        set: (app, v) => midiMapLiveFx(app, 'reverb', { mix: v }, { mix: v * 100 })
+    },
+    'fx.reverbDecay': {
+        group: 'Live FX', label: 'Reverb decay', min: 0.1, max: 10, scale: 'log',
+        get: (app) => app.audio._liveReverbDecay || 2,
+        // A new decay rebuilds the impulse -- keep the mix it had
+        set: (app, v) => midiMapLiveFx(app, 'reverb', { decay: v, mix: app.audio._liveReverbWet ? app.audio._liveReverbWet.gain.value : undefined }, { decay: v })
+    },
+    'fx.delayTime': {
+        group: 'Live FX', label: 'Delay time', min: 0.01, max: 2, scale: 'log',
+        get: (app) => app.audio._liveDelay ? app.audio._liveDelay.delayTime.value : 0.3,
+        set: (app, v) => midiMapLiveFx(app, 'delay', { time: v }, { time: v * 1000 })
+    },
+    'fx.delayFeedback': {
+        group: 'Live FX', label: 'Delay feedback', min: 0, max: 0.95,
+        get: (app) => app.audio._liveDelayFeedback ? app.audio._liveDelayFeedback.gain.value : 0.4,
+        set: (app, v) => midiMapLiveFx(app, 'delay', { feedback: v }, { feedback: v * 100 })
+    },
+    'fx.delayMix': {
+        group: 'Live FX', label: 'Delay mix', min: 0, max: 1,
+        get: (app) => app.audio._liveDelayMix !== null ? app.audio._liveDelayMix : 0.5,
+        set: (app, v) => midiMapLiveFx(app, 'delay', { mix: v }, { mix: v * 100 })
+    },
+
+    'seq.bpm': {
+        group: 'Sequencer', label: 'BPM', min: 20, max: 300, step: 1,
+        get: (app) => app.sequencer.tempo,
+        set: (app, v) => {
+            app.sequencer.setBpm(v);
+            app.seq._updateBpmDisplay();
+            app.midiMap._saveSoon('bpm', () => app.seq._saveSeqPattern());
+        }
+    }
+};
+
+// Mute and solo per slot
+for (let i = 0; i < 16; i++) {
+    const name = String(i + 1).padStart(2, '0');
+    MIDI_MAP_TARGETS['seq.mute.' + i] = {
+        group: 'Sequencer', label: 'Mute ' + name, toggle: true,
+        get: (app) => app.seq._seqMutedSlots.has(i),
+        set: (app, on) => {
+            if (on) app.seq._seqMutedSlots.add(i);
+            else app.seq._seqMutedSlots.delete(i);
+            if (app._seqMode) app.seq._renderSeqSampleList();
+        }
+    };
+    MIDI_MAP_TARGETS['seq.solo.' + i] = {
+        group: 'Sequencer', label: 'Solo ' + name, toggle: true,
+        get: (app) => app.seq._seqSoloSlot === i,
+        set: (app, on) => {
+            app.seq._seqSoloSlot = on ? i : -1;
+            if (app._seqMode) app.seq._renderSeqSampleList();
+        }
+    };
+}
+
+// Response curves over the knob's travel, with their inverses for relative encoders
+const MIDI_MAP_CURVES = {
+    linear: { label: 'Linear', apply: (t) => t, invert: (t) => t },
+    exp: { label: 'Exp', apply: (t) => t * t, invert: (t) => Math.sqrt(t) },
+    log: { label: 'Log', apply: (t) => Math.sqrt(t), invert: (t) => t * t }
+};
+
+// Absolute knobs, three common relative-encoder encodings, and toggle for buttons
+const MIDI_MAP_MODES = {
+    absolute: 'Absolute',
+    'rel-2c': 'Relative (2\'s comp)',
+    'rel-bin': 'Relative (offset 64)',
+    'rel-sign': 'Relative (sign bit)',
+    toggle: 'Toggle on press'
+};
+
+class MidiMapController {
+    constructor(app) {
+        this.app = app;
+        this.profiles = {};       // name -> ccMappings
+        this.activeProfile = 'Default';
+        this._saveTimers = {};
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('midi-map-btn').addEventListener('click', () => this.open());
+        $('midi-map-learn').addEventListener('click', () => this.toggleLearn());
+        $('midi-map-profile').addEventListener('change', (e) => this.selectProfile(e.target.value));
+        $('midi-map-save-as').addEventListener('click', () => this.saveProfileAs());
+        $('midi-map-delete').addEventListener('click', () => this.deleteProfile());
+        $('midi-map-export').addEventListener('click', () => this.exportProfile());
+        $('midi-map-import').addEventListener('click', () => $('midi-map-import-input').click());
+        $('midi-map-import-input').addEventListener('change', (e) => this.importProfile(e));
+        $('midi-map-close').addEventListener('click', () => this.close());
+        this._populateTargets();
+    }
+
+    /** Called once MIDI is up and its saved mappings are loaded. */
+    attach(midi) {
+        this._load();
+        // The saved active profile wins over whatever MidiManager kept
+        if (this.profiles[this.activeProfile]) midi.ccMappings = this._copy(this.profiles[this.activeProfile]);
+        else this.profiles[this.activeProfile] = this._copy(midi.ccMappings);
+        midi.onLearnComplete = (target, cc) => {
+            document.getElementById('midi-indicator')?.classList.remove('midi-learning');
+            this._mappingsChanged();
+        };
+        midi.onLearnCancel = () => {
+            document.getElementById('midi-indicator')?.classList.remove('midi-learning');
+            this._updateLearnButton();
+        };
+    }
+
+    // === Persistence ===
+
+    _load() {
+        try {
+            const json = localStorage.getItem(MIDI_MAP_PROFILES_KEY);
+            if (!json) return;
+            const data = JSON.parse(json);
+            this.profiles = data.profiles || {};
+            this.activeProfile = data.active || 'Default';
+        } catch (e) {
+            console.warn('Failed to load MIDI profiles:', e);
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(MIDI_MAP_PROFILES_KEY, JSON.stringify({ active: this.activeProfile, profiles: this.profiles }));
+        } catch (e) {
+            console.warn('Failed to save MIDI profiles:', e);
+        }
+    }
+
+    _copy(mappings) {
+        return JSON.parse(JSON.stringify(mappings || {}));
+    }
+
+    // Knobs send bursts -- save once they settle
+    _saveSoon(key, fn) {
+        clearTimeout(this._saveTimers[key]);
+        this._saveTimers[key] = setTimeout(fn, 500);
+    }
+
+    // Mappings are edited in place on MidiManager; the active profile follows
+    _mappingsChanged() {
+        const midi = this.app.midi;
+        this.profiles[this.activeProfile] = this._copy(midi.ccMappings);
+        midi._saveSettings();
+        this._save();
+        this.render();
+    }
+
+    // === Applying CCs ===
+
+    /** MidiManager.onCC for a mapped controller. */
+    handleCC(cc, value, mapping) {
+        const target = mapping && mapping.type === 'param' ? MIDI_MAP_TARGETS[mapping.index] : null;
+        if (!target || (target.group === 'Pad' && !this.app.sampler)) return;
+        const app = this.app;
+
+        if (target.toggle) {
+            const on = !!target.get(app);
+            const want = mapping.mode === 'toggle' ? (value > 0 ? !on : on) : value >= 64;
+            if (want !== on) target.set(app, want);
+            return;
+        }
+
+        let t;
+        if (mapping.mode === 'absolute' || mapping.mode === 'toggle' || !mapping.mode) {
+            t = value / 127;
+        } else {
+            const delta = MidiMapController.relativeDelta(mapping.mode, value);
+            if (!delta) return;
+            // Stepped params move at least one step per detent
+            const span = Math.abs(mapping.max - mapping.min);
+            const tick = target.step && target.scale !== 'log' && span ? Math.max(1 / 127, target.step / span) : 1 / 127;
+            t = Math.max(0, Math.min(1, this._fromValue(mapping, target, target.get(app)) + delta * tick));
+        }
+        target.set(app, this._toValue(mapping, target, t));
+    }
+
+    /** Signed detent count from a relative encoder value. */
+    static relativeDelta(mode, value) {
+        switch (mode) {
+            case 'rel-2c': return value < 64 ? value : value - 128;
+            case 'rel-bin': return value - 64;
+            case 'rel-sign': return value & 0x40 ? -(value & 0x3F) : value & 0x3F;
+        }
+        return 0;
+    }
+
+    // 0-1 knob position -> param value, through the curve and the mapping's range
+    _toValue(mapping, target, t) {
+        const c = (MIDI_MAP_CURVES[mapping.curve] || MIDI_MAP_CURVES.linear).apply(t);
+        const { min, max } = mapping;
+        let v = target.scale === 'log' && min > 0 && max > 0
+            ? min * Math.pow(max / min, c)
+            : min + (max - min) * c;
+        if (target.step) v = Math.round(v / target.step) * target.step;
+        return v;
+    }
+
+    _fromValue(mapping, target, v) {
+        const { min, max } = mapping;
+        if (min === max) return 0;
+        const c = target.scale === 'log' && min > 0 && max > 0
+            ? Math.log(Math.max(1e-6, v) / min) / Math.log(max / min)
+            : (v - min) / (max - min);
+        return (MIDI_MAP_CURVES[mapping.curve] || MIDI_MAP_CURVES.linear).invert(Math.max(0, Math.min(1, c)));
+    }
+
+    // === Learn ===
+
+    toggleLearn() {
+        const midi = this.app.midi;
+        if (midi.isLearning()) {
+            midi.cancelLearn();
+            return;
+        }
+        const key = document.getElementById('midi-map-target').value;
+        const target = MIDI_MAP_TARGETS[key];
+        // The full mapping rides along as the learn target, defaults from the param
+        midi.startLearn({
+            type: 'param',
+            index: key,
+            min: target.toggle ? 0 : target.min,
+            max: target.toggle ? 1 : target.max,
+            curve: 'linear',
+            mode: target.toggle ? 'toggle' : 'absolute'
+        });
+        document.getElementById('midi-indicator')?.classList.add('midi-learning');
+        this._updateLearnButton();
+    }
+
+    _updateLearnButton() {
+        const btn = document.getElementById('midi-map-learn');
+        const learning = this.app.midi && this.app.midi.isLearning();
+        btn.textContent = learning ? 'Move a control… (cancel)' : 'Learn';
+        btn.classList.toggle('primary', !!learning);
+    }
+
+    // === Profiles ===
+
+    selectProfile(name) {
+        if (!this.profiles[name]) return;
+        this.activeProfile = name;
+        this.app.midi.ccMappings = this._copy(this.profiles[name]);
+        this._mappingsChanged();
+    }
+
+    saveProfileAs() {
+        const name = prompt('Profile name:', this.activeProfile === 'Default' ? '' : this.activeProfile);
+        if (!name || !name.trim()) return;
+        this.activeProfile = name.trim();
+        this._mappingsChanged();
+    }
+
+    deleteProfile() {
+        if (Object.keys(this.profiles).length <= 1) {
+            alert('Keep at least one profile');
+            return;
+        }
+        if (!confirm(`Delete profile "${this.activeProfile}"?`)) return;
+        delete this.profiles[this.activeProfile];
+        this.selectProfile(Object.keys(this.profiles)[0]);
+    }
+
+    exportProfile() {
+        const data = { name: this.activeProfile, version: 1, mappings: this._copy(this.app.midi.ccMappings) };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `soniphorm-midi-${this.activeProfile.replace(/[^\w-]+/g, '_')}.json`;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    }
+
+    async importProfile(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        e.target.value = '';
+        try {
+            const data = JSON.parse(await file.text());
+            if (!data || typeof data.mappings !== 'object') throw new Error('no mappings in file');
+            const mappings = {};
+            for (const [cc, m] of Object.entries(data.mappings)) {
+                // Only targets this build knows
+                if (m && m.type === 'param' && MIDI_MAP_TARGETS[m.index] && cc >= 0 && cc < 128) mappings[cc] = m;
+            }
+            let name = String(data.name || file.name.replace(/\.json$/i, '')).trim() || 'Imported';
+            while (this.profiles[name] && !confirm(`Replace profile "${name}"?`)) {
+                name = prompt('Profile name:', name + ' 2');
+                if (!name) return;
+            }
+            this.profiles[name] = mappings;
+            this.selectProfile(name);
+        } catch (err) {
+            console.error('MIDI profile import error:', err);
+            alert('MIDI profile import failed: ' + err.message);
+        }
+    }
+
+    // === Dialog ===
+
+    open() {
+        if (!this.app.midi || !this.app.midi.midiAccess) {
+            alert('MIDI is not available in this browser');
+            return;
+        }
+        this._updateLearnButton();
+        this.render();
+        document.getElementById('midi-map-dialog').hidden = false;
+    }
+
+    close() {
+        if (this.app.midi.isLearning()) this.app.midi.cancelLearn();
+        document.getElementById('midi-map-dialog').hidden = true;
+    }
+
+    _populateTargets() {
+        const select = document.getElementById('midi-map-target');
+        select.innerHTML = '';
+        const groups = {};
+        for (const [key, t] of Object.entries(MIDI_MAP_TARGETS)) {
+            if (!groups[t.group]) {
+                groups[t.group] = document.createElement('optgroup');
+                groups[t.group].label = t.group;
+                select.appendChild(groups[t.group]);
+            }
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = t.label;
+            groups[t.group].appendChild(opt);
+        }
+    }
+
+    render() {
+        const midi = this.app.midi;
+        const profileSel = document.getElementById('midi-map-profile');
+        profileSel.innerHTML = '';
+        for (const name of Object.keys(this.profiles)) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            profileSel.appendChild(opt);
+        }
+        profileSel.value = this.activeProfile;
+        this._updateLearnButton();
+
+        const list = document.getElementById('midi-map-list');
+        list.innerHTML = '';
+        const entries = Object.entries(midi.ccMappings)
+            .filter(([, m]) => m.type === 'param' && MIDI_MAP_TARGETS[m.index])
+            .sort((a, b) => a[0] - b[0]);
+
+        for (const [cc, mapping] of entries) {
+            const target = MIDI_MAP_TARGETS[mapping.index];
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row midi-map-row';
+
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = `CC${cc} → ${target.group} ${target.label}`;
+            row.appendChild(name);
+
+            const select = (title, options, value, onChange) => {
+                const sel = document.createElement('select');
+                sel.className = 'seq-step-select';
+                sel.title = title;
+                for (const [v, label] of Object.entries(options)) {
+                    const opt = document.createElement('option');
+                    opt.value = v;
+                    opt.textContent = label;
+                    sel.appendChild(opt);
+                }
+                sel.value = value;
+                sel.addEventListener('change', () => { onChange(sel.value); this._mappingsChanged(); });
+                row.appendChild(sel);
+            };
+
+            if (target.toggle) {
+                select('Button behaviour', { toggle: 'Toggle on press', absolute: 'On while ≥ 64' }, mapping.mode, (v) => { mapping.mode = v; });
+            } else {
+                const num = (title, key) => {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.className = 'song-entry-num';
+                    input.step = 'any';
+                    input.title = title;
+                    input.value = +mapping[key].toFixed(3);
+                    input.addEventListener('change', () => {
+                        const v = parseFloat(input.value);
+                        // Any order -- max below min turns the knob round
+                        if (!isNaN(v)) mapping[key] = Math.max(Math.min(target.min, target.max), Math.min(Math.max(target.min, target.max), v));
+                        this._mappingsChanged();
+                    });
+                    row.appendChild(input);
+                };
+                num(`Value at 0 (${target.min}–${target.max})`, 'min');
+                num(`Value at 127 (${target.min}–${target.max})`, 'max');
+                const curves = {};
+                for (const [k, c] of Object.entries(MIDI_MAP_CURVES)) curves[k] = c.label;
+                select('Curve', curves, mapping.curve || 'linear', (v) => { mapping.curve = v; });
+                const modes = Object.assign({}, MIDI_MAP_MODES);
+                delete modes.toggle;
+                select('Controller type', modes, mapping.mode || 'absolute', (v) => { mapping.mode = v; });
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'chain-stage-btn';
+            remove.innerHTML = '&#10005;';
+            remove.title = 'Remove mapping';
+            remove.addEventListener('click', () => {
+                delete midi.ccMappings[cc];
+                this._mappingsChanged();
+            });
+            row.appendChild(remove);
+            list.appendChild(row);
+        }
+
+        if (!entries.length) {
+            const hint = document.createElement('span');
+            hint.className = 'menu-hint';
+            hint.textContent = 'Pick a parameter, press Learn and move a knob or button on your controller';
+            list.appendChild(hint);
+        }
+    }
+}
@@ -1,3 +1,5 @@
+const MIDI_CLOCK_BANDWIDTH = 1; // Hz, clock follower loop bandwidth
+
 /**
  * MidiManager — Web MIDI API wrapper for Soniphorm Soundlab.
  * Handles MIDI input/output, learn mode, CC mappings, and clock sync.
@@ -15,24 +17,43 @@ class MidiManager {
         // Note mapping: 'gm' = notes 36-51, 'launchpad' = 4x4 grid bottom-left
         this.noteMap = 'gm';
 
-        // CC Mappings: { [ccNumber]: { type: 'macro', index: 0-3 } }
+        // CC Mappings: { [ccNumber]: { type: 'param', index: targetKey, min, max, curve, mode } }
+        // (see MidiMapController / MIDI_MAP_TARGETS)
         this.ccMappings = {};
 
         // MIDI Learn state
         this._learning = false;
-        this._learnTarget = null; // { type: 'macro', index: 0-3 }
+        this._learnTarget = null; // the mapping to store under the next CC
+
+        // Expression: pitch bend range (semitones) for ordinary channels and the
+        // MPE master channel, plus MPE zone config. In a zone every held note
+        // gets its own member channel, so bend/pressure/slide are per note.
+        this.bendRange = 2;
+        this.mpe = { zone: 'off', members: 15, bendRange: 48 }; // zone 'off' | 'lower' | 'upper'
+        this._chanExpr = [];     // per channel: { bend: -1..1, pressure, slide } (0-1, undefined = not sent)
+        for (let i = 0; i < 16; i++) this._chanExpr.push({ bend: 0, pressure: undefined, slide: undefined });
+        this._notePressure = {}; // 'ch:note' -> 0-1 from poly aftertouch
+        this._heldNotes = new Map(); // 'ch:note' -> { channel, note }
+        this._rpn = new Array(16).fill(null); // per channel: selected RPN (msb << 7 | lsb), null = none
 
         // Clock
         this.clockMode = 'off'; // 'off' | 'send' | 'receive'
-        this._clockTickTimes = [];
-        this._clockTickCount = 0;
+        this.clockOffset = 0;   // ms: send clock this much early (+) or late (-) for the receiver's latency
+        // Receive: a delay-locked loop smooths tick jitter into a tick period
+        // and a predicted time for the next tick (ms, performance.now() clock)
+        this._clock = { period: 0, next: 0, last: 0 };
+        this._clockPos = 0;          // song position of the next tick, in 24 PPQN ticks
+        this._clockRunning = false;  // between Start/Continue and Stop
+        this._clockPending = false;  // Start/Continue seen, waiting for its first tick
 
         // Callbacks
-        this.onNoteOn = null;       // (note, velocity) => void
-        this.onNoteOff = null;      // (note) => void
+        this.onNoteOn = null;       // (note, velocity, channel) => void
+        this.onNoteOff = null;      // (note, channel) => void
+        this.onNoteExpression = null; // (note, channel, { bend, pressure, slide }) => void
+        this.onMpeConfig = null;    // () => void, after an MPE Configuration Message
         this.onCC = null;           // (cc, value, mapping) => void
-        this.onClockTick = null;    // () => void
-        this.onClockStart = null;   // () => void
+        this.onClockTick = null;    // (pos, time, period) => void -- song position (ticks), filtered time and period (ms)
+        this.onClockStart = null;   // (pos) => void -- Start (pos 0) or Continue, on its first tick
         this.onClockStop = null;    // () => void
         this.onPortsChanged = null; // () => void
         this.onLearnComplete = null; // (target, cc) => void
@@ -130,6 +151,12 @@ class MidiManager {
         return (pad >= 0 && pad <= 15) ? pad : -1;
     }
 
+    /** The other way round: the note a pad 0-15 sends/exports under the current map. */
+    mapPadToNote(pad) {
+        if (this.noteMap === 'launchpad') return Math.floor(pad / 4) * 16 + (pad % 4);
+        return 36 + pad;
+    }
+
     // === Message Parsing ===
 
     _handleMessage(event) {
@@ -142,15 +169,19 @@ class MidiManager {
             switch (status) {
                 case 0xF8: // Clock tick
                     if (this.clockMode === 'receive') {
-                        this._handleClockTick();
+                        this._handleClockTick(event.timeStamp || performance.now());
                     }
                     return;
-                case 0xFA: // Start
-                    if (this.clockMode === 'receive' && this.onClockStart) {
-                        this.onClockStart();
-                    }
+                case 0xFA: // Start: from the top, on the next tick
+                    this._clockPos = 0;
+                    this._clockPending = true;
+                    return;
+                case 0xFB: // Continue: from the song position, on the next tick
+                    this._clockPending = true;
                     return;
                 case 0xFC: // Stop
+                    this._clockRunning = false;
+                    this._clockPending = false;
                     if (this.clockMode === 'receive' && this.onClockStop) {
                         this.onClockStop();
                     }
@@ -159,12 +190,20 @@ class MidiManager {
             return;
         }
 
+        // Song Position Pointer: 14-bit count of 16ths (6 ticks each), only
+        // meaningful while stopped -- Continue picks it up
+        if (status === 0xF2) {
+            if (data.length >= 3 && !this._clockRunning) this._clockPos = ((data[2] << 7) | data[1]) * 6;
+            return;
+        }
+
         // Channel messages
         const msgType = status & 0xF0;
         const msgChannel = status & 0x0F;
 
-        // Channel filter (0 = omni, accept all)
-        if (this.channel > 0 && msgChannel !== (this.channel - 1)) return;
+        // Channel filter (0 = omni, accept all). An MPE zone spans its own
+        // channels whatever the filter says.
+        if (this.channel > 0 && msgChannel !== (this.channel - 1) && !this._inMpeZone(msgChannel)) return;
 
         switch (msgType) {
             case 0x90: { // Note On
@@ -172,26 +211,133 @@ class MidiManager {
                 const velocity = data[2];
                 if (velocity === 0) {
                     // Note On with vel 0 = Note Off
-                    if (this.onNoteOff) this.onNoteOff(note);
+                    this._noteOff(note, msgChannel);
                 } else {
-                    if (this.onNoteOn) this.onNoteOn(note, velocity);
+                    this._heldNotes.set(msgChannel + ':' + note, { channel: msgChannel, note });
+                    delete this._notePressure[msgChannel + ':' + note];
+                    if (this.onNoteOn) this.onNoteOn(note, velocity, msgChannel);
                 }
                 break;
             }
             case 0x80: { // Note Off
-                const note = data[1];
-                if (this.onNoteOff) this.onNoteOff(note);
+                this._noteOff(data[1], msgChannel);
+                break;
+            }
+            case 0xA0: { // Polyphonic aftertouch
+                const key = msgChannel + ':' + data[1];
+                this._notePressure[key] = data[2] / 127;
+                if (this._heldNotes.has(key)) this._emitExpression(msgChannel, data[1]);
                 break;
             }
             case 0xB0: { // Control Change
                 const cc = data[1];
                 const value = data[2];
+                if (this._handleRpn(msgChannel, cc, value)) break;
+                // CC74 is slide on MPE channels only -- elsewhere it's an ordinary
+                // CC (plenty of plain controllers send filter cutoff on it)
+                if (cc === 74 && this._inMpeZone(msgChannel)) {
+                    this._chanExpr[msgChannel].slide = value / 127;
+                    this._emitExpression(msgChannel);
+                    break;
+                }
                 this._handleCC(cc, value);
                 break;
             }
+            case 0xD0: { // Channel pressure
+                this._chanExpr[msgChannel].pressure = data[1] / 127;
+                this._emitExpression(msgChannel);
+                break;
+            }
+            case 0xE0: { // Pitch bend, 14-bit centred on 8192
+                this._chanExpr[msgChannel].bend = Math.max(-1, ((data[2] << 7) | data[1]) / 8192 - 1);
+                this._emitExpression(msgChannel);
+                break;
+            }
+        }
+    }
+
+    _noteOff(note, channel) {
+        const key = channel + ':' + note;
+        this._heldNotes.delete(key);
+        delete this._notePressure[key];
+        if (this.onNoteOff) this.onNoteOff(note, channel);
+    }
+
+    // === Expression / MPE ===
+
+    /** Master channel of the MPE zone (0 lower, 15 upper), or -1 when MPE is off. */
+    mpeMasterChannel() {
+        if (this.mpe.zone === 'lower') return 0;
+        if (this.mpe.zone === 'upper') return 15;
+        return -1;
+    }
+
+    _inMpeZone(channel) {
+        if (this.mpe.zone === 'lower') return channel <= this.mpe.members;
+        if (this.mpe.zone === 'upper') return channel >= 15 - this.mpe.members;
+        return false;
+    }
+
+    _isMpeMember(channel) {
+        return this._inMpeZone(channel) && channel !== this.mpeMasterChannel();
+    }
+
+    /**
+     * Current expression of a held note: bend in semitones (member bend plus
+     * the zone's master bend under MPE), pressure and slide 0-1 -- undefined
+     * until the controller has sent them, so voices keep their trigger values.
+     */
+    noteExpression(channel, note) {
+        const ch = this._chanExpr[channel];
+        let bend = ch.bend * (this._isMpeMember(channel) ? this.mpe.bendRange : this.bendRange);
+        if (this._isMpeMember(channel)) bend += this._chanExpr[this.mpeMasterChannel()].bend * this.bendRange;
+        const poly = this._notePressure[channel + ':' + note];
+        return { bend, pressure: poly !== undefined ? poly : ch.pressure, slide: ch.slide };
+    }
+
+    // Push expression to the notes it touches: one note (poly aftertouch),
+    // the notes on a channel, or the whole zone for the MPE master's bend
+    _emitExpression(channel, note) {
+        if (!this.onNoteExpression) return;
+        const master = this._isMpeMember(channel) ? -1 : this.mpeMasterChannel();
+        for (const held of this._heldNotes.values()) {
+            if (note !== undefined && held.note !== note) continue;
+            if (held.channel === channel || (channel === master && this._isMpeMember(held.channel))) {
+                this.onNoteExpression(held.note, held.channel, this.noteExpression(held.channel, held.note));
+            }
         }
     }
 
+    /**
+     * Registered parameter numbers: CC101/100 select, CC6 sets. Handles pitch
+     * bend sensitivity (RPN 0) and the MPE Configuration Message (RPN 6 on
+     * channel 1 or 16, data = member channel count, 0 = zone off). Returns
+     * true when the CC was part of an RPN.
+     */
+    _handleRpn(channel, cc, value) {
+        const rpn = this._rpn[channel];
+        if (cc === 101) {
+            this._rpn[channel] = (value << 7) | ((rpn === null ? 0 : rpn) & 0x7F);
+            return true;
+        }
+        if (cc === 100) {
+            this._rpn[channel] = ((rpn === null ? 0 : rpn) & ~0x7F) | value;
+            return true;
+        }
+        if (cc !== 6 || rpn === null || rpn === 0x3FFF) return false;
+
+        if (rpn === 0) {
+            if (this._isMpeMember(channel)) this.mpe.bendRange = value;
+            else this.bendRange = value;
+        } else if (rpn === 6 && (channel === 0 || channel === 15)) {
+            this.mpe.zone = value === 0 ? 'off' : (channel === 0 ? 'lower' : 'upper');
+            this.mpe.members = Math.max(1, Math.min(15, value || 15));
+            if (this.onMpeConfig) this.onMpeConfig();
+        }
+        this._saveSettings();
+        return true;
+    }
+
     _handleCC(cc, value) {
         // MIDI Learn mode: map first CC received to target
         if (this._learning && this._learnTarget) {
@@ -221,32 +367,51 @@ class MidiManager {
         }
     }
 
-    _handleClockTick() {
-        this._clockTickCount++;
-        if (this.onClockTick) this.onClockTick();
-
-        // Estimate BPM from 24 PPQ ticks
-        const now = performance.now();
-        this._clockTickTimes.push(now);
-        if (this._clockTickTimes.length > 48) {
-            this._clockTickTimes.shift();
+    /**
+     * One incoming 24 PPQN tick at `t` (ms). Second-order delay-locked loop
+     * (about 1 Hz bandwidth): each tick's error against the prediction nudges
+     * both the tick time and the period, so USB/OS jitter averages out while
+     * real tempo changes still come through within a beat or two. A gap or a
+     * tick more than a period off re-seeds the loop.
+     */
+    _handleClockTick(t) {
+        const c = this._clock;
+        if (c.period && t - c.last < 500 && Math.abs(t - c.next) < c.period) {
+            const e = t - c.next;
+            const w = 2 * Math.PI * MIDI_CLOCK_BANDWIDTH * c.period / 1000;
+            c.last = c.next + Math.SQRT2 * w * e;
+            c.period += w * w * e;
+        } else {
+            if (t - c.last < 500) c.period = t - c.last;
+            else c.period = 0;
+            c.last = t;
         }
-        if (this._clockTickTimes.length >= 24) {
-            const span = this._clockTickTimes[this._clockTickTimes.length - 1] - this._clockTickTimes[0];
-            const ticks = this._clockTickTimes.length - 1;
-            const msPerTick = span / ticks;
-            const bpm = Math.round(60000 / (msPerTick * 24));
-            if (bpm >= 20 && bpm <= 300 && this.onBpmEstimate) {
-                this.onBpmEstimate(bpm);
-            }
+        c.next = c.last + c.period;
+
+        // Ticks keep coming while stopped -- the position only runs after Start/Continue
+        const pos = this._clockPos;
+        const started = this._clockPending;
+        if (started) {
+            this._clockPending = false;
+            this._clockRunning = true;
+        }
+        if (this._clockRunning) this._clockPos++;
+
+        if (c.period && this.onClockTick) this.onClockTick(pos, c.last, c.period);
+        if (started && this.onClockStart) this.onClockStart(pos);
+        if (!c.period) return;
+        const bpm = 60000 / (c.period * 24);
+        if (bpm >= 20 && bpm <= 300 && this.onBpmEstimate) {
+            this.onBpmEstimate(bpm);
         }
     }
 
     // === MIDI Output ===
 
-    _send(bytes) {
+    // timestamp: performance.now() time to send at (Web MIDI queues it), else now
+    _send(bytes, timestamp) {
         if (!this.activeOutput || !this.activeOutput.port) return;
-        this.activeOutput.port.send(bytes);
+        this.activeOutput.port.send(bytes, timestamp);
     }
 
     sendNoteOn(note, velocity, channel) {
@@ -264,8 +429,13 @@ class MidiManager {
         this._send([0xB0 | ch, cc & 0x7F, value & 0x7F]);
     }
 
-    sendClockTick() {
-        this._send([0xF8]);
+    /** Clock tick due at `timestamp` (performance.now() ms), shifted by clockOffset. */
+    sendClockTick(timestamp) {
+        if (timestamp === undefined) {
+            this._send([0xF8]);
+            return;
+        }
+        this._send([0xF8], Math.max(performance.now(), timestamp - this.clockOffset));
     }
 
     sendClockStart() {
@@ -321,7 +491,10 @@ class MidiManager {
                 channel: this.channel,
                 outChannel: this.outChannel,
                 clockMode: this.clockMode,
+                clockOffset: this.clockOffset,
                 noteMap: this.noteMap,
+                bendRange: this.bendRange,
+                mpe: this.mpe,
                 ccMappings: this.ccMappings
             };
             localStorage.setItem('soniphorm-midi', JSON.stringify(data));
@@ -338,7 +511,10 @@ class MidiManager {
             if (data.channel !== undefined) this.channel = data.channel;
             if (data.outChannel !== undefined) this.outChannel = data.outChannel;
             if (data.clockMode) this.clockMode = data.clockMode;
+            if (data.clockOffset !== undefined) this.clockOffset = data.clockOffset;
             if (data.noteMap) this.noteMap = data.noteMap;
+            if (data.bendRange !== undefined) this.bendRange = data.bendRange;
+            if (data.mpe) Object.assign(this.mpe, data.mpe);
             if (data.ccMappings) this.ccMappings = data.ccMappings;
             // Restore ports (may not be available yet on first load)
             if (data.inputId) this.selectInput(data.inputId);
@@ -0,0 +1,125 @@
+/**
+ * PatternGen — rhythm generators for one sequencer track (see
+ * GeneratorController). Pure functions over step arrays, no audio.
+ * Plain global object like Effects/DSP; load via <script> tag.
+ *
+ * Rows are arrays with one cell per step: null for a rest, or a patch of
+ * entry fields ({} for a plain hit, { velocity, nudge } for humanise) that
+ * Sequencer.setTrackCells() lays over the track's entry on that step.
+ */
+const PatternGen = {
+
+    // Euclidean variants -- all spread `hits` as evenly as possible over `steps`
+    EUCLID_VARIANTS: {
+        bjorklund: 'Bjorklund',
+        bresenham: 'Bresenham',
+        inverted: 'Inverted',
+        mirrored: 'Mirrored'
+    },
+
+    /**
+     * Bjorklund's algorithm: pair off the hit and rest groups like Euclid's
+     * remainders until at most one remainder group is left. Returns bools,
+     * starting on a hit (E(3,8) = x..x..x.).
+     */
+    bjorklund(hits, steps) {
+        if (hits <= 0) return new Array(steps).fill(false);
+        if (hits >= steps) return new Array(steps).fill(true);
+        let groups = [];
+        for (let i = 0; i < steps; i++) groups.push([i < hits]);
+        let count = hits;
+        let remainder = steps - hits;
+        while (remainder > 1) {
+            const pairs = Math.min(count, remainder);
+            const next = [];
+            for (let i = 0; i < pairs; i++) next.push(groups[i].concat(groups[groups.length - pairs + i]));
+            const rest = groups.slice(pairs, groups.length - pairs);
+            groups = next.concat(rest);
+            remainder = rest.length;
+            count = pairs;
+        }
+        return [].concat(...groups);
+    },
+
+    // Straight-line version: a hit wherever floor(i * hits / steps) steps up.
+    // Same spacing as Bjorklund but the gaps fall in a different order.
+    bresenham(hits, steps) {
+        const out = [];
+        for (let i = 0; i < steps; i++) {
+            out.push(Math.floor((i + 1) * hits / steps) !== Math.floor(i * hits / steps));
+        }
+        return out;
+    },
+
+    /**
+     * Euclidean rhythm tiled over a track of `length` steps: an
+     * E(hits, steps) cycle rotated right by `rotation` and repeated until the
+     * row is full, so 3-in-8 on 16 steps plays twice.
+     */
+    euclid(hits, steps, rotation, variant, length) {
+        steps = Math.max(1, Math.min(64, steps | 0));
+        hits = Math.max(0, Math.min(steps, hits | 0));
+        let cycle;
+        switch (variant) {
+            case 'bresenham': cycle = PatternGen.bresenham(hits, steps); break;
+            case 'inverted': cycle = PatternGen.bjorklund(hits, steps).map(h => !h); break;
+            case 'mirrored': cycle = PatternGen.bjorklund(hits, steps).reverse(); break;
+            default: cycle = PatternGen.bjorklund(hits, steps);
+        }
+        const rot = ((rotation | 0) % steps + steps) % steps;
+        const row = [];
+        for (let i = 0; i < length; i++) {
+            row.push(cycle[((i - rot) % steps + steps) % steps] ? {} : null);
+        }
+        return row;
+    },
+
+    /**
+     * Second-order Markov chain over hit/rest, trained on `rows` (bool
+     * arrays, read cyclically). The state is the last two cells plus the
+     * position in the beat, so downbeats and offbeats keep their own
+     * feel. `density` scales the chance of a hit (1 = as trained).
+     */
+    markov(rows, length, density, rand = Math.random) {
+        // counts[state] = [rests, hits], with a small prior so unseen states can go either way
+        const counts = [];
+        for (let s = 0; s < 16; s++) counts.push([0.25, 0.25]);
+        const state = (prev1, prev2, i) => (prev1 ? 1 : 0) + (prev2 ? 2 : 0) + (i % 4) * 4;
+        for (const row of rows) {
+            const n = row.length;
+            for (let i = 0; i < n; i++) {
+                const s = state(row[(i - 1 + n) % n], row[(i - 2 + n) % n], i);
+                counts[s][row[i] ? 1 : 0]++;
+            }
+        }
+
+        const out = [];
+        let prev1 = false, prev2 = false;
+        for (let i = 0; i < length; i++) {
+            const [rests, hits] = counts[state(prev1, prev2, i)];
+            const p = Math.min(1, hits / (rests + hits) * density);
+            const hit = rand() < p;
+            out.push(hit ? {} : null);
+            prev2 = prev1;
+            prev1 = hit;
+        }
+        return out;
+    },
+
+    /**
+     * Humanise a track's existing entries: nudge each hit by up to `timing`
+     * steps either way and pull its velocity down by up to `velocity`
+     * (0-1) of what it was. Rests stay rests.
+     */
+    humanise(entries, timing, velocity, rand = Math.random) {
+        return entries.map(entry => {
+            if (!entry) return null;
+            const base = entry.velocity !== undefined ? entry.velocity : 127;
+            const nudge = Math.max(-0.5, Math.min(0.5, (entry.nudge || 0) + (rand() * 2 - 1) * timing));
+            return {
+                velocity: Math.max(1, Math.round(base * (1 - rand() * velocity))),
+                nudge: Math.round(nudge * 1000) / 1000
+            };
+        });
+    }
+};
@@ -3,6 +3,21 @@
 class RecController {
     constructor(app) {
         this.app = app;
+        // Multi-track: slots armed to record together, one take per input (or
+        // stereo pair) of the selected audio input -- [{slot, inputs, gate, gateDb}]
+        this._armed = [];
+        this._inputChannels = 0; // last probed channel count of the selected input
+        this._clipUntil = [];    // per take, like _deviceClipUntil
+        // Auto record: slot the next triggered take goes into (-1 when not armed)
+        this._autoTarget = -1;
+        this._autoSettings = null;
+        this._autoTakeCount = 0;
+        // Edit history of the slot in the REC view (see Edit history below)
+        this._history = { key: null, head: 0, entries: [] };
+        this._historyQueue = Promise.resolve();
+        // FX dialog: params each effect was last run with, and the chain stage being edited
+        this._lastFxParams = {};
+        this._fxStage = null;
     }
 
     // === Recording ===
@@ -65,6 +80,8 @@ class RecController {
     }
 
     async stopRecording() {
+        if (this.app.audio.isMultiRecording) return this.stopMultiRecording();
+        if (this.app.audio.isAutoArmed) return this.disarmAutoRecord();
         this.app.audio.onRecordChunk = null;
         this.app._recChunks = null;
         this.app._recTotalLen = 0;
@@ -114,6 +131,478 @@ class RecController {
         this.app.updateToolbarState();
     }
 
+    // === Multi-track recording ===
+    //
+    // Arm several empty slots (long-press menu or the Multi-track dialog), give
+    // each an input channel or stereo pair of one multichannel interface, then
+    // REC records them all in a single pass -- AudioEngine.startMultiRecording()
+    // splits the one input stream, so every take is sample-aligned and the same
+    // length. Each take has its own gate and meter.
+
+    // Also true for the slot auto record is waiting to fill
+    isArmed(index) {
+        return this._armed.some(t => t.slot === index) || (this.app.audio.isAutoArmed && this._autoTarget === index);
+    }
+
+    hasArmedTracks() {
+        return this._armed.length > 0;
+    }
+
+    armLabel(index) {
+        if (this.app.audio.isAutoArmed && this._autoTarget === index) return 'AUTO';
+        const t = this._armed.find(a => a.slot === index);
+        return t ? 'IN ' + t.inputs.map(ch => ch + 1).join('+') : '';
+    }
+
+    toggleArm(index) {
+        if (this.app.audio.isMultiRecording) return;
+        if (this.app.audio.isAutoArmed && this._autoTarget === index) {
+            this.disarmAutoRecord();
+            return;
+        }
+        if (this.isArmed(index)) {
+            this._armed = this._armed.filter(t => t.slot !== index);
+        } else {
+            // Next input nobody's using yet, so arming slots one after another
+            // lines them up with inputs 1, 2, 3... without touching the dialog
+            const used = new Set(this._armed.flatMap(t => t.inputs));
+            let ch = 0;
+            while (used.has(ch)) ch++;
+            this._armed.push({ slot: index, inputs: [ch], gate: false, gateDb: -40 });
+            this._armed.sort((a, b) => a.slot - b.slot);
+        }
+        this.app.renderSlotGrid();
+        if (!document.getElementById('multitrack-dialog').hidden) this._renderMultitrackRows();
+    }
+
+    async openMultitrackDialog() {
+        await this.app.ensureAudioInit();
+        try {
+            this._inputChannels = await this.app.audio.getInputChannelCount(this.app._selectedInputDeviceId);
+        } catch (e) {
+            alert('Could not access microphone. Check permissions.');
+            return;
+        }
+        const hint = document.getElementById('multitrack-inputs');
+        hint.textContent = `Audio input delivers ${this._inputChannels} channel${this._inputChannels === 1 ? '' : 's'}`;
+        this._renderMultitrackRows();
+        document.getElementById('multitrack-dialog').hidden = false;
+    }
+
+    closeMultitrackDialog() {
+        document.getElementById('multitrack-dialog').hidden = true;
+    }
+
+    armNextEmptySlot() {
+        const free = this.app.slots.slots.findIndex((s, i) =>
+            !s.hasAudio && s.type !== 'kit' && !s._deviceRecording && !this.isArmed(i));
+        if (free < 0) { alert('No empty slots available'); return; }
+        this.toggleArm(free);
+    }
+
+    _renderMultitrackRows() {
+        const list = document.getElementById('multitrack-list');
+        const recording = this.app.audio.isMultiRecording;
+        list.innerHTML = '';
+        if (!this._armed.length) {
+            list.innerHTML = '<span class="menu-hint">No slots armed</span>';
+        }
+        // Mono inputs, then stereo pairs (1+2, 3+4...) -- at least the inputs
+        // already in use, even if the current device has fewer
+        const count = Math.max(this._inputChannels, ...this._armed.flatMap(t => t.inputs.map(ch => ch + 1)), 1);
+        const options = [];
+        for (let ch = 0; ch < count; ch++) options.push([ch]);
+        for (let ch = 0; ch + 1 < count; ch += 2) options.push([ch, ch + 1]);
+
+        this._armed.forEach((t, i) => {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row multitrack-row';
+
+            const label = document.createElement('span');
+            label.className = 'layer-slot-name';
+            label.textContent = String(t.slot + 1).padStart(2, '0');
+
+            const input = document.createElement('select');
+            input.className = 'menu-select';
+            input.disabled = recording;
+            for (const opt of options) {
+                const o = document.createElement('option');
+                o.value = opt.join(',');
+                o.textContent = (opt.length > 1 ? 'Stereo ' : 'In ') + opt.map(ch => ch + 1).join('+');
+                input.appendChild(o);
+            }
+            input.value = t.inputs.join(',');
+            input.addEventListener('change', () => {
+                t.inputs = input.value.split(',').map(Number);
+                this.app.renderSlotGrid();
+            });
+
+            const gate = document.createElement('input');
+            gate.type = 'checkbox';
+            gate.checked = t.gate;
+            gate.title = 'Noise gate';
+
+            const threshold = document.createElement('input');
+            threshold.type = 'range';
+            threshold.className = 'gate-slider';
+            threshold.min = -60;
+            threshold.max = 0;
+            threshold.step = 1;
+            threshold.value = t.gateDb;
+            threshold.disabled = !t.gate;
+            threshold.title = 'Gate threshold (dB)';
+
+            const db = document.createElement('span');
+            db.className = 'gate-db';
+            db.textContent = t.gateDb + 'dB';
+
+            gate.addEventListener('change', () => {
+                t.gate = gate.checked;
+                threshold.disabled = !t.gate;
+                if (recording) {
+                    this.app.audio.setGateThreshold(Math.pow(10, t.gateDb / 20), i);
+                    this.app.audio.setGateEnabled(t.gate, i);
+                }
+            });
+            threshold.addEventListener('input', () => {
+                t.gateDb = parseInt(threshold.value, 10);
+                db.textContent = t.gateDb + 'dB';
+                if (recording) this.app.audio.setGateThreshold(Math.pow(10, t.gateDb / 20), i);
+            });
+
+            const meter = document.createElement('div');
+            meter.className = 'multitrack-meter';
+            meter.innerHTML = '<div class="level-meter-fill"></div>';
+            meter.dataset.track = i;
+
+            const remove = document.createElement('button');
+            remove.className = 'dialog-btn';
+            remove.innerHTML = '&times;';
+            remove.title = 'Disarm';
+            remove.disabled = recording;
+            remove.addEventListener('click', () => this.toggleArm(t.slot));
+
+            row.append(label, input, gate, threshold, db, meter, remove);
+            list.appendChild(row);
+        });
+        document.getElementById('multitrack-add').disabled = recording;
+    }
+
+    async startMultiRecording() {
+        // Anything that got audio since it was armed (import, paste, device
+        // download) drops out rather than being recorded over
+        this._armed = this._armed.filter(t => {
+            const s = this.app.slots.slots[t.slot];
+            return !s.hasAudio && s.type !== 'kit' && !s._deviceRecording;
+        });
+        if (!this._armed.length) {
+            this.app.renderSlotGrid();
+            return;
+        }
+        try {
+            await this.app.audio.startMultiRecording(this.app._selectedInputDeviceId, this._armed.map(t => ({
+                inputs: t.inputs,
+                gate: t.gate,
+                gateThreshold: Math.pow(10, t.gateDb / 20)
+            })));
+        } catch (err) {
+            console.warn('Multi-track record failed:', err);
+            alert('Multi-track record failed: ' + err.message);
+            return;
+        }
+
+        // recordingSlotIndex keeps every existing "something is recording" guard
+        // working; the live waveform follows the selected take if it's armed
+        const shown = Math.max(0, this._armed.findIndex(t => t.slot === this.app.slots.selectedIndex));
+        this.app.recordingSlotIndex = this._armed[shown].slot;
+        this.app._recChunks = [];
+        this.app._recTotalLen = 0;
+        this._clipUntil = this._armed.map(() => 0);
+        this.app._requestWakeLock();
+        document.getElementById('rec-btn').classList.add('recording');
+        document.getElementById('waveform-empty').hidden = true;
+        this.app.renderSlotGrid();
+        if (!document.getElementById('multitrack-dialog').hidden) this._renderMultitrackRows();
+
+        this.app.audio.onRecordChunk = (chunk, track) => {
+            if (track !== shown) return;
+            this.app._recChunks.push(chunk);
+            this.app._recTotalLen += chunk.length;
+        };
+
+        const startTime = performance.now();
+        const sampleRate = this.app.audio.sampleRate || 48000;
+        const animate = () => {
+            if (!this.app.audio.isMultiRecording) return;
+            const elapsed = (performance.now() - startTime) / 1000;
+            document.getElementById('info-duration').textContent = this.app.formatTime(elapsed);
+
+            if (this.app._recChunks.length > 0 && this.app.waveform) {
+                const flat = AudioEngine._mergeChunks(this.app._recChunks);
+                this.app.waveform.updateAudio([flat], sampleRate);
+                const visibleSamples = this.app.waveform.getVisibleSamples();
+                if (flat.length > visibleSamples) {
+                    this.app.waveform.setScrollOffset(flat.length - visibleSamples);
+                }
+                this.app.waveform.render();
+            }
+            this._updateTakeMeters();
+            this.app.animFrameId = requestAnimationFrame(animate);
+        };
+        animate();
+    }
+
+    // Per-take level (same 0-1 peak + 1s clip hold as the SCM meter) on each
+    // armed slot's card and, if it's open, in the Multi-track dialog
+    _updateTakeMeters() {
+        this._armed.forEach((t, i) => {
+            const peak = this.app.audio.getInputLevel(i);
+            if (peak >= 0.98) this._clipUntil[i] = Date.now() + 1000;
+            const clip = Date.now() < this._clipUntil[i];
+            const height = `${Math.max(0, Math.min(100, peak * 100))}%`;
+            const slotEl = document.querySelector(`#slot-grid .slot[data-index="${t.slot}"]`);
+            if (slotEl) {
+                const fill = slotEl.querySelector('.slot-arm-meter .level-meter-fill');
+                if (fill) {
+                    fill.style.height = height;
+                    fill.classList.toggle('clip', clip);
+                }
+                slotEl.classList.toggle('gate-closed', t.gate && !this.app.audio.isGateOpen(i));
+            }
+            const dialogFill = document.querySelector(`#multitrack-list .multitrack-meter[data-track="${i}"] .level-meter-fill`);
+            if (dialogFill) {
+                dialogFill.style.width = height;
+                dialogFill.classList.toggle('clip', clip);
+            }
+        });
+    }
+
+    async stopMultiRecording() {
+        this.app.audio.onRecordChunk = null;
+        this.app._recChunks = null;
+        this.app._recTotalLen = 0;
+        const result = this.app.audio.stopMultiRecording();
+        const shownSlot = this.app.recordingSlotIndex;
+        const armed = this._armed;
+        this._armed = [];
+        this.app.recordingSlotIndex = -1;
+        this.app._releaseWakeLock();
+        this.cancelAnimationLoop();
+        document.getElementById('rec-btn').classList.remove('recording');
+
+        if (!result.tracks.length || result.tracks[0].channels[0].length === 0) {
+            this.app.renderSlotGrid();
+            return;
+        }
+
+        for (let i = 0; i < armed.length; i++) {
+            const t = armed[i];
+            await this.app.slots.saveSlotAudio(t.slot, result.tracks[i].channels, result.sampleRate);
+            await this.app.slots.renameSlot(t.slot, 'in' + t.inputs.map(ch => ch + 1).join('+'));
+            delete this.app._slotBuffers[t.slot];
+        }
+
+        // Show the take that was on screen while recording
+        const shown = armed.findIndex(t => t.slot === shownSlot);
+        this.app.slots.selectSlot(shownSlot);
+        this.app.channels = result.tracks[shown].channels;
+        this.app.bufferSampleRate = result.sampleRate;
+        this.app.waveform.setAudio(this.app.channels, this.app.bufferSampleRate);
+        document.getElementById('waveform-empty').hidden = true;
+        this.app.renderSlotGrid();
+        if (!document.getElementById('multitrack-dialog').hidden) this._renderMultitrackRows();
+        this.app.updateTransportInfo();
+        this.app.updateToolbarState();
+    }
+
+    // === Auto record (threshold-triggered) ===
+    //
+    // Armed-and-waiting: AudioEngine.startAutoRecording() keeps a pre-roll in the
+    // worklet and starts a take on the first hit above the threshold, ending it
+    // after the silence hold. One take into the selected (or next empty) slot,
+    // or with "each hit into the next empty slot" it stays armed and walks
+    // forward through findEmptySlot() until the slots run out.
+
+    _loadAutoSettings() {
+        const defaults = { thresholdDb: -30, preRollMs: 250, holdMs: 1000, nextEmpty: false };
+        try {
+            const json = localStorage.getItem('soniphorm-auto-rec');
+            return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    openAutoRecDialog() {
+        if (this.app.audio.isAutoArmed) {
+            this.disarmAutoRecord();
+            return;
+        }
+        if (this.app._kitMode) {
+            alert('Auto record fills slots -- leave the kit first.');
+            return;
+        }
+        if (this.app.recordingSlotIndex >= 0 || this.app._resampleTargetSlot >= 0) return;
+        const st = this._loadAutoSettings();
+        document.getElementById('auto-rec-threshold').value = st.thresholdDb;
+        document.getElementById('auto-rec-db').textContent = st.thresholdDb + 'dB';
+        document.getElementById('auto-rec-preroll').value = st.preRollMs;
+        document.getElementById('auto-rec-hold').value = st.holdMs;
+        document.getElementById('auto-rec-next').checked = st.nextEmpty;
+        document.getElementById('auto-rec-dialog').hidden = false;
+    }
+
+    // findEmptySlot(), minus the slot a finished take is still being saved into
+    // and any slot holding a not-yet-downloaded device recording
+    _nextAutoSlot(exclude = -1) {
+        const empty = this.app.slots.findEmptySlot();
+        if (empty >= 0 && empty !== exclude && !this.app.slots.slots[empty]._deviceRecording) return empty;
+        return this.app.slots.slots.findIndex((s, i) => i !== exclude && !s.hasAudio && s.type !== 'kit' && !s._deviceRecording);
+    }
+
+    async armAutoRecord() {
+        const st = {
+            thresholdDb: parseInt(document.getElementById('auto-rec-threshold').value, 10),
+            preRollMs: parseInt(document.getElementById('auto-rec-preroll').value, 10),
+            holdMs: parseInt(document.getElementById('auto-rec-hold').value, 10),
+            nextEmpty: document.getElementById('auto-rec-next').checked
+        };
+        try { localStorage.setItem('soniphorm-auto-rec', JSON.stringify(st)); } catch (e) {}
+        document.getElementById('auto-rec-dialog').hidden = true;
+
+        const selected = this.app.slots.getSelectedSlot();
+        const target = (selected && !selected.hasAudio && selected.type !== 'kit' && !selected._deviceRecording)
+            ? this.app.slots.selectedIndex : this._nextAutoSlot();
+        if (target < 0) {
+            alert('No empty slots available');
+            return;
+        }
+
+        await this.app.ensureAudioInit();
+        this.app.audio.onAutoTrigger = (preRoll) => this._onAutoTrigger(preRoll);
+        this.app.audio.onAutoTake = (take) => this._onAutoTake(take);
+        try {
+            await this.app.audio.startAutoRecording(this.app._selectedInputDeviceId, {
+                preRollMs: st.preRollMs,
+                threshold: Math.pow(10, st.thresholdDb / 20),
+                holdMs: st.holdMs
+            });
+        } catch (err) {
+            this.app.audio.onAutoTrigger = null;
+            this.app.audio.onAutoTake = null;
+            console.warn('Auto record failed:', err);
+            alert('Auto record failed: ' + err.message);
+            return;
+        }
+        this._autoSettings = st;
+        this._autoTarget = target;
+        this._autoTakeCount = 0;
+        this.app._requestWakeLock();
+        document.getElementById('auto-btn').classList.add('auto-armed');
+        this.app.renderSlotGrid();
+
+        // Meter on the target slot while waiting; live waveform + time once a take runs
+        const sampleRate = this.app.audio.sampleRate || 48000;
+        const animate = () => {
+            if (!this.app.audio.isAutoArmed) return;
+            const peak = this.app.audio.getInputLevel();
+            const fill = document.querySelector(`#slot-grid .slot[data-index="${this._autoTarget}"] .slot-arm-meter .level-meter-fill`);
+            if (fill) {
+                fill.style.height = `${Math.max(0, Math.min(100, peak * 100))}%`;
+                fill.classList.toggle('clip', peak >= 0.98);
+            }
+            if (this.app.audio.isAutoCapturing && this.app._recChunks && this.app._recChunks.length > 0) {
+                const flat = AudioEngine._mergeChunks(this.app._recChunks);
+                document.getElementById('info-duration').textContent = this.app.formatTime(flat.length / sampleRate);
+                this.app.waveform.updateAudio([flat], sampleRate);
+                const visibleSamples = this.app.waveform.getVisibleSamples();
+                if (flat.length > visibleSamples) {
+                    this.app.waveform.setScrollOffset(flat.length - visibleSamples);
+                }
+                this.app.waveform.render();
+            }
+            this.app.animFrameId = requestAnimationFrame(animate);
+        };
+        animate();
+    }
+
+    _onAutoTrigger(preRoll) {
+        const index = this._autoTarget;
+        this.app.recordingSlotIndex = index;
+        this.app._recChunks = preRoll.length ? [preRoll] : [];
+        this.app._recTotalLen = preRoll.length;
+        this.app.audio.onRecordChunk = (chunk) => {
+            this.app._recChunks.push(chunk);
+            this.app._recTotalLen += chunk.length;
+        };
+        this.app.slots.selectSlot(index);
+        this.app.channels = null;
+        document.getElementById('rec-btn').classList.add('recording');
+        document.getElementById('waveform-empty').hidden = true;
+        this.app.renderSlotGrid();
+    }
+
+    async _onAutoTake(take) {
+        const index = this._autoTarget;
+        this.app.audio.onRecordChunk = null;
+        this.app._recChunks = null;
+        this.app._recTotalLen = 0;
+        this.app.recordingSlotIndex = -1;
+        document.getElementById('rec-btn').classList.remove('recording');
+
+        // Pick the next slot before any await -- the worklet is already waiting
+        // again, and the next hit can land while this take is still saving
+        const next = this._autoSettings.nextEmpty ? this._nextAutoSlot(index) : -1;
+        if (next >= 0) {
+            this._autoTarget = next;
+            this._autoTakeCount++;
+            await this._saveAutoTake(index, take, 'hit-' + String(this._autoTakeCount).padStart(2, '0'));
+        } else {
+            await this.disarmAutoRecord();
+            await this._saveAutoTake(index, take, this._autoSettings.nextEmpty ? 'hit-' + String(this._autoTakeCount + 1).padStart(2, '0') : null);
+        }
+    }
+
+    async _saveAutoTake(index, take, name) {
+        await this.app.slots.saveSlotAudio(index, take.channels, take.sampleRate);
+        delete this.app._slotBuffers[index];
+        if (name) await this.app.slots.renameSlot(index, name);
+        if (index === this.app.slots.selectedIndex) {
+            this.app.channels = take.channels;
+            this.app.bufferSampleRate = take.sampleRate;
+            this.app.waveform.setAudio(this.app.channels, this.app.bufferSampleRate);
+            document.getElementById('waveform-empty').hidden = true;
+        }
+        if (!name) this.showRenameDialog(index);
+        this.app.renderSlotGrid();
+        this.app.updateTransportInfo();
+        this.app.updateToolbarState();
+    }
+
+    async disarmAutoRecord() {
+        if (!this.app.audio.isAutoArmed) return;
+        const take = this.app.audio.stopAutoRecording();
+        const index = this._autoTarget;
+        this._autoTarget = -1;
+        this.app.audio.onAutoTrigger = null;
+        this.app.audio.onAutoTake = null;
+        this.app.audio.onRecordChunk = null;
+        this.app._recChunks = null;
+        this.app._recTotalLen = 0;
+        this.app.recordingSlotIndex = -1;
+        this.app._releaseWakeLock();
+        this.cancelAnimationLoop();
+        document.getElementById('auto-btn').classList.remove('auto-armed');
+        document.getElementById('rec-btn').classList.remove('recording');
+
+        // Disarmed mid-take: keep what was captured, same as stopping a normal recording
+        if (take) {
+            await this._saveAutoTake(index, take, this._autoSettings.nextEmpty ? 'hit-' + String(this._autoTakeCount + 1).padStart(2, '0') : null);
+        } else {
+            this.app.renderSlotGrid();
+        }
+    }
+
     // === Resample (capture master output to slot) ===
 
     async startResample(index) {
@@ -283,43 +772,169 @@ class RecController {
 
     // === Editing ===
 
-    pushUndo() {
-        if (!this.app.channels) return;
-        this.app.undoStack.push(this.app.channels.map(ch => new Float32Array(ch)));
-        if (this.app.undoStack.length > this.app.maxUndo) {
-            this.app.undoStack.shift();
+    // === Edit history ===
+    // Per-slot and persistent (SlotManager's edit-history store): each edit is
+    // kept as the regions it changed, so undo survives reloads and slot switches
+    // and a long recording doesn't cost a full copy per step. _history mirrors
+    // the selected slot's entry list; patches stay in IndexedDB until needed.
+
+    /** History key for the audio the REC view is editing (kit pad or slot). */
+    _historyKey() {
+        const slots = this.app.slots;
+        if (this.app._kitMode) {
+            return this.app._kitSelectedSub >= 0 ? slots.kitHistoryKey(this.app._kitParentSlot, this.app._kitSelectedSub) : null;
         }
-        this.app.redoStack = [];
+        return slots.selectedIndex >= 0 ? slots.slotHistoryKey(slots.selectedIndex) : null;
+    }
+
+    // History writes and undo/redo all run through one queue: an undo tapped
+    // while the previous edit is still being stored must see that edit
+    _queueHistory(fn) {
+        const run = this._historyQueue.then(fn);
+        this._historyQueue = run.catch(err => console.warn('Edit history:', err));
+        return run;
+    }
+
+    /** (Re)load the history for whatever's now selected. */
+    loadHistory() {
+        const key = this._historyKey();
+        return this._queueHistory(async () => {
+            this._history = { key, head: 0, entries: [] };
+            if (key && this.app.channels) {
+                const h = await this.app.slots.getHistory(key);
+                // Audio changed under the history without going through it -- stale
+                if (h.entries.length && h.length !== this.app.channels[0].length) {
+                    await this.app.slots.clearHistory(key);
+                } else if (key === this._historyKey()) {
+                    this._history = { key, head: h.head, entries: h.entries };
+                }
+            }
+            this.updateUndoCount();
+        });
+    }
+
+    // SlotManager dropped a history (audio replaced, slot cleared) -- null means all
+    _onHistoryCleared(key) {
+        if (key !== null && key !== this._history.key) return;
+        this._history = { key: this._history.key, head: 0, entries: [] };
         this.updateUndoCount();
     }
 
+    /**
+     * Store an edit that turned `before` into `after`. `patches` can be given
+     * when the edit's shape is known up front (trim removes two separate runs,
+     * which a single diff region would turn into a whole-buffer copy).
+     */
+    recordEdit(key, label, op, before, after, patches = null) {
+        if (!key) return Promise.resolve();
+        return this._queueHistory(async () => {
+            const entry = {
+                label, op,
+                time: Date.now(),
+                lengthBefore: before[0].length,
+                length: after[0].length,
+                patches: patches || [AudioEngine.diffRegion(before, after)]
+            };
+            const seq = await this.app.slots.pushHistoryEntry(key, entry, this.app.maxUndo);
+            if (key !== this._history.key) return;
+            const meta = { seq, label, op, time: entry.time, lengthBefore: entry.lengthBefore, length: entry.length };
+            this._history.entries = this._history.entries.filter(e => e.seq < seq).concat(meta).slice(-this.app.maxUndo);
+            this._history.head = seq;
+            this.updateUndoCount();
+        });
+    }
+
     undo() {
-        if (this.app.undoStack.length === 0) return;
-        this.app.redoStack.push(this.app.channels.map(ch => new Float32Array(ch)));
-        this.app.channels = this.app.undoStack.pop();
-        this.refreshWaveform();
-        this.updateUndoCount();
-        if (this.app.undoStack.length === 0) {
-            // Flash warning
-            document.getElementById('undo-count').textContent = 'last undo!';
-            setTimeout(() => this.updateUndoCount(), 2000);
-        }
+        const h = this._history;
+        const i = h.entries.findIndex(e => e.seq === h.head);
+        if (i < 0) return;
+        this.jumpToHistory(i > 0 ? h.entries[i - 1].seq : h.entries[0].seq - 1);
     }
 
     redo() {
-        if (this.app.redoStack.length === 0) return;
-        this.app.undoStack.push(this.app.channels.map(ch => new Float32Array(ch)));
-        this.app.channels = this.app.redoStack.pop();
-        this.refreshWaveform();
-        this.updateUndoCount();
+        const next = this._history.entries.find(e => e.seq > this._history.head);
+        if (next) this.jumpToHistory(next.seq);
+    }
+
+    /** Step the selected slot's audio to the state right after edit `seq` (first seq - 1 = before any). */
+    jumpToHistory(seq) {
+        return this._queueHistory(async () => {
+            const h = this._history;
+            if (!this.app.channels || h.key !== this._historyKey() || seq === h.head) return;
+            const slots = this.app.slots;
+            let channels = this.app.channels;
+            const steps = seq < h.head
+                ? h.entries.filter(e => e.seq > seq && e.seq <= h.head).reverse()
+                : h.entries.filter(e => e.seq > h.head && e.seq <= seq);
+            for (const meta of steps) {
+                // Each step only makes sense on the exact audio it was taken against
+                const expected = seq < h.head ? meta.length : meta.lengthBefore;
+                const entry = await slots.getHistoryEntry(h.key, meta.seq);
+                if (!entry || channels[0].length !== expected) {
+                    alert('Edit history no longer matches this audio and was cleared');
+                    await slots.clearHistory(h.key);
+                    return;
+                }
+                channels = AudioEngine.applyPatches(channels,
+                    seq < h.head ? AudioEngine.invertPatches(entry.patches) : entry.patches);
+            }
+            h.head = seq;
+            await slots.setHistoryHead(h.key, seq, channels[0].length);
+            this.app.channels = channels;
+            this.app.waveform.clearSelection();
+            this.saveCurrentSlot();
+            this.refreshWaveform();
+            this.updateUndoCount();
+            if (!document.getElementById('history-dialog').hidden) this._renderHistoryList();
+        });
     }
 
     updateUndoCount() {
         const el = document.getElementById('undo-count');
-        const n = this.app.undoStack.length;
+        const h = this._history;
+        const n = h.entries.filter(e => e.seq <= h.head).length;
         el.textContent = n > 0 ? `${n}/${this.app.maxUndo}` : '';
         document.getElementById('undo-btn').disabled = n === 0;
-        document.getElementById('redo-btn').disabled = this.app.redoStack.length === 0;
+        document.getElementById('redo-btn').disabled = !h.entries.some(e => e.seq > h.head);
+        document.getElementById('history-btn').disabled = h.entries.length === 0;
+    }
+
+    openHistoryDialog() {
+        if (!this._history.entries.length) return;
+        this._renderHistoryList();
+        document.getElementById('history-dialog').hidden = false;
+    }
+
+    _renderHistoryList() {
+        const list = document.getElementById('history-list');
+        const h = this._history;
+        const sr = this.app.bufferSampleRate;
+        list.innerHTML = '';
+        const addRow = (seq, text, detail) => {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row history-row';
+            row.classList.toggle('current', seq === h.head);
+            row.classList.toggle('undone', seq > h.head);
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = text;
+            const info = document.createElement('span');
+            info.className = 'history-detail';
+            info.textContent = detail;
+            row.appendChild(name);
+            row.appendChild(info);
+            row.addEventListener('click', () => this.jumpToHistory(seq));
+            list.appendChild(row);
+        };
+        const first = h.entries[0];
+        addRow(first.seq - 1, first.seq === 1 ? 'Original' : 'Oldest kept', this.app.formatTime(first.lengthBefore / sr));
+        for (const e of h.entries) {
+            const region = e.op && e.op.end > e.op.start
+                ? `${this.app.formatTime(e.op.start / sr)}–${this.app.formatTime(e.op.end / sr)}`
+                : this.app.formatTime(e.length / sr);
+            const time = new Date(e.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            addRow(e.seq, e.label, `${region} · ${time}`);
+        }
     }
 
     applyEdit(operation) {
@@ -331,12 +946,16 @@ class RecController {
 
         if (start === end) return;
 
-        this.pushUndo();
-        let result;
+        const before = this.app.channels;
+        let result, patches = null;
 
         switch (operation) {
             case 'trim':
                 result = AudioEngine.trim(this.app.channels, start, end);
+                patches = [
+                    { at: end, removed: before.map(ch => ch.slice(end)), inserted: before.map(() => new Float32Array(0)) },
+                    { at: 0, removed: before.map(ch => ch.slice(0, start)), inserted: before.map(() => new Float32Array(0)) }
+                ];
                 break;
             case 'cut':
                 result = AudioEngine.cut(this.app.channels, start, end);
@@ -366,6 +985,7 @@ class RecController {
         }
 
         this.app.channels = result;
+        this.recordEdit(this._historyKey(), RecController.EDIT_LABELS[operation], { name: operation, start, end }, before, result, patches);
         this.saveCurrentSlot();
         this.refreshWaveform();
 
@@ -375,6 +995,11 @@ class RecController {
         }
     }
 
+    static EDIT_LABELS = {
+        trim: 'Trim', cut: 'Cut', silence: 'Silence', fadeIn: 'Fade in', fadeOut: 'Fade out',
+        reverse: 'Reverse', normalise: 'Normalise', paste: 'Paste'
+    };
+
     copySelection() {
         if (!this.app.channels) return;
         const sel = this.app.waveform.getSelection();
@@ -393,13 +1018,62 @@ class RecController {
         }
     }
 
+    // === Beat grid ===
+
+    /** Set the sequencer's tempo to the shown slot's detected BPM. */
+    setSeqBpmFromSlot() {
+        const meta = this.app._activeSlotMeta();
+        if (!meta || !meta.tempo) return;
+        this.app.sequencer.setBpm(meta.tempo.bpm);
+        this.app.seq._updateBpmDisplay();
+        this.app.seq._saveSeqPattern();
+    }
+
+    /**
+     * Time-stretch the shown slot from its detected BPM to the sequencer's,
+     * as one undoable edit (the Time Stretch effect over the whole slot).
+     */
+    async stretchToSeqBpm() {
+        const meta = this.app._activeSlotMeta();
+        const ch = this.app.channels;
+        if (!ch || !meta || !meta.tempo) return;
+        const fx = Effects.registry.timestretch;
+        const range = fx.params.find(p => p.key === 'rate');
+        const target = this.app.sequencer.tempo;
+        const rate = meta.tempo.bpm / target;
+        if (Math.abs(rate - 1) < 0.001) return;
+        if (rate < range.min || rate > range.max) {
+            alert(`${meta.tempo.bpm.toFixed(1)} to ${target.toFixed(1)} BPM is more than Time Stretch can do (${range.min}x-${range.max}x)`);
+            return;
+        }
+
+        const btn = document.getElementById('beat-fit-btn');
+        const label = btn.textContent;
+        btn.textContent = 'STRETCHING...';
+        btn.disabled = true;
+        try {
+            const sr = this.app.bufferSampleRate;
+            const params = { rate };
+            const result = await fx.process(ch, sr, 0, ch[0].length, params);
+            await this._commitProcessed(fx.label, { name: 'timestretch', start: 0, end: ch[0].length, params }, ch, result, sr);
+        } catch (err) {
+            console.error('Stretch to sequencer BPM failed:', err);
+            alert('Stretch failed: ' + err.message);
+        } finally {
+            btn.textContent = label;
+            this.app._refreshBeatGrid();
+        }
+    }
+
     // === Save / Load ===
 
+    // Only ever called for edits (and undo/redo of them), which are already in
+    // the edit history -- so the save mustn't clear it
     async saveCurrentSlot() {
         if (!this.app.channels) return;
         if (this.app._kitMode) {
             const subIndex = this.app._kitSelectedSub;
-            await this.app.slots.saveKitSlotAudio(this.app._kitParentSlot, subIndex, this.app.channels, this.app.bufferSampleRate);
+            await this.app.slots.saveKitSlotAudio(this.app._kitParentSlot, subIndex, this.app.channels, this.app.bufferSampleRate, true);
             // Update buffer cache
             if (this.app.audio.audioContext) {
                 const buf = this.app.audio.audioContext.createBuffer(
@@ -415,7 +1089,7 @@ class RecController {
         }
         const idx = this.app.slots.selectedIndex;
         if (idx < 0) return;
-        await this.app.slots.saveSlotAudio(idx, this.app.channels, this.app.bufferSampleRate);
+        await this.app.slots.saveSlotAudio(idx, this.app.channels, this.app.bufferSampleRate, true);
         // Invalidate cached AudioBuffer so sampler/sequencer/gen pick up the edit
         delete this.app._slotBuffers[idx];
         this.app.renderSlotGrid();
@@ -442,8 +1116,15 @@ class RecController {
             sampleRate = data.sampleRate;
         }
 
-        const blob = AudioEngine.encodeWAV(channels, sampleRate);
         const name = this.app.slots.slots[index].name || 'recording';
+        // Connected to SCM: upload to its SD card (see App._uploadToDevice()).
+        // Otherwise fall back to a browser download of the same WAV.
+        if (this.app.device && this.app.device.isConnected()) {
+            this.app._uploadToDevice(channels, sampleRate, name, index);
+            return;
+        }
+
+        const blob = AudioEngine.encodeWAV(channels, sampleRate);
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
         const filename = `soniphorm-${name}-${timestamp}.wav`;
 
@@ -468,8 +1149,7 @@ class RecController {
                 const subIndex = this.app._kitSelectedSub;
                 this.app.channels = decoded.channels;
                 this.app.bufferSampleRate = decoded.sampleRate;
-                this.app.undoStack = [];
-                this.app.redoStack = [];
+                this.loadHistory();
 
                 const name = file.name.replace(/\.[^.]+$/, '').slice(0, 32);
                 await this.app.slots.saveKitSlotAudio(this.app._kitParentSlot, subIndex, this.app.channels, this.app.bufferSampleRate);
@@ -513,8 +1193,7 @@ class RecController {
             this.app.slots.selectSlot(targetIndex);
             this.app.channels = decoded.channels;
             this.app.bufferSampleRate = decoded.sampleRate;
-            this.app.undoStack = [];
-            this.app.redoStack = [];
+            this.loadHistory();
 
             const name = file.name.replace(/\.[^.]+$/, '').slice(0, 32);
             await this.app.slots.saveSlotAudio(targetIndex, this.app.channels, this.app.bufferSampleRate);
@@ -537,9 +1216,9 @@ class RecController {
     /** Load the active audio channels — pad buffer from IDB in sample mode, else rec view. */
     async _getActiveChannels() {
         if (this.app._sampleMode) {
-            const slot = this.app.slots.slots[this.app._sampleSelectedPad];
+            const slot = this.app.slots.slots[this.app.sample._sampleSelectedPad];
             if (!slot || !slot.hasAudio) return null;
-            const data = await this.app.slots.getSlotAudio(this.app._sampleSelectedPad);
+            const data = await this.app.slots.getSlotAudio(this.app.sample._sampleSelectedPad);
             return data ? data.channels : null;
         }
         return this.app.channels;
@@ -548,21 +1227,26 @@ class RecController {
     /** Get sample rate for active audio. */
     _getActiveSampleRate() {
         if (this.app._sampleMode) {
-            const slot = this.app.slots.slots[this.app._sampleSelectedPad];
+            const slot = this.app.slots.slots[this.app.sample._sampleSelectedPad];
             return (slot && slot.sampleRate) || (this.app.audio.audioContext && this.app.audio.audioContext.sampleRate) || 44100;
         }
         return this.app.bufferSampleRate;
     }
 
-    openFxDialog(fxName) {
+    /**
+     * stage: a chain stage ({ fx, params }) being edited from the chain dialog --
+     * the dialog then sets the stage's params instead of processing anything.
+     */
+    openFxDialog(fxName, stage = null) {
         if (this.app._sampleMode) {
-            const slot = this.app.slots.slots[this.app._sampleSelectedPad];
+            const slot = this.app.slots.slots[this.app.sample._sampleSelectedPad];
             if (!slot || !slot.hasAudio) return;
         } else if (!this.app.channels) return;
         const fx = Effects.registry[fxName];
         if (!fx) return;
 
         this._currentFx = fxName;
+        this._fxStage = stage;
         document.getElementById('fx-title').textContent = fx.label;
 
         // Build parameter controls
@@ -623,34 +1307,20 @@ class RecController {
             container.appendChild(div);
         });
 
-        // For reverb/delay, pre-populate from existing live effect settings
+        // Start from the stage being edited, the slot's live reverb/delay, or
+        // whatever this effect was last run with -- not the defaults every time
         const slot = this.app.slots.slots[this.app.slots.selectedIndex];
         const slotFx = slot && slot._liveEffects;
-        if ((fxName === 'reverb' || fxName === 'delay') && slotFx && slotFx[fxName]) {
-            const saved = slotFx[fxName];
-            fx.params.forEach(p => {
-                if (saved[p.key] !== undefined) {
-                    const paramEl = document.querySelector(`#fx-params [data-key="${p.key}"]`);
-                    if (paramEl) {
-                        if (paramEl.dataset.scale === 'log') {
-                            const logMin = Math.log(p.min);
-                            const logMax = Math.log(p.max);
-                            const logVal = Math.log(saved[p.key]);
-                            paramEl.value = Math.round(((logVal - logMin) / (logMax - logMin)) * 1000);
-                        } else {
-                            paramEl.value = saved[p.key];
-                        }
-                        paramEl.dispatchEvent(new Event('input'));
-                    }
-                }
-            });
-            // Update Apply button to say "Set Live"
-            document.getElementById('fx-apply').textContent = 'Set Live';
-        } else if (fxName === 'reverb' || fxName === 'delay') {
-            document.getElementById('fx-apply').textContent = 'Set Live';
-        } else {
-            document.getElementById('fx-apply').textContent = 'Apply';
+        const live = !stage && (fxName === 'reverb' || fxName === 'delay');
+        if (stage) {
+            this._setFxParams(fx, stage.params);
+        } else if (live && slotFx && slotFx[fxName]) {
+            this._setFxParams(fx, slotFx[fxName]);
+        } else if (this._lastFxParams[fxName]) {
+            this._setFxParams(fx, this._lastFxParams[fxName]);
         }
+        document.getElementById('fx-apply').textContent = stage ? 'Set' : live ? 'Set Live' : 'Apply';
+        this._renderFxPresetOptions();
 
         document.getElementById('fx-dialog').hidden = false;
     }
@@ -658,6 +1328,65 @@ class RecController {
     closeFxDialog() {
         document.getElementById('fx-dialog').hidden = true;
         this._currentFx = null;
+        this._fxStage = null;
+    }
+
+    _setFxParams(fx, values) {
+        fx.params.forEach(p => {
+            if (values[p.key] === undefined) return;
+            const paramEl = document.querySelector(`#fx-params [data-key="${p.key}"]`);
+            if (!paramEl) return;
+            if (paramEl.dataset.scale === 'log') {
+                const logMin = Math.log(p.min);
+                const logMax = Math.log(p.max);
+                const logVal = Math.log(values[p.key]);
+                paramEl.value = Math.round(((logVal - logMin) / (logMax - logMin)) * 1000);
+            } else {
+                paramEl.value = values[p.key];
+            }
+            paramEl.dispatchEvent(new Event('input'));
+        });
+    }
+
+    // --- Per-effect presets (stored by FxChainController) ---
+
+    _renderFxPresetOptions() {
+        const select = document.getElementById('fx-preset-select');
+        const presets = this.app.fxChain.getEffectPresets(this._currentFx);
+        select.innerHTML = '<option value="">Preset…</option>';
+        for (const name of Object.keys(presets).sort()) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            select.appendChild(opt);
+        }
+        document.getElementById('fx-preset-delete').disabled = true;
+    }
+
+    loadFxPreset(name) {
+        document.getElementById('fx-preset-delete').disabled = !name;
+        if (!name || !this._currentFx) return;
+        const params = this.app.fxChain.getEffectPresets(this._currentFx)[name];
+        if (params) this._setFxParams(Effects.registry[this._currentFx], params);
+    }
+
+    saveFxPreset() {
+        if (!this._currentFx) return;
+        const current = document.getElementById('fx-preset-select').value;
+        const name = prompt('Preset name:', current || '');
+        if (!name || !name.trim()) return;
+        this.app.fxChain.saveEffectPreset(this._currentFx, name.trim(), this._gatherFxParams());
+        this._renderFxPresetOptions();
+        document.getElementById('fx-preset-select').value = name.trim();
+        document.getElementById('fx-preset-delete').disabled = false;
+    }
+
+    deleteFxPreset() {
+        const name = document.getElementById('fx-preset-select').value;
+        if (!name || !this._currentFx) return;
+        if (!confirm(`Delete preset "${name}"?`)) return;
+        this.app.fxChain.deleteEffectPreset(this._currentFx, name);
+        this._renderFxPresetOptions();
     }
 
     _gatherFxParams() {
@@ -724,10 +1453,19 @@ class RecController {
         const fxName = this._currentFx;
         const fx = Effects.registry[fxName];
         const params = this._gatherFxParams();
+        this._lastFxParams[fxName] = params;
+
+        // Editing a chain stage: hand the params back, nothing is processed yet
+        if (this._fxStage) {
+            this._fxStage.params = params;
+            this.closeFxDialog();
+            this.app.fxChain.renderStages();
+            return;
+        }
 
         // Reverb and delay: apply as live (non-destructive) per-slot effects
         if (fxName === 'reverb' || fxName === 'delay') {
-            const slotIdx = this.app._sampleMode ? this.app._sampleSelectedPad : this.app.slots.selectedIndex;
+            const slotIdx = this.app._sampleMode ? this.app.sample._sampleSelectedPad : this.app.slots.selectedIndex;
             const slot = this.app.slots.slots[slotIdx];
             if (!slot._liveEffects) slot._liveEffects = {};
             slot._liveEffects[fxName] = Object.assign({}, params);
@@ -745,26 +1483,11 @@ class RecController {
         document.getElementById('fx-cancel').disabled = true;
 
         try {
-            if (this.app._sampleMode) {
-                // Apply destructively to the selected pad's slot
-                const slotIdx = this.app._sampleSelectedPad;
-                const result = await fx.process(ch, sr, start, end, params);
-                await this.app.slots.saveSlotAudio(slotIdx, result, sr);
-                // Rebuild sampler buffer cache
-                await this.app.seq._seqPreloadBuffers();
-                this.app.sample.renderSampleGrid();
-                this.closeFxDialog();
-            } else {
-                this.pushUndo();
-                const result = await fx.process(ch, sr, start, end, params);
-                this.app.channels = result;
-                this.saveCurrentSlot();
-                this.refreshWaveform();
-                this.closeFxDialog();
-            }
+            const result = await fx.process(ch, sr, start, end, params);
+            await this._commitProcessed(fx.label, { name: fxName, start, end, params }, ch, result, sr);
+            this.closeFxDialog();
         } catch (e) {
             console.error('FX apply error:', e);
-            if (!this.app._sampleMode) this.undo();
             alert('Effect processing failed');
         } finally {
             applyBtn.textContent = 'Apply';
@@ -774,6 +1497,28 @@ class RecController {
         }
     }
 
+    /**
+     * Store a processed result over the active audio as one edit-history step:
+     * the selected pad's slot in sample mode (applied destructively), else the
+     * REC view's slot.
+     */
+    async _commitProcessed(label, op, ch, result, sr) {
+        if (this.app._sampleMode) {
+            const slotIdx = this.app.sample._sampleSelectedPad;
+            await this.recordEdit(this.app.slots.slotHistoryKey(slotIdx), label, op, ch, result);
+            await this.app.slots.saveSlotAudio(slotIdx, result, sr, true);
+            // Rebuild sampler buffer cache -- the preload keeps what's cached
+            delete this.app._slotBuffers[slotIdx];
+            await this.app.seq._seqPreloadBuffers();
+            this.app.sample.renderSampleGrid();
+        } else {
+            this.app.channels = result;
+            this.recordEdit(this._historyKey(), label, op, ch, result);
+            this.saveCurrentSlot();
+            this.refreshWaveform();
+        }
+    }
+
     _applySlotLiveEffects() {
         const slot = this.app.slots.slots[this.app.slots.selectedIndex];
         const fx = slot && slot._liveEffects;
@@ -803,7 +1548,7 @@ class RecController {
     async bounceToSlot() {
         // In sample mode with morph, bounce the morphed buffer
         if (this.app._sampleMode) {
-            const padIdx = this.app._sampleSelectedPad;
+            const padIdx = this.app.sample._sampleSelectedPad;
             const pad = this.app.sampler.pads[padIdx];
             if (pad.mode === 'morph') {
                 const morphBuf = this.app.sampler._getMorphBuffer(padIdx);
@@ -1053,15 +1798,15 @@ class RecController {
         applyBtn.disabled = true;
 
         try {
-            this.pushUndo();
-            const result = await this._processCross(this.app.channels, this.app.bufferSampleRate, start, end);
+            const before = this.app.channels;
+            const result = await this._processCross(before, this.app.bufferSampleRate, start, end);
             this.app.channels = result;
+            this.recordEdit(this._historyKey(), 'Cross-slot', { name: 'cross', start, end }, before, result);
             this.saveCurrentSlot();
             this.refreshWaveform();
             document.getElementById('cross-dialog').hidden = true;
         } catch (e) {
             console.error('Cross-slot apply error:', e);
-            this.undo();
             alert('Cross-slot processing failed');
         } finally {
             applyBtn.textContent = 'Apply';
@@ -1400,7 +2145,10 @@ class RecController {
             // Gather localStorage configs
             const configKeys = {
                 sampler: 'soniphorm-sampler',
-                seqBanks: 'soniphorm-seq-banks'
+                seqBanks: 'soniphorm-seq-banks',
+                seqSong: 'soniphorm-seq-song',
+                dmxScenes: 'soniphorm-dmx-scenes',
+                dmxPatch: 'soniphorm-dmx-patch'
             };
             for (const [key, lsKey] of Object.entries(configKeys)) {
                 try {
@@ -1536,8 +2284,11 @@ class RecController {
             // Clear localStorage configs
             localStorage.removeItem('soniphorm-sampler');
             localStorage.removeItem('soniphorm-seq-banks');
+            localStorage.removeItem('soniphorm-seq-song');
             localStorage.removeItem('soniphorm-seq-pattern');
             localStorage.removeItem('soniphorm-gen-config');
+            localStorage.removeItem('soniphorm-dmx-scenes');
+            localStorage.removeItem('soniphorm-dmx-patch');
             for (let i = 0; i < 16; i++) {
                 localStorage.removeItem('soniphorm-kit-pads-' + i);
             }
@@ -1605,6 +2356,9 @@ class RecController {
             const cfg = manifest.config || {};
             if (cfg.sampler) localStorage.setItem('soniphorm-sampler', JSON.stringify(cfg.sampler));
             if (cfg.seqBanks) localStorage.setItem('soniphorm-seq-banks', JSON.stringify(cfg.seqBanks));
+            if (cfg.seqSong) localStorage.setItem('soniphorm-seq-song', JSON.stringify(cfg.seqSong));
+            if (cfg.dmxScenes) localStorage.setItem('soniphorm-dmx-scenes', JSON.stringify(cfg.dmxScenes));
+            if (cfg.dmxPatch) localStorage.setItem('soniphorm-dmx-patch', JSON.stringify(cfg.dmxPatch));
             if (cfg.kitPads) {
                 for (const [slotIdx, padCfg] of Object.entries(cfg.kitPads)) {
                     localStorage.setItem('soniphorm-kit-pads-' + slotIdx, JSON.stringify(padCfg));
@@ -1614,12 +2368,14 @@ class RecController {
             // Reload live configs
             if (this.app.sample) this.app.sample._loadSamplerConfig();
             if (this.app.seq) this.app.seq._loadSeqPattern();
+            if (this.app.song) this.app.song.reload();
+            if (this.app.dmxShow) this.app.dmxShow.reload();
+            if (this.app.dmxFixtures) this.app.dmxFixtures.reload();
 
             // Reset app state
             this.app.channels = null;
             this.app.clipboard = null;
-            this.app.undoStack = [];
-            this.app.redoStack = [];
+            this.loadHistory();
             this.app._slotBuffers = {};
 
             // Switch to REC mode and refresh UI
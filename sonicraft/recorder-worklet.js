@@ -4,28 +4,64 @@
  * and sends them to the main thread via postMessage.
  *
  * Replaces the deprecated ScriptProcessorNode.
+ *
+ * Multi-track: pass processorOptions.tracks = [{ inputs: [0], gate, gateThreshold },
+ * { inputs: [2, 3] }, ...] to split one multichannel input into several takes
+ * (mono or stereo, any input channel per take). Every take is filled from the
+ * same process() call at the same write position, so they stay sample-aligned
+ * by construction -- no per-take start offsets to reconcile on the main thread.
+ * Each take has its own gate; the gate only ever ramps samples to zero, never
+ * drops them, for the same reason. Without processorOptions.tracks it's the
+ * original single mono take off input channel 0, with the original message shape.
+ *
+ * Auto record: processorOptions.auto = { preRoll, threshold, hold } (samples,
+ * linear, samples) turns the single take into armed-and-waiting -- a rolling
+ * pre-roll ring until the first sample at/above threshold, then {triggered,
+ * preRoll} followed by normal chunks, until `hold` samples in a row stay below
+ * threshold; the partial last chunk goes out with `released: true` and it's
+ * back to waiting for the next hit. While waiting only {level} is posted.
  */
 class RecorderProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
+        const opts = (options && options.processorOptions) || {};
+        this._multi = Array.isArray(opts.tracks) && opts.tracks.length > 0;
         this._bufferSize = 4096;
-        this._buffer = new Float32Array(this._bufferSize);
         this._writePos = 0;
-        this._peak = 0;
         this._active = true;
 
-        // Noise gate state
-        this._gateEnabled = false;
-        this._gateThreshold = 0.01; // linear amplitude
-        this._gateOpen = true;
-        this._gateRamp = 1.0; // 0-1 for click-free transitions
+        this._tracks = (this._multi ? opts.tracks : [{ inputs: [0] }]).map(t => ({
+            inputs: t.inputs,
+            buffers: t.inputs.map(() => new Float32Array(this._bufferSize)),
+            peak: 0,
+            // Noise gate state
+            gateEnabled: !!t.gate,
+            gateThreshold: t.gateThreshold !== undefined ? t.gateThreshold : 0.01, // linear amplitude
+            gateOpen: true,
+            gateRamp: 1.0 // 0-1 for click-free transitions
+        }));
+
+        const auto = !this._multi && opts.auto;
+        this._auto = auto ? {
+            threshold: auto.threshold,
+            hold: auto.hold,
+            ring: new Float32Array(auto.preRoll || 0),
+            ringPos: 0,
+            ringFill: 0,
+            capturing: false,
+            silent: 0,
+            levelPeak: 0,
+            levelCount: 0
+        } : null;
 
         this.port.onmessage = (e) => {
             if (e.data === 'stop') {
                 this._active = false;
             } else if (e.data && typeof e.data === 'object') {
-                if (e.data.gate !== undefined) this._gateEnabled = !!e.data.gate;
-                if (e.data.gateThreshold !== undefined) this._gateThreshold = e.data.gateThreshold;
+                const t = this._tracks[e.data.track || 0];
+                if (!t) return;
+                if (e.data.gate !== undefined) t.gateEnabled = !!e.data.gate;
+                if (e.data.gateThreshold !== undefined) t.gateThreshold = e.data.gateThreshold;
             }
         };
     }
@@ -36,42 +72,139 @@ class RecorderProcessor extends AudioWorkletProcessor {
         const input = inputs[0];
         if (!input || input.length === 0 || input[0].length === 0) return true;
 
-        const channelData = input[0];
+        const frames = input[0].length;
 
-        if (this._gateEnabled) {
-            // Compute per-frame peak for gate decision
-            let framePeak = 0;
-            for (let i = 0; i < channelData.length; i++) {
-                const abs = Math.abs(channelData[i]);
-                if (abs > framePeak) framePeak = abs;
+        for (const t of this._tracks) {
+            if (t.gateEnabled) {
+                // Compute per-frame peak for gate decision (loudest channel of the take)
+                let framePeak = 0;
+                for (const ch of t.inputs) {
+                    const data = input[ch];
+                    if (!data) continue;
+                    for (let i = 0; i < frames; i++) {
+                        const abs = Math.abs(data[i]);
+                        if (abs > framePeak) framePeak = abs;
+                    }
+                }
+                t.gateOpen = framePeak >= t.gateThreshold;
             }
-            this._gateOpen = framePeak >= this._gateThreshold;
+            t.targetRamp = (t.gateEnabled && !t.gateOpen) ? 0 : 1;
         }
 
-        const targetRamp = (this._gateEnabled && !this._gateOpen) ? 0 : 1;
+        if (this._auto) this._processAuto(input, frames);
+        else this._record(input, 0, frames);
+        return true;
+    }
 
-        for (let i = 0; i < channelData.length; i++) {
-            // Smooth ramp towards target (1/64 convergence per sample for click-free)
-            this._gateRamp += (targetRamp - this._gateRamp) * (1 / 64);
+    _record(input, from, to) {
+        for (let i = from; i < to; i++) {
+            for (const t of this._tracks) {
+                // Smooth ramp towards target (1/64 convergence per sample for click-free)
+                t.gateRamp += (t.targetRamp - t.gateRamp) * (1 / 64);
 
-            const sample = channelData[i] * this._gateRamp;
-            this._buffer[this._writePos] = sample;
+                for (let c = 0; c < t.inputs.length; c++) {
+                    // An input channel the interface didn't deliver records as silence
+                    // rather than shifting the take out of alignment
+                    const data = input[t.inputs[c]];
+                    const sample = data ? data[i] * t.gateRamp : 0;
+                    t.buffers[c][this._writePos] = sample;
 
-            const abs = Math.abs(sample);
-            if (abs > this._peak) this._peak = abs;
+                    const abs = Math.abs(sample);
+                    if (abs > t.peak) t.peak = abs;
+                }
+            }
 
             this._writePos++;
             if (this._writePos >= this._bufferSize) {
-                this.port.postMessage(
-                    { chunk: this._buffer, peak: this._peak, gateOpen: this._gateOpen },
-                    [this._buffer.buffer]
-                );
-                this._buffer = new Float32Array(this._bufferSize);
+                this._flush();
                 this._writePos = 0;
-                this._peak = 0;
             }
         }
-        return true;
+    }
+
+    _processAuto(input, frames) {
+        const a = this._auto;
+        const data = input[0];
+        let from = 0;
+
+        if (!a.capturing) {
+            // Trigger on the raw input, not the gated signal -- the gate can be
+            // closed at exactly the moment the hit arrives
+            let hit = -1;
+            for (let i = 0; i < frames; i++) {
+                const abs = Math.abs(data[i]);
+                if (abs > a.levelPeak) a.levelPeak = abs;
+                if (abs >= a.threshold) { hit = i; break; }
+                if (a.ring.length) {
+                    a.ring[a.ringPos] = data[i];
+                    a.ringPos = (a.ringPos + 1) % a.ring.length;
+                    if (a.ringFill < a.ring.length) a.ringFill++;
+                }
+            }
+            if (hit < 0) {
+                // Level only, at the rate chunks would arrive, so the meter still moves
+                a.levelCount += frames;
+                if (a.levelCount >= this._bufferSize) {
+                    this.port.postMessage({ level: a.levelPeak });
+                    a.levelCount = 0;
+                    a.levelPeak = 0;
+                }
+                return;
+            }
+
+            // Unroll the ring oldest-first
+            const preRoll = new Float32Array(a.ringFill);
+            const start = a.ring.length ? (a.ringPos - a.ringFill + a.ring.length) % a.ring.length : 0;
+            for (let i = 0; i < a.ringFill; i++) preRoll[i] = a.ring[(start + i) % a.ring.length];
+            this.port.postMessage({ triggered: true, preRoll }, [preRoll.buffer]);
+
+            a.capturing = true;
+            a.silent = 0;
+            a.ringPos = 0;
+            a.ringFill = 0;
+            a.levelPeak = 0;
+            a.levelCount = 0;
+            this._writePos = 0;
+            from = hit;
+        }
+
+        this._record(input, from, frames);
+        for (let i = from; i < frames; i++) {
+            if (Math.abs(data[i]) >= a.threshold) a.silent = 0;
+            else a.silent++;
+        }
+
+        // Silence hold elapsed -- checked per render quantum, so a take can run
+        // up to 128 samples past the hold
+        if (a.silent >= a.hold) {
+            const t = this._tracks[0];
+            const chunk = t.buffers[0].slice(0, this._writePos);
+            this.port.postMessage({ chunk, peak: t.peak, gateOpen: t.gateOpen, released: true }, [chunk.buffer]);
+            t.peak = 0;
+            this._writePos = 0;
+            a.capturing = false;
+        }
+    }
+
+    _flush() {
+        if (this._multi) {
+            const transfer = [];
+            const tracks = this._tracks.map(t => {
+                for (const b of t.buffers) transfer.push(b.buffer);
+                return { chunks: t.buffers, peak: t.peak, gateOpen: t.gateOpen };
+            });
+            this.port.postMessage({ tracks }, transfer);
+        } else {
+            const t = this._tracks[0];
+            this.port.postMessage(
+                { chunk: t.buffers[0], peak: t.peak, gateOpen: t.gateOpen },
+                [t.buffers[0].buffer]
+            );
+        }
+        for (const t of this._tracks) {
+            t.buffers = t.inputs.map(() => new Float32Array(this._bufferSize));
+            t.peak = 0;
+        }
     }
 }
 
@@ -22,9 +22,11 @@ class SampleController {
         this.app.sampler.getSlotBuffer = (slotIndex) => {
             return this.app._slotBuffers[slotIndex] || null;
         };
+        this.app.sampler.getTempo = () => this.app.sequencer.tempo;
 
         this.app.sampler.onTrigger = (slotIndex) => {
             this._sampleHighlightPad(slotIndex, true);
+            this.app.dmxShow.onPadTrigger(slotIndex);
         };
         this.app.sampler.onRelease = (slotIndex) => {
             this._sampleHighlightPad(slotIndex, false);
@@ -234,6 +236,7 @@ class SampleController {
 
         // Load this slot's audio into the waveform if switching pads
         if (index !== this._sampleSelectedPad) {
+            this.app.loopFinder.close();
             this._sampleSelectedPad = index;
             const data = await this.app.slots.getSlotAudio(index);
             if (data) {
@@ -291,6 +294,7 @@ class SampleController {
 
     setPadMode(mode) {
         const pad = this.app.sampler.pads[this._sampleSelectedPad];
+        if (mode !== 'loop') this.app.loopFinder.close();
         pad.mode = mode;
 
         // Update toggle active states
@@ -435,6 +439,9 @@ class SampleController {
         document.getElementById('pad-lfo-depth-val').textContent = Math.round(pad.lfoDepth * 100) + '%';
         document.getElementById('pad-lfo-shape').value = pad.lfoShape;
 
+        // TIME panel
+        this._renderPadTime(pad);
+
         // MORPH panel
         if (pad.mode === 'morph') {
             this._populateMorphTargets();
@@ -450,6 +457,7 @@ class SampleController {
         document.getElementById('panel-env').hidden = (tabName !== 'env');
         document.getElementById('panel-filter').hidden = (tabName !== 'filter');
         document.getElementById('panel-lfo').hidden = (tabName !== 'lfo');
+        document.getElementById('panel-time').hidden = (tabName !== 'time');
         document.getElementById('panel-morph').hidden = (tabName !== 'morph');
         document.getElementById('panel-fx').hidden = (tabName !== 'fx');
         if (tabName === 'env') this._drawEnvelopes();
@@ -890,6 +898,49 @@ class SampleController {
         this._saveSamplerConfig();
     }
 
+    _renderPadTime(pad) {
+        const stretching = pad.timeMode === 'stretch';
+        document.getElementById('pad-time-mode').value = pad.timeMode;
+        const slider = document.getElementById('pad-stretch');
+        slider.value = Math.round(Math.log2(pad.stretch) * 100);
+        slider.disabled = !stretching || pad.syncBeats > 0;
+        document.getElementById('pad-stretch-val').textContent = pad.syncBeats > 0 ? 'sync' : Math.round(pad.stretch * 100) + '%';
+        const sync = document.getElementById('pad-sync-beats');
+        sync.value = String(pad.syncBeats);
+        sync.disabled = !stretching;
+        const formant = document.getElementById('pad-formant-toggle');
+        formant.textContent = pad.formant ? 'ON' : 'OFF';
+        formant.classList.toggle('active', pad.formant);
+        formant.disabled = !stretching;
+    }
+
+    _updatePadTime() {
+        const idx = this._sampleSelectedPad;
+        const pad = this.app.sampler.pads[idx];
+        pad.timeMode = document.getElementById('pad-time-mode').value;
+        pad.stretch = Math.pow(2, parseInt(document.getElementById('pad-stretch').value) / 100);
+        const sync = document.getElementById('pad-sync-beats').value;
+        if (sync === 'auto') {
+            // Nearest power-of-two beat count at the current tempo
+            const buf = this.app.sampler.getSlotBuffer(idx);
+            const seconds = buf ? Sampler.fitSeconds(pad, buf, pad.mode === 'loop') : 0;
+            pad.syncBeats = seconds > 0 ? StretchSource.guessBeats(seconds, this.app.sequencer.tempo) : 0;
+        } else {
+            pad.syncBeats = parseInt(sync);
+        }
+        // A mode change needs a retrigger; speed and sync apply live
+        this.app.sampler.updateStretch(idx);
+        this._renderPadTime(pad);
+        this._saveSamplerConfig();
+    }
+
+    _togglePadFormant() {
+        const pad = this.app.sampler.pads[this._sampleSelectedPad];
+        pad.formant = !pad.formant;
+        this._renderPadTime(pad);
+        this._saveSamplerConfig();
+    }
+
     // === Chromatic Keyboard ===
 
     _toggleChromaticMode() {
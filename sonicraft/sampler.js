@@ -6,10 +6,16 @@
  *   - 16 pads with keyboard mapping (4x4: 1-4 / Q-R / A-F / Z-V)
  *   - Play modes: oneshot, loop, gate (hold-to-play), morph
  *   - Per-pad ADSR envelope, volume, biquad filter, LFO
+ *   - Time modes: 'rate' (tape -- pitch and length move together) or
+ *     'stretch' (StretchSource: independent pitch / speed, optional
+ *     formant preservation, loops that follow the sequencer tempo)
  *   - Morph mode: real-time creative inter-sample processing
  *   - Voice management with per-pad polyphony control
  */
 class Sampler {
+    // Source buffer -> { key, buffer }: its copy with a pad's loop crossfade baked in
+    static _xfadeBuffers = new WeakMap();
+
     constructor(audioContext) {
         this.audioContext = audioContext;
 
@@ -47,6 +53,7 @@ class Sampler {
 
         // Callbacks
         this.getSlotBuffer = null;  // (slotIndex) => AudioBuffer | null
+        this.getTempo = null;       // () => BPM that tempo-synced pads fit to
         this.onTrigger = null;      // (slotIndex)
         this.onRelease = null;      // (slotIndex)
     }
@@ -77,12 +84,18 @@ class Sampler {
             regionEnd: -1,
             loopStart: -1,
             loopEnd: -1,
+            loopXfade: 0,       // ms crossfaded into the loop seam at playback (see loopBuffer())
+            loopXfadeShape: 'equal', // 'equal' (power) | 'linear'
             pitchEnvEnabled: false,
             pitchEnvAmount: 12,
             pitchEnvAttack: 0.01,
             pitchEnvDecay: 0.3,
             pitchEnvSustain: 0,
-            pitchEnvRelease: 0.1
+            pitchEnvRelease: 0.1,
+            timeMode: 'rate',
+            stretch: 1,         // 'stretch' mode speed, 1 = original length
+            formant: false,
+            syncBeats: 0        // > 0: fit the region (or loop) to this many beats
         };
     }
 
@@ -162,8 +175,12 @@ class Sampler {
 
     // === Polyphonic MIDI triggering ===
 
-    /** Trigger a voice tracked under a string key (e.g. 'midi-60') for polyphonic MIDI. */
-    triggerPoly(padIndex, semitones, voiceKey) {
+    /**
+     * Trigger a voice tracked under a string key (e.g. 'midi-0-60') for
+     * polyphonic MIDI. `expression` is the note's starting bend/pressure/slide
+     * (see setPolyExpression) -- MPE controllers send them before the note.
+     */
+    triggerPoly(padIndex, semitones, voiceKey, velocity = 1, expression = null) {
         if (!this.audioContext) return;
         const pad = this.pads[padIndex];
         const buffer = this._getPlayBuffer(padIndex);
@@ -175,17 +192,102 @@ class Sampler {
         const origMode = pad.mode;
         pad.pitch = semitones;
         pad.mode = 'gate';
-        this._startVoice(padIndex, buffer, true, voiceKey);
+        this._startVoice(padIndex, buffer, true, voiceKey, velocity);
         pad.pitch = origPitch;
         pad.mode = origMode;
+        if (expression) this.setPolyExpression(voiceKey, expression, 0);
         if (this.onTrigger) this.onTrigger(padIndex);
     }
 
+    /**
+     * Per-note expression on a playing poly voice, through its own nodes:
+     * bend (semitones) on top of the trigger pitch, pressure (0-1) scaling the
+     * volume from a quarter up to full, slide (0-1) moving the filter cutoff
+     * +-3 octaves around the pad's (a bypassed filter can only close). Fields
+     * left undefined keep their current value. Changes glide over `smooth` s.
+     */
+    setPolyExpression(voiceKey, expression, smooth = 0.01) {
+        const voice = this._voices[voiceKey];
+        if (!voice) return;
+        const now = this.audioContext.currentTime;
+        const glide = (param, value) => {
+            if (smooth > 0) param.setTargetAtTime(value, now, smooth);
+            else param.setValueAtTime(value, now);
+        };
+        if (expression.bend !== undefined) {
+            glide(voice.source.playbackRate, voice.baseRate * Math.pow(2, expression.bend / 12));
+        }
+        if (expression.pressure !== undefined) {
+            glide(voice.volumeGain.gain, voice.baseVolume * (0.25 + 0.75 * expression.pressure));
+        }
+        if (expression.slide !== undefined) {
+            const nyquist = this.audioContext.sampleRate / 2;
+            const freq = voice.baseFilterFreq * Math.pow(2, (expression.slide - 0.5) * 6);
+            glide(voice.filter.frequency, Math.max(20, Math.min(nyquist, freq)));
+        }
+    }
+
     /** Release a polyphonic voice by its tracking key. */
     releasePoly(voiceKey, releaseTime) {
         this._fadeOutVoice(voiceKey, releaseTime || 0.05);
     }
 
+    /** Re-fit playing tempo-synced voices after a tempo change. */
+    setTempo(bpm) {
+        if (!this.audioContext) return;
+        for (const voice of Object.values(this._voices)) {
+            if (voice.pad.syncBeats > 0) this._fitSpeed(voice, bpm);
+        }
+    }
+
+    /** Apply a pad's stretch speed / beat sync to its playing voice. */
+    updateStretch(slotIndex) {
+        const voice = this._voices[slotIndex];
+        if (voice) this._fitSpeed(voice, this.getTempo ? this.getTempo() : 0);
+    }
+
+    _fitSpeed(voice, bpm) {
+        if (!voice.source.speed) return; // tape-mode voice
+        const speed = StretchSource.padSpeed(voice.pad, voice.syncSeconds, bpm);
+        voice.source.speed.setTargetAtTime(speed, this.audioContext.currentTime, 0.02);
+    }
+
+    /** Seconds of `buffer` a synced pad fits to its beats: its loop when looping with one, else its region. */
+    static fitSeconds(pad, buffer, loop) {
+        const regStart = pad.regionStart || 0;
+        const regEnd = (pad.regionEnd > 0) ? Math.min(pad.regionEnd, buffer.duration) : buffer.duration;
+        if (loop && pad.loopStart >= 0 && pad.loopEnd >= 0) {
+            return Math.min(regEnd, pad.loopEnd) - Math.max(regStart, pad.loopStart);
+        }
+        return regEnd - regStart;
+    }
+
+    /**
+     * What a pad with loop points loops: `buffer` itself, or with a playback
+     * crossfade set, a copy with that crossfade baked into the seam (see
+     * DSP.crossfadeLoop) -- made once per buffer and loop/crossfade setting.
+     * Voices pick it up when they start, so a change lands on the next trigger.
+     */
+    static loopBuffer(ctx, buffer, pad) {
+        if (!pad || !(pad.loopXfade > 0) || !(pad.loopStart >= 0 && pad.loopEnd > pad.loopStart)) return buffer;
+        const key = [pad.loopStart, pad.loopEnd, pad.loopXfade, pad.loopXfadeShape].join(':');
+        const cached = Sampler._xfadeBuffers.get(buffer);
+        if (cached && cached.key === key) return cached.buffer;
+
+        const sr = buffer.sampleRate;
+        const channels = [];
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+        const faded = DSP.crossfadeLoop(channels,
+            Math.round(Math.min(pad.loopStart, buffer.duration) * sr),
+            Math.round(Math.min(pad.loopEnd, buffer.duration) * sr),
+            Math.round(pad.loopXfade / 1000 * sr),
+            pad.loopXfadeShape);
+        const out = ctx.createBuffer(channels.length, buffer.length, sr);
+        faded.forEach((data, ch) => out.getChannelData(ch).set(data));
+        Sampler._xfadeBuffers.set(buffer, { key, buffer: out });
+        return out;
+    }
+
     // === Voice Management ===
 
     updateRegion(slotIndex, regionStart, regionEnd) {
@@ -228,9 +330,19 @@ class Sampler {
         const ctx = this.audioContext;
         const now = ctx.currentTime;
 
-        // 1. BufferSource
-        const source = ctx.createBufferSource();
-        source.buffer = buffer;
+        // Region bounds
+        const regStart = pad.regionStart || 0;
+        const regEnd = (pad.regionEnd > 0) ? Math.min(pad.regionEnd, buffer.duration) : buffer.duration;
+        const regDuration = regEnd - regStart;
+        const hasExplicitLoop = (pad.loopStart >= 0 && pad.loopEnd >= 0);
+        const syncSeconds = Sampler.fitSeconds(pad, buffer, loop);
+        // A position LFO moves the seam, so a crossfade baked at the loop points wouldn't follow it
+        if (loop && hasExplicitLoop && !(pad.lfoEnabled && pad.lfoTarget === 'position')) {
+            buffer = Sampler.loopBuffer(ctx, buffer, pad);
+        }
+
+        // 1. BufferSource (or StretchSource in 'stretch' time mode)
+        const source = StretchSource.forPad(ctx, buffer, pad, syncSeconds, this.getTempo ? this.getTempo() : 0);
         source.loop = loop;
         if (pad.pitch !== 0) {
             source.playbackRate.setValueAtTime(Math.pow(2, pad.pitch / 12), now);
@@ -245,13 +357,7 @@ class Sampler {
             source.detune.linearRampToValueAtTime(sustainCents, now + pad.pitchEnvAttack + pad.pitchEnvDecay);
         }
 
-        // Region bounds
-        const regStart = pad.regionStart || 0;
-        const regEnd = (pad.regionEnd > 0) ? Math.min(pad.regionEnd, buffer.duration) : buffer.duration;
-        const regDuration = regEnd - regStart;
-
         if (loop) {
-            const hasExplicitLoop = (pad.loopStart >= 0 && pad.loopEnd >= 0);
             if (hasExplicitLoop) {
                 source.loopStart = Math.max(regStart, pad.loopStart);
                 source.loopEnd = Math.min(regEnd, pad.loopEnd);
@@ -388,7 +494,16 @@ class Sampler {
             }
         };
 
-        this._voices[vk] = { source, envelopeGain, volumeGain, filter, lfo, lfoGain, posLfoInterval, startTime: now };
+        this._voices[vk] = {
+            source, envelopeGain, volumeGain, filter, lfo, lfoGain, posLfoInterval, startTime: now,
+            // What per-note expression (setPolyExpression) works from
+            baseRate: Math.pow(2, pad.pitch / 12),
+            baseVolume: pad.volume * Math.max(0, Math.min(1, velocity)),
+            baseFilterFreq: pad.filterEnabled ? pad.filterFreq : 22000,
+            // What setTempo / updateStretch re-fit the speed from
+            pad,
+            syncSeconds
+        };
     }
 
     _stopVoice(slotIndex) {
@@ -689,12 +804,18 @@ class Sampler {
                 regionEnd: p.regionEnd,
                 loopStart: p.loopStart,
                 loopEnd: p.loopEnd,
+                loopXfade: p.loopXfade,
+                loopXfadeShape: p.loopXfadeShape,
                 pitchEnvEnabled: p.pitchEnvEnabled,
                 pitchEnvAmount: p.pitchEnvAmount,
                 pitchEnvAttack: p.pitchEnvAttack,
                 pitchEnvDecay: p.pitchEnvDecay,
                 pitchEnvSustain: p.pitchEnvSustain,
-                pitchEnvRelease: p.pitchEnvRelease
+                pitchEnvRelease: p.pitchEnvRelease,
+                timeMode: p.timeMode,
+                stretch: p.stretch,
+                formant: p.formant,
+                syncBeats: p.syncBeats
             }))
         };
     }
@@ -729,12 +850,18 @@ class Sampler {
                 this.pads[i].regionEnd = p.regionEnd !== undefined ? p.regionEnd : def.regionEnd;
                 this.pads[i].loopStart = p.loopStart !== undefined ? p.loopStart : def.loopStart;
                 this.pads[i].loopEnd = p.loopEnd !== undefined ? p.loopEnd : def.loopEnd;
+                this.pads[i].loopXfade = p.loopXfade !== undefined ? p.loopXfade : def.loopXfade;
+                this.pads[i].loopXfadeShape = p.loopXfadeShape || def.loopXfadeShape;
                 this.pads[i].pitchEnvEnabled = p.pitchEnvEnabled !== undefined ? p.pitchEnvEnabled : def.pitchEnvEnabled;
                 this.pads[i].pitchEnvAmount = p.pitchEnvAmount !== undefined ? p.pitchEnvAmount : def.pitchEnvAmount;
                 this.pads[i].pitchEnvAttack = p.pitchEnvAttack !== undefined ? p.pitchEnvAttack : def.pitchEnvAttack;
                 this.pads[i].pitchEnvDecay = p.pitchEnvDecay !== undefined ? p.pitchEnvDecay : def.pitchEnvDecay;
                 this.pads[i].pitchEnvSustain = p.pitchEnvSustain !== undefined ? p.pitchEnvSustain : def.pitchEnvSustain;
                 this.pads[i].pitchEnvRelease = p.pitchEnvRelease !== undefined ? p.pitchEnvRelease : def.pitchEnvRelease;
+                this.pads[i].timeMode = p.timeMode || def.timeMode;
+                this.pads[i].stretch = p.stretch !== undefined ? p.stretch : def.stretch;
+                this.pads[i].formant = p.formant !== undefined ? p.formant : def.formant;
+                this.pads[i].syncBeats = p.syncBeats !== undefined ? p.syncBeats : def.syncBeats;
             }
         }
     }
@@ -0,0 +1,395 @@
+// sd-browser-controller.js — SCM SD card file browser (#sd-browser-dialog)
+//
+// Lists directories on the device through DeviceController.listDir(), and runs
+// batch actions on the checked files: download to the computer, rename (FMOVE),
+// delete (FILE_DELETE), or import into slots / kit sub-slots. Every transfer
+// goes through the same single-file-at-a-time FILE_SEND path the background
+// recording download uses, so the browser waits for that queue (and any
+// Save-to-SCM upload) before starting its own.
+
+class SdBrowserController {
+    constructor(app) {
+        this.app = app;
+        this._path = '/';
+        this._entries = [];
+        this._selected = new Set();  // entry paths
+        this._busy = false;
+        // path -> {channels, sampleRate}, so a preview followed by an import
+        // doesn't pull the same file over BLE twice. Cleared on close.
+        this._decoded = new Map();
+        this._previewPath = null;
+    }
+
+    get device() {
+        return this.app.device;
+    }
+
+    // === Open / close ===
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('sd-browser-up').addEventListener('click', () => {
+            if (this._path === '/') return;
+            this.navigate(this._path.substring(0, this._path.lastIndexOf('/')) || '/');
+        });
+        $('sd-browser-refresh').addEventListener('click', () => this.navigate(this._path));
+        $('sd-browser-close').addEventListener('click', () => this.close());
+        $('sd-browser-download').addEventListener('click', () => this.downloadSelected());
+        $('sd-browser-rename').addEventListener('click', () => this.renameSelected());
+        $('sd-browser-delete').addEventListener('click', () => this.deleteSelected());
+        $('sd-browser-import').addEventListener('click', () => this.importSelected());
+    }
+
+    async open() {
+        if (!this.device || !this.device.isConnected()) {
+            alert('Not connected to SCM -- connect via USB or Bluetooth first.');
+            return;
+        }
+        this._buildTargetOptions();
+        document.getElementById('sd-browser-dialog').hidden = false;
+        await this.navigate(this._path);
+        this._updateSpace();
+    }
+
+    close() {
+        if (this._busy && !confirm('A transfer is still running -- close anyway? It will finish in the background.')) return;
+        this._stopPreview();
+        this._decoded.clear();
+        document.getElementById('sd-browser-dialog').hidden = true;
+    }
+
+    async navigate(path) {
+        const list = document.getElementById('sd-browser-list');
+        document.getElementById('sd-browser-path').textContent = path;
+        list.innerHTML = '';
+        this._setStatus('Listing…');
+        try {
+            this._entries = await this.device.listDir(path);
+            this._path = path;
+            this._selected.clear();
+            this._renderList();
+            this._setStatus(this._entries.length ? '' : 'Empty directory');
+        } catch (err) {
+            console.warn('[device] LS failed:', err);
+            this._setStatus('Listing failed: ' + err.message);
+        }
+    }
+
+    async _updateSpace() {
+        const el = document.getElementById('sd-browser-space');
+        el.textContent = '';
+        try {
+            const space = await this.device.getSdSpace();
+            if (space) el.textContent = `${this._formatSize(space.freeBytes)} free of ${this._formatSize(space.totalBytes)} (${space.pct}% used)`;
+        } catch (_) {}
+    }
+
+    // === List ===
+
+    _renderList() {
+        const list = document.getElementById('sd-browser-list');
+        list.innerHTML = '';
+        for (const entry of this._entries) {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row sd-browser-row';
+
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.disabled = entry.isDir;
+            cb.checked = this._selected.has(entry.path);
+            cb.addEventListener('change', () => {
+                if (cb.checked) this._selected.add(entry.path);
+                else this._selected.delete(entry.path);
+            });
+
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = entry.isDir ? entry.name + '/' : entry.name;
+            if (entry.isDir) {
+                name.classList.add('sd-browser-dir');
+                name.addEventListener('click', () => this.navigate(entry.path));
+            }
+
+            const size = document.createElement('span');
+            size.className = 'sd-browser-meta';
+            size.textContent = entry.isDir ? '' : this._formatSize(entry.size);
+
+            row.appendChild(cb);
+            row.appendChild(name);
+            row.appendChild(size);
+
+            if (this._isWav(entry)) {
+                const play = document.createElement('button');
+                play.className = 'dialog-btn sd-browser-play';
+                play.innerHTML = this._previewPath === entry.path ? '&#9632;' : '&#9654;';
+                play.title = 'Preview';
+                play.addEventListener('click', () => this.togglePreview(entry));
+                row.appendChild(play);
+            }
+            list.appendChild(row);
+        }
+    }
+
+    _selectedEntries() {
+        return this._entries.filter(e => !e.isDir && this._selected.has(e.path));
+    }
+
+    _isWav(entry) {
+        return !entry.isDir && /\.wav$/i.test(entry.name);
+    }
+
+    // === Transfers ===
+
+    /**
+     * Wait out the background recording-download queue and any Save-to-SCM
+     * upload -- firmware only runs one file transfer at a time and answers a
+     * second FILE_SEND with "transfer already in progress".
+     */
+    async _waitForIdleLink() {
+        while (this.app._deviceDownloadQueueRunning || this.device.isUploading()) {
+            this._setStatus('Waiting for another device transfer to finish…');
+            await new Promise(r => setTimeout(r, 500));
+        }
+    }
+
+    async _fetch(entry, label) {
+        await this._waitForIdleLink();
+        try {
+            return await this.device.downloadFile(entry.path, (pct) => this._setStatus(`${label} ${entry.name}… ${Math.round(pct)}%`));
+        } catch (err) {
+            // Firmware's side of a failed transfer stays marked active until told otherwise
+            await this.device.cancelDownload();
+            throw err;
+        }
+    }
+
+    async _fetchDecoded(entry, label) {
+        if (this._decoded.has(entry.path)) return this._decoded.get(entry.path);
+        await this.app.ensureAudioInit();
+        const buf = await this._fetch(entry, label);
+        const data = await AudioEngine.decodeBlob(new Blob([buf]), this.app.audio.audioContext);
+        this._decoded.set(entry.path, data);
+        return data;
+    }
+
+    async togglePreview(entry) {
+        if (this._previewPath === entry.path) {
+            this._stopPreview();
+            this._renderList();
+            return;
+        }
+        if (this._busy) return;
+        this._busy = true;
+        try {
+            const data = await this._fetchDecoded(entry, 'Loading');
+            this.app.audio.play(data.channels, data.sampleRate, 0, null, () => {
+                this._previewPath = null;
+                this._renderList();
+            });
+            this._previewPath = entry.path;
+            this._setStatus('');
+        } catch (err) {
+            console.warn('[device] preview failed:', err);
+            this._setStatus('Preview failed: ' + err.message);
+        } finally {
+            this._busy = false;
+            this._renderList();
+        }
+    }
+
+    _stopPreview() {
+        if (this._previewPath) {
+            this.app.audio.stop();
+            this._previewPath = null;
+        }
+    }
+
+    async downloadSelected() {
+        const entries = this._selectedEntries();
+        if (!entries.length || this._busy) return;
+        this._busy = true;
+        try {
+            for (const entry of entries) {
+                const buf = await this._fetch(entry, 'Downloading');
+                const a = document.createElement('a');
+                a.href = URL.createObjectURL(new Blob([buf], { type: this._isWav(entry) ? 'audio/wav' : 'application/octet-stream' }));
+                a.download = entry.name;
+                a.click();
+                URL.revokeObjectURL(a.href);
+                // Small delay between downloads so browser doesn't block them
+                await new Promise(r => setTimeout(r, 300));
+            }
+            this._setStatus(`Downloaded ${entries.length} file${entries.length > 1 ? 's' : ''}`);
+        } catch (err) {
+            console.warn('[device] browser download failed:', err);
+            this._setStatus('Download failed: ' + err.message);
+        } finally {
+            this._busy = false;
+        }
+    }
+
+    /**
+     * One new name per checked file. Several files get numbered from the one
+     * name entered (kick -> kick-1.wav, kick-2.wav...), extension kept as-is.
+     */
+    async renameSelected() {
+        const entries = this._selectedEntries();
+        if (!entries.length || this._busy) return;
+        const first = entries[0].name.replace(/\.[^.]+$/, '');
+        const input = prompt(entries.length > 1 ? `New base name for ${entries.length} files` : 'New name', first);
+        const base = (input || '').trim().replace(/\s+/g, '-');
+        if (!base) return;
+
+        this._busy = true;
+        try {
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                const ext = (entry.name.match(/\.[^.]+$/) || [''])[0];
+                const newName = entries.length > 1 ? `${base}-${i + 1}${ext}` : base + ext;
+                if (newName === entry.name) continue;
+                const dir = entry.path.substring(0, entry.path.lastIndexOf('/'));
+                this._setStatus(`Renaming ${entry.name}…`);
+                await this.device.renameFile(entry.path, `${dir}/${newName}`);
+                this._decoded.delete(entry.path);
+            }
+            this._busy = false;
+            await this.navigate(this._path);
+        } catch (err) {
+            console.warn('[device] browser rename failed:', err);
+            this._setStatus('Rename failed: ' + err.message);
+        } finally {
+            this._busy = false;
+        }
+    }
+
+    async deleteSelected() {
+        const entries = this._selectedEntries();
+        if (!entries.length || this._busy) return;
+        if (!confirm(`Delete ${entries.length} file${entries.length > 1 ? 's' : ''} from the SD card? This can't be undone.`)) return;
+
+        this._busy = true;
+        try {
+            this._stopPreview();
+            for (const entry of entries) {
+                this._setStatus(`Deleting ${entry.name}…`);
+                await this.device.deleteFile(entry.path);
+                this._decoded.delete(entry.path);
+            }
+            this._busy = false;
+            await this.navigate(this._path);
+            this._updateSpace();
+        } catch (err) {
+            console.warn('[device] browser delete failed:', err);
+            this._setStatus('Delete failed: ' + err.message);
+        } finally {
+            this._busy = false;
+        }
+    }
+
+    // === Import ===
+
+    // "slots" or "kit:<parentSlot>" -- kits listed by name so any kit can be
+    // filled from here, not only the one currently open in kit mode.
+    _buildTargetOptions() {
+        const select = document.getElementById('sd-browser-target');
+        const prev = select.value;
+        select.innerHTML = '';
+        const add = (value, text) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            select.appendChild(opt);
+        };
+        add('slots', 'Next empty slots');
+        this.app.slots.slots.forEach((s, i) => {
+            if (s.type === 'kit') add('kit:' + i, `Kit ${String(i + 1).padStart(2, '0')} — ${s.name || 'Kit'} (empty pads)`);
+        });
+        if ([...select.options].some(o => o.value === prev)) select.value = prev;
+        else if (this.app._kitMode) select.value = 'kit:' + this.app._kitParentSlot;
+    }
+
+    _nextTargets(target, count) {
+        const out = [];
+        if (target === 'slots') {
+            for (let i = 0; i < this.app.slots.slots.length && out.length < count; i++) {
+                const s = this.app.slots.slots[i];
+                if (!s.hasAudio && s.type !== 'kit' && !s._deviceRecording) out.push(i);
+            }
+        } else {
+            const parent = parseInt(target.split(':')[1], 10);
+            for (let j = 0; j < KIT_SUB_COUNT && out.length < count; j++) {
+                const meta = this.app.slots.getKitSlotMeta(parent, j);
+                if (!meta || !meta.hasAudio) out.push(j);
+            }
+        }
+        return out;
+    }
+
+    async importSelected() {
+        const entries = this._selectedEntries().filter(e => this._isWav(e));
+        if (!entries.length || this._busy) {
+            if (!this._busy && this._selected.size) this._setStatus('Only .wav files can be imported');
+            return;
+        }
+        const target = document.getElementById('sd-browser-target').value;
+        const isKit = target.startsWith('kit:');
+        const parent = isKit ? parseInt(target.split(':')[1], 10) : -1;
+        const targets = this._nextTargets(target, entries.length);
+        if (targets.length < entries.length) {
+            if (!targets.length) { alert(isKit ? 'No empty pads left in that kit' : 'No empty slots available'); return; }
+            if (!confirm(`Only ${targets.length} empty ${isKit ? 'pads' : 'slots'} -- import the first ${targets.length} files?`)) return;
+        }
+
+        this._busy = true;
+        let imported = 0;
+        try {
+            for (let i = 0; i < targets.length; i++) {
+                const entry = entries[i];
+                const idx = targets[i];
+                if (!isKit) this.app._setSlotImporting(idx, true);
+                try {
+                    const data = await this._fetchDecoded(entry, 'Importing');
+                    const name = capSlotName(entry.name.replace(/\.wav$/i, ''));
+                    if (isKit) {
+                        await this.app.slots.saveKitSlotAudio(parent, idx, data.channels, data.sampleRate);
+                        await this.app.slots.renameKitSlot(parent, idx, name);
+                        if (this.app._kitMode && this.app._kitParentSlot === parent) delete this.app._kitSlotBuffers[idx];
+                    } else {
+                        await this.app.slots.saveSlotAudio(idx, data.channels, data.sampleRate);
+                        await this.app.slots.renameSlot(idx, name);
+                        delete this.app._slotBuffers[idx];
+                    }
+                    imported++;
+                } finally {
+                    if (!isKit) this.app._setSlotImporting(idx, false);
+                }
+            }
+            this._setStatus(`Imported ${imported} file${imported === 1 ? '' : 's'}`);
+        } catch (err) {
+            console.warn('[device] browser import failed:', err);
+            this._setStatus(`Import failed after ${imported}: ` + err.message);
+        } finally {
+            this._busy = false;
+            if (this.app._kitMode) {
+                await this.app._preloadKitBuffers(this.app._kitParentSlot);
+                this.app._renderKitGrid();
+            } else {
+                this.app.renderSlotGrid();
+            }
+            await this.app.seq._seqPreloadBuffers();
+        }
+    }
+
+    // === Helpers ===
+
+    _setStatus(text) {
+        document.getElementById('sd-browser-status').textContent = text;
+    }
+
+    _formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+        if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+        if (bytes >= 1024) return (bytes / 1024).toFixed(0) + ' KB';
+        return bytes + ' B';
+    }
+}
@@ -41,6 +41,7 @@ class SeqController {
         document.getElementById('seq-stutter-btn').classList.toggle('stutter-on', this.app.sequencer.stutterEnabled);
         document.getElementById('seq-rev-btn').classList.toggle('rev-on', this.app.sequencer.reverse);
         document.getElementById('seq-speed-btn').textContent = this.app.sequencer.speed + 'x';
+        document.getElementById('seq-swing').value = this.app.sequencer.swing;
         document.getElementById('seq-mutate-amount').value = Math.round(this.app.sequencer.mutateAmount * 100);
         document.getElementById('seq-stutter-amount').value = Math.round(this.app.sequencer.stutterAmount * 100);
         // Auto-enter kit mode if no regular slots exist but a kit slot does
@@ -140,8 +141,11 @@ class SeqController {
             this.renderSeqGrid();
         };
         this.app.sequencer.onPatternLoop = () => {
-            // Switch to queued pattern at loop boundary
-            if (this._seqQueuedBankIndex !== null) {
+            // Song mode picks the next pattern itself
+            if (this.app.song && this.app.song.isPlaying()) {
+                this.app.song.onPatternLoop();
+            } else if (this._seqQueuedBankIndex !== null) {
+                // Switch to queued pattern at loop boundary
                 const queued = this._seqQueuedBankIndex;
                 this._seqQueuedBankIndex = null;
                 this._seqPreviewBankIndex = null;
@@ -155,8 +159,11 @@ class SeqController {
             return this.app.sampler ? this.app.sampler.pads[slotIndex] : null;
         };
 
-        // MIDI output on step
-        this.app.sequencer.onStepSchedule = (stepIndex, time) => this.app._midiSendStep(stepIndex, time);
+        // MIDI output and DMX lanes on step
+        this.app.sequencer.onStepSchedule = (stepIndex, time, hits) => {
+            this.app._midiSendStep(stepIndex, time, hits);
+            this.app.dmxShow.onStep(stepIndex, time, hits);
+        };
 
         // Mute/Solo state
         this._seqMutedSlots = new Set();
@@ -251,6 +258,9 @@ class SeqController {
                 let icons = '';
                 if (step.mode === 'loop') icons += 'L ';
                 if (step.direction === 'reverse') icons += '\u25C0 ';
+                if (step.slots.some(e => e.locks)) icons += 'P ';
+                if (step.slots.some(e => e.prob !== undefined || e.cond)) icons += '? ';
+                if (step.slots.some(e => e.ratchet)) icons += '\u00D7 ';
                 let iconsEl = el.querySelector('.step-mode-icons');
                 if (!iconsEl) {
                     iconsEl = document.createElement('span');
@@ -480,6 +490,7 @@ class SeqController {
                 if (ev.target.closest('.seq-pitch-btn')) return;
                 if (ev.target.closest('.seq-solo-btn') || ev.target.closest('.seq-mute-btn')) return;
                 if (ev.target.closest('.seq-stutter-slot-btn') || ev.target.closest('.seq-mutate-slot-btn')) return;
+                if (ev.target.closest('.seq-row-select')) return;
                 this.app.sequencer.toggleSlotOnStep(stepIndex, i);
                 this._renderSeqSampleList();
                 this.renderSeqGrid();
@@ -540,12 +551,56 @@ class SeqController {
                     this._saveSeqPattern();
                 });
                 row.appendChild(gateBtn);
+
+                // Micro-timing: nudge this hit off the grid, in eighths of a step
+                const nudges = [-0.5, -0.375, -0.25, -0.125, 0, 0.125, 0.25, 0.375, 0.5];
+                row.appendChild(this._rowSelect('Nudge (fraction of a step)',
+                    nudges.map(v => [v, v === 0 ? 'N:0' : 'N:' + (v > 0 ? '+' : '') + Math.round(v * 100) + '%']),
+                    entry.nudge || 0, (v) => {
+                        this.app.sequencer.setSlotNudge(stepIndex, i, v);
+                        this._saveSeqPattern();
+                    }));
             }
 
+            // Track timing: own loop length (polymetric) and own swing
+            const seq = this.app.sequencer;
+            const key = String(i);
+            const lengths = [[0, 'L:—']];
+            for (let n = 2; n < seq.stepCount; n++) lengths.push([n, 'L:' + n]);
+            row.appendChild(this._rowSelect('Track length -- loops on its own against the pattern',
+                lengths, seq.trackLengths[key] || 0, (v) => {
+                    seq.setTrackLength(key, v);
+                    this._saveSeqPattern();
+                }));
+            const swings = [[-1, 'SW:—']];
+            for (const v of [50, 54, 58, 62, 66, 70, 75]) swings.push([v, 'SW:' + v]);
+            row.appendChild(this._rowSelect('Track swing (first = follow the pattern)',
+                swings, seq.trackSwing[key] !== undefined ? seq.trackSwing[key] : -1, (v) => {
+                    seq.setTrackSwing(key, v < 0 ? null : v);
+                    this._saveSeqPattern();
+                }));
+
             container.appendChild(row);
         }
     }
 
+    // Compact select for the sample list rows -- options are [value, label]
+    _rowSelect(title, options, value, onChange) {
+        const select = document.createElement('select');
+        select.className = 'seq-row-select';
+        select.title = title;
+        for (const [v, label] of options) {
+            const opt = document.createElement('option');
+            opt.value = v;
+            opt.textContent = label;
+            select.appendChild(opt);
+        }
+        select.value = value;
+        select.addEventListener('click', (ev) => ev.stopPropagation());
+        select.addEventListener('change', () => onChange(parseFloat(select.value)));
+        return select;
+    }
+
     openStepModeMenu(stepIndex, e) {
         const step = this.app.sequencer.pattern[stepIndex];
         this._seqModeMenuStep = stepIndex;
@@ -594,14 +649,27 @@ class SeqController {
                 <button class="step-pitch-btn slot-pitch-down" data-slot="${i}">&minus;</button>
                 <span class="slot-pitch-val" data-slot="${i}">${pitch > 0 ? '+' + pitch : pitch}</span>
                 <button class="step-pitch-btn slot-pitch-up" data-slot="${i}">+</button>
+                <button class="slot-lock-btn${this._entryHasSettings(entry) ? ' on' : ''}" title="Parameter locks and trig conditions for this step" ${checked ? '' : 'disabled'}>P</button>
             `;
+            const lockBtn = row.querySelector('.slot-lock-btn');
+            let lockPanel = null;
             const cb = row.querySelector('input');
             cb.addEventListener('change', (ev) => {
                 this.app.sequencer.toggleSlotOnStep(stepIndex, i);
                 row.classList.toggle('checked', ev.target.checked);
+                // Unchecking drops the entry and its locks with it
+                lockBtn.disabled = !ev.target.checked;
+                lockBtn.classList.remove('on');
+                if (lockPanel) { lockPanel.remove(); lockPanel = null; }
                 this.renderSeqGrid();
                 this._saveSeqPattern();
             });
+            lockBtn.addEventListener('click', (ev) => {
+                ev.stopPropagation();
+                if (lockPanel) { lockPanel.remove(); lockPanel = null; return; }
+                lockPanel = this._buildLockPanel(stepIndex, i, lockBtn);
+                row.after(lockPanel);
+            });
             const pitchDown = row.querySelector('.slot-pitch-down');
             const pitchUp = row.querySelector('.slot-pitch-up');
             const pitchVal = row.querySelector('.slot-pitch-val');
@@ -647,6 +715,223 @@ class SeqController {
         setTimeout(() => document.addEventListener('click', close), 10);
     }
 
+    /**
+     * Per-step parameter locks for one slot entry. Unlocked params show the
+     * pad's own value dimmed; moving a slider locks it, x hands it back.
+     */
+    _buildLockPanel(stepIndex, slotIdx, lockBtn) {
+        const seq = this.app.sequencer;
+        const pad = this.app.sampler ? this.app.sampler.pads[slotIdx] : null;
+        const panel = document.createElement('div');
+        panel.className = 'step-lock-panel';
+        panel.addEventListener('click', (ev) => ev.stopPropagation());
+
+        const changed = () => {
+            const entry = seq.getSlotEntry(stepIndex, slotIdx);
+            lockBtn.classList.toggle('on', this._entryHasSettings(entry));
+            this.renderSeqGrid();
+            this._saveSeqPattern();
+        };
+        const fmt = (def, v) => def.key === 'filterFreq' ? Math.round(v) + '' : v.toFixed(2);
+
+        for (const def of Sequencer.LOCK_PARAMS) {
+            const padValue = pad && pad[def.key] !== undefined ? pad[def.key] : def.default;
+            // Log params run the slider over 0..1000 and map back to Hz
+            const toSlider = (v) => def.scale === 'log'
+                ? Math.round(Math.log(v / def.min) / Math.log(def.max / def.min) * 1000) : v;
+            const fromSlider = (x) => def.scale === 'log'
+                ? def.min * Math.pow(def.max / def.min, x / 1000) : x;
+
+            const row = document.createElement('div');
+            row.className = 'step-lock-row';
+            const label = document.createElement('span');
+            label.className = 'step-lock-label';
+            label.textContent = def.label;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = def.scale === 'log' ? 0 : def.min;
+            slider.max = def.scale === 'log' ? 1000 : def.max;
+            slider.step = def.scale === 'log' ? 1 : def.step;
+            const val = document.createElement('span');
+            val.className = 'step-lock-val';
+            const clear = document.createElement('button');
+            clear.className = 'step-lock-clear';
+            clear.innerHTML = '&#10005;';
+            clear.title = 'Unlock -- use the pad setting';
+
+            const sync = () => {
+                const entry = seq.getSlotEntry(stepIndex, slotIdx);
+                const locked = !!(entry && entry.locks && entry.locks[def.key] !== undefined);
+                const v = locked ? entry.locks[def.key] : padValue;
+                slider.value = toSlider(v);
+                val.textContent = fmt(def, v);
+                row.classList.toggle('locked', locked);
+                clear.disabled = !locked;
+            };
+            slider.addEventListener('input', () => {
+                seq.setSlotLock(stepIndex, slotIdx, def.key, fromSlider(parseFloat(slider.value)));
+                sync();
+            });
+            slider.addEventListener('change', changed);
+            clear.addEventListener('click', () => {
+                seq.setSlotLock(stepIndex, slotIdx, def.key, null);
+                sync();
+                changed();
+            });
+            sync();
+
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(val);
+            row.appendChild(clear);
+            panel.appendChild(row);
+        }
+
+        // Reverse: follow the step direction, or force it either way
+        const dirRow = document.createElement('div');
+        dirRow.className = 'step-lock-row';
+        const dirLabel = document.createElement('span');
+        dirLabel.className = 'step-lock-label';
+        dirLabel.textContent = 'DIR';
+        dirRow.appendChild(dirLabel);
+        const dirBtns = [['STEP', null], ['FWD', false], ['REV', true]].map(([text, value]) => {
+            const b = document.createElement('button');
+            b.className = 'step-lock-choice';
+            b.textContent = text;
+            b.addEventListener('click', () => {
+                seq.setSlotLock(stepIndex, slotIdx, 'reverse', value);
+                syncDir();
+                changed();
+            });
+            dirRow.appendChild(b);
+            return [b, value];
+        });
+        const syncDir = () => {
+            const entry = seq.getSlotEntry(stepIndex, slotIdx);
+            const rev = entry && entry.locks && entry.locks.reverse !== undefined ? entry.locks.reverse : null;
+            for (const [b, value] of dirBtns) b.classList.toggle('active', value === rev);
+        };
+        syncDir();
+        panel.appendChild(dirRow);
+
+        const clearAll = document.createElement('button');
+        clearAll.className = 'step-lock-choice';
+        clearAll.textContent = 'CLEAR LOCKS';
+        clearAll.addEventListener('click', () => {
+            seq.clearSlotLocks(stepIndex, slotIdx);
+            const fresh = this._buildLockPanel(stepIndex, slotIdx, lockBtn);
+            panel.replaceWith(fresh);
+            changed();
+        });
+        panel.appendChild(clearAll);
+
+        panel.appendChild(this._buildTrigControls(seq.getSlotEntry(stepIndex, slotIdx), changed));
+        return panel;
+    }
+
+    // Locks or trig conditions -- what the P button lights up for
+    _entryHasSettings(entry) {
+        return !!(entry && (entry.locks || entry.prob !== undefined || entry.cond || entry.ratchet));
+    }
+
+    /** Probability / condition / ratchet controls for one entry; onChange after every edit. */
+    _buildTrigControls(entry, onChange) {
+        const seq = this.app.sequencer;
+        const box = document.createElement('div');
+        box.className = 'step-trig-controls';
+        const row = (labelText) => {
+            const r = document.createElement('div');
+            r.className = 'step-lock-row';
+            const label = document.createElement('span');
+            label.className = 'step-lock-label';
+            label.textContent = labelText;
+            r.appendChild(label);
+            box.appendChild(r);
+            return r;
+        };
+
+        const probRow = row('PROB');
+        const prob = document.createElement('input');
+        prob.type = 'range';
+        prob.min = 0;
+        prob.max = 100;
+        prob.value = entry.prob !== undefined ? Math.round(entry.prob * 100) : 100;
+        const probVal = document.createElement('span');
+        probVal.className = 'step-lock-val';
+        probVal.textContent = prob.value + '%';
+        probRow.classList.toggle('locked', entry.prob !== undefined);
+        prob.addEventListener('input', () => {
+            seq.setTrig(entry, 'prob', parseInt(prob.value) / 100);
+            probVal.textContent = prob.value + '%';
+            probRow.classList.toggle('locked', entry.prob !== undefined);
+        });
+        prob.addEventListener('change', onChange);
+        probRow.appendChild(prob);
+        probRow.appendChild(probVal);
+
+        const select = (labelText, options, value, key, parse) => {
+            const r = row(labelText);
+            const sel = document.createElement('select');
+            sel.className = 'seq-step-select';
+            for (const [v, text] of options) {
+                const opt = document.createElement('option');
+                opt.value = v;
+                opt.textContent = text;
+                sel.appendChild(opt);
+            }
+            sel.value = value;
+            r.classList.toggle('locked', entry[key] !== undefined);
+            sel.addEventListener('change', () => {
+                seq.setTrig(entry, key, parse(sel.value));
+                r.classList.toggle('locked', entry[key] !== undefined);
+                onChange();
+            });
+            r.appendChild(sel);
+        };
+        const condLabels = { 'fill': 'FILL', '!fill': 'NOT FILL' };
+        select('COND', [['', 'ALWAYS'], ...Sequencer.TRIG_CONDITIONS.map(c => [c, condLabels[c] || c])],
+            entry.cond || '', 'cond', (v) => v || null);
+        select('RATCH', [1, 2, 3, 4, 5, 6, 7, 8].map(n => [n, n === 1 ? 'OFF' : 'x' + n]),
+            entry.ratchet || 1, 'ratchet', (v) => parseInt(v));
+        select('RAMP', [['', 'FLAT'], ['up', 'UP'], ['down', 'DOWN']],
+            entry.ramp || '', 'ramp', (v) => v || null);
+        return box;
+    }
+
+    /** Short drum-cell badge for an entry's condition and ratchet ('' if none). */
+    _trigBadge(entry) {
+        const parts = [];
+        if (entry.cond === 'fill') parts.push('F');
+        else if (entry.cond === '!fill') parts.push('!F');
+        else if (entry.cond) parts.push(entry.cond);
+        if (entry.ratchet) parts.push('x' + entry.ratchet + (entry.ramp === 'up' ? '\u2191' : entry.ramp === 'down' ? '\u2193' : ''));
+        return parts.join(' ');
+    }
+
+    // Right-click (long-press on touch) an active drum cell: its trig settings
+    _openDrumTrigMenu(entry, ev) {
+        ev.preventDefault();
+        const menu = document.getElementById('trig-menu');
+        if (this._trigMenuCloseHandler) document.removeEventListener('click', this._trigMenuCloseHandler);
+        menu.innerHTML = '';
+        menu.appendChild(this._buildTrigControls(entry, () => {
+            this._renderDrumGrid();
+            this._saveSeqPattern();
+        }));
+        menu.style.left = Math.min(ev.clientX || 0, window.innerWidth - 220) + 'px';
+        menu.style.top = Math.min(ev.clientY || 0, window.innerHeight - 140) + 'px';
+        menu.hidden = false;
+
+        const close = (e) => {
+            if (menu.contains(e.target)) return;
+            menu.hidden = true;
+            document.removeEventListener('click', close);
+            this._trigMenuCloseHandler = null;
+        };
+        this._trigMenuCloseHandler = close;
+        setTimeout(() => document.addEventListener('click', close), 10);
+    }
+
     _setStepMode(mode) {
         if (this._seqModeMenuStep < 0) return;
         this.app.sequencer.setStepMode(this._seqModeMenuStep, mode);
@@ -678,7 +963,8 @@ class SeqController {
     // Per-slot pitch is now handled inline in the step mode menu slot picker
 
     // Sequencer transport
-    async seqPlayStop() {
+    /** PLAY/STOP toggle. `startTick` = steps into the song to start from (MIDI Continue). */
+    async seqPlayStop(startTick = 0) {
         await this.app.ensureAudioInit();
         if (!this.app.audio.audioContext) return;
         this.app.sequencer.audioContext = this.app.audio.audioContext;
@@ -687,6 +973,8 @@ class SeqController {
         if (this.app.sequencer.playing) {
             this.app.sequencer.stop();
             this._seqStopAnimation();
+            this._updateBpmDisplay(); // stop drops any MIDI clock tempo
+            if (this.app.song) this.app.song.stop();
             document.getElementById('seq-play-btn').innerHTML = '&#9654; PLAY';
             // Auto-disable recording
             if (this.app._seqRecording) {
@@ -703,7 +991,10 @@ class SeqController {
             this.app.rec.stopAudio();
             // Preload any new buffers
             await this._seqPreloadBuffers();
-            this.app.sequencer.play();
+            // Song mode: load the entry's bank (the first, or the one a
+            // Continue lands in) before the first step
+            const at = this.app.song ? this.app.song.start(startTick) : null;
+            this.app.sequencer.play(startTick, at);
             this._seqStartAnimation();
             document.getElementById('seq-play-btn').innerHTML = '&#9632; STOP';
             // MIDI: send start
@@ -781,13 +1072,13 @@ class SeqController {
     }
 
     seqAdjustBpm(delta) {
-        this.app.sequencer.setBpm(this.app.sequencer.bpm + delta);
+        this.app.sequencer.setBpm(this.app.sequencer.tempo + delta);
         this._updateBpmDisplay();
         this._saveSeqPattern();
     }
 
     seqEditBpm() {
-        const input = prompt('BPM:', this.app.sequencer.bpm);
+        const input = prompt('BPM:', this.app.sequencer.tempo);
         if (input !== null) {
             const bpm = parseInt(input);
             if (!isNaN(bpm)) {
@@ -805,7 +1096,10 @@ class SeqController {
     }
 
     _updateBpmDisplay() {
-        document.getElementById('bpm-display').textContent = this.app.sequencer.bpm;
+        // MIDI clock tempo is fractional
+        document.getElementById('bpm-display').textContent = Math.round(this.app.sequencer.tempo);
+        // Tempo-synced loops follow along
+        if (this.app.sampler) this.app.sampler.setTempo(this.app.sequencer.tempo);
     }
 
     seqRandomise() {
@@ -880,15 +1174,23 @@ class SeqController {
         if (!this.app.audio.audioContext) return;
         this.app.sequencer.audioContext = this.app.audio.audioContext;
 
-        const numLoopsStr = prompt('Number of pattern loops to render:', '1');
-        if (numLoopsStr === null) return;
-        const numLoops = Math.max(1, Math.min(8, parseInt(numLoopsStr) || 1));
+        // Song mode renders the whole arrangement once, each entry at its own
+        // repeats/tempo/mutes
+        const song = this.app.song && this.app.song.isActive() ? this.app.song : null;
+        let numLoops = 1;
+        if (!song) {
+            const numLoopsStr = prompt('Number of pattern loops to render:', '1');
+            if (numLoopsStr === null) return;
+            numLoops = Math.max(1, Math.min(8, parseInt(numLoopsStr) || 1));
+        }
 
         // Preload buffers
         await this._seqPreloadBuffers();
 
         try {
-            const result = await this.app.sequencer.bounce(numLoops);
+            const result = song
+                ? await this.app.sequencer.bounceSections(song.bounceSections())
+                : await this.app.sequencer.bounce(numLoops);
             if (!result || !result.channels || result.channels[0].length === 0) {
                 alert('Pattern is empty — nothing to bounce');
                 return;
@@ -901,9 +1203,10 @@ class SeqController {
                 return;
             }
 
+            const name = song ? 'song-bounce' : 'seq-bounce';
             await this.app.slots.saveSlotAudio(emptyIdx, result.channels, result.sampleRate);
-            this.app.slots.slots[emptyIdx].name = 'seq-bounce';
-            await this.app.slots.renameSlot(emptyIdx, 'seq-bounce');
+            this.app.slots.slots[emptyIdx].name = name;
+            await this.app.slots.renameSlot(emptyIdx, name);
 
             // Also update sequencer buffer cache
             if (this.app.audio.audioContext) {
@@ -933,9 +1236,7 @@ class SeqController {
         document.getElementById('seq-rec-btn').classList.toggle('rec-on', this.app._seqRecording);
         if (this.app._seqRecording) {
             // Snapshot pattern for undo before this recording pass
-            this._seqLooperUndoStack.push(this.app.sequencer.toJSON());
-            // Cap undo stack at 20 layers
-            if (this._seqLooperUndoStack.length > 20) this._seqLooperUndoStack.shift();
+            this._pushSeqUndo(this.app.sequencer.toJSON());
             // If seq not playing, start playback
             if (!this.app.sequencer.playing) {
                 await this.seqPlayStop();
@@ -943,6 +1244,13 @@ class SeqController {
         }
     }
 
+    /** Pattern snapshot for UNDO -- recording passes and generator commits. */
+    _pushSeqUndo(snapshot) {
+        this._seqLooperUndoStack.push(snapshot);
+        // Cap undo stack at 20 layers
+        if (this._seqLooperUndoStack.length > 20) this._seqLooperUndoStack.shift();
+    }
+
     seqLooperUndo() {
         if (this._seqLooperUndoStack.length === 0) return;
         const snapshot = this._seqLooperUndoStack.pop();
@@ -1106,6 +1414,7 @@ class SeqController {
         document.getElementById('seq-mutate-btn').classList.remove('mutate-on');
         document.getElementById('seq-rev-btn').classList.toggle('rev-on', this.app.sequencer.reverse);
         document.getElementById('seq-speed-btn').textContent = this.app.sequencer.speed + 'x';
+        document.getElementById('seq-swing').value = this.app.sequencer.swing;
 
         // Sync step count dropdown and rebuild grid for new bank's step count
         const stepSelect = document.getElementById('seq-step-count');
@@ -1237,14 +1546,28 @@ class SeqController {
             label.className = 'drum-grid-label';
             const meta = this.app.slots.getKitSlotMeta(parentSlot, sub);
             const name = (meta && meta.name) || '';
+            const key = parentSlot + ':' + sub;
+            const rowLen = this.app.sequencer.trackLengths[key];
+            const rowSwing = this.app.sequencer.trackSwing[key];
             label.textContent = `${GM_NOTE_NAMES[sub]} ${name}`;
+            if (rowLen) label.textContent += ` /${rowLen}`;
+            if (rowSwing !== undefined) label.textContent += ` ~${rowSwing}`;
+            label.title = 'Click: row length -- right-click: row swing';
+            label.addEventListener('click', () => this._promptDrumRowTiming(key, 'length'));
+            label.addEventListener('contextmenu', (ev) => {
+                ev.preventDefault();
+                this._promptDrumRowTiming(key, 'swing');
+            });
             container.appendChild(label);
 
             // Step cells
             for (let step = 0; step < stepCount; step++) {
                 const cell = document.createElement('div');
                 cell.className = 'drum-grid-cell';
+                cell.dataset.track = key;
                 if (step % 4 === 0) cell.classList.add('beat-marker');
+                // Steps past a short row's length never play
+                if (rowLen && step >= rowLen) cell.classList.add('beyond-length');
 
                 const entry = this.app.sequencer.getKitSubEntry(step, parentSlot, sub);
                 if (entry) {
@@ -1253,9 +1576,22 @@ class SeqController {
                     else if (v <= 80) cell.classList.add('active', 'vel-med');
                     else if (v <= 100) cell.classList.add('active', 'vel-high');
                     else cell.classList.add('active', 'vel-max');
+                    // Trig conditions: faded by probability, badge for condition/ratchet
+                    if (entry.prob !== undefined) cell.style.opacity = 0.35 + 0.65 * entry.prob;
+                    const badge = this._trigBadge(entry);
+                    if (badge) {
+                        const b = document.createElement('span');
+                        b.className = 'drum-trig-badge';
+                        b.textContent = badge;
+                        cell.appendChild(b);
+                    }
+                    if (entry.prob !== undefined || badge) {
+                        cell.title = [entry.prob !== undefined ? Math.round(entry.prob * 100) + '%' : '', badge].filter(Boolean).join(' ');
+                    }
+                    cell.addEventListener('contextmenu', (ev) => this._openDrumTrigMenu(entry, ev));
                 }
 
-                if (this.app.sequencer.currentStep === step) cell.classList.add('playing');
+                if (this._drumRowStep(key, this.app.sequencer.currentStep) === step) cell.classList.add('playing');
 
                 cell.addEventListener('click', () => {
                     this.app.sequencer.toggleKitSubOnStep(step, parentSlot, sub);
@@ -1276,7 +1612,31 @@ class SeqController {
 
         cells.forEach((cell, idx) => {
             const step = idx % stepCount;
-            cell.classList.toggle('playing', step === stepIndex);
+            cell.classList.toggle('playing', step === this._drumRowStep(cell.dataset.track, stepIndex));
         });
     }
+
+    // Step a drum row is playing -- rows with their own length run on their own
+    _drumRowStep(key, stepIndex) {
+        const seq = this.app.sequencer;
+        const own = seq.trackStepIndex(key, seq.currentTick);
+        return own >= 0 ? own : stepIndex;
+    }
+
+    _promptDrumRowTiming(key, what) {
+        const seq = this.app.sequencer;
+        if (what === 'length') {
+            const input = prompt(`Row length in steps (2-${seq.stepCount}, blank = pattern):`, seq.trackLengths[key] || '');
+            if (input === null) return;
+            const n = parseInt(input, 10);
+            seq.setTrackLength(key, n >= 2 && n < seq.stepCount ? n : null);
+        } else {
+            const input = prompt('Row swing % (50-75, blank = pattern):', seq.trackSwing[key] !== undefined ? seq.trackSwing[key] : '');
+            if (input === null) return;
+            const v = parseInt(input, 10);
+            seq.setTrackSwing(key, isNaN(v) ? null : v);
+        }
+        this._renderDrumGrid();
+        this._saveSeqPattern();
+    }
 }
@@ -5,17 +5,69 @@
  *
  * Each step's `slots` array contains objects: { slot: N, pitch: 0 }
  * so every slot on a step can have its own pitch (tape-style).
+ *
+ * An entry can also carry `locks` -- per-step parameter locks that replace
+ * the pad's settings for that one step only (see LOCK_PARAMS) -- and `nudge`,
+ * a micro-timing offset in steps (-0.5 to 0.5).
+ *
+ * Trig conditions per entry: `prob` (0-1 chance to play), `cond` (see
+ * TRIG_CONDITIONS) and `ratchet` (hits squeezed into the step) with an
+ * optional velocity `ramp` ('up' | 'down') across them. All are omitted at
+ * their defaults.
+ *
+ * Timing: `swing` (50-75%, MPC style) pushes every second 16th late, and can
+ * be set per track. A track is a slot, or one sub-slot of a kit (trackKey());
+ * a track given its own length loops over the first N steps independently
+ * of the pattern, so tracks run polymetrically against it.
  */
 class Sequencer {
+    // Lockable numeric params; `reverse` (bool) is lockable too. Pad fields
+    // of the same name are what plays when a param isn't locked.
+    static LOCK_PARAMS = [
+        { key: 'volume', label: 'VOL', min: 0, max: 1, step: 0.01, default: 1 },
+        { key: 'pan', label: 'PAN', min: -1, max: 1, step: 0.01, default: 0 },
+        { key: 'filterFreq', label: 'CUT', min: 20, max: 20000, step: 1, default: 2000, scale: 'log' },
+        { key: 'filterQ', label: 'Q', min: 0.1, max: 30, step: 0.1, default: 1 },
+        { key: 'start', label: 'START', min: 0, max: 0.99, step: 0.01, default: 0 },
+        { key: 'attack', label: 'ATK', min: 0, max: 2, step: 0.01, default: 0 },
+        { key: 'decay', label: 'DEC', min: 0, max: 2, step: 0.01, default: 0 },
+        { key: 'sustain', label: 'SUS', min: 0, max: 1, step: 0.01, default: 1 }
+    ];
+
+    // A clock anchor older than this many tick periods is ignored -- the clock
+    // has stopped (or the sender has gone), so its last tick says nothing about now
+    static CLOCK_STALE_TICKS = 2;
+
+    // 'A:B' plays on loop A of every B (counting from 1); fill/!fill follow the FILL button
+    static TRIG_CONDITIONS = ['1:2', '2:2', '1:3', '2:3', '3:3', '1:4', '2:4', '3:4', '4:4', 'fill', '!fill'];
+
     constructor(audioContext) {
         this.audioContext = audioContext;
         this.playing = false;
         this.bpm = 120;
+        // Song mode's per-entry tempo -- plays instead of bpm without being
+        // saved into the bank (toJSON() keeps the bank's own bpm)
+        this.tempoOverride = null;
+        // Following MIDI clock: the clock's tempo, and its latest tick as
+        // { tick, time, period } (24 PPQN song position, audio time, s/tick)
+        // for the scheduler to lock step phase to. null = free-running.
+        this.clockTempo = null;
+        this.clockSync = null;
         this.currentStep = -1;
+        this.currentTick = -1;      // steps played since PLAY -- drives track lengths
+        this.swing = 50;            // 50 = straight, 66 = triplet feel, 75 = dotted
+        this.trackSwing = {};       // trackKey -> swing %, overriding the pattern's
+        this.trackLengths = {};     // trackKey -> steps, for polymetric tracks
+        this.loopCount = 0;         // pattern loops completed since PLAY -- for A:B conditions
+        this.fill = false;          // FILL held: fill trigs play, !fill trigs don't
         this.mutateEnabled = false;
         this.mutateAmount = 0.5;    // 0-1: controls probability of per-step mutation
         this.stutterEnabled = false;
         this.stutterAmount = 0.5;   // 0-1: controls retrigger speed (2x to 16x subdivisions)
+        // DMX automation played by DmxShowController: step lanes
+        // { type: 'channel'|'scene', channel, fade (steps), values: { step: level|scene name } },
+        // triggers { track, channel, value, decay (s) } and follows { track, channel, gain }
+        this.dmx = { lanes: [], triggers: [], follows: [] };
 
         // Pattern: variable-length steps (16-64, default 16)
         this.stepCount = 16;
@@ -35,9 +87,14 @@ class Sequencer {
         this._schedulerTimer = null;
         this._nextStepTime = 0;
         this._nextStepIndex = 0;
+        this._tick = 0;
+        this._clockLocked = false;  // first step after play() under MIDI clock jumps into place
+        this._clockJumped = false;  // already re-anchored to now in this scheduler pass
         this._lookahead = 0.1;
         this._scheduleInterval = 25;
         this._activeSources = [];
+        this._stopAtTime = null;    // see stopAtLoopEnd()
+        this._atLoopBoundary = false; // inside onPatternLoop -- see setStepCount()
 
         // Transport modifiers
         this.reverse = false;
@@ -61,21 +118,38 @@ class Sequencer {
         this.shouldPlaySlot = null;  // (slotIndex) => bool — for mute/solo
         this.shouldStutterSlot = null; // (slotIndex) => bool — per-slot stutter
         this.shouldMutateSlot = null;  // (slotIndex) => bool — per-slot mutate
-        this.onStepSchedule = null;    // (stepIndex, time) => void — for MIDI output
+        this.onStepSchedule = null;    // (stepIndex, time, hits) => void — for MIDI output; hits = [{ entry, step, time }]
     }
 
     get stepDuration() {
-        return 60 / this.bpm / 4 / this.speed;
+        return 60 / this.tempo / 4 / this.speed;
+    }
+
+    /** BPM actually playing -- external clock, else the song entry's override if there is one. */
+    get tempo() {
+        return this.clockTempo || this.tempoOverride || this.bpm;
     }
 
     // === Transport ===
 
-    play() {
+    /**
+     * Start playing; `startTick` = steps into the song, for a MIDI Continue/SPP.
+     * `at` ({ step, loops }) is where in the pattern that lands when it isn't
+     * just startTick steps in -- song mode, where earlier entries played
+     * other banks.
+     */
+    play(startTick = 0, at = null) {
         if (this.playing) return;
         if (!this.audioContext) return;
         this.playing = true;
-        this._nextStepIndex = this.reverse ? this.pattern.length - 1 : 0;
+        this._stopAtTime = null;
+        const len = this.pattern.length;
+        const step = at ? at.step % len : startTick % len;
+        this._nextStepIndex = this.reverse ? len - 1 - step : step;
+        this._tick = startTick;
+        this.loopCount = at ? at.loops : Math.floor(startTick / len);
         this._nextStepTime = this.audioContext.currentTime + 0.05;
+        this._clockLocked = false;
         this._schedulerTimer = setInterval(() => this._scheduler(), this._scheduleInterval);
     }
 
@@ -89,11 +163,32 @@ class Sequencer {
             try { src.stop(); } catch (e) {}
         }
         this._activeSources = [];
+        this._stopAtTime = null;
         this.currentStep = -1;
+        this.currentTick = -1;
+        // A running clock re-anchors on its next tick; one that has stopped mustn't linger
+        this.clockSync = null;
+        this.clockTempo = null;
+    }
+
+    /**
+     * Called from onPatternLoop: schedule nothing past the boundary just
+     * reached, then call onStopped once playback actually gets there.
+     * Stopping right away would cut off the pattern's last steps, which were
+     * scheduled up to a lookahead before the boundary.
+     */
+    stopAtLoopEnd(onStopped) {
+        this._stopAtTime = this._nextStepTime;
+        const delay = Math.max(0, (this._stopAtTime - this.audioContext.currentTime) * 1000);
+        setTimeout(() => {
+            if (this.playing && this._stopAtTime !== null && onStopped) onStopped();
+        }, delay);
     }
 
     setBpm(bpm) {
         this.bpm = Math.max(20, Math.min(300, bpm));
+        // A tempo set by hand takes over from the song entry's
+        this.tempoOverride = null;
     }
 
     tapTempo() {
@@ -115,51 +210,229 @@ class Sequencer {
     // === Scheduling ===
 
     _scheduler() {
-        while (this._nextStepTime < this.audioContext.currentTime + this._lookahead) {
-            this._scheduleStep(this._nextStepIndex, this._nextStepTime);
+        this._clockJumped = false;
+        if (this.clockSync) this._lockToClock();
+        while (this.playing && this._nextStepTime < this.audioContext.currentTime + this._lookahead) {
+            if (this._stopAtTime !== null && this._nextStepTime >= this._stopAtTime) return;
+            this._scheduleStep(this._nextStepIndex, this._nextStepTime, this._tick);
             this._advanceStep();
         }
     }
 
-    _scheduleStep(stepIndex, time) {
-        const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
+    _scheduleStep(stepIndex, time, tick) {
+        const now = this.audioContext.currentTime;
+        const delay = Math.max(0, (time - now) * 1000);
         setTimeout(() => {
             this.currentStep = stepIndex;
+            this.currentTick = tick;
             if (this.onStepChange) this.onStepChange(stepIndex);
         }, delay);
 
-        if (this.onStepSchedule) this.onStepSchedule(stepIndex, time);
-
-        const step = this.pattern[stepIndex];
-        if (!step || step.slots.length === 0) return;
+        // Swing and nudge move hits off the grid -- a nudge back on the very
+        // first step can't go earlier than now. Conditions are rolled once
+        // here, so MIDI and audio agree on what played.
+        const stepDur = this.stepDuration;
+        const hits = this._hitsAt(stepIndex, tick, stepDur)
+            .filter(h => !this.shouldPlaySlot || this.shouldPlaySlot(h.entry.slot))
+            .filter(h => this._trigPasses(h.entry, this.loopCount, this.fill))
+            .flatMap(h => this._ratchetHits(h, stepDur))
+            .map(h => Object.assign(h, { time: Math.max(now, time + h.offset) }));
 
-        for (let s = 0; s < step.slots.length; s++) {
-            const entry = step.slots[s];
-            if (this.shouldPlaySlot && !this.shouldPlaySlot(entry.slot)) continue;
+        // MIDI gets the same hits and times as the audio below
+        if (this.onStepSchedule) this.onStepSchedule(stepIndex, time, hits);
 
-            let buffer;
-            let pad;
-            if (entry.kitSub !== undefined && this.getKitSlotBuffer) {
-                buffer = this.getKitSlotBuffer(entry.slot, entry.kitSub);
-                pad = this.getKitPadSettings ? this.getKitPadSettings(entry.kitSub) : null;
-            } else {
-                buffer = this._getBuffer(entry.slot, step.direction === 'reverse');
-                pad = this.getPadSettings ? this.getPadSettings(entry.slot) : null;
-            }
+        for (const { entry, step, time: hitTime, dur } of hits) {
+            const { buffer, pad } = this._entrySource(entry, step);
             if (!buffer) continue;
 
-            // Per-slot stutter: check if this slot has stutter enabled
+            // A ratchet is already one of several hits; otherwise per-slot
+            // stutter may still split the step
+            if (dur) {
+                this._playBuffer(this.audioContext, buffer, entry, step, hitTime, pad, dur);
+                continue;
+            }
             const slotStutter = this.shouldStutterSlot ? this.shouldStutterSlot(entry.slot) : this.stutterEnabled;
             const subdivs = slotStutter ? this._getStutterSubdivisions() : 1;
-            const subDur = this.stepDuration / subdivs;
+            const subDur = stepDur / subdivs;
 
             for (let sub = 0; sub < subdivs; sub++) {
-                const subTime = time + sub * subDur;
+                const subTime = hitTime + sub * subDur;
                 this._playBuffer(this.audioContext, buffer, entry, step, subTime, pad, subDur);
             }
         }
     }
 
+    // === Timing: swing, nudge, track lengths ===
+
+    /** Track an entry belongs to: its slot, or "slot:sub" for a kit hit. */
+    static trackKey(entry) {
+        return entry.kitSub !== undefined ? entry.slot + ':' + entry.kitSub : String(entry.slot);
+    }
+
+    /** Pattern step a track with its own length reads on a tick, or -1 if it has none. */
+    trackStepIndex(key, tick) {
+        const len = this.trackLengths[key];
+        if (!len || tick < 0) return -1;
+        const n = Math.min(len, this.pattern.length);
+        const pos = tick % n;
+        return this.reverse ? n - 1 - pos : pos;
+    }
+
+    /**
+     * Entries due on a tick: pattern tracks from stepIndex, tracks with their
+     * own length from wherever their loop has got to. `offset` is seconds
+     * from the straight grid (swing + nudge).
+     */
+    _hitsAt(stepIndex, tick, stepDur) {
+        const hits = [];
+        const add = (step, entry, key) => {
+            const swing = this.trackSwing[key] !== undefined ? this.trackSwing[key] : this.swing;
+            // Swing lands on the tick, not the step -- the grid position is
+            // what's heard, whichever step a track happens to be reading
+            let offset = tick % 2 === 1 ? (swing - 50) / 50 * stepDur : 0;
+            offset += (entry.nudge || 0) * stepDur;
+            hits.push({ entry, step, offset });
+        };
+
+        const main = this.pattern[stepIndex];
+        if (main) {
+            for (const entry of main.slots) {
+                const key = Sequencer.trackKey(entry);
+                if (!this.trackLengths[key]) add(main, entry, key);
+            }
+        }
+        for (const key of Object.keys(this.trackLengths)) {
+            const step = this.pattern[this.trackStepIndex(key, tick)];
+            if (!step) continue;
+            for (const entry of step.slots) {
+                if (Sequencer.trackKey(entry) === key) add(step, entry, key);
+            }
+        }
+        return hits;
+    }
+
+    // === Trig conditions ===
+
+    /** Whether an entry plays this time round: condition first, then its probability. */
+    _trigPasses(entry, loop, fill) {
+        const cond = entry.cond;
+        if (cond === 'fill' && !fill) return false;
+        if (cond === '!fill' && fill) return false;
+        if (cond && cond.includes(':')) {
+            const [a, b] = cond.split(':').map(Number);
+            if (loop % b !== a - 1) return false;
+        }
+        return entry.prob === undefined || Math.random() < entry.prob;
+    }
+
+    /**
+     * Split a hit into its ratchets: `dur` is each one's gate, and a ramp
+     * scales velocity from quiet to full ('up') or back down ('down').
+     */
+    _ratchetHits(hit, stepDur) {
+        const count = hit.entry.ratchet || 1;
+        if (count < 2) return [hit];
+        const dur = stepDur / count;
+        const velocity = hit.entry.velocity !== undefined ? hit.entry.velocity : 127;
+        const out = [];
+        for (let r = 0; r < count; r++) {
+            let scale = 1;
+            if (hit.entry.ramp === 'up') scale = (r + 1) / count;
+            else if (hit.entry.ramp === 'down') scale = (count - r) / count;
+            const entry = Object.assign({}, hit.entry, { velocity: Math.max(1, Math.round(velocity * scale)) });
+            out.push({ entry, step: hit.step, offset: hit.offset + r * dur, dur });
+        }
+        return out;
+    }
+
+    /**
+     * Set one trig setting on an entry (from getSlotEntry/getKitSubEntry):
+     * prob 0-1, cond from TRIG_CONDITIONS, ratchet 1-8, ramp 'up'|'down'.
+     * null -- or the default -- removes it.
+     */
+    setTrig(entry, key, value) {
+        if (!entry) return;
+        let clear = value === null || value === undefined;
+        if (!clear) {
+            switch (key) {
+                case 'prob': value = Math.max(0, Math.min(1, value)); clear = value >= 1; break;
+                case 'cond': clear = !Sequencer.TRIG_CONDITIONS.includes(value); break;
+                case 'ratchet': value = Math.max(1, Math.min(8, Math.round(value))); clear = value === 1; break;
+                case 'ramp': clear = value !== 'up' && value !== 'down'; break;
+                default: return;
+            }
+        }
+        if (clear) delete entry[key];
+        else entry[key] = value;
+    }
+
+    /** A track's entry on each step (its first, if doubled), or null. */
+    getTrackCells(key) {
+        return this.pattern.map(step => step.slots.find(e => Sequencer.trackKey(e) === key) || null);
+    }
+
+    /**
+     * Rewrite a track from one cell per step: null clears the step, an object
+     * is laid over the entry already there (keeping its pitch, locks and so
+     * on) or over a fresh one. Other tracks are left alone.
+     */
+    setTrackCells(key, cells) {
+        const [slot, sub] = key.split(':').map(Number);
+        this.pattern.forEach((step, i) => {
+            const existing = step.slots.find(e => Sequencer.trackKey(e) === key);
+            step.slots = step.slots.filter(e => Sequencer.trackKey(e) !== key);
+            const cell = cells[i];
+            if (!cell) return;
+            const entry = existing ? Object.assign({}, existing) : { slot, pitch: 0, duration: 0 };
+            if (!existing && !isNaN(sub)) {
+                entry.kitSub = sub;
+                entry.velocity = 100;
+            }
+            step.slots.push(Object.assign(entry, cell));
+        });
+    }
+
+    setSwing(percent) {
+        this.swing = Math.max(50, Math.min(75, percent));
+    }
+
+    /** Per-track swing; null hands the track back to the pattern's swing. */
+    setTrackSwing(key, percent) {
+        if (percent === null || percent === undefined) delete this.trackSwing[key];
+        else this.trackSwing[key] = Math.max(50, Math.min(75, percent));
+    }
+
+    /** Per-track loop length in steps; null plays the track with the pattern. */
+    setTrackLength(key, steps) {
+        if (!steps) delete this.trackLengths[key];
+        else this.trackLengths[key] = Math.max(1, Math.min(64, Math.round(steps)));
+    }
+
+    /** Micro-timing for one slot on one step, in steps (-0.5 to 0.5). */
+    setSlotNudge(stepIndex, slotIdx, nudge) {
+        const entry = this.getSlotEntry(stepIndex, slotIdx);
+        if (!entry) return;
+        nudge = Math.max(-0.5, Math.min(0.5, nudge || 0));
+        if (nudge === 0) delete entry.nudge;
+        else entry.nudge = nudge;
+    }
+
+    /** Buffer (reversed per step direction or a reverse lock) and pad settings for a step entry. */
+    _entrySource(entry, step) {
+        const locked = entry.locks && entry.locks.reverse !== undefined;
+        if (entry.kitSub !== undefined && this.getKitSlotBuffer) {
+            const buffer = this.getKitSlotBuffer(entry.slot, entry.kitSub);
+            const pad = this.getKitPadSettings ? this.getKitPadSettings(entry.kitSub) : null;
+            // Kit hits ignore step direction -- only a lock reverses them
+            return { buffer: buffer && locked && entry.locks.reverse ? this._reversedKitBuffer(buffer) : buffer, pad };
+        }
+        const reverse = locked ? entry.locks.reverse : step.direction === 'reverse';
+        return {
+            buffer: this._getBuffer(entry.slot, reverse),
+            pad: this.getPadSettings ? this.getPadSettings(entry.slot) : null
+        };
+    }
+
     _getStutterSubdivisions() {
         // Map 0-1 amount to subdivisions: 2, 3, 4, 6, 8, 12, 16
         const divs = [2, 3, 4, 6, 8, 12, 16];
@@ -167,9 +440,20 @@ class Sequencer {
         return divs[idx];
     }
 
-    _playBuffer(ctx, buffer, entry, step, time, pad, maxDuration) {
-        const source = ctx.createBufferSource();
-        source.buffer = buffer;
+    // stepDur / tempo: the step length to gate against and the BPM synced
+    // pads fit to -- a song bounce renders each section at its own tempo, so
+    // they aren't always this.stepDuration / this.tempo
+    _playBuffer(ctx, buffer, entry, step, time, pad, maxDuration, stepDur = this.stepDuration, tempo = this.tempo) {
+        // Loop steps loop a LOOP pad's loop points (seam crossfade included);
+        // any other pad, or one without them, loops the whole sample
+        const padLoop = step.mode === 'loop' && pad && pad.mode === 'loop' &&
+            pad.loopStart >= 0 && pad.loopEnd > pad.loopStart;
+        if (padLoop) buffer = Sampler.loopBuffer(ctx, buffer, pad);
+
+        // Pads in 'stretch' time mode keep their length whatever the pitch;
+        // synced ones fit the same stretch of sample as when played from the pad
+        const seconds = pad ? Sampler.fitSeconds(pad, buffer, padLoop) : buffer.duration;
+        const source = StretchSource.forPad(ctx, buffer, pad, seconds, tempo);
 
         // Pitch: combine step pitch + pad pitch
         const totalPitch = entry.pitch + (pad ? pad.pitch : 0);
@@ -178,30 +462,39 @@ class Sequencer {
         }
         if (step.mode === 'loop') {
             source.loop = true;
-            source.loopStart = 0;
-            source.loopEnd = buffer.duration;
+            source.loopStart = padLoop ? Math.min(pad.loopStart, buffer.duration) : 0;
+            source.loopEnd = padLoop ? Math.min(pad.loopEnd, buffer.duration) : buffer.duration;
         }
 
-        // Build chain: source -> [filter] -> envelopeGain -> volumeGain -> destination
+        // Parameter locks win over the pad for this step only
+        const locks = entry.locks || {};
+        const param = (key, padValue) => locks[key] !== undefined ? locks[key] : padValue;
+
+        // Build chain: source -> [filter] -> envelopeGain -> volumeGain -> [panner] -> destination
         let lastNode = source;
         let filter = null;
 
-        // Optional filter from pad settings
-        if (pad && pad.filterEnabled) {
+        // Optional filter from pad settings -- a locked cutoff/Q brings one in
+        // even when the pad's filter is off
+        const filterLocked = locks.filterFreq !== undefined || locks.filterQ !== undefined;
+        if ((pad && pad.filterEnabled) || filterLocked) {
             filter = ctx.createBiquadFilter();
-            filter.type = pad.filterType;
-            filter.frequency.setValueAtTime(pad.filterFreq, time);
-            filter.Q.setValueAtTime(pad.filterQ, time);
+            filter.type = pad && pad.filterEnabled ? pad.filterType : 'lowpass';
+            filter.frequency.setValueAtTime(param('filterFreq', pad ? pad.filterFreq : 2000), time);
+            filter.Q.setValueAtTime(param('filterQ', pad ? pad.filterQ : 1), time);
             lastNode.connect(filter);
             lastNode = filter;
         }
 
         // Envelope (ADSR)
         const envelopeGain = ctx.createGain();
-        if (pad) {
+        const envLocked = locks.attack !== undefined || locks.decay !== undefined || locks.sustain !== undefined;
+        if (pad || envLocked) {
+            const attack = param('attack', pad ? pad.attack : 0);
+            const decay = param('decay', pad ? pad.decay : 0);
             envelopeGain.gain.setValueAtTime(0, time);
-            envelopeGain.gain.linearRampToValueAtTime(1.0, time + pad.attack);
-            envelopeGain.gain.linearRampToValueAtTime(pad.sustain, time + pad.attack + pad.decay);
+            envelopeGain.gain.linearRampToValueAtTime(1.0, time + attack);
+            envelopeGain.gain.linearRampToValueAtTime(param('sustain', pad ? pad.sustain : 1), time + attack + decay);
         } else {
             envelopeGain.gain.setValueAtTime(1, time);
         }
@@ -211,10 +504,18 @@ class Sequencer {
         // Volume
         const volumeGain = ctx.createGain();
         const velGain = (entry.velocity !== undefined) ? entry.velocity / 127 : 1.0;
-        volumeGain.gain.setValueAtTime((pad ? pad.volume : 1.0) * velGain, time);
+        volumeGain.gain.setValueAtTime(param('volume', pad ? pad.volume : 1.0) * velGain, time);
         lastNode.connect(volumeGain);
         lastNode = volumeGain;
 
+        // Pan (lock only -- pads have no pan of their own)
+        if (locks.pan) {
+            const panner = ctx.createStereoPanner();
+            panner.pan.setValueAtTime(locks.pan, time);
+            lastNode.connect(panner);
+            lastNode = panner;
+        }
+
         // Route to effects bus for live playback, direct for bounce (OfflineAudioContext)
         const output = (ctx === this.audioContext && this.outputNode) ? this.outputNode : ctx.destination;
         lastNode.connect(output);
@@ -257,11 +558,12 @@ class Sequencer {
             source.detune.linearRampToValueAtTime(sustainCents, time + pad.pitchEnvAttack + pad.pitchEnvDecay);
         }
 
-        source.start(time);
+        // Start offset lock: a fraction into the sample
+        source.start(time, param('start', 0) * buffer.duration);
 
         // Determine stop time based on: entry duration, stutter, or loop mode
-        const entryDur = (entry.duration > 0) ? entry.duration * this.stepDuration : 0;
-        const stutterCut = maxDuration && maxDuration < this.stepDuration;
+        const entryDur = (entry.duration > 0) ? entry.duration * stepDur : 0;
+        const stutterCut = maxDuration && maxDuration < stepDur;
         const needsStop = step.mode === 'loop' || stutterCut || entryDur > 0;
         if (needsStop) {
             let dur;
@@ -270,7 +572,7 @@ class Sequencer {
             } else if (entryDur > 0) {
                 dur = entryDur;
             } else {
-                dur = this.stepDuration;
+                dur = stepDur;
             }
             const stopTime = time + dur;
             source.stop(stopTime);
@@ -290,25 +592,64 @@ class Sequencer {
         };
     }
 
+    /**
+     * Slaved to MIDI clock: step N of the song falls on clock tick N * 6
+     * (at 1x speed), so the clock's latest tick says when the next step is
+     * due. Small errors are halved each time -- no audible jumps, no drift;
+     * more than half a step off (just started, or the clock relocated)
+     * jumps straight there. A target already past plays now, but only once
+     * per scheduler pass -- the steps after it run free until the next pass,
+     * rather than all landing on the same instant.
+     */
+    _lockToClock() {
+        const { tick, time, period } = this.clockSync;
+        const now = this.audioContext.currentTime;
+        if (now - time > Sequencer.CLOCK_STALE_TICKS * period) return;
+        const target = time + (this._tick * 6 / this.speed - tick) * period;
+        const error = target - this._nextStepTime;
+        if (!this._clockLocked || Math.abs(error) > this.stepDuration / 2) {
+            if (target < now) {
+                if (this._clockJumped) return;
+                this._clockJumped = true;
+            }
+            this._nextStepTime = Math.max(target, now);
+            this._clockLocked = true;
+        } else {
+            this._nextStepTime += error / 2;
+        }
+    }
+
     _advanceStep() {
         this._nextStepTime += this.stepDuration;
+        this._tick++;
+        if (this.clockSync) this._lockToClock();
         if (this.reverse) {
             this._nextStepIndex--;
             if (this._nextStepIndex < 0) {
+                this._patternLoop();
+                // The loop may have loaded a pattern of another length
                 this._nextStepIndex = this.pattern.length - 1;
-                if (this.onPatternLoop) this.onPatternLoop();
-                if (this.mutateEnabled) this._applyMutations();
             }
         } else {
             this._nextStepIndex++;
             if (this._nextStepIndex >= this.pattern.length) {
                 this._nextStepIndex = 0;
-                if (this.onPatternLoop) this.onPatternLoop();
-                if (this.mutateEnabled) this._applyMutations();
+                this._patternLoop();
             }
         }
     }
 
+    _patternLoop() {
+        this.loopCount++;
+        this._atLoopBoundary = true;
+        try {
+            if (this.onPatternLoop) this.onPatternLoop();
+        } finally {
+            this._atLoopBoundary = false;
+        }
+        if (this.mutateEnabled) this._applyMutations();
+    }
+
     // === Buffer Management ===
 
     _getBuffer(slotIndex, reverse) {
@@ -343,6 +684,18 @@ class Sequencer {
         return reversed;
     }
 
+    // Kit buffers aren't in _bufferCache (they come and go with kit mode), so
+    // their reversed copies are keyed by the buffer itself
+    _reversedKitBuffer(buffer) {
+        if (!this._kitReverseCache) this._kitReverseCache = new WeakMap();
+        let reversed = this._kitReverseCache.get(buffer);
+        if (!reversed) {
+            reversed = this._reverseBuffer(buffer);
+            this._kitReverseCache.set(buffer, reversed);
+        }
+        return reversed;
+    }
+
     invalidateBuffer(slotIndex) { delete this._bufferCache[slotIndex]; }
     invalidateAllBuffers() { this._bufferCache = {}; }
 
@@ -418,6 +771,33 @@ class Sequencer {
         });
     }
 
+    /**
+     * Lock (or with value undefined/null, unlock) one parameter for a slot on
+     * one step -- see LOCK_PARAMS. `reverse` takes a bool.
+     */
+    setSlotLock(stepIndex, slotIdx, key, value) {
+        const entry = this.getSlotEntry(stepIndex, slotIdx);
+        if (!entry) return;
+        if (value === undefined || value === null) {
+            if (!entry.locks) return;
+            delete entry.locks[key];
+            if (Object.keys(entry.locks).length === 0) delete entry.locks;
+            return;
+        }
+        if (key !== 'reverse') {
+            const def = Sequencer.LOCK_PARAMS.find(p => p.key === key);
+            if (!def) return;
+            value = Math.max(def.min, Math.min(def.max, value));
+        }
+        if (!entry.locks) entry.locks = {};
+        entry.locks[key] = key === 'reverse' ? !!value : value;
+    }
+
+    clearSlotLocks(stepIndex, slotIdx) {
+        const entry = this.getSlotEntry(stepIndex, slotIdx);
+        if (entry) delete entry.locks;
+    }
+
     setStepMode(stepIndex, mode) { this.pattern[stepIndex].mode = mode; }
     setStepDirection(stepIndex, direction) { this.pattern[stepIndex].direction = direction; }
 
@@ -438,7 +818,10 @@ class Sequencer {
     setStepCount(n) {
         n = Math.max(16, Math.min(64, n));
         if (n === this.stepCount && n === this.pattern.length) return;
-        const wasPlaying = this.playing;
+        // At a loop boundary (a queued bank or the next song entry loading)
+        // the new length just takes effect from the next step -- restarting
+        // would throw the timing off the beat
+        const wasPlaying = this.playing && !this._atLoopBoundary;
         if (wasPlaying) this.stop();
         this.stepCount = n;
         // Extend or truncate pattern
@@ -537,56 +920,76 @@ class Sequencer {
     // === Bounce ===
 
     async bounce(numLoops) {
-        numLoops = numLoops || 1;
-        const stepDur = this.stepDuration;
-        const totalDuration = stepDur * this.pattern.length * numLoops;
+        return this.bounceSections([{ source: this, loops: numLoops || 1 }]);
+    }
+
+    /**
+     * Render patterns back to back offline. Each section is
+     * { source, loops, shouldPlaySlot? }: source is a Sequencer whose
+     * pattern, tempo and mutate settings are played (this one for a plain
+     * bounce, one per arrangement entry for a song -- see SongController),
+     * shouldPlaySlot an optional mute filter. Buffers and pad settings always
+     * come from this sequencer.
+     */
+    async bounceSections(sections) {
         const sampleRate = this.audioContext.sampleRate;
 
-        let maxTail = 0;
-        for (let i = 0; i < this.pattern.length; i++) {
-            const step = this.pattern[i];
-            if (step.slots.length > 0 && step.mode === 'oneshot') {
-                for (const entry of step.slots) {
-                    const buf = this._getBuffer(entry.slot, step.direction === 'reverse');
-                    if (buf && buf.duration > stepDur) {
-                        maxTail = Math.max(maxTail, buf.duration - stepDur);
+        // First pass: every hit with its time, ticking on across sections the
+        // way a playing song does. Entries are copied -- mutation edits them
+        // in place between loops.
+        // Conditions count loops straight through too, with FILL as it is now
+        const hits = [];
+        let totalDuration = 0;
+        let end = 0;
+        let tick = 0;
+        let loopCount = 0;
+        for (const section of sections) {
+            const src = section.source;
+            const stepDur = src.stepDuration;
+            for (let loop = 0; loop < section.loops; loop++, loopCount++) {
+                if (loop > 0 && src.mutateEnabled) src._applyMutations();
+
+                for (let i = 0; i < src.pattern.length; i++, tick++) {
+                    const stepTime = totalDuration + i * stepDur;
+                    for (const trig of src._hitsAt(i, tick, stepDur)) {
+                        if (section.shouldPlaySlot && !section.shouldPlaySlot(trig.entry.slot)) continue;
+                        if (!this._trigPasses(trig.entry, loopCount, this.fill)) continue;
+                        for (const hit of this._ratchetHits(trig, stepDur)) {
+                            const step = { mode: hit.step.mode, direction: hit.step.direction };
+                            const entry = Object.assign({}, hit.entry);
+                            const { buffer, pad } = this._entrySource(entry, step);
+                            if (!buffer) continue;
+                            const time = Math.max(0, stepTime + hit.offset);
+                            hits.push({ buffer, pad, entry, step, time, stepDur, tempo: src.tempo, dur: hit.dur });
+                            const length = (pad && pad.timeMode === 'stretch')
+                                ? buffer.duration / StretchSource.padSpeed(pad, buffer.duration, src.tempo)
+                                : buffer.duration;
+                            end = Math.max(end, time + (step.mode === 'oneshot' && !hit.dur ? length : stepDur));
+                        }
                     }
                 }
+                totalDuration += stepDur * src.pattern.length;
             }
         }
 
-        const totalWithTail = Math.ceil((totalDuration + maxTail) * sampleRate);
+        const totalWithTail = Math.ceil(Math.max(totalDuration, end) * sampleRate);
         const offline = new OfflineAudioContext(2, totalWithTail, sampleRate);
+        if (hits.some(h => h.pad && h.pad.timeMode === 'stretch')) {
+            // Without it those pads render tape-style, same as with no worklets live
+            await StretchSource.register(offline).catch(e => console.warn('Failed to load stretch worklet for bounce:', e));
+        }
 
-        for (let loop = 0; loop < numLoops; loop++) {
-            const loopOffset = loop * stepDur * this.pattern.length;
-            if (loop > 0 && this.mutateEnabled) this._applyMutations();
-
-            for (let i = 0; i < this.pattern.length; i++) {
-                const step = this.pattern[i];
-                if (step.slots.length === 0) continue;
-                const startTime = loopOffset + i * stepDur;
-
-                for (const entry of step.slots) {
-                    let buffer;
-                    let pad;
-                    if (entry.kitSub !== undefined && this.getKitSlotBuffer) {
-                        buffer = this.getKitSlotBuffer(entry.slot, entry.kitSub);
-                        pad = this.getKitPadSettings ? this.getKitPadSettings(entry.kitSub) : null;
-                    } else {
-                        buffer = this._getBuffer(entry.slot, step.direction === 'reverse');
-                        pad = this.getPadSettings ? this.getPadSettings(entry.slot) : null;
-                    }
-                    if (!buffer) continue;
-
-                    const offlineBuf = offline.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
-                    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
-                        offlineBuf.getChannelData(ch).set(buffer.getChannelData(ch));
-                    }
-
-                    this._playBuffer(offline, offlineBuf, entry, step, startTime, pad);
+        const offlineBuffers = new Map();
+        for (const { buffer, pad, entry, step, time, stepDur, tempo, dur } of hits) {
+            let offlineBuf = offlineBuffers.get(buffer);
+            if (!offlineBuf) {
+                offlineBuf = offline.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+                for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+                    offlineBuf.getChannelData(ch).set(buffer.getChannelData(ch));
                 }
+                offlineBuffers.set(buffer, offlineBuf);
             }
+            this._playBuffer(offline, offlineBuf, entry, step, time, pad, dur, stepDur, tempo);
         }
 
         const rendered = await offline.startRendering();
@@ -605,14 +1008,24 @@ class Sequencer {
             stepCount: this.stepCount,
             reverse: this.reverse,
             speed: this.speed,
+            swing: this.swing,
+            trackSwing: Object.assign({}, this.trackSwing),
+            trackLengths: Object.assign({}, this.trackLengths),
             mutateEnabled: this.mutateEnabled,
             mutateAmount: this.mutateAmount,
             stutterAmount: this.stutterAmount,
+            dmx: JSON.parse(JSON.stringify(this.dmx)),
             pattern: this.pattern.map(step => ({
                 slots: step.slots.map(e => {
                     const obj = { slot: e.slot, pitch: e.pitch, duration: e.duration || 0 };
                     if (e.kitSub !== undefined) obj.kitSub = e.kitSub;
                     if (e.velocity !== undefined) obj.velocity = e.velocity;
+                    if (e.locks) obj.locks = Object.assign({}, e.locks);
+                    if (e.nudge) obj.nudge = e.nudge;
+                    if (e.prob !== undefined) obj.prob = e.prob;
+                    if (e.cond) obj.cond = e.cond;
+                    if (e.ratchet) obj.ratchet = e.ratchet;
+                    if (e.ramp) obj.ramp = e.ramp;
                     return obj;
                 }),
                 mode: step.mode,
@@ -629,9 +1042,18 @@ class Sequencer {
         if (data.bpm !== undefined) this.bpm = data.bpm;
         this.reverse = data.reverse || false;
         this.speed = data.speed || 1;
+        this.swing = data.swing || 50;
+        this.trackSwing = Object.assign({}, data.trackSwing);
+        this.trackLengths = Object.assign({}, data.trackLengths);
         if (data.mutateEnabled !== undefined) this.mutateEnabled = data.mutateEnabled;
         if (data.mutateAmount !== undefined) this.mutateAmount = data.mutateAmount;
         if (data.stutterAmount !== undefined) this.stutterAmount = data.stutterAmount;
+        const dmx = data.dmx || {};
+        this.dmx = {
+            lanes: Array.isArray(dmx.lanes) ? JSON.parse(JSON.stringify(dmx.lanes)) : [],
+            triggers: Array.isArray(dmx.triggers) ? dmx.triggers.map(t => Object.assign({}, t)) : [],
+            follows: Array.isArray(dmx.follows) ? dmx.follows.map(f => Object.assign({}, f)) : []
+        };
         if (data.pattern && Array.isArray(data.pattern)) {
             for (let i = 0; i < this.pattern.length && i < data.pattern.length; i++) {
                 const s = data.pattern[i];
@@ -644,6 +1066,12 @@ class Sequencer {
                                 const obj = { slot: e.slot, pitch: e.pitch || 0, duration: e.duration || 0 };
                                 if (e.kitSub !== undefined) obj.kitSub = e.kitSub;
                                 if (e.velocity !== undefined) obj.velocity = e.velocity;
+                                if (e.locks && typeof e.locks === 'object') obj.locks = Object.assign({}, e.locks);
+                                if (e.nudge) obj.nudge = e.nudge;
+                                if (e.prob !== undefined) obj.prob = e.prob;
+                                if (e.cond) obj.cond = e.cond;
+                                if (e.ratchet) obj.ratchet = e.ratchet;
+                                if (e.ramp) obj.ramp = e.ramp;
                                 return obj;
                             }
                             // Old format: plain number — apply step-level pitch if present
@@ -0,0 +1,278 @@
+/* slicer-controller.js – Transient auto-slicer: onsets on the selected slot -> editable markers -> kit pads */
+
+// Onset analysis resolution: ~21ms window, ~5ms hop at 48kHz
+const SLICER_FRAME = 1024;
+const SLICER_HOP = 256;
+const SLICER_FADE_IN_MS = 0.5;  // just enough to kill a click, short enough not to blunt the attack
+const SLICER_FADE_OUT_MS = 5;
+const SLICER_SILENCE = 0.001;   // -60dB -- trailing tail below this is trimmed off each slice
+
+class SlicerController {
+    constructor(app) {
+        this.app = app;
+        this._active = false;
+        this._slotIndex = -1;
+        this._channels = null;
+        this._sampleRate = 0;
+        // Spectral flux is the expensive part, so it's computed once per open;
+        // sensitivity/gap/grid changes only re-run the peak picking over it
+        this._mono = null;
+        this._flux = null;
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        const redetect = () => this.detect();
+        $('slice-sens').addEventListener('input', redetect);
+        $('slice-gap').addEventListener('change', redetect);
+        $('slice-grid').addEventListener('change', redetect);
+        $('slice-play').addEventListener('click', () => this.auditionAtCursor());
+        $('slice-apply').addEventListener('click', () => this.apply());
+        $('slice-cancel').addEventListener('click', () => this.close());
+    }
+
+    isActive() {
+        return this._active;
+    }
+
+    // === Open / close ===
+
+    open() {
+        const index = this.app.slots.selectedIndex;
+        if (!this.app.channels || index < 0 || this.app._kitMode) return;
+        this.app.rec.stopAudio();
+
+        this._active = true;
+        this._slotIndex = index;
+        this._channels = this.app.channels;
+        this._sampleRate = this.app.bufferSampleRate;
+
+        // Mono sum for analysis -- a hit on either side of a stereo take counts
+        const len = this._channels[0].length;
+        this._mono = new Float32Array(len);
+        for (const ch of this._channels) {
+            for (let i = 0; i < len; i++) this._mono[i] += ch[i] / this._channels.length;
+        }
+        this._flux = DSP.spectralFlux(this._mono, SLICER_FRAME, SLICER_HOP);
+
+        this._buildTargetOptions();
+        this.app.waveform.clearSelection();
+        this.app.waveform.onSliceMarkersChange = () => this._updateCount();
+        document.getElementById('slice-transport').classList.add('active');
+        this.detect();
+    }
+
+    close() {
+        if (!this._active) return;
+        this._active = false;
+        this._channels = null;
+        this._mono = null;
+        this._flux = null;
+        this.app.waveform.onSliceMarkersChange = null;
+        this.app.waveform.clearSliceMarkers();
+        document.getElementById('slice-transport').classList.remove('active');
+    }
+
+    _buildTargetOptions() {
+        const select = document.getElementById('slice-target');
+        select.innerHTML = '';
+        const add = (value, text) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            select.appendChild(opt);
+        };
+        add('new', 'New kit');
+        this.app.slots.slots.forEach((s, i) => {
+            if (s.type === 'kit') add('kit:' + i, `${String(i + 1).padStart(2, '0')} ${s.name || 'Kit'}`);
+        });
+    }
+
+    // === Detection ===
+
+    /**
+     * Peak-pick the flux curve against a local mean (so a busy passage doesn't
+     * swallow quieter hits next to it), enforce the minimum gap, keep the 16
+     * strongest, then snap to the grid. Any manual marker edits are replaced.
+     */
+    detect() {
+        if (!this._active) return;
+        const sens = parseInt(document.getElementById('slice-sens').value, 10) / 100;
+        const gap = Math.round(parseInt(document.getElementById('slice-gap').value, 10) / 1000 * this._sampleRate);
+        const flux = this._flux;
+
+        let maxFlux = 0;
+        for (let f = 0; f < flux.length; f++) if (flux[f] > maxFlux) maxFlux = flux[f];
+        const mult = 1 + (1 - sens) * 2.5;
+        const floor = maxFlux * (0.02 + (1 - sens) * 0.25);
+
+        const onsets = [];
+
+        // Flux can't see a hit that's already there at sample 0 (no previous frame
+        // to compare against) -- count it if the very start is already loud
+        let globalPeak = 0, headPeak = 0;
+        for (let i = 0; i < this._mono.length; i++) {
+            const abs = Math.abs(this._mono[i]);
+            if (abs > globalPeak) globalPeak = abs;
+            if (i < SLICER_FRAME && abs > headPeak) headPeak = abs;
+        }
+        if (globalPeak > 0 && headPeak >= globalPeak * 0.1) onsets.push({ pos: 0, strength: maxFlux });
+
+        const W = 8; // local-mean half-width in frames (~40ms each side)
+        for (let f = 1; f < flux.length - 1; f++) {
+            if (flux[f] <= flux[f - 1] || flux[f] < flux[f + 1] || flux[f] < floor) continue;
+            let sum = 0, n = 0;
+            for (let k = Math.max(0, f - W); k <= Math.min(flux.length - 1, f + W); k++) { sum += flux[k]; n++; }
+            if (flux[f] <= (sum / n) * mult) continue;
+
+            const pos = this._refineOnset(f);
+            const last = onsets[onsets.length - 1];
+            if (last && pos - last.pos < gap) {
+                // Too close -- keep whichever hit is stronger
+                if (flux[f] > last.strength && last.pos !== 0) onsets[onsets.length - 1] = { pos, strength: flux[f] };
+                continue;
+            }
+            onsets.push({ pos, strength: flux[f] });
+        }
+
+        let kept = onsets;
+        if (kept.length > KIT_SUB_COUNT) {
+            kept = kept.slice().sort((a, b) => b.strength - a.strength).slice(0, KIT_SUB_COUNT).sort((a, b) => a.pos - b.pos);
+        }
+        let positions = kept.map(o => o.pos);
+
+        // Grid snap, with the grid anchored on the first hit rather than sample 0
+        // (a take rarely starts exactly on the beat)
+        const div = parseInt(document.getElementById('slice-grid').value, 10);
+        if (div > 0 && positions.length > 1) {
+            const bpm = this.app.sequencer ? this.app.sequencer.bpm : 120;
+            const step = (60 / bpm) * (4 / div) * this._sampleRate;
+            const origin = positions[0];
+            positions = [...new Set(positions.map(p => Math.round(origin + Math.round((p - origin) / step) * step)))]
+                .filter(p => p < this._mono.length);
+        }
+
+        this.app.waveform.setSliceMarkers(positions);
+        this._updateCount();
+    }
+
+    // The flux peak only says "something started in this frame" -- walk back
+    // from the loudest sample near it to where the attack begins, in 32-sample
+    // blocks so single zero crossings don't stop the walk early.
+    _refineOnset(f) {
+        const data = this._mono;
+        const from = Math.max(0, f * SLICER_HOP - SLICER_HOP);
+        const to = Math.min(data.length, f * SLICER_HOP + SLICER_FRAME + SLICER_HOP);
+        let peak = 0, peakIdx = from;
+        for (let i = from; i < to; i++) {
+            const abs = Math.abs(data[i]);
+            if (abs > peak) { peak = abs; peakIdx = i; }
+        }
+        const BLOCK = 32;
+        let pos = peakIdx;
+        while (pos - BLOCK >= from) {
+            let blockMax = 0;
+            for (let i = pos - BLOCK; i < pos; i++) {
+                const abs = Math.abs(data[i]);
+                if (abs > blockMax) blockMax = abs;
+            }
+            if (blockMax < peak * 0.1) break;
+            pos -= BLOCK;
+        }
+        return pos;
+    }
+
+    _updateCount() {
+        const n = (this.app.waveform.getSliceMarkers() || []).length;
+        document.getElementById('slice-count').textContent = n > KIT_SUB_COUNT
+            ? `${n} slices (first ${KIT_SUB_COUNT} used)`
+            : `${n} slice${n === 1 ? '' : 's'}`;
+    }
+
+    // === Slices ===
+
+    _sliceBounds(i, markers) {
+        return { start: markers[i], end: i + 1 < markers.length ? markers[i + 1] : this._channels[0].length };
+    }
+
+    // Plays the slice the cursor is in
+    auditionAtCursor() {
+        const markers = this.app.waveform.getSliceMarkers() || [];
+        if (!markers.length) return;
+        const cursor = this.app.waveform.getCursor();
+        let i = 0;
+        while (i + 1 < markers.length && markers[i + 1] <= cursor) i++;
+        const { start, end } = this._sliceBounds(i, markers);
+        this.app.audio.play(this._channels, this._sampleRate, start, end);
+    }
+
+    // Cut [start, end), trim the silent tail, short fade in/out
+    _renderSlice(start, end) {
+        let last = end;
+        while (last > start + 1) {
+            let loud = false;
+            for (const ch of this._channels) if (Math.abs(ch[last - 1]) >= SLICER_SILENCE) { loud = true; break; }
+            if (loud) break;
+            last--;
+        }
+        const len = last - start;
+        const fadeIn = Math.min(Math.round(SLICER_FADE_IN_MS / 1000 * this._sampleRate), Math.floor(len / 4));
+        const fadeOut = Math.min(Math.round(SLICER_FADE_OUT_MS / 1000 * this._sampleRate), Math.floor(len / 4));
+        return this._channels.map(ch => {
+            const out = ch.slice(start, last);
+            for (let i = 0; i < fadeIn; i++) out[i] *= i / fadeIn;
+            for (let i = 0; i < fadeOut; i++) out[len - 1 - i] *= i / fadeOut;
+            return out;
+        });
+    }
+
+    async apply() {
+        const markers = this.app.waveform.getSliceMarkers() || [];
+        if (!markers.length) {
+            alert('No slices -- double-tap the waveform to add one.');
+            return;
+        }
+        const slots = this.app.slots;
+        const target = document.getElementById('slice-target').value;
+        const baseName = slots.slots[this._slotIndex].name || 'slice';
+        let kitIndex;
+        if (target === 'new') {
+            kitIndex = slots.findEmptySlot();
+            if (kitIndex < 0) {
+                alert('No empty slot for the new kit');
+                return;
+            }
+        } else {
+            kitIndex = parseInt(target.split(':')[1], 10);
+            const used = (slots.kitSlots[kitIndex] || []).filter(s => s.hasAudio).length;
+            if (used && !confirm(`Replace the ${used} pad${used === 1 ? '' : 's'} in kit ${kitIndex + 1}?`)) return;
+        }
+
+        const count = Math.min(markers.length, KIT_SUB_COUNT);
+        this.app.rec._showProgress('Slicing…');
+        try {
+            if (target === 'new') {
+                await slots.makeKit(kitIndex);
+                await slots.renameSlot(kitIndex, baseName.slice(0, SLOT_NAME_MAX_LENGTH - 4) + ' kit');
+            }
+            // Names stay in hit order: kick-01, kick-02...
+            const stem = baseName.slice(0, SLOT_NAME_MAX_LENGTH - 3);
+            for (let i = 0; i < KIT_SUB_COUNT; i++) {
+                if (i < count) {
+                    const { start, end } = this._sliceBounds(i, markers);
+                    await slots.saveKitSlotAudio(kitIndex, i, this._renderSlice(start, end), this._sampleRate);
+                    await slots.renameKitSlot(kitIndex, i, `${stem}-${String(i + 1).padStart(2, '0')}`);
+                } else if (slots.getKitSlotMeta(kitIndex, i)?.hasAudio) {
+                    await slots.clearKitSlot(kitIndex, i);
+                }
+            }
+        } catch (err) {
+            console.error('Slice to kit failed:', err);
+            alert('Slice to kit failed: ' + err.message);
+        } finally {
+            this.app.rec._hideProgress();
+        }
+        this.close();
+        this.app.renderSlotGrid();
+    }
+}
@@ -1,9 +1,13 @@
 // slot-manager.js — manages 16 audio slots with IndexedDB persistence
 
 const DB_NAME = 'soniphorm-recorder';
-const DB_VERSION = 2;
+const DB_VERSION = 3;
 const STORE_NAME = 'slots';
 const KIT_STORE_NAME = 'kit-slots';
+// Per-slot edit history: one record per edit, keyed [historyKey, seq] (see
+// slotHistoryKey()/kitHistoryKey()), plus a seq-0 record holding the head
+// (seq of the newest applied edit) and the audio length it leaves behind
+const HISTORY_STORE_NAME = 'edit-history';
 const NUM_SLOTS = 16;
 const KIT_SUB_COUNT = 16;
 // Slot names live in fixed-width 1/4-screen grid cells -- an unbounded name
@@ -16,6 +20,9 @@ const SLOT_NAME_MAX_LENGTH = 20;
 function capSlotName(name) {
     return String(name || '').slice(0, SLOT_NAME_MAX_LENGTH);
 }
+// Tempo detection (DSP.detectTempo) only runs on clips up to this long --
+// it's for loops and grooves, and a long take isn't worth the wait
+const TEMPO_MAX_SECONDS = 60;
 
 // --- IDB Promise helpers ---
 
@@ -43,6 +50,14 @@ function idbDelete(store, key) {
     });
 }
 
+function idbGetAll(store, range) {
+    return new Promise((resolve, reject) => {
+        const req = store.getAll(range);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
 // --- SlotManager ---
 // WAV encoding uses AudioEngine.encodeWAV (loaded before this file)
 
@@ -52,8 +67,15 @@ class SlotManager {
         this.slots = [];
         this.selectedIndex = -1;
         this.onChange = null;
+        this.onHistoryClear = null;
         this._sharedAudioContext = null;
 
+        // Tempo detection runs in a worker after each save (see _queueTempo)
+        this._tempoWorker = null;
+        this._tempoJobId = 0;
+        this._tempoJobs = new Map();      // slot/kit key -> latest job id
+        this._tempoCallbacks = new Map(); // job id -> done(tempo)
+
         // Kit sub-slot metadata: keyed by parentSlot index
         this.kitSlots = {};
 
@@ -81,6 +103,9 @@ class SlotManager {
                 if (!db.objectStoreNames.contains(KIT_STORE_NAME)) {
                     db.createObjectStore(KIT_STORE_NAME, { keyPath: ['parentSlot', 'subIndex'] });
                 }
+                if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+                    db.createObjectStore(HISTORY_STORE_NAME, { keyPath: ['slot', 'seq'] });
+                }
             };
             req.onsuccess = () => resolve(req.result);
             req.onerror = () => reject(req.error);
@@ -100,6 +125,8 @@ class SlotManager {
                 this.slots[i].hasAudio = !!record.audio;
                 this.slots[i].type = record.type || 'normal';
                 this.slots[i].peaks = record.peaks || null;
+                // undefined if saved before tempo detection -- App._refreshBeatGrid() fills it in
+                this.slots[i].tempo = record.tempo;
                 if (!record.peaks && record.audio) {
                     needsPeaks.push(i);
                 }
@@ -151,6 +178,7 @@ class SlotManager {
                         subs[j].sampleRate = rec.sampleRate || 0;
                         subs[j].hasAudio = true;
                         subs[j].peaks = rec.peaks || null;
+                        subs[j].tempo = rec.tempo;
                     }
                 } catch (e) {
                     // ignore individual sub-slot load errors
@@ -200,7 +228,10 @@ class SlotManager {
         }
     }
 
-    async saveSlotAudio(index, channels, sampleRate) {
+    // keepHistory: the write is itself an edit (or an undo/redo of one) that's
+    // already in the slot's edit history. Anything else replaces the audio the
+    // history's patches were taken against, so the history goes with it.
+    async saveSlotAudio(index, channels, sampleRate, keepHistory = false) {
         const duration = channels[0].length / sampleRate;
         const audio = AudioEngine.encodeWAV(channels, sampleRate);
         const name = this.slots[index].name;
@@ -210,11 +241,14 @@ class SlotManager {
         const tx = this.db.transaction(STORE_NAME, 'readwrite');
         const store = tx.objectStore(STORE_NAME);
         await idbPut(store, { index, name, type, duration, sampleRate, audio, peaks: Array.from(peaks) });
+        if (!keepHistory) await this.clearHistory(this.slotHistoryKey(index));
+        this._queueTempo(this.slotHistoryKey(index), channels, sampleRate, (t) => this.setSlotTempo(index, t));
 
         this.slots[index].duration = duration;
         this.slots[index].sampleRate = sampleRate;
         this.slots[index].hasAudio = true;
         this.slots[index].peaks = peaks;
+        this.slots[index].tempo = undefined;
 
         this.onChange?.();
     }
@@ -223,12 +257,14 @@ class SlotManager {
         const tx = this.db.transaction(STORE_NAME, 'readwrite');
         const store = tx.objectStore(STORE_NAME);
         await idbDelete(store, index);
+        await this.clearHistory(this.slotHistoryKey(index));
 
         this.slots[index].name = '';
         this.slots[index].duration = 0;
         this.slots[index].sampleRate = 0;
         this.slots[index].hasAudio = false;
         this.slots[index].peaks = null;
+        this.slots[index].tempo = null;
 
         this.onChange?.();
     }
@@ -304,6 +340,7 @@ class SlotManager {
         const tx = this.db.transaction(STORE_NAME, 'readwrite');
         const store = tx.objectStore(STORE_NAME);
         await idbDelete(store, index);
+        await this.clearHistory(this.slotHistoryKey(index));
 
         // Clean up kit pad settings
         try { localStorage.removeItem('soniphorm-kit-pads-' + index); } catch (e) {}
@@ -333,7 +370,7 @@ class SlotManager {
         }
     }
 
-    async saveKitSlotAudio(parentSlot, subIndex, channels, sampleRate) {
+    async saveKitSlotAudio(parentSlot, subIndex, channels, sampleRate, keepHistory = false) {
         const duration = channels[0].length / sampleRate;
         const audio = AudioEngine.encodeWAV(channels, sampleRate);
         const name = (this.kitSlots[parentSlot] && this.kitSlots[parentSlot][subIndex])
@@ -345,6 +382,9 @@ class SlotManager {
         await idbPut(store, {
             parentSlot, subIndex, name, duration, sampleRate, audio, peaks: Array.from(peaks)
         });
+        if (!keepHistory) await this.clearHistory(this.kitHistoryKey(parentSlot, subIndex));
+        this._queueTempo(this.kitHistoryKey(parentSlot, subIndex), channels, sampleRate,
+            (t) => this.setKitSlotTempo(parentSlot, subIndex, t));
 
         if (!this.kitSlots[parentSlot]) {
             const subs = [];
@@ -357,6 +397,7 @@ class SlotManager {
         this.kitSlots[parentSlot][subIndex].sampleRate = sampleRate;
         this.kitSlots[parentSlot][subIndex].hasAudio = true;
         this.kitSlots[parentSlot][subIndex].peaks = peaks;
+        this.kitSlots[parentSlot][subIndex].tempo = undefined;
 
         this.onChange?.();
     }
@@ -365,6 +406,7 @@ class SlotManager {
         const tx = this.db.transaction(KIT_STORE_NAME, 'readwrite');
         const store = tx.objectStore(KIT_STORE_NAME);
         await idbDelete(store, [parentSlot, subIndex]);
+        await this.clearHistory(this.kitHistoryKey(parentSlot, subIndex));
 
         if (this.kitSlots[parentSlot]) {
             this.kitSlots[parentSlot][subIndex] = {
@@ -381,6 +423,9 @@ class SlotManager {
         for (let j = 0; j < KIT_SUB_COUNT; j++) {
             try { await idbDelete(store, [parentSlot, j]); } catch (e) {}
         }
+        for (let j = 0; j < KIT_SUB_COUNT; j++) {
+            await this.clearHistory(this.kitHistoryKey(parentSlot, j));
+        }
 
         if (this.kitSlots[parentSlot]) {
             for (let j = 0; j < KIT_SUB_COUNT; j++) {
@@ -414,6 +459,128 @@ class SlotManager {
         this.onChange?.();
     }
 
+    // === Tempo ===
+    // Each slot's meta (and IDB record) carries `tempo`: DSP.detectTempo()'s
+    // { bpm, firstBeat, downbeat, beatsPerBar, confidence }, null when there's
+    // none to find, or undefined while it's not known yet -- audio saved
+    // before detection existed, or since its last save with the worker's
+    // estimate still to come.
+
+    /** Tempo estimate for a clip (channels mixed to mono), or null if it's too long or has no beat. */
+    static detectTempo(channels, sampleRate) {
+        if (channels[0].length > TEMPO_MAX_SECONDS * sampleRate) return null;
+        try {
+            return DSP.detectTempo(SlotManager._mixdown(channels), sampleRate);
+        } catch (e) {
+            console.warn('Failed to detect tempo', e);
+            return null;
+        }
+    }
+
+    // A copy either way -- it's transferred to the worker
+    static _mixdown(channels) {
+        const mono = new Float32Array(channels[0]);
+        for (let c = 1; c < channels.length; c++) {
+            const ch = channels[c];
+            for (let i = 0; i < mono.length; i++) mono[i] += ch[i];
+        }
+        if (channels.length > 1) for (let i = 0; i < mono.length; i++) mono[i] /= channels.length;
+        return mono;
+    }
+
+    /** Detect a slot's tempo if it isn't known and isn't already on its way. */
+    ensureSlotTempo(index, channels, sampleRate) {
+        const key = this.slotHistoryKey(index);
+        if (this._tempoJobs.has(key)) return;
+        this._queueTempo(key, channels, sampleRate, (t) => this.setSlotTempo(index, t));
+    }
+
+    ensureKitSlotTempo(parentSlot, subIndex, channels, sampleRate) {
+        const key = this.kitHistoryKey(parentSlot, subIndex);
+        if (this._tempoJobs.has(key)) return;
+        this._queueTempo(key, channels, sampleRate, (t) => this.setKitSlotTempo(parentSlot, subIndex, t));
+    }
+
+    // Detection off the main thread; `save` stores the estimate, then
+    // onChange. A key queued again before its result is back (another edit)
+    // only keeps the newest job's.
+    _queueTempo(key, channels, sampleRate, save) {
+        const id = ++this._tempoJobId;
+        this._tempoJobs.set(key, id);
+        const done = (tempo) => {
+            if (this._tempoJobs.get(key) !== id) return;
+            this._tempoJobs.delete(key);
+            save(tempo)
+                .then(() => this.onChange?.())
+                .catch(e => console.warn('Failed to save slot tempo', e));
+        };
+        if (channels[0].length > TEMPO_MAX_SECONDS * sampleRate) {
+            done(null);
+            return;
+        }
+        const worker = this._getTempoWorker();
+        if (!worker) {
+            // No worker (e.g. opened from file://): main thread, after the save
+            setTimeout(() => done(SlotManager.detectTempo(channels, sampleRate)), 0);
+            return;
+        }
+        const mono = SlotManager._mixdown(channels);
+        this._tempoCallbacks.set(id, done);
+        worker.postMessage({ id, mono, sampleRate }, [mono.buffer]);
+    }
+
+    _getTempoWorker() {
+        if (this._tempoWorker !== null) return this._tempoWorker;
+        try {
+            this._tempoWorker = new Worker('tempo-worker.js');
+            this._tempoWorker.onmessage = (e) => {
+                const done = this._tempoCallbacks.get(e.data.id);
+                this._tempoCallbacks.delete(e.data.id);
+                if (done) done(e.data.tempo);
+            };
+            this._tempoWorker.onerror = (e) => {
+                console.warn('Tempo worker error:', e.message);
+                // Drop it; whatever was waiting gets detected again next time it's shown
+                this._tempoWorker.terminate();
+                this._tempoWorker = false;
+                this._tempoJobs.clear();
+                this._tempoCallbacks.clear();
+            };
+        } catch (e) {
+            console.warn('Tempo worker unavailable:', e);
+            this._tempoWorker = false;
+        }
+        return this._tempoWorker;
+    }
+
+    async setSlotTempo(index, tempo) {
+        this.slots[index].tempo = tempo;
+
+        const tx = this.db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        const record = await idbGet(store, index);
+
+        if (record) {
+            record.tempo = tempo;
+            await idbPut(store, record);
+        }
+    }
+
+    async setKitSlotTempo(parentSlot, subIndex, tempo) {
+        if (this.kitSlots[parentSlot]) {
+            this.kitSlots[parentSlot][subIndex].tempo = tempo;
+        }
+
+        const tx = this.db.transaction(KIT_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(KIT_STORE_NAME);
+        const record = await idbGet(store, [parentSlot, subIndex]);
+
+        if (record) {
+            record.tempo = tempo;
+            await idbPut(store, record);
+        }
+    }
+
     // === Project save/load helpers ===
 
     async getRawSlotRecord(index) {
@@ -440,6 +607,7 @@ class SlotManager {
             this.slots[i].hasAudio = false;
             this.slots[i].type = 'normal';
             this.slots[i].peaks = null;
+            this.slots[i].tempo = null;
         }
 
         // Clear all kit sub-slots
@@ -452,6 +620,90 @@ class SlotManager {
         }
         this.kitSlots = {};
 
+        const tx3 = this.db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        await new Promise((resolve, reject) => {
+            const req = tx3.objectStore(HISTORY_STORE_NAME).clear();
+            req.onsuccess = () => resolve();
+            req.onerror = () => reject(req.error);
+        });
+        this.onHistoryClear?.(null);
+
         this.onChange?.();
     }
+
+    // === Edit history ===
+    // Entries are { slot, seq, label, op, time, lengthBefore, length, patches }
+    // where patches is an AudioEngine patch list (see AudioEngine.diffRegion()) --
+    // only the regions an edit touched, never whole-buffer copies unless the edit
+    // really did touch everything. Undo applies an entry's patches inverted and
+    // in reverse; redo applies them as stored.
+
+    slotHistoryKey(index) {
+        return 'slot:' + index;
+    }
+
+    kitHistoryKey(parentSlot, subIndex) {
+        return 'kit:' + parentSlot + ':' + subIndex;
+    }
+
+    _historyRange(key) {
+        return IDBKeyRange.bound([key, 1], [key, Infinity]);
+    }
+
+    /** Entry list (without patches) and head for one slot. */
+    async getHistory(key) {
+        const tx = this.db.transaction(HISTORY_STORE_NAME, 'readonly');
+        const store = tx.objectStore(HISTORY_STORE_NAME);
+        const meta = await idbGet(store, [key, 0]);
+        const records = await idbGetAll(store, this._historyRange(key));
+        return {
+            head: meta ? meta.head : 0,
+            length: meta ? meta.length : -1,
+            entries: records.map(r => ({
+                seq: r.seq, label: r.label, op: r.op, time: r.time,
+                lengthBefore: r.lengthBefore, length: r.length
+            }))
+        };
+    }
+
+    async getHistoryEntry(key, seq) {
+        const tx = this.db.transaction(HISTORY_STORE_NAME, 'readonly');
+        return await idbGet(tx.objectStore(HISTORY_STORE_NAME), [key, seq]);
+    }
+
+    /**
+     * Append an edit after the current head. Anything past the head (undone
+     * edits) is dropped first, like a redo stack; the oldest entries beyond
+     * maxEntries are dropped after.
+     */
+    async pushHistoryEntry(key, entry, maxEntries) {
+        const tx = this.db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(HISTORY_STORE_NAME);
+        const meta = await idbGet(store, [key, 0]);
+        const head = meta ? meta.head : 0;
+        const seqs = (await idbGetAll(store, this._historyRange(key))).map(r => r.seq);
+
+        for (const seq of seqs) {
+            if (seq > head) await idbDelete(store, [key, seq]);
+        }
+        const kept = seqs.filter(seq => seq <= head);
+        const seq = head + 1;
+        await idbPut(store, Object.assign({}, entry, { slot: key, seq }));
+        kept.push(seq);
+        while (kept.length > maxEntries) await idbDelete(store, [key, kept.shift()]);
+        await idbPut(store, { slot: key, seq: 0, head: seq, length: entry.length });
+        return seq;
+    }
+
+    async setHistoryHead(key, head, length) {
+        const tx = this.db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        await idbPut(tx.objectStore(HISTORY_STORE_NAME), { slot: key, seq: 0, head, length });
+    }
+
+    async clearHistory(key) {
+        const tx = this.db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(HISTORY_STORE_NAME);
+        await idbDelete(store, IDBKeyRange.bound([key, 0], [key, Infinity]));
+        this.onHistoryClear?.(key);
+    }
 }
@@ -0,0 +1,165 @@
+/**
+ * SMF — Standard MIDI File reading and writing (no Web MIDI needed).
+ * Plain global object like DSP; load via <script> tag.
+ *
+ * Writes Type 1 files: track 0 is the conductor (tempo, time signature,
+ * markers), each further track one instrument.
+ *   tracks: [{ name, events: [{ tick, type: 'on'|'off', note, velocity, channel }
+ *                            | { tick, type: 'tempo', bpm }
+ *                            | { tick, type: 'marker', text }
+ *                            | { tick, type: 'timesig', numerator, denominator }] }]
+ * Reads Type 0 and 1 into the same shape (plus `ppq`), keeping only notes,
+ * tempo and markers. Running status and note-on velocity 0 are handled.
+ */
+const SMF = {
+
+    write(tracks, ppq) {
+        const chunks = [SMF._chunk('MThd', [0, 1, (tracks.length >> 8) & 0xFF, tracks.length & 0xFF, (ppq >> 8) & 0xFF, ppq & 0xFF])];
+        for (const track of tracks) chunks.push(SMF._chunk('MTrk', SMF._trackBytes(track)));
+        const total = chunks.reduce((n, c) => n + c.length, 0);
+        const out = new Uint8Array(total);
+        let pos = 0;
+        for (const c of chunks) {
+            out.set(c, pos);
+            pos += c.length;
+        }
+        return out;
+    },
+
+    _chunk(id, data) {
+        const out = new Uint8Array(8 + data.length);
+        for (let i = 0; i < 4; i++) out[i] = id.charCodeAt(i);
+        const len = data.length;
+        out[4] = (len >>> 24) & 0xFF;
+        out[5] = (len >>> 16) & 0xFF;
+        out[6] = (len >>> 8) & 0xFF;
+        out[7] = len & 0xFF;
+        out.set(data, 8);
+        return out;
+    },
+
+    _trackBytes(track) {
+        const bytes = [];
+        const text = (type, str) => {
+            const data = Array.from(new TextEncoder().encode(str));
+            return [0xFF, type, ...SMF._varLen(data.length), ...data];
+        };
+        // Note-offs sort ahead of note-ons on the same tick, so back-to-back
+        // hits on one note don't cut each other off
+        const order = { tempo: 0, timesig: 0, marker: 0, off: 1, on: 2 };
+        const events = track.events.slice().sort((a, b) => a.tick - b.tick || order[a.type] - order[b.type]);
+
+        let last = 0;
+        const push = (tick, data) => {
+            bytes.push(...SMF._varLen(Math.max(0, tick - last)), ...data);
+            last = Math.max(last, tick);
+        };
+        if (track.name) push(0, text(0x03, track.name));
+        for (const e of events) {
+            switch (e.type) {
+                case 'on': push(e.tick, [0x90 | (e.channel & 0x0F), e.note & 0x7F, Math.max(1, e.velocity & 0x7F)]); break;
+                case 'off': push(e.tick, [0x80 | (e.channel & 0x0F), e.note & 0x7F, 0]); break;
+                case 'marker': push(e.tick, text(0x06, e.text)); break;
+                case 'tempo': {
+                    const us = Math.round(60000000 / e.bpm);
+                    push(e.tick, [0xFF, 0x51, 0x03, (us >> 16) & 0xFF, (us >> 8) & 0xFF, us & 0xFF]);
+                    break;
+                }
+                case 'timesig':
+                    push(e.tick, [0xFF, 0x58, 0x04, e.numerator, Math.log2(e.denominator), 24, 8]);
+                    break;
+            }
+        }
+        push(last, [0xFF, 0x2F, 0x00]); // end of track
+        return bytes;
+    },
+
+    _varLen(value) {
+        const out = [value & 0x7F];
+        value >>>= 7;
+        while (value > 0) {
+            out.unshift((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        return out;
+    },
+
+    /** Parse a .mid file (ArrayBuffer/Uint8Array). Throws on anything that isn't one we can use. */
+    read(buffer) {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let pos = 0;
+        const u32 = () => { const v = ((data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3]) >>> 0; pos += 4; return v; };
+        const u16 = () => { const v = (data[pos] << 8) | data[pos + 1]; pos += 2; return v; };
+        const id = () => { const s = String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]); pos += 4; return s; };
+
+        if (data.length < 14 || id() !== 'MThd') throw new Error('not a MIDI file');
+        const headerLen = u32();
+        const format = u16();
+        const trackCount = u16();
+        const division = u16();
+        pos = 8 + headerLen;
+        if (format > 1) throw new Error('Type 2 MIDI files are not supported');
+        if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported');
+
+        const tracks = [];
+        for (let t = 0; t < trackCount && pos + 8 <= data.length; t++) {
+            const chunkId = id();
+            const len = u32();
+            const end = Math.min(data.length, pos + len);
+            if (chunkId !== 'MTrk') { pos = end; continue; }
+            tracks.push(SMF._readTrack(data, pos, end));
+            pos = end;
+        }
+        return { format, ppq: division, tracks };
+    },
+
+    _readTrack(data, pos, end) {
+        const track = { name: '', events: [] };
+        const varLen = () => {
+            let v = 0;
+            let b;
+            do {
+                b = data[pos++];
+                v = (v << 7) | (b & 0x7F);
+            } while (b & 0x80 && pos < end);
+            return v;
+        };
+        let tick = 0;
+        let status = 0;
+        while (pos < end) {
+            tick += varLen();
+            let byte = data[pos];
+            if (byte & 0x80) {
+                pos++;
+                if (byte < 0xF0) status = byte; // running status only for channel messages
+            } else {
+                byte = status; // running status: this is already the first data byte
+            }
+
+            if (byte === 0xFF) {
+                const type = data[pos++];
+                const len = varLen();
+                const body = data.subarray(pos, pos + len);
+                pos += len;
+                if (type === 0x2F) break;
+                if (type === 0x03 && !track.name) track.name = new TextDecoder().decode(body);
+                else if (type === 0x06) track.events.push({ tick, type: 'marker', text: new TextDecoder().decode(body) });
+                else if (type === 0x51 && len === 3) track.events.push({ tick, type: 'tempo', bpm: 60000000 / ((body[0] << 16) | (body[1] << 8) | body[2]) });
+                continue;
+            }
+            if (byte === 0xF0 || byte === 0xF7) { // sysex: skip
+                pos += varLen();
+                continue;
+            }
+
+            const kind = byte & 0xF0;
+            const channel = byte & 0x0F;
+            const a = data[pos++];
+            // Program change and channel pressure carry one data byte, the rest two
+            const b = (kind === 0xC0 || kind === 0xD0) ? 0 : data[pos++];
+            if (kind === 0x90 && b > 0) track.events.push({ tick, type: 'on', note: a, velocity: b, channel });
+            else if (kind === 0x80 || kind === 0x90) track.events.push({ tick, type: 'off', note: a, velocity: 0, channel });
+        }
+        return track;
+    }
+};
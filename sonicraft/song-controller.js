@@ -0,0 +1,388 @@
+/* song-controller.js – Song mode: an arrangement of pattern banks played (and bounced) in order */
+
+const SONG_KEY = 'soniphorm-seq-song';
+const SONG_MAX_REPEATS = 64;
+
+class SongController {
+    constructor(app) {
+        this.app = app;
+        // [{ bank, repeats, bpm, mutes }] -- bpm null = the bank's own tempo,
+        // mutes null = whatever is muted live, else the slots muted for the entry
+        this.entries = [];
+        this.enabled = false; // SONG on: PLAY runs the arrangement instead of looping one bank
+        this.loop = false;    // back to the top at the end instead of stopping
+        this._pos = null;     // { entry, pass } while the song is playing
+        this._liveMutes = null; // mute set to put back when the song stops
+        this._load();
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('seq-song-btn').addEventListener('click', () => this.toggle());
+        $('seq-song-edit-btn').addEventListener('click', () => this.open());
+        $('song-add').addEventListener('click', () => this.addEntry());
+        $('song-loop').addEventListener('change', (e) => { this.loop = e.target.checked; this._save(); });
+        $('song-close').addEventListener('click', () => { $('song-dialog').hidden = true; });
+        this._updateButton();
+    }
+
+    // === Persistence ===
+
+    _load() {
+        try {
+            const json = localStorage.getItem(SONG_KEY);
+            if (json) this.fromJSON(JSON.parse(json));
+        } catch (e) {
+            console.warn('Failed to load song:', e);
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(SONG_KEY, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.warn('Failed to save song:', e);
+        }
+    }
+
+    toJSON() {
+        return {
+            enabled: this.enabled,
+            loop: this.loop,
+            entries: this.entries.map(e => ({ bank: e.bank, repeats: e.repeats, bpm: e.bpm, mutes: e.mutes }))
+        };
+    }
+
+    fromJSON(data) {
+        this.enabled = !!(data && data.enabled);
+        this.loop = !!(data && data.loop);
+        this.entries = (data && Array.isArray(data.entries) ? data.entries : []).map(e => ({
+            bank: Math.max(0, Math.min(15, e.bank | 0)),
+            repeats: Math.max(1, Math.min(SONG_MAX_REPEATS, e.repeats | 0 || 1)),
+            bpm: e.bpm ? Math.max(20, Math.min(300, e.bpm)) : null,
+            mutes: Array.isArray(e.mutes) ? e.mutes.slice() : null
+        }));
+    }
+
+    /** Re-read after a project load replaced the stored song. */
+    reload() {
+        this.fromJSON(null);
+        this._load();
+        this._updateButton();
+    }
+
+    // === Playback ===
+
+    isActive() {
+        return this.enabled && this.entries.length > 0;
+    }
+
+    isPlaying() {
+        return this._pos !== null;
+    }
+
+    toggle() {
+        this.enabled = !this.enabled;
+        // Switching off mid-song leaves the current bank looping
+        if (!this.enabled && this.isPlaying()) this.stop();
+        this._save();
+        this._updateButton();
+    }
+
+    /**
+     * Called by SeqController just before the sequencer starts. `startTick`
+     * (steps into the song, from a MIDI Continue/SPP) picks the entry and
+     * pass to start in; returns where in that entry's pattern to start, as
+     * Sequencer.play()'s `at` -- null when the song isn't on.
+     */
+    start(startTick = 0) {
+        if (!this.isActive()) return null;
+        this._liveMutes = new Set(this.app.seq._seqMutedSlots);
+        const at = this._locate(startTick);
+        this._pos = { entry: at.entry, pass: at.pass };
+        this._applyEntry();
+        return { step: at.step, loops: at.loops };
+    }
+
+    // Song position in steps (at the speed playing now) -> entry, pass, step
+    // into that pass and pattern loops before it. Entries are measured in
+    // sixteenths, as their banks can differ in length and speed.
+    _locate(startTick) {
+        const sequencer = this.app.sequencer;
+        const spans = this.entries.map(e => {
+            const bank = this.app.seq._seqBanks && this.app.seq._seqBanks[e.bank];
+            // An empty bank plays at whatever length/speed is loaded (see seqSwitchBank)
+            const steps = bank ? bank.stepCount || 16 : sequencer.stepCount;
+            const speed = bank ? bank.speed || 1 : sequencer.speed;
+            return { steps, speed, pass: steps / speed };
+        });
+        const total = this.entries.reduce((sum, e, i) => sum + spans[i].pass * e.repeats, 0);
+        let pos = startTick / sequencer.speed;
+        if (!(pos > 0) || !(total > 0)) return { entry: 0, pass: 0, step: 0, loops: 0 };
+        // Past the end: the top again when looping, else the very last step
+        pos = this.loop ? pos % total : Math.min(pos, total - 1e-6);
+        let loops = 0;
+        for (let i = 0; i < this.entries.length; i++) {
+            const span = spans[i];
+            const repeats = this.entries[i].repeats;
+            if (pos < span.pass * repeats) {
+                const pass = Math.floor(pos / span.pass);
+                const step = Math.min(span.steps - 1, Math.floor((pos - pass * span.pass) * span.speed + 1e-6));
+                return { entry: i, pass, step, loops: loops + pass };
+            }
+            pos -= span.pass * repeats;
+            loops += repeats;
+        }
+        return { entry: 0, pass: 0, step: 0, loops: 0 };
+    }
+
+    stop() {
+        if (!this.isPlaying()) return;
+        this._captureLiveMutes();
+        this._pos = null;
+        this.app.sequencer.tempoOverride = null;
+        this.app.seq._seqMutedSlots = this._liveMutes || new Set();
+        this._liveMutes = null;
+        this.app.seq._updateBpmDisplay();
+        if (this.app._seqMode) this.app.seq._renderSeqSampleList();
+        this._updateButton();
+    }
+
+    /** Sequencer.onPatternLoop while the song plays: count the pass, move on when done. */
+    onPatternLoop() {
+        const pos = this._pos;
+        this._captureLiveMutes();
+        pos.pass++;
+        if (pos.pass < this.entries[pos.entry].repeats) {
+            this._updateButton();
+            return;
+        }
+        pos.pass = 0;
+        pos.entry++;
+        if (pos.entry >= this.entries.length) {
+            if (!this.loop) {
+                pos.entry = this.entries.length - 1;
+                this.app.sequencer.stopAtLoopEnd(() => {
+                    this.app.seq.seqPlayStop().catch(e => console.warn('Failed to stop at song end:', e));
+                });
+                return;
+            }
+            pos.entry = 0;
+        }
+        this._applyEntry();
+    }
+
+    // Mutes toggled by hand during a LIVE entry are the live mutes now
+    _captureLiveMutes() {
+        const entry = this._pos && this.entries[this._pos.entry];
+        if (entry && !entry.mutes) this._liveMutes = new Set(this.app.seq._seqMutedSlots);
+    }
+
+    _applyEntry() {
+        const entry = this.entries[this._pos.entry];
+        const seq = this.app.seq;
+        seq._seqPreviewBankIndex = null;
+        seq._seqQueuedBankIndex = null;
+        seq.seqSwitchBank(entry.bank);
+        this._applyEntrySettings(entry);
+        seq._updateBankDisplay();
+        this._updateButton();
+    }
+
+    // Tempo and mutes only -- also re-run when the playing entry is edited
+    _applyEntrySettings(entry) {
+        const seq = this.app.seq;
+        // After the bank switch -- the bank's own pattern data carries its bpm
+        this.app.sequencer.tempoOverride = entry.bpm || null;
+        seq._seqMutedSlots = entry.mutes ? new Set(entry.mutes) : new Set(this._liveMutes);
+        seq._updateBpmDisplay();
+        if (this.app._seqMode) seq._renderSeqSampleList();
+    }
+
+    _updateButton() {
+        const btn = document.getElementById('seq-song-btn');
+        btn.classList.toggle('loop-on', this.enabled);
+        btn.textContent = this.isPlaying() ? `SONG ${this._pos.entry + 1}/${this.entries.length}` : 'SONG';
+    }
+
+    /**
+     * Bounce sections for Sequencer.bounceSections(): one scratch Sequencer
+     * per entry, loaded from its bank (the current bank from the live pattern),
+     * at the entry's tempo and with its mutes.
+     */
+    bounceSections() {
+        const seq = this.app.seq;
+        if (!seq._seqBanks) seq._seqBanks = new Array(16).fill(null);
+        seq._seqBanks[seq._seqBankIndex] = this.app.sequencer.toJSON();
+        const liveMutes = this._liveMutes || seq._seqMutedSlots;
+
+        return this.entries.map(entry => {
+            const source = new Sequencer(this.app.sequencer.audioContext);
+            const bank = seq._seqBanks[entry.bank];
+            if (bank) source.fromJSON(bank);
+            else source.clearPattern();
+            source.tempoOverride = entry.bpm || null;
+            const mutes = entry.mutes ? new Set(entry.mutes) : new Set(liveMutes);
+            return { source, loops: entry.repeats, shouldPlaySlot: (slot) => !mutes.has(slot) };
+        });
+    }
+
+    // === Arrangement dialog ===
+
+    open() {
+        document.getElementById('song-loop').checked = this.loop;
+        this.render();
+        document.getElementById('song-dialog').hidden = false;
+    }
+
+    addEntry() {
+        const last = this.entries[this.entries.length - 1];
+        // New entries start on the bank being edited -- usually the next one wanted
+        this.entries.push({ bank: this.app.seq._seqBankIndex, repeats: last ? last.repeats : 1, bpm: null, mutes: null });
+        this._changed();
+    }
+
+    moveEntry(i, dir) {
+        const j = i + dir;
+        if (j < 0 || j >= this.entries.length) return;
+        [this.entries[i], this.entries[j]] = [this.entries[j], this.entries[i]];
+        this._changed();
+    }
+
+    removeEntry(i) {
+        this.entries.splice(i, 1);
+        // Keep a playing song pointing at a real entry
+        if (this.isPlaying()) {
+            if (!this.entries.length) this.stop();
+            else if (this._pos.entry >= this.entries.length) this._pos = { entry: 0, pass: 0 };
+        }
+        this._changed();
+    }
+
+    _changed() {
+        this._save();
+        if (this.isPlaying()) {
+            this._captureLiveMutes();
+            this._applyEntrySettings(this.entries[this._pos.entry]);
+        }
+        this.render();
+        this._updateButton();
+    }
+
+    // Slots a mute can apply to -- ones with audio, and kits
+    _mutableSlots() {
+        const out = [];
+        this.app.slots.slots.forEach((s, i) => {
+            if (i < 16 && (s.hasAudio || s.type === 'kit')) out.push(i);
+        });
+        return out;
+    }
+
+    render() {
+        const list = document.getElementById('song-list');
+        list.innerHTML = '';
+        const slots = this._mutableSlots();
+
+        this.entries.forEach((entry, i) => {
+            const row = document.createElement('div');
+            row.className = 'layer-slot-row song-entry-row';
+
+            const name = document.createElement('span');
+            name.className = 'layer-slot-name';
+            name.textContent = String(i + 1) + '.';
+            row.appendChild(name);
+
+            const bank = document.createElement('select');
+            bank.className = 'seq-step-select';
+            bank.title = 'Pattern bank';
+            for (let b = 0; b < 16; b++) {
+                const opt = document.createElement('option');
+                opt.value = b;
+                opt.textContent = 'PAT ' + String(b + 1).padStart(2, '0');
+                bank.appendChild(opt);
+            }
+            bank.value = entry.bank;
+            bank.addEventListener('change', () => { entry.bank = parseInt(bank.value, 10); this._save(); });
+            row.appendChild(bank);
+
+            const repeats = document.createElement('input');
+            repeats.type = 'number';
+            repeats.className = 'song-entry-num';
+            repeats.min = 1;
+            repeats.max = SONG_MAX_REPEATS;
+            repeats.value = entry.repeats;
+            repeats.title = 'Times to play the pattern';
+            repeats.addEventListener('change', () => {
+                entry.repeats = Math.max(1, Math.min(SONG_MAX_REPEATS, parseInt(repeats.value, 10) || 1));
+                repeats.value = entry.repeats;
+                this._save();
+            });
+            row.appendChild(document.createTextNode('x'));
+            row.appendChild(repeats);
+
+            const bpm = document.createElement('input');
+            bpm.type = 'number';
+            bpm.className = 'song-entry-num';
+            bpm.min = 20;
+            bpm.max = 300;
+            bpm.placeholder = 'BPM';
+            bpm.value = entry.bpm || '';
+            bpm.title = 'Tempo for this entry (blank = the bank\'s own)';
+            bpm.addEventListener('change', () => {
+                const v = parseInt(bpm.value, 10);
+                entry.bpm = v ? Math.max(20, Math.min(300, v)) : null;
+                bpm.value = entry.bpm || '';
+                this._changed();
+            });
+            row.appendChild(bpm);
+
+            const button = (label, title, onClick, disabled = false) => {
+                const b = document.createElement('button');
+                b.className = 'chain-stage-btn';
+                b.innerHTML = label;
+                b.title = title;
+                b.disabled = disabled;
+                b.addEventListener('click', onClick);
+                row.appendChild(b);
+            };
+            button('&#8593;', 'Move up', () => this.moveEntry(i, -1), i === 0);
+            button('&#8595;', 'Move down', () => this.moveEntry(i, 1), i === this.entries.length - 1);
+            button('&#10005;', 'Remove', () => this.removeEntry(i));
+
+            // Mute overrides: LIVE follows the sequencer's own mutes, tapping a
+            // slot switches the entry to its own mute set
+            const mutes = document.createElement('div');
+            mutes.className = 'song-mutes';
+            const live = document.createElement('button');
+            live.className = 'song-mute-chip' + (entry.mutes ? '' : ' on');
+            live.textContent = 'LIVE';
+            live.title = 'Use the live mute buttons';
+            live.addEventListener('click', () => { entry.mutes = null; this._changed(); });
+            mutes.appendChild(live);
+            for (const slot of slots) {
+                const chip = document.createElement('button');
+                const muted = entry.mutes && entry.mutes.includes(slot);
+                chip.className = 'song-mute-chip' + (muted ? ' muted' : '');
+                chip.textContent = String(slot + 1);
+                chip.title = `Mute slot ${slot + 1} for this entry`;
+                chip.addEventListener('click', () => {
+                    const set = new Set(entry.mutes || []);
+                    if (set.has(slot)) set.delete(slot);
+                    else set.add(slot);
+                    entry.mutes = [...set].sort((a, b) => a - b);
+                    this._changed();
+                });
+                mutes.appendChild(chip);
+            }
+            row.appendChild(mutes);
+            list.appendChild(row);
+        });
+
+        if (!this.entries.length) {
+            const hint = document.createElement('span');
+            hint.className = 'menu-hint';
+            hint.textContent = 'Add entries -- each plays a pattern bank a number of times, top to bottom';
+            list.appendChild(hint);
+        }
+    }
+}
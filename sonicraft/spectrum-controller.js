@@ -0,0 +1,318 @@
+/* spectrum-controller.js – Spectrogram + pitch-trace overlays on the main waveform view, and spectral editing on them */
+
+// One analysis column per FFT hop, up to this many across the whole buffer --
+// beyond that the bitmap just gets stretched when zoomed in
+const SPECTRUM_MAX_COLUMNS = 4096;
+// Analyses kept across slot switches (bitmaps are up to 4096x256 RGBA)
+const SPECTRUM_CACHE_SIZE = 12;
+const SPECTRUM_SETTINGS_KEY = 'soniphorm-spectrum';
+// Must match spectrum-worker.js's log scale floor
+const SPECTRUM_LOG_MIN_HZ = 20;
+
+class SpectrumController {
+    constructor(app) {
+        this.app = app;
+        this._worker = null;
+        this._requestId = 0;
+        this._pending = new Map(); // request id -> where its results go
+        this._trackId = null;
+        this._channels = null;
+        this._sampleRate = 0;
+        // fingerprint|settings -> { canvas } or { pitch } -- Map order doubles as LRU order
+        this._cache = new Map();
+        // Set while our own spectral edit replaces the audio, so the shape
+        // survives for another pass (it's dropped on any other audio change)
+        this._keepShape = false;
+        this.settings = Object.assign(
+            { spectrogram: false, pitch: false, fftSize: 2048, window: 'hann', scale: 'log' },
+            this._loadSettings()
+        );
+    }
+
+    bind() {
+        const $ = (id) => document.getElementById(id);
+        $('spectrum-spec-btn').addEventListener('click', () => this.setView({ spectrogram: !this.settings.spectrogram }));
+        $('spectrum-pitch-btn').addEventListener('click', () => this.setView({ pitch: !this.settings.pitch }));
+        $('spectrum-fft').addEventListener('change', (e) => this.setView({ fftSize: parseInt(e.target.value, 10) }));
+        $('spectrum-window').addEventListener('change', (e) => this.setView({ window: e.target.value }));
+        $('spectrum-scale').addEventListener('change', (e) => this.setView({ scale: e.target.value }));
+        $('spectrum-close').addEventListener('click', () => this.setView({ spectrogram: false, pitch: false }));
+        $('spectrum-box-btn').addEventListener('click', () => this.setTool('box'));
+        $('spectrum-lasso-btn').addEventListener('click', () => this.setTool('lasso'));
+        $('spectrum-atten-btn').addEventListener('click', () => this.applyEdit('attenuate'));
+        $('spectrum-boost-btn').addEventListener('click', () => this.applyEdit('boost'));
+        $('spectrum-heal-btn').addEventListener('click', () => this.applyEdit('heal'));
+
+        this.app.waveform.onAudioChange = (channels, sampleRate) => this._onAudioChange(channels, sampleRate);
+        this.app.waveform.onSpectralSelect = () => this._syncControls();
+        this._syncControls();
+    }
+
+    _loadSettings() {
+        try {
+            const json = localStorage.getItem(SPECTRUM_SETTINGS_KEY);
+            if (json) return JSON.parse(json);
+        } catch (e) {
+            console.warn('Failed to load spectrum settings:', e);
+        }
+        return {};
+    }
+
+    isActive() {
+        return this.settings.spectrogram || this.settings.pitch;
+    }
+
+    setView(changes) {
+        Object.assign(this.settings, changes);
+        localStorage.setItem(SPECTRUM_SETTINGS_KEY, JSON.stringify(this.settings));
+        // A shape only means something against the spectrogram it was drawn on
+        if (changes.spectrogram === false || changes.scale) this.app.waveform.setSpectralTool(null);
+        this._syncControls();
+        this._update();
+    }
+
+    _syncControls() {
+        const s = this.settings;
+        document.getElementById('spectrum-transport').classList.toggle('active', this.isActive());
+        document.getElementById('spectrum-spec-btn').classList.toggle('active', s.spectrogram);
+        document.getElementById('spectrum-pitch-btn').classList.toggle('active', s.pitch);
+        document.getElementById('spectrum-fft').value = String(s.fftSize);
+        document.getElementById('spectrum-window').value = s.window;
+        document.getElementById('spectrum-scale').value = s.scale;
+        // FFT size/window/scale only shape the spectrogram (the pitch trace
+        // follows the scale though, to line up with it)
+        document.getElementById('spectrum-fft').disabled = !s.spectrogram;
+        document.getElementById('spectrum-window').disabled = !s.spectrogram;
+
+        const wf = this.app.waveform;
+        const tool = wf.getSpectralTool();
+        const hasShape = !!wf.getSpectralShape();
+        document.getElementById('spectrum-box-btn').classList.toggle('active', tool === 'box');
+        document.getElementById('spectrum-lasso-btn').classList.toggle('active', tool === 'lasso');
+        document.getElementById('spectrum-box-btn').disabled = !s.spectrogram;
+        document.getElementById('spectrum-lasso-btn').disabled = !s.spectrogram;
+        for (const id of ['spectrum-edit-db', 'spectrum-atten-btn', 'spectrum-boost-btn', 'spectrum-heal-btn']) {
+            document.getElementById(id).disabled = !hasShape;
+        }
+    }
+
+    // === Frequency axis ===
+    // Row fraction 0 = top of the view = Nyquist, 1 = bottom (0Hz linear, 20Hz log)
+
+    hzToRowFrac(hz, sampleRate = this._sampleRate) {
+        const nyquist = sampleRate / 2;
+        if (this.settings.scale === 'log') {
+            const f = Math.max(SPECTRUM_LOG_MIN_HZ, Math.min(nyquist, hz));
+            return 1 - Math.log(f / SPECTRUM_LOG_MIN_HZ) / Math.log(nyquist / SPECTRUM_LOG_MIN_HZ);
+        }
+        return 1 - Math.max(0, Math.min(nyquist, hz)) / nyquist;
+    }
+
+    rowFracToHz(frac, sampleRate = this._sampleRate) {
+        const nyquist = sampleRate / 2;
+        if (this.settings.scale === 'log') {
+            return SPECTRUM_LOG_MIN_HZ * Math.pow(nyquist / SPECTRUM_LOG_MIN_HZ, 1 - frac);
+        }
+        return (1 - frac) * nyquist;
+    }
+
+    // === Overlay ===
+
+    _onAudioChange(channels, sampleRate) {
+        this._channels = channels;
+        this._sampleRate = sampleRate;
+        if (!this._keepShape) {
+            this.app.waveform.clearSpectralShape();
+            this._syncControls();
+        }
+        // setAudio() keeps extra tracks -- the old overlay belongs to the old audio
+        this._removeTrack();
+        this._update();
+    }
+
+    _removeTrack() {
+        if (this._trackId !== null) this.app.waveform.removeTrack(this._trackId);
+        this._trackId = null;
+    }
+
+    _update() {
+        const wf = this.app.waveform;
+        this._requestId++;
+        if (!this.isActive() || !this._channels || !this._channels[0].length) {
+            this._removeTrack();
+            return;
+        }
+        const len = this._channels[0].length;
+        if (this._trackId === null) this._trackId = wf.addOverlayTrack(len);
+
+        const fp = this._fingerprint(this._channels, this._sampleRate);
+        const s = this.settings;
+        const specKey = `${fp}|spec|${s.fftSize}|${s.window}|${s.scale}`;
+        const pitchKey = `${fp}|pitch`;
+        const spec = s.spectrogram ? this._cacheGet(specKey) : null;
+        const pitch = s.pitch ? this._cacheGet(pitchKey) : null;
+
+        wf.setTrackImage(this._trackId, spec ? spec.canvas : null);
+        wf.setTrackPitchTrace(this._trackId, pitch ? this._pitchPoints(pitch.pitch) : null);
+
+        const needSpec = s.spectrogram && !spec;
+        const needPitch = s.pitch && !pitch;
+        if (!needSpec && !needPitch) return;
+
+        const worker = this._getWorker();
+        if (!worker) return;
+        const id = this._requestId;
+        this._pending.set(id, { specKey, pitchKey, trackId: this._trackId, sampleRate: this._sampleRate });
+        const mono = this._mixdown(this._channels);
+        worker.postMessage({
+            id,
+            mono,
+            sampleRate: this._sampleRate,
+            columns: Math.max(1, Math.min(SPECTRUM_MAX_COLUMNS, Math.ceil(len / (s.fftSize / 4)))),
+            spectrogram: needSpec,
+            pitch: needPitch,
+            fftSize: s.fftSize,
+            window: s.window,
+            scale: s.scale
+        }, [mono.buffer]);
+    }
+
+    _onResult(res) {
+        const req = this._pending.get(res.id);
+        this._pending.delete(res.id);
+        if (!req) return;
+        // Cached even when superseded -- it's still the right analysis of that audio
+        if (res.image) this._cachePut(req.specKey, { canvas: this._toCanvas(res.image) });
+        if (res.pitch) this._cachePut(req.pitchKey, { pitch: res.pitch });
+        // Another edit / slot / setting change came in while this was computing
+        if (res.id !== this._requestId || req.trackId !== this._trackId) return;
+        const wf = this.app.waveform;
+        if (res.image) wf.setTrackImage(req.trackId, this._cache.get(req.specKey).canvas);
+        if (res.pitch) wf.setTrackPitchTrace(req.trackId, this._pitchPoints(res.pitch, req.sampleRate));
+    }
+
+    _getWorker() {
+        if (this._worker) return this._worker;
+        try {
+            this._worker = new Worker('spectrum-worker.js');
+            this._worker.onmessage = (e) => this._onResult(e.data);
+            this._worker.onerror = (e) => console.warn('Spectrum worker error:', e.message);
+        } catch (e) {
+            console.warn('Spectrum worker unavailable:', e);
+            alert('Spectral view failed: ' + e.message);
+            this.setView({ spectrogram: false, pitch: false });
+        }
+        return this._worker;
+    }
+
+    // A copy either way -- it's transferred to the worker
+    _mixdown(channels) {
+        const mono = new Float32Array(channels[0]);
+        for (let c = 1; c < channels.length; c++) {
+            const ch = channels[c];
+            for (let i = 0; i < mono.length; i++) mono[i] += ch[i];
+        }
+        if (channels.length > 1) for (let i = 0; i < mono.length; i++) mono[i] /= channels.length;
+        return mono;
+    }
+
+    _pitchPoints(hz, sampleRate = this._sampleRate) {
+        const n = hz.length;
+        const points = new Array(n);
+        for (let i = 0; i < n; i++) {
+            points[i] = { xFrac: (i + 0.5) / n, rowFrac: hz[i] > 0 ? this.hzToRowFrac(hz[i], sampleRate) : null };
+        }
+        return points;
+    }
+
+    _toCanvas(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.pixels, image.width, image.height), 0, 0);
+        return canvas;
+    }
+
+    // === Spectral editing ===
+    // Box/lasso a region of the spectrogram, then cut, boost or heal just the
+    // frequencies inside it (Effects.spectralEdit) -- for hum, whistles and
+    // handling noise that a filter or a time selection can't take out cleanly.
+
+    setTool(tool) {
+        const wf = this.app.waveform;
+        if (!this.settings.spectrogram) return;
+        // Tapping the active tool again goes back to time selection
+        wf.setSpectralTool(wf.getSpectralTool() === tool ? null : tool);
+        this._syncControls();
+    }
+
+    async applyEdit(mode) {
+        const rec = this.app.rec;
+        const shape = this.app.waveform.getSpectralShape();
+        const ch = await rec._getActiveChannels();
+        const sr = rec._getActiveSampleRate();
+        if (!shape || !ch) return;
+
+        // Frequencies are taken on the scale the shape was drawn on, so a lasso
+        // on a log view keeps its straight edges in log frequency
+        const region = {
+            points: shape.map(p => ({ sample: p.sample, hz: this.rowFracToHz(p.yFrac, sr) })),
+            scale: this.settings.scale
+        };
+        const db = mode === 'heal' ? 0 : parseFloat(document.getElementById('spectrum-edit-db').value);
+        const params = { fftSize: this.settings.fftSize, db };
+        const samples = shape.map(p => p.sample);
+        const start = Math.min(...samples);
+        const end = Math.max(...samples);
+        const label = mode === 'heal' ? 'Spectral heal'
+            : `Spectral ${mode === 'boost' ? 'boost +' : 'cut -'}${db}dB`;
+
+        rec._showProgress('Processing...');
+        // Let the overlay paint before the STFT ties up the main thread
+        await new Promise(r => setTimeout(r, 0));
+        try {
+            const result = Effects.spectralEdit(ch, sr, region, mode, params);
+            this._keepShape = true;
+            await rec._commitProcessed(label, { name: 'spectral', mode, start, end, region, params }, ch, result, sr);
+        } catch (e) {
+            console.error('Spectral edit error:', e);
+            alert('Spectral edit failed: ' + e.message);
+        } finally {
+            this._keepShape = false;
+            rec._hideProgress();
+        }
+    }
+
+    // === Cache ===
+    // Keyed by content rather than slot index: edits produce new audio (new
+    // key), and switching back to a slot -- or undoing to an earlier state --
+    // finds its analysis again without recomputing.
+
+    // Every sample's bits (FNV-1a over an Int32 view) -- a pass over the
+    // buffer is cheap next to the analysis, and an edit anywhere, however
+    // small, has to miss the cache
+    _fingerprint(channels, sampleRate) {
+        const len = channels[0].length;
+        let h = 0x811c9dc5;
+        for (const ch of channels) {
+            const bits = new Int32Array(ch.buffer, ch.byteOffset, len);
+            for (let i = 0; i < len; i++) h = Math.imul(h ^ bits[i], 16777619);
+        }
+        return `${channels.length}:${len}:${sampleRate}:${h >>> 0}`;
+    }
+
+    _cacheGet(key) {
+        const v = this._cache.get(key);
+        if (v) {
+            this._cache.delete(key);
+            this._cache.set(key, v);
+        }
+        return v || null;
+    }
+
+    _cachePut(key, value) {
+        this._cache.delete(key);
+        this._cache.set(key, value);
+        while (this._cache.size > SPECTRUM_CACHE_SIZE) this._cache.delete(this._cache.keys().next().value);
+    }
+}
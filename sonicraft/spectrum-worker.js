@@ -0,0 +1,190 @@
+/**
+ * Web Worker: spectrogram bitmap + pitch contour for the waveform view's
+ * analysis overlays (see spectrum-controller.js). Long takes are thousands of
+ * FFTs, which would stall the UI for seconds on the main thread.
+ *
+ * Request:  { id, mono, sampleRate, columns, spectrogram: bool, pitch: bool,
+ *             fftSize, window: 'hann'|'hamming', scale: 'log'|'linear' }
+ * Response: { id, image, pitch } -- each null unless requested
+ *   image -- { width, height, pixels }: RGBA, row 0 = highest frequency
+ *            (Nyquist), one column per analysis frame
+ *   pitch -- Float32Array Hz per column, 0 where unvoiced
+ */
+importScripts('dsp.js');
+
+const SPECTRUM_ROWS = 256;
+const SPECTRUM_MIN_HZ = 20;   // bottom of the log scale
+const SPECTRUM_RANGE_DB = 90; // below the loudest bin is drawn black
+const PITCH_FRAME = 2048;
+const PITCH_MIN_HZ = 50;
+const PITCH_MAX_HZ = 2000;
+
+// Dark blue -> cyan -> yellow -> white, matching the app's waveform blue
+const SPECTRUM_STOPS = [
+    [0.00, 10, 14, 26],
+    [0.35, 14, 80, 160],
+    [0.60, 14, 165, 233],
+    [0.85, 234, 179, 8],
+    [1.00, 255, 255, 255]
+];
+const SPECTRUM_LUT = (() => {
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255;
+        let s = 1;
+        while (s < SPECTRUM_STOPS.length - 1 && SPECTRUM_STOPS[s][0] < t) s++;
+        const [t0, r0, g0, b0] = SPECTRUM_STOPS[s - 1];
+        const [t1, r1, g1, b1] = SPECTRUM_STOPS[s];
+        const f = (t - t0) / (t1 - t0);
+        lut[i * 3] = r0 + (r1 - r0) * f;
+        lut[i * 3 + 1] = g0 + (g1 - g0) * f;
+        lut[i * 3 + 2] = b0 + (b1 - b0) * f;
+    }
+    return lut;
+})();
+
+// FFT bin range [lo, hi) each image row covers, top row first
+function rowBins(fftSize, sampleRate, scale) {
+    const half = fftSize / 2;
+    const nyquist = sampleRate / 2;
+    const rows = Math.min(SPECTRUM_ROWS, half);
+    const edges = new Float32Array(rows + 1);
+    for (let r = 0; r <= rows; r++) {
+        const frac = r / rows; // 0 = bottom
+        const hz = scale === 'log'
+            ? SPECTRUM_MIN_HZ * Math.pow(nyquist / SPECTRUM_MIN_HZ, frac)
+            : frac * nyquist;
+        edges[r] = hz / nyquist * half;
+    }
+    const bins = [];
+    for (let r = rows - 1; r >= 0; r--) {
+        const lo = Math.floor(edges[r]);
+        bins.push([lo, Math.max(lo + 1, Math.ceil(edges[r + 1]))]);
+    }
+    return bins;
+}
+
+function spectrogram(mono, sampleRate, fftSize, windowName, scale, columns) {
+    const win = windowName === 'hamming' ? DSP.hammingWindow(fftSize) : DSP.hannWindow(fftSize);
+    const hop = mono.length / columns;
+    const bins = rowBins(fftSize, sampleRate, scale);
+    const rows = bins.length;
+    const db = new Float32Array(columns * rows);
+    const real = new Float32Array(fftSize);
+    const imag = new Float32Array(fftSize);
+    const norm = 2 / fftSize;
+    let maxDb = -Infinity;
+
+    for (let c = 0; c < columns; c++) {
+        // Frame centered on the column, zero-padded past either end
+        const offset = Math.round(c * hop + hop / 2 - fftSize / 2);
+        for (let n = 0; n < fftSize; n++) {
+            const i = offset + n;
+            real[n] = i >= 0 && i < mono.length ? mono[i] * win[n] : 0;
+            imag[n] = 0;
+        }
+        DSP.fft(real, imag);
+        for (let r = 0; r < rows; r++) {
+            // Peak bin in the row, so narrow resonances don't average away
+            let mag = 0;
+            for (let k = bins[r][0]; k < bins[r][1]; k++) {
+                const m = real[k] * real[k] + imag[k] * imag[k];
+                if (m > mag) mag = m;
+            }
+            const v = 10 * Math.log10(mag * norm * norm + 1e-20);
+            db[r * columns + c] = v;
+            if (v > maxDb) maxDb = v;
+        }
+    }
+
+    const pixels = new Uint8ClampedArray(columns * rows * 4);
+    for (let i = 0; i < db.length; i++) {
+        const t = Math.max(0, Math.min(255, Math.round((db[i] - maxDb + SPECTRUM_RANGE_DB) / SPECTRUM_RANGE_DB * 255)));
+        pixels[i * 4] = SPECTRUM_LUT[t * 3];
+        pixels[i * 4 + 1] = SPECTRUM_LUT[t * 3 + 1];
+        pixels[i * 4 + 2] = SPECTRUM_LUT[t * 3 + 2];
+        pixels[i * 4 + 3] = 255;
+    }
+    return { width: columns, height: rows, pixels };
+}
+
+/**
+ * McLeod pitch method per column: normalised square difference via an
+ * FFT autocorrelation, first key maximum within 90% of the highest one,
+ * parabolic interpolation for sub-sample lag.
+ */
+function pitchTrack(mono, sampleRate, columns) {
+    const N = PITCH_FRAME;
+    const size = N * 2;
+    const hop = mono.length / columns;
+    const minLag = Math.floor(sampleRate / PITCH_MAX_HZ);
+    const maxLag = Math.min(N - 1, Math.ceil(sampleRate / PITCH_MIN_HZ));
+    const real = new Float32Array(size);
+    const imag = new Float32Array(size);
+    const frame = new Float32Array(N);
+    const nsdf = new Float32Array(maxLag + 1);
+    const out = new Float32Array(columns);
+
+    for (let c = 0; c < columns; c++) {
+        const offset = Math.round(c * hop + hop / 2 - N / 2);
+        let energy = 0;
+        for (let n = 0; n < N; n++) {
+            const i = offset + n;
+            frame[n] = i >= 0 && i < mono.length ? mono[i] : 0;
+            energy += frame[n] * frame[n];
+        }
+        if (energy / N < 1e-6) continue; // ~-60dB RMS: silence, unvoiced
+
+        real.fill(0);
+        imag.fill(0);
+        real.set(frame);
+        DSP.fft(real, imag);
+        for (let k = 0; k < size; k++) {
+            real[k] = real[k] * real[k] + imag[k] * imag[k];
+            imag[k] = 0;
+        }
+        DSP.ifft(real, imag); // real[tau] = autocorrelation
+
+        let m = 2 * energy;
+        for (let tau = 0; tau <= maxLag; tau++) {
+            nsdf[tau] = m > 0 ? 2 * real[tau] / m : 0;
+            m -= frame[tau] * frame[tau] + frame[N - 1 - tau] * frame[N - 1 - tau];
+        }
+
+        // Key maxima: highest point between successive positive zero crossings
+        const peaks = [];
+        let tau = minLag;
+        while (tau < maxLag && nsdf[tau] > 0) tau++;
+        while (tau < maxLag) {
+            while (tau < maxLag && nsdf[tau] <= 0) tau++;
+            let best = tau;
+            while (tau < maxLag && nsdf[tau] > 0) {
+                if (nsdf[tau] > nsdf[best]) best = tau;
+                tau++;
+            }
+            if (best < maxLag && nsdf[best] > 0) peaks.push(best);
+        }
+        if (!peaks.length) continue;
+        let highest = 0;
+        for (const p of peaks) highest = Math.max(highest, nsdf[p]);
+        if (highest < 0.6) continue; // too aperiodic to call a pitch
+        const pick = peaks.find(p => nsdf[p] >= 0.9 * highest);
+
+        const a = nsdf[pick - 1], b = nsdf[pick], d = nsdf[pick + 1];
+        const shift = (a - 2 * b + d) !== 0 ? 0.5 * (a - d) / (a - 2 * b + d) : 0;
+        out[c] = sampleRate / (pick + shift);
+    }
+    return out;
+}
+
+self.onmessage = (e) => {
+    const req = e.data;
+    const image = req.spectrogram
+        ? spectrogram(req.mono, req.sampleRate, req.fftSize, req.window, req.scale, req.columns)
+        : null;
+    const pitch = req.pitch ? pitchTrack(req.mono, req.sampleRate, req.columns) : null;
+    const transfer = [];
+    if (image) transfer.push(image.pixels.buffer);
+    if (pitch) transfer.push(pitch.buffer);
+    self.postMessage({ id: req.id, image, pitch }, transfer);
+};
@@ -0,0 +1,208 @@
+/**
+ * StretchSource — an AudioBufferSourceNode stand-in that plays through the
+ * 'stretch-player' worklet (stretch-worklet.js), so pitch and length come
+ * apart: `playbackRate` and `detune` change pitch only, and `speed` is how
+ * fast it moves through the sample (1 = as recorded, 0.5 = twice as long).
+ * Same buffer / loop / loopStart / loopEnd / start / stop / onended / connect
+ * surface, so Sampler and Sequencer voice chains take it unchanged.
+ *
+ * The params are real AudioParams (ConstantSourceNode offsets feeding the
+ * worklet's inputs), so automation and LFO connections work as usual; start
+ * and stop ride a gate param too, which keeps them sample-accurate in an
+ * OfflineAudioContext, where port messages have no timing guarantee.
+ */
+const STRETCH_WORKLET_URL = 'stretch-worklet.js';
+const STRETCH_MAX_BUFFERS = 32;     // sample copies kept in the worklet per context
+
+class StretchSource {
+    static _registered = new WeakMap();  // ctx -> addModule promise
+    static _ready = new WeakSet();
+    static _bufferIds = new WeakMap();   // ctx -> Map(AudioBuffer -> id), oldest use first
+    static _nextBufferId = 0;
+
+    constructor(ctx, buffer, options = {}) {
+        this.context = ctx;
+        this.buffer = buffer;
+        this.formant = !!options.formant;
+        this.onended = null;
+        this._loop = false;
+        this._loopStart = 0;
+        this._loopEnd = 0;
+        this._node = null;
+        this._startTime = 0;
+
+        const control = (value) => {
+            const c = ctx.createConstantSource();
+            c.offset.value = value;
+            return c;
+        };
+        // Worklet input order: pitch ratio, detune, speed, gate
+        this._controls = [control(1), control(0), control(options.speed || 1), control(0)];
+        this.playbackRate = this._controls[0].offset;
+        this.detune = this._controls[1].offset;
+        this.speed = this._controls[2].offset;
+        this._gate = this._controls[3].offset;
+        this._output = ctx.createGain();
+    }
+
+    /** Load the worklet into `ctx`. Resolves once StretchSources can be made there. */
+    static register(ctx) {
+        let pending = StretchSource._registered.get(ctx);
+        if (!pending) {
+            pending = ctx.audioWorklet
+                ? ctx.audioWorklet.addModule(STRETCH_WORKLET_URL).then(() => { StretchSource._ready.add(ctx); })
+                : Promise.reject(new Error('AudioWorklet not supported'));
+            StretchSource._registered.set(ctx, pending);
+        }
+        return pending;
+    }
+
+    static isReady(ctx) {
+        return StretchSource._ready.has(ctx);
+    }
+
+    /**
+     * Source for a pad's voice: a StretchSource for pads in 'stretch' time
+     * mode (if the worklet is loaded in `ctx`), else a plain buffer source.
+     * `seconds` is the stretch of sample a synced pad fits to its beat count.
+     */
+    static forPad(ctx, buffer, pad, seconds, tempo) {
+        if (pad && pad.timeMode === 'stretch' && StretchSource.isReady(ctx)) {
+            return new StretchSource(ctx, buffer, {
+                formant: pad.formant,
+                speed: StretchSource.padSpeed(pad, seconds, tempo)
+            });
+        }
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        return source;
+    }
+
+    /**
+     * Playback speed for a stretch-mode pad: with `syncBeats` set, whatever
+     * makes `seconds` of sample last that many beats at `tempo` BPM, else
+     * the pad's own `stretch` speed.
+     */
+    static padSpeed(pad, seconds, tempo) {
+        const speed = (pad.syncBeats > 0 && tempo > 0 && seconds > 0)
+            ? seconds / (pad.syncBeats * 60 / tempo)
+            : (pad.stretch || 1);
+        return Math.max(0.125, Math.min(8, speed));
+    }
+
+    /** Beat count (power of two) a sample of `seconds` most likely spans at `tempo`. */
+    static guessBeats(seconds, tempo) {
+        const beats = seconds * tempo / 60;
+        let best = 1;
+        for (let b = 1; b <= 64; b *= 2) {
+            if (Math.abs(Math.log2(beats / b)) < Math.abs(Math.log2(beats / best))) best = b;
+        }
+        return best;
+    }
+
+    get loop() { return this._loop; }
+    set loop(v) { this._loop = !!v; this._sendLoop(); }
+    get loopStart() { return this._loopStart; }
+    set loopStart(v) { this._loopStart = v; this._sendLoop(); }
+    get loopEnd() { return this._loopEnd; }
+    set loopEnd(v) { this._loopEnd = v; this._sendLoop(); }
+
+    // Loop changes after start go by message (live playback only)
+    _sendLoop() {
+        if (this._node) {
+            this._node.port.postMessage({ loop: this._loop, loopStart: this._loopStart, loopEnd: this._loopEnd });
+        }
+    }
+
+    connect(...args) {
+        return this._output.connect(...args);
+    }
+
+    disconnect(...args) {
+        this._output.disconnect(...args);
+    }
+
+    start(when = 0, offset = 0, duration) {
+        if (this._node) throw new Error('StretchSource can only be started once');
+        const ctx = this.context;
+        const buffer = this.buffer;
+        const { id, fresh, evict } = StretchSource._bufferId(ctx, buffer);
+        const channels = [];
+        if (fresh) {
+            for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+        }
+        this._node = new AudioWorkletNode(ctx, 'stretch-player', {
+            numberOfInputs: 4,
+            numberOfOutputs: 1,
+            outputChannelCount: [buffer.numberOfChannels],
+            processorOptions: {
+                bufferId: id,
+                channels: fresh ? channels : null,
+                evict,
+                sampleRate: buffer.sampleRate,
+                offset,
+                duration,
+                loop: this._loop,
+                loopStart: this._loopStart,
+                loopEnd: this._loopEnd,
+                formant: this.formant
+            }
+        });
+        this._node.port.onmessage = (e) => {
+            if (e.data === 'ended') this._ended();
+        };
+        this._controls.forEach((c, i) => {
+            c.connect(this._node, 0, i);
+            c.start();
+        });
+        this._node.connect(this._output);
+        this._startTime = Math.max(when, ctx.currentTime);
+        this._gate.setValueAtTime(1, this._startTime);
+    }
+
+    stop(when = 0) {
+        if (!this._node) throw new Error('StretchSource stopped before start');
+        const at = Math.max(when, this.context.currentTime);
+        if (at <= this._startTime) {
+            // Stopped before it began: the gate never opens
+            this._node.port.postMessage({ cancel: true });
+            return;
+        }
+        this._gate.setValueAtTime(0, at);
+    }
+
+    _ended() {
+        for (const c of this._controls) {
+            try { c.stop(); } catch (e) {}
+            c.disconnect();
+        }
+        this._node.disconnect();
+        if (this.onended) this.onended();
+    }
+
+    // One id per buffer per context; only the first node for it carries the
+    // samples. Past STRETCH_MAX_BUFFERS the least recently used one is dropped
+    // from the worklet (and sent again if it comes back).
+    static _bufferId(ctx, buffer) {
+        let ids = StretchSource._bufferIds.get(ctx);
+        if (!ids) {
+            ids = new Map();
+            StretchSource._bufferIds.set(ctx, ids);
+        }
+        let id = ids.get(buffer);
+        const fresh = id === undefined;
+        let evict = null;
+        if (fresh) {
+            id = ++StretchSource._nextBufferId;
+            if (ids.size >= STRETCH_MAX_BUFFERS) {
+                const [oldest, oldId] = ids.entries().next().value;
+                ids.delete(oldest);
+                evict = oldId;
+            }
+        } else {
+            ids.delete(buffer);
+        }
+        ids.set(buffer, id);
+        return { id, fresh, evict };
+    }
+}
@@ -0,0 +1,439 @@
+/**
+ * AudioWorklet processor for time-stretched / pitch-shifted sample playback.
+ * Driven by StretchSource (stretch-source.js) -- use that, not this directly.
+ *
+ * Phase vocoder: 2048-point frames, 4x overlap. Each hop analyses the source
+ * at the read position and compares phases with the previous hop's frame
+ * (or, when that's more than a hop back, a frame read one hop back) to get
+ * each bin's true frequency, moves each spectral peak (with the bins around
+ * it) up or down by the pitch ratio, and overlap-adds the resynthesised
+ * frame. The read position advances by hop * speed, so pitch and speed are
+ * independent. Each hop is computed a stage at a time over the quanta that
+ * play the hop before it, so speed and pitch are picked up a hop ahead. With `formant` on, a cepstral envelope of
+ * the frame is divided out before the shift and put back after it, so
+ * shifted vocals keep their vowel shape instead of going chipmunk.
+ *
+ * Inputs (mono, a-rate, fed by ConstantSourceNodes so they behave like
+ * AudioParams): 0 pitch ratio, 1 detune in cents, 2 speed, 3 gate. Playback
+ * starts at the first sample the gate goes high and ends when it drops, or
+ * when the source (or `duration`) runs out; then 'ended' is posted.
+ *
+ * Sample data travels once per buffer: the first node for a buffer brings
+ * processorOptions.channels, later ones just its bufferId, and every
+ * processor in the scope reads from the same shared copy.
+ */
+const STRETCH_FFT_SIZE = 2048;
+const STRETCH_HOP = STRETCH_FFT_SIZE / 4;
+const STRETCH_MAX_FORMANT_GAIN = 8;
+const STRETCH_WAITING = 0;
+const STRETCH_PLAYING = 1;
+const STRETCH_DONE = 2;
+
+// bufferId -> [Float32Array] per channel. StretchSource decides what stays
+// (processorOptions.evict); a playing processor holds its own reference.
+const stretchBuffers = new Map();
+
+// In-place radix-2 FFT (the DSP global isn't visible in a worklet scope)
+const stretchFFTTables = {};
+function stretchFFT(re, im, inverse) {
+    const n = re.length;
+    let t = stretchFFTTables[n];
+    if (!t) {
+        const bits = Math.log2(n);
+        t = { rev: new Uint32Array(n), cos: new Float64Array(n / 2), sin: new Float64Array(n / 2) };
+        for (let i = 0; i < n; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+            t.rev[i] = r;
+        }
+        for (let i = 0; i < n / 2; i++) {
+            t.cos[i] = Math.cos(2 * Math.PI * i / n);
+            t.sin[i] = Math.sin(2 * Math.PI * i / n);
+        }
+        stretchFFTTables[n] = t;
+    }
+    for (let i = 0; i < n; i++) {
+        const j = t.rev[i];
+        if (j > i) {
+            let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+            tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+        }
+    }
+    const sign = inverse ? 1 : -1;
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const step = n / size;
+        for (let i = 0; i < n; i += size) {
+            for (let j = 0, k = 0; j < half; j++, k += step) {
+                const wr = t.cos[k];
+                const wi = sign * t.sin[k];
+                const a = i + j;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n;
+            im[i] /= n;
+        }
+    }
+}
+
+function stretchWrap(phase) {
+    return phase - 2 * Math.PI * Math.round(phase / (2 * Math.PI));
+}
+
+function stretchInput(inputs, n, i, fallback) {
+    const input = inputs[n];
+    return input && input[0] ? input[0][i] : fallback;
+}
+
+class StretchProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const o = options.processorOptions;
+        if (o.evict != null) stretchBuffers.delete(o.evict);
+        if (o.channels) stretchBuffers.set(o.bufferId, o.channels);
+        this._source = stretchBuffers.get(o.bufferId);
+        this._length = this._source[0].length;
+        this._rate = o.sampleRate;
+        this._srcRate = o.sampleRate / sampleRate; // source samples per output sample
+        this._start = Math.max(0, Math.min(this._length, Math.round((o.offset || 0) * o.sampleRate)));
+        this._floor = this._start;  // pre-roll reads before the offset are silent
+        this._stopAt = o.duration != null ? this._start + o.duration * o.sampleRate : Infinity;
+        this._setLoop(!!o.loop, o.loopStart || 0, o.loopEnd || 0);
+        this._formant = !!o.formant;
+        this._lifter = Math.max(8, Math.round(o.sampleRate / 1000)); // 1 ms: below any sung pitch period
+        this._state = STRETCH_WAITING;
+        this._pos = 0;
+        this._lastP = NaN;
+        this._fifoPos = STRETCH_HOP;
+        // The next hop is worked out a stage at a time (one channel's
+        // analysis, envelope or synthesis) while the current one plays
+        this._stage = -1;
+        this._stages = 0;
+        this._ready = false;
+        this._prerollHops = -1;     // not started
+        this._speed = 1;
+        this._pitch = 1;
+
+        const N = STRETCH_FFT_SIZE;
+        const bins = N / 2 + 1;
+        this._window = new Float32Array(N);
+        for (let n = 0; n < N; n++) this._window[n] = 0.5 - 0.5 * Math.cos(2 * Math.PI * n / N);
+        this._binAdvance = new Float32Array(bins);
+        for (let k = 0; k < bins; k++) this._binAdvance[k] = 2 * Math.PI * k * STRETCH_HOP / N;
+        this._re = new Float32Array(N);
+        this._im = new Float32Array(N);
+        this._cepRe = new Float32Array(N);
+        this._cepIm = new Float32Array(N);
+        this._mag = new Float32Array(bins);
+        this._freq = new Float32Array(bins);
+        this._env = new Float32Array(bins);
+        this._phase = new Float32Array(bins);
+        this._peaks = new Int32Array(bins);
+        this._outMag = new Float32Array(bins);
+        this._outPhase = new Float32Array(bins);
+        this._chan = this._source.map(() => ({
+            prevPhase: new Float32Array(bins),
+            sumPhase: new Float32Array(bins),
+            accum: new Float32Array(N),
+            out: new Float32Array(STRETCH_HOP),
+            next: new Float32Array(STRETCH_HOP),
+            fresh: true     // no hop yet to take prevPhase from
+        }));
+
+        this.port.onmessage = (e) => {
+            const d = e.data;
+            if (d.cancel) {
+                this._finish();
+            } else if (d.loop !== undefined) {
+                // Carry on from where the old loop put us, then apply the new one
+                this._finishHop();
+                const at = this._index(this._pos);
+                this._stopAt += at - this._pos;
+                this._pos = at;
+                this._floor = -Infinity;
+                this._lastP = NaN;
+                this._setLoop(d.loop, d.loopStart, d.loopEnd);
+            }
+        };
+    }
+
+    // AudioBufferSourceNode rules: an empty or inverted loop means the whole buffer
+    _setLoop(loop, startSec, endSec) {
+        let ls = Math.max(0, Math.round(startSec * this._rate));
+        let le = Math.min(this._length, Math.round(endSec * this._rate));
+        if (!(le > ls)) {
+            ls = 0;
+            le = this._length;
+        }
+        this._loop = loop;
+        this._loopStart = ls;
+        this._loopEnd = le;
+    }
+
+    _index(i) {
+        if (this._loop && i >= this._loopEnd) {
+            return this._loopStart + (i - this._loopStart) % (this._loopEnd - this._loopStart);
+        }
+        return i;
+    }
+
+    _endPos() {
+        return this._loop ? this._stopAt : Math.min(this._stopAt, this._length);
+    }
+
+    _readFrame(data, at) {
+        const N = STRETCH_FFT_SIZE;
+        const end = this._endPos();
+        for (let n = 0; n < N; n++) {
+            const i = at + n;
+            let v = 0;
+            if (i >= this._floor && i < end) {
+                const idx = this._index(i);
+                if (idx >= 0 && idx < this._length) v = data[idx];
+            }
+            this._re[n] = v * this._window[n];
+            this._im[n] = 0;
+        }
+        stretchFFT(this._re, this._im, false);
+    }
+
+    // Smoothed log spectrum via the real cepstrum, low quefrencies only
+    _envelope(mag, env) {
+        const N = STRETCH_FFT_SIZE;
+        const half = N / 2;
+        const re = this._cepRe;
+        const im = this._cepIm;
+        for (let k = 0; k <= half; k++) re[k] = Math.log(mag[k] + 1e-9);
+        for (let k = 1; k < half; k++) re[N - k] = re[k];
+        im.fill(0);
+        stretchFFT(re, im, true);
+        for (let n = this._lifter; n <= N - this._lifter; n++) re[n] = 0;
+        im.fill(0);
+        stretchFFT(re, im, false);
+        for (let k = 0; k <= half; k++) env[k] = Math.exp(re[k]);
+    }
+
+    // Speed and pitch as of sample i; the next hop to start uses them
+    _readParams(inputs, i) {
+        this._speed = Math.max(0.05, Math.min(8, stretchInput(inputs, 2, i, 1)));
+        const ratio = stretchInput(inputs, 0, i, 1) * Math.pow(2, stretchInput(inputs, 1, i, 0) / 1200) * this._srcRate;
+        this._pitch = Math.max(0.25, Math.min(4, ratio));
+    }
+
+    _beginHop() {
+        const H = STRETCH_HOP;
+        const p = Math.floor(this._pos);
+        // Measure each bin's frequency against the last hop's frame when it
+        // sits up to a hop behind (speed <= 1); further back the phase
+        // difference is ambiguous, much closer it's mostly noise
+        const back = p - this._lastP;
+        this._hopBack = back >= H / 4 && back <= H ? back : 0;
+        this._hopP = p;
+        this._hopSpeed = this._speed;
+        this._hopPitch = this._pitch;
+        this._hopFormant = this._formant && Math.abs(this._pitch - 1) > 1e-3;
+        this._stage = 0;
+        this._stages = this._chan.length * (this._hopFormant ? 3 : 2);
+    }
+
+    _runStage() {
+        const per = this._hopFormant ? 3 : 2;
+        const ch = Math.floor(this._stage / per);
+        const step = this._stage % per;
+        if (step === 0) this._analyse(ch);
+        else if (step === per - 1) this._synthesise(ch);
+        else this._envelope(this._mag, this._env);
+        if (++this._stage === this._stages) this._endHop();
+    }
+
+    _finishHop() {
+        while (this._stage >= 0) this._runStage();
+    }
+
+    _endHop() {
+        this._lastP = this._hopP;
+        this._pos += STRETCH_HOP * this._hopSpeed * this._srcRate;
+        this._stage = -1;
+        if (this._prerollHops > 0 && --this._prerollHops > 0) this._beginHop();
+        else this._ready = true;
+    }
+
+    _analyse(ch) {
+        const bins = STRETCH_FFT_SIZE / 2 + 1;
+        const c = this._chan[ch];
+        const data = this._source[ch];
+        const re = this._re;
+        const im = this._im;
+        const mag = this._mag;
+        const freq = this._freq;
+        const phase = this._phase;
+
+        let back = this._hopBack;
+        if (!back || c.fresh) {
+            back = STRETCH_HOP;
+            this._readFrame(data, this._hopP - back);
+            for (let k = 0; k < bins; k++) c.prevPhase[k] = Math.atan2(im[k], re[k]);
+        }
+        this._readFrame(data, this._hopP);
+        const scale = back / STRETCH_HOP;
+        let peakMag = 0;
+        for (let k = 0; k < bins; k++) {
+            phase[k] = Math.atan2(im[k], re[k]);
+            mag[k] = Math.hypot(re[k], im[k]);
+            // Phase advance per output hop
+            const expected = this._binAdvance[k] * scale;
+            freq[k] = (expected + stretchWrap(phase[k] - c.prevPhase[k] - expected)) / scale;
+            c.prevPhase[k] = phase[k];
+            if (mag[k] > peakMag) peakMag = mag[k];
+        }
+        this._peakMag = peakMag;
+    }
+
+    _synthesise(ch) {
+        const N = STRETCH_FFT_SIZE;
+        const H = STRETCH_HOP;
+        const bins = N / 2 + 1;
+        const c = this._chan[ch];
+        const pitch = this._hopPitch;
+        const formant = this._hopFormant;
+        const peakMag = this._peakMag;
+        const mag = this._mag;
+        const freq = this._freq;
+        const env = this._env;
+        const re = this._re;
+        const im = this._im;
+        const phase = this._phase;
+        const peaks = this._peaks;
+        const outMag = this._outMag;
+        const outPhase = this._outPhase;
+
+        // Identity phase locking: each spectral peak owns the bins down to
+        // the troughs either side and moves them as one block, so a
+        // partial's window lobe keeps its shape and phase relationships
+        let count = 0;
+        for (let k = 1; k < bins - 1; k++) {
+            if (mag[k] > mag[k - 1] && mag[k] >= mag[k + 1] && mag[k] > peakMag * 1e-5) peaks[count++] = k;
+        }
+        outMag.fill(0);
+        let lo = 0;
+        for (let n = 0; n < count; n++) {
+            const kp = peaks[n];
+            let hi = bins - 1;
+            if (n + 1 < count) {
+                hi = kp;
+                for (let k = kp + 1; k < peaks[n + 1]; k++) if (mag[k] < mag[hi]) hi = k;
+            }
+            const shift = Math.round(kp * pitch) - kp;
+            const jp = kp + shift;
+            if (jp >= bins) break;
+            // Synthesis phase of the peak runs on from the previous hop's at
+            // the same bin, advanced by the partial's (shifted) frequency
+            const peakPhase = c.sumPhase[jp] + freq[kp] * pitch;
+            for (let k = lo; k <= hi; k++) {
+                const j = k + shift;
+                if (j < 0 || j >= bins) continue;
+                let m = mag[k];
+                if (formant) m *= Math.min(STRETCH_MAX_FORMANT_GAIN, env[j] / Math.max(env[k], 1e-9));
+                if (m > outMag[j]) {
+                    outMag[j] = m;
+                    outPhase[j] = peakPhase + phase[k] - phase[kp];
+                }
+            }
+            lo = hi + 1;
+        }
+        for (let j = 0; j < bins; j++) {
+            c.sumPhase[j] = outMag[j] > 0 ? stretchWrap(outPhase[j]) : 0;
+            re[j] = outMag[j] * Math.cos(c.sumPhase[j]);
+            im[j] = outMag[j] * Math.sin(c.sumPhase[j]);
+        }
+        im[0] = 0;
+        im[N / 2] = 0;
+        for (let j = 1; j < N / 2; j++) {
+            re[N - j] = re[j];
+            im[N - j] = -im[j];
+        }
+        stretchFFT(re, im, true);
+
+        // Hann in and out at 4x overlap sums to 1.5
+        for (let n = 0; n < N; n++) c.accum[n] += re[n] * this._window[n] / 1.5;
+        c.next.set(c.accum.subarray(0, H));
+        c.accum.copyWithin(0, H);
+        c.accum.fill(0, N - H);
+        c.fresh = false;
+    }
+
+    // Three hops ending just before the offset, so its first real hop
+    // overlap-adds onto a full set of frames instead of fading in. Starts
+    // while the gate is still shut (sources are scheduled ahead) and runs
+    // through to that first hop, so it's usually done when the gate opens.
+    _startPreroll(inputs) {
+        this._readParams(inputs, 0);
+        this._pos = this._start - 3 * STRETCH_HOP * this._speed * this._srcRate;
+        this._prerollHops = 4;
+        this._beginHop();
+    }
+
+    _finish() {
+        if (this._state === STRETCH_DONE) return;
+        this._state = STRETCH_DONE;
+        this.port.postMessage('ended');
+    }
+
+    process(inputs, outputs) {
+        if (this._state === STRETCH_DONE) return false;
+        const out = outputs[0];
+        const gate = inputs[3] && inputs[3][0];
+        if (this._state === STRETCH_WAITING && this._prerollHops < 0) this._startPreroll(inputs);
+        // This quantum's share of the hop in progress; a hop's stages are
+        // spread over the quanta it takes to play the one before it
+        if (this._stage >= 0) {
+            const share = Math.ceil(this._stages * out[0].length / STRETCH_HOP);
+            for (let n = 0; n < share && this._stage >= 0; n++) this._runStage();
+        }
+        for (let i = 0; i < out[0].length; i++) {
+            const open = gate ? gate[i] > 0.5 : false;
+            if (this._state === STRETCH_WAITING) {
+                if (!open) continue;
+                this._state = STRETCH_PLAYING;
+            } else if (!open) {
+                this._finish();
+                break;
+            }
+            if (this._fifoPos >= STRETCH_HOP) {
+                this._finishHop();
+                if (!this._ready) {
+                    this._finish();
+                    break;
+                }
+                for (const c of this._chan) {
+                    const played = c.out;
+                    c.out = c.next;
+                    c.next = played;
+                }
+                this._ready = false;
+                this._fifoPos = 0;
+                if (this._pos < this._endPos()) {
+                    this._readParams(inputs, i);
+                    this._beginHop();
+                }
+            }
+            for (let ch = 0; ch < out.length && ch < this._chan.length; ch++) {
+                out[ch][i] = this._chan[ch].out[this._fifoPos];
+            }
+            this._fifoPos++;
+        }
+        return this._state !== STRETCH_DONE;
+    }
+}
+
+registerProcessor('stretch-player', StretchProcessor);
@@ -9,14 +9,33 @@ const ASSETS = [
   './slot-manager.js',
   './dsp.js',
   './effects.js',
+  './stretch-source.js',
   './sampler.js',
   './sequencer.js',
+  './pattern-gen.js',
   './recorder-worklet.js',
+  './stretch-worklet.js',
   './midi.js',
+  './smf.js',
   './dmx.js',
+  './dmx-fixtures.js',
   './rec-controller.js',
   './seq-controller.js',
   './sample-controller.js',
+  './comp-controller.js',
+  './sd-browser-controller.js',
+  './slicer-controller.js',
+  './loop-finder-controller.js',
+  './fx-chain-controller.js',
+  './spectrum-controller.js',
+  './spectrum-worker.js',
+  './tempo-worker.js',
+  './song-controller.js',
+  './generator-controller.js',
+  './midi-file-controller.js',
+  './midi-map-controller.js',
+  './dmx-show-controller.js',
+  './dmx-fixture-controller.js',
   './jszip.min.js'
 ];
 
@@ -0,0 +1,20 @@
+/**
+ * Web Worker: tempo estimates for saved slots (see SlotManager._queueTempo).
+ * A minute of audio takes DSP.detectTempo over a second, too long to hold up
+ * a save -- and every edit, undo and redo is one.
+ *
+ * Request:  { id, mono, sampleRate }
+ * Response: { id, tempo } -- DSP.detectTempo()'s estimate, or null
+ */
+importScripts('dsp.js');
+
+self.onmessage = (e) => {
+    const req = e.data;
+    let tempo = null;
+    try {
+        tempo = DSP.detectTempo(req.mono, req.sampleRate);
+    } catch (err) {
+        console.warn('Failed to detect tempo', err);
+    }
+    self.postMessage({ id: req.id, tempo });
+};
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * dmx-bridge.js — WebSocket-to-UDP bridge for SoniCraft's Art-Net / sACN
+ * output (DmxNetworkTransport in dmx.js). Browsers can't send UDP, so the
+ * app builds each packet and hands it over a WebSocket; this forwards it.
+ * Plain Node, no packages.
+ *
+ *   node tools/dmx-bridge.js [--port 8765] [--host <ip>] [--dry-run]
+ *                            [--listen <addr>] [--origin <url> ...]
+ *       Bridge. Art-Net goes to --host (default broadcast 255.255.255.255)
+ *       on 6454; sACN to its universe's multicast group 239.255.x.y on 5568,
+ *       or to --host if given. --dry-run prints packets instead of sending.
+ *       Listens on 127.0.0.1 only unless --listen says otherwise, and takes
+ *       connections only from the Soniphorm site and localhost pages (add
+ *       others with --origin) -- anything that can reach it drives the rig.
+ *
+ *   node tools/dmx-bridge.js --receive [--universes 4]
+ *       Stand-in receiver: listens on 6454 and 5568 (joining the sACN
+ *       groups of the first N universes) and prints what changes. Run the
+ *       bridge with --host 127.0.0.1 alongside it to test on one machine.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+const ARTNET_PORT = 6454;
+const SACN_PORT = 5568;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ALLOWED_ORIGINS = ['https://www.soniphorm.com', 'https://soniphorm.com'];
+
+function parseArgs(argv) {
+    const args = { port: 8765, host: null, dryRun: false, receive: false, universes: 4, listen: '127.0.0.1', origins: [] };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port': args.port = parseInt(argv[++i], 10); break;
+            case '--host': args.host = argv[++i]; break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--receive': args.receive = true; break;
+            case '--universes': args.universes = parseInt(argv[++i], 10); break;
+            case '--listen': args.listen = argv[++i]; break;
+            case '--origin': args.origins.push(argv[++i].replace(/\/+$/, '')); break;
+            default:
+                console.error('Unknown option: ' + argv[i]);
+                process.exit(1);
+        }
+    }
+    return args;
+}
+
+// === Packets ===
+
+/** { protocol, universe, sequence, data } for an ArtDmx or E1.31 data packet, else null. */
+function decode(buf) {
+    if (buf.length >= 18 && buf.toString('latin1', 0, 8) === 'Art-Net\0' && buf.readUInt16LE(8) === 0x5000) {
+        const len = buf.readUInt16BE(16);
+        return {
+            protocol: 'artnet',
+            universe: buf[14] | ((buf[15] & 0x7F) << 8),
+            sequence: buf[12],
+            data: buf.subarray(18, 18 + len)
+        };
+    }
+    if (buf.length >= 126 && buf.toString('latin1', 4, 13) === 'ASC-E1.17' && buf.readUInt32BE(40) === 0x00000002) {
+        const count = buf.readUInt16BE(123);
+        return {
+            protocol: 'sacn',
+            universe: buf.readUInt16BE(113),
+            sequence: buf[111],
+            data: buf.subarray(126, 125 + count) // past the start code
+        };
+    }
+    return null;
+}
+
+function sacnGroup(universe) {
+    return `239.255.${(universe >> 8) & 0xFF}.${universe & 0xFF}`;
+}
+
+// Channels that changed since the last frame of this universe, as "ch=value"
+const lastFrames = new Map();
+function describeChanges(pkt) {
+    const key = pkt.protocol + ':' + pkt.universe;
+    const prev = lastFrames.get(key);
+    const changes = [];
+    for (let i = 0; i < pkt.data.length; i++) {
+        if (!prev ? pkt.data[i] : pkt.data[i] !== prev[i]) changes.push(`${i + 1}=${pkt.data[i]}`);
+    }
+    lastFrames.set(key, Buffer.from(pkt.data));
+    if (!changes.length) return null;
+    const shown = changes.length > 16 ? changes.slice(0, 16).join(' ') + ` … (+${changes.length - 16})` : changes.join(' ');
+    return `${pkt.protocol === 'sacn' ? 'sACN' : 'Art-Net'} u${pkt.universe} #${pkt.sequence}: ${shown}`;
+}
+
+// === WebSocket server (RFC 6455, just what the bridge needs) ===
+
+// Browsers always send Origin, so this is what stops any open web page from
+// reaching the bridge. No Origin is a local non-browser client: fine from
+// loopback only.
+function originAllowed(req, socket, extra) {
+    const origin = req.headers.origin;
+    if (!origin) return /^(127\.|::1$|::ffff:127\.)/.test(socket.remoteAddress || '');
+    if (ALLOWED_ORIGINS.includes(origin) || extra.includes(origin)) return true;
+    try {
+        const { hostname } = new URL(origin);
+        return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+    } catch (e) {
+        return false;
+    }
+}
+
+function acceptWebSocket(req, socket, onMessage) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+    const send = (opcode, payload) => {
+        const len = payload.length;
+        const header = len < 126 ? Buffer.from([0x80 | opcode, len])
+            : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 0xFF])
+                : null;
+        if (header) socket.write(Buffer.concat([header, payload]));
+    };
+
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        while (pending.length >= 2) {
+            const fin = pending[0] & 0x80;
+            const opcode = pending[0] & 0x0F;
+            const masked = pending[1] & 0x80;
+            let len = pending[1] & 0x7F;
+            let offset = 2;
+            if (len === 126) {
+                if (pending.length < 4) return;
+                len = pending.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (pending.length < 10) return;
+                len = Number(pending.readBigUInt64BE(2));
+                offset = 10;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (pending.length < offset + len) return;
+            const payload = Buffer.from(pending.subarray(offset, offset + len));
+            if (masked) {
+                for (let i = 0; i < len; i++) payload[i] ^= pending[maskOffset + (i & 3)];
+            }
+            pending = pending.subarray(offset + len);
+
+            if (opcode === 0x8) { // close
+                send(0x8, payload.subarray(0, 2));
+                socket.end();
+                return;
+            }
+            if (opcode === 0x9) { send(0xA, payload); continue; } // ping
+            if (opcode === 0xA) continue;                         // pong
+            fragments.push(payload);
+            if (!fin) continue;
+            const message = Buffer.concat(fragments);
+            fragments = [];
+            if (opcode === 0x2 || opcode === 0x0) onMessage(message);
+        }
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+// === Modes ===
+
+function runBridge(args) {
+    const udp = dgram.createSocket('udp4');
+    udp.bind(() => {
+        udp.setBroadcast(true);
+        udp.setMulticastTTL(4);
+    });
+
+    const forward = (message) => {
+        const pkt = decode(message);
+        if (!pkt) return;
+        if (args.dryRun) {
+            const line = describeChanges(pkt);
+            if (line) console.log(line);
+            return;
+        }
+        const host = pkt.protocol === 'sacn' ? (args.host || sacnGroup(pkt.universe)) : (args.host || '255.255.255.255');
+        const port = pkt.protocol === 'sacn' ? SACN_PORT : ARTNET_PORT;
+        udp.send(message, port, host, (err) => {
+            if (err) console.warn(`send to ${host}:${port} failed: ${err.message}`);
+        });
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('SoniCraft DMX bridge -- connect over WebSocket\n');
+    });
+    server.on('upgrade', (req, socket) => {
+        if (!originAllowed(req, socket, args.origins)) {
+            console.warn(`Refused connection from ${socket.remoteAddress} (origin ${req.headers.origin || 'none'})`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        console.log('App connected from ' + socket.remoteAddress);
+        socket.on('close', () => console.log('App disconnected'));
+        acceptWebSocket(req, socket, forward);
+    });
+    server.listen(args.port, args.listen, () => {
+        const target = args.dryRun ? 'printing packets (dry run)' : `sending to ${args.host || 'broadcast / sACN multicast'}`;
+        console.log(`DMX bridge on ws://${args.listen}:${args.port}, ${target}`);
+    });
+}
+
+function runReceiver(args) {
+    const listen = (port, groups) => {
+        const sock = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        sock.on('message', (msg) => {
+            const pkt = decode(msg);
+            const line = pkt && describeChanges(pkt);
+            if (line) console.log(line);
+        });
+        sock.on('error', (err) => {
+            console.error(`port ${port}: ${err.message}`);
+            sock.close();
+        });
+        sock.bind(port, () => {
+            for (const group of groups) {
+                try { sock.addMembership(group); } catch (e) { console.warn(`can't join ${group}: ${e.message}`); }
+            }
+            console.log(`Listening on ${port}` + (groups.length ? ` (${groups[0]}…${groups[groups.length - 1]})` : ''));
+        });
+    };
+    listen(ARTNET_PORT, []);
+    const groups = [];
+    for (let u = 1; u <= Math.max(1, args.universes); u++) groups.push(sacnGroup(u));
+    listen(SACN_PORT, groups);
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.receive) runReceiver(args);
+else runBridge(args);
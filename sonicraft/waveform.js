@@ -23,6 +23,14 @@ const COLORS = {
     loopFill: 'rgba(34, 197, 94, 0.12)',
     loopEdge: 'rgba(34, 197, 94, 0.7)',
     loopEdgeActive: 'rgba(34, 197, 94, 1.0)',
+    sliceMarker: 'rgba(234, 179, 8, 0.75)',
+    sliceMarkerActive: 'rgba(234, 179, 8, 1.0)',
+    sliceLabel: '#0a0e1a',
+    spectralFill: 'rgba(234, 179, 8, 0.18)',
+    spectralEdge: 'rgba(234, 179, 8, 0.9)',
+    beatLine: 'rgba(255, 255, 255, 0.07)',
+    barLine: 'rgba(255, 255, 255, 0.2)',
+    barLabel: 'rgba(255, 255, 255, 0.35)',
 };
 
 const DEAD_ZONE = 0.05;
@@ -75,6 +83,26 @@ class WaveformRenderer {
         this.onLoopChange = null;
         this.onLoopClear = null;
 
+        // Slice markers (see setSliceMarkers()) -- sorted sample positions, or
+        // null when not shown
+        this._sliceMarkers = null;
+        this._draggingSliceMarker = -1;
+        this.onSliceMarkersChange = null;
+
+        // Spectral selection (see setSpectralTool()) -- null or an outline of
+        // {sample, yFrac} points, yFrac 0 = top of the canvas
+        this._spectralTool = null; // 'box' | 'lasso' | null
+        this._spectralShape = null;
+        this._spectralDrawing = false;
+        this._spectralAnchor = null;
+        this._spectralLastPx = null;
+        this.onSpectralSelect = null;
+
+        // Beat grid (see setBeatGrid()) -- a slot's tempo estimate, or null
+        this._beatGrid = null;
+        // Selection and loop edges land on the nearest beat while set
+        this.snapToBeats = false;
+
         // Playback cursor
         this._cursorSample = -1;
 
@@ -106,6 +134,10 @@ class WaveformRenderer {
         // Callbacks
         this.onSelectionChange = null;
         this.onCursorSet = null;
+        // Primary buffer replaced via setAudio()/clear() (not updateAudio()'s
+        // live-recording refreshes) -- anything derived from the old audio
+        // (e.g. an analysis overlay track) is stale from here
+        this.onAudioChange = null;
 
         // Cached layout values (updated on resize)
         this._dpr = window.devicePixelRatio || 1;
@@ -133,8 +165,10 @@ class WaveformRenderer {
         this._cursorSample = -1;
         this._loopStart = -1;
         this._loopEnd = -1;
+        this._beatGrid = null;
 
         this.render();
+        if (this.onAudioChange) this.onAudioChange(channels, sampleRate);
     }
 
     /** Update audio data without resetting zoom/scroll/selection (for live recording). */
@@ -157,7 +191,9 @@ class WaveformRenderer {
         this._loopEnd = -1;
         this._zoom = 1;
         this._scrollOffset = 0;
+        this._beatGrid = null;
         this.render();
+        if (this.onAudioChange) this.onAudioChange(null, this._sampleRate);
     }
 
     // -- Extra tracks (display-only, for multi-waveform views) ------------
@@ -187,6 +223,30 @@ class WaveformRenderer {
         return id;
     }
 
+    /**
+     * A track with no waveform of its own, spanning the full canvas height --
+     * for analysis views of the primary buffer (spectrogram, pitch) that
+     * only ever draw via setTrackImage()/setTrackPitchTrace(). Until an image
+     * is set it draws nothing, so the primary waveform shows through.
+     */
+    addOverlayTrack(totalSamples, offset = 0) {
+        const id = this._nextTrackId++;
+        this._extraTracks.push({
+            id,
+            sampleRate: this._sampleRate,
+            totalSamples,
+            mono: null,
+            offset,
+            color: null,
+            gain: 1,
+            centerYFrac: 0.5,
+            bandFrac: 1,
+            image: null,
+        });
+        this.render();
+        return id;
+    }
+
     /**
      * Give a track a precomputed image (e.g. a spectrogram bitmap) to draw
      * instead of the peak-envelope shape. Drawn stretched to the track's
@@ -306,6 +366,77 @@ class WaveformRenderer {
         this.render();
     }
 
+    // -- Slice markers ----------------------------------------------------
+    //
+    // Numbered, editable cut points over the primary buffer (the kit slicer).
+    // While shown they take priority over loop/selection hit-testing: drag one
+    // to move it, double-tap one to remove it, double-tap anywhere else to add
+    // one there. Every edit reports the full sorted list via onSliceMarkersChange.
+
+    setSliceMarkers(samples) {
+        this._sliceMarkers = samples ? [...samples].sort((a, b) => a - b) : null;
+        this._draggingSliceMarker = -1;
+        this.render();
+    }
+
+    clearSliceMarkers() {
+        this.setSliceMarkers(null);
+    }
+
+    getSliceMarkers() {
+        return this._sliceMarkers ? this._sliceMarkers.slice() : null;
+    }
+
+    // -- Beat grid --------------------------------------------------------
+    //
+    // Beat lines over the primary buffer from a tempo estimate ({ bpm,
+    // firstBeat, downbeat, beatsPerBar }, times in seconds -- see
+    // DSP.detectTempo()), bar lines stronger and numbered from the downbeat.
+    // Cleared by setAudio()/clear(). With snapToBeats set, selection and loop
+    // edges snap to it (and to the ends of the audio).
+
+    setBeatGrid(grid) {
+        this._beatGrid = grid && grid.bpm > 0 ? grid : null;
+        this.render();
+    }
+
+    clearBeatGrid() {
+        this.setBeatGrid(null);
+    }
+
+    getBeatGrid() {
+        return this._beatGrid;
+    }
+
+    // -- Spectral selection -----------------------------------------------
+    // Time-frequency shapes drawn over an analysis overlay (see
+    // addOverlayTrack()). While a tool is set, single-pointer drags draw the
+    // shape instead of a time selection -- 'box' a rectangle, 'lasso' a
+    // freehand outline -- and every finished shape (or null, for one too small
+    // to keep) is reported via onSpectralSelect. Pinch zoom still works.
+
+    setSpectralTool(tool) {
+        this._spectralTool = tool || null;
+        this._spectralDrawing = false;
+        if (!this._spectralTool) this._spectralShape = null;
+        this._canvas.style.cursor = this._spectralTool ? 'crosshair' : '';
+        this.render();
+    }
+
+    getSpectralTool() {
+        return this._spectralTool;
+    }
+
+    getSpectralShape() {
+        return this._spectralShape ? this._spectralShape.map(p => ({ sample: p.sample, yFrac: p.yFrac })) : null;
+    }
+
+    clearSpectralShape() {
+        this._spectralShape = null;
+        this._spectralDrawing = false;
+        this.render();
+    }
+
     // -- Playback cursor --------------------------------------------------
 
     setCursor(sample) {
@@ -465,6 +596,11 @@ class WaveformRenderer {
             ctx.stroke();
         }
 
+        // --- Beat grid (behind the waveform) ---
+        if (this._beatGrid && this._totalSamples > 0) {
+            this._drawBeatGrid(ctx, w, h, startSample, visibleSamples);
+        }
+
         // --- Waveform (min/max peaks per pixel column) ---
         if (this._mono && this._totalSamples > 0) {
             this._drawWaveform(ctx, w, h, halfH, startSample, visibleSamples, this._mono, this._totalSamples, 0, COLORS.waveform, 1);
@@ -474,8 +610,8 @@ class WaveformRenderer {
         // see addTrack()'s centerYFrac. A track with a precomputed image
         // (e.g. a spectrogram bitmap, see setTrackImage()) draws that instead
         // of the peak-envelope shape.
-        const bandHeight = this.trackBandHeightPx();
         for (const t of this._extraTracks) {
+            const bandHeight = t.bandFrac ? h * t.bandFrac : this.trackBandHeightPx();
             const centerY = (t.centerYFrac != null ? t.centerYFrac : 0.5) * h;
             const x0 = this._sampleToX(t.offset, startSample, visibleSamples, w);
             const x1 = this._sampleToX(t.offset + t.totalSamples, startSample, visibleSamples, w);
@@ -499,6 +635,16 @@ class WaveformRenderer {
             this._drawLoopMarkers(ctx, w, h, startSample, visibleSamples);
         }
 
+        // --- Spectral selection ---
+        if (this._spectralShape) {
+            this._drawSpectralShape(ctx, w, h, startSample, visibleSamples);
+        }
+
+        // --- Slice markers ---
+        if (this._sliceMarkers) {
+            this._drawSliceMarkers(ctx, w, h, startSample, visibleSamples);
+        }
+
         // --- Time ruler (bottom-edge gradations, superimposed on the waveform
         // rather than a separate strip -- see _drawTimeRuler()'s own comment) ---
         this._drawTimeRuler(ctx, w, h, startSample, visibleSamples);
@@ -949,26 +1095,132 @@ class WaveformRenderer {
         }
     }
 
+    _drawBeatGrid(ctx, w, h, startSample, visibleSamples) {
+        const g = this._beatGrid;
+        const beat = 60 / g.bpm * this._sampleRate;
+        const perBar = g.beatsPerBar || 4;
+        // Too dense to read: bars only, then nothing
+        const beatPx = beat / visibleSamples * w;
+        if (beatPx * perBar < 4) return;
+        const showBeats = beatPx >= 6;
+
+        const first = g.firstBeat * this._sampleRate;
+        const downbeat = Math.round((g.downbeat - g.firstBeat) * g.bpm / 60); // beat index of bar 1
+        const kFrom = Math.max(0, Math.floor((startSample - first) / beat));
+        const kTo = Math.ceil((Math.min(this._totalSamples, startSample + visibleSamples) - first) / beat);
+
+        ctx.font = '9px "JetBrains Mono", monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = 1;
+        for (let k = kFrom; k <= kTo; k++) {
+            const sample = first + k * beat;
+            if (sample > this._totalSamples) break;
+            const rel = k - downbeat;
+            const isBar = rel >= 0 && rel % perBar === 0;
+            if (!isBar && !showBeats) continue;
+            const x = Math.round(this._sampleToX(sample, startSample, visibleSamples, w)) + 0.5;
+            if (x < 0 || x > w) continue;
+            ctx.strokeStyle = isBar ? COLORS.barLine : COLORS.beatLine;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, h);
+            ctx.stroke();
+            if (isBar && beatPx * perBar >= 24) {
+                ctx.fillStyle = COLORS.barLabel;
+                ctx.fillText(String(rel / perBar + 1), x + 3, 14);
+            }
+        }
+    }
+
+    _drawSliceMarkers(ctx, w, h, startSample, visibleSamples) {
+        ctx.font = '9px "JetBrains Mono", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this._sliceMarkers.forEach((sample, i) => {
+            const x = this._sampleToX(sample, startSample, visibleSamples, w);
+            if (x < -20 || x > w + 20) return;
+            const active = i === this._draggingSliceMarker;
+            const color = active ? COLORS.sliceMarkerActive : COLORS.sliceMarker;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = active ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, h);
+            ctx.stroke();
+
+            // Numbered flag at top, hanging right of the line (slice i starts here)
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 0, 16, 12);
+            ctx.fillStyle = COLORS.sliceLabel;
+            ctx.fillText(String(i + 1), x + 8, 6.5);
+        });
+    }
+
+    _drawSpectralShape(ctx, w, h, startSample, visibleSamples) {
+        const pts = this._spectralShape;
+        ctx.beginPath();
+        pts.forEach((p, i) => {
+            const x = this._sampleToX(p.sample, startSample, visibleSamples, w);
+            const y = p.yFrac * h;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        // A lasso still being drawn stays open
+        if (!(this._spectralDrawing && this._spectralTool === 'lasso')) ctx.closePath();
+        ctx.fillStyle = COLORS.spectralFill;
+        ctx.fill();
+        ctx.strokeStyle = COLORS.spectralEdge;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /** Index of the slice marker within 12px of clientX (nearest), or -1. */
+    _sliceMarkerAtX(clientX) {
+        if (!this._sliceMarkers) return -1;
+        const rect = this._canvas.getBoundingClientRect();
+        const px = clientX - rect.left;
+        let best = -1;
+        let bestDist = 12;
+        this._sliceMarkers.forEach((sample, i) => {
+            const d = Math.abs(this._sampleToX(sample, this._scrollOffset, this.getVisibleSamples(), this._width) - px);
+            if (d <= bestDist) { best = i; bestDist = d; }
+        });
+        return best;
+    }
+
     // --------------------------------------------------------- event binding
 
     _bindEvents() {
         const c = this._canvas;
 
         // --- Mouse events ---
-        c.addEventListener('mousedown', (e) => this._pointerDown(e.clientX));
+        c.addEventListener('mousedown', (e) => {
+            if (this._spectralTool) this._spectralDown(e.clientX, e.clientY);
+            else this._pointerDown(e.clientX);
+        });
         c.addEventListener('mousemove', (e) => {
-            if (this._dragging || this._draggingLoopMarker || this._draggingSelMarker || this._selMoveArmed || this._draggingSelMove) {
+            if (this._spectralTool) {
+                if (this._spectralDrawing) this._spectralMove(e.clientX, e.clientY);
+            } else if (this._dragging || this._draggingLoopMarker || this._draggingSelMarker || this._selMoveArmed || this._draggingSelMove || this._draggingSliceMarker >= 0) {
                 this._pointerMove(e.clientX);
             } else {
-                c.style.cursor = this._selHandleAtX(e.clientX) ? 'ew-resize'
+                c.style.cursor = (this._selHandleAtX(e.clientX) || this._sliceMarkerAtX(e.clientX) >= 0) ? 'ew-resize'
                     : this._selBodyAtX(e.clientX) ? 'move' : '';
             }
         });
-        c.addEventListener('mouseup', (e) => this._pointerUp(e.clientX));
+        c.addEventListener('mouseup', (e) => {
+            if (this._spectralDrawing) this._spectralUp();
+            else this._pointerUp(e.clientX);
+        });
         // Handle mouse leaving the canvas while dragging
         c.addEventListener('mouseleave', (e) => {
+            if (this._spectralTool) {
+                if (this._spectralDrawing) this._spectralUp();
+                return;
+            }
             c.style.cursor = '';
-            if (this._dragging || this._draggingLoopMarker || this._draggingSelMarker || this._selMoveArmed || this._draggingSelMove) this._pointerUp(e.clientX);
+            if (this._dragging || this._draggingLoopMarker || this._draggingSelMarker || this._selMoveArmed || this._draggingSelMove || this._draggingSliceMarker >= 0) this._pointerUp(e.clientX);
         });
 
         // --- Touch events (single-touch selection + two-finger pinch zoom) ---
@@ -977,6 +1229,10 @@ class WaveformRenderer {
             if (e.touches.length === 2) {
                 // Start pinch — cancel any drag in progress
                 this._dragging = false;
+                if (this._spectralDrawing) {
+                    this._spectralDrawing = false;
+                    this._spectralShape = null;
+                }
                 this._pinching = true;
                 this._pinchStartDist = this._touchDist(e.touches);
                 this._pinchStartZoom = this._zoom;
@@ -986,7 +1242,8 @@ class WaveformRenderer {
                 this._pinchStartMidX = mid;
                 this._pinchStartScrollOffset = this._scrollOffset;
             } else if (e.touches.length === 1 && !this._pinching) {
-                this._pointerDown(e.touches[0].clientX);
+                if (this._spectralTool) this._spectralDown(e.touches[0].clientX, e.touches[0].clientY);
+                else this._pointerDown(e.touches[0].clientX);
             }
         }, { passive: false });
 
@@ -1007,7 +1264,9 @@ class WaveformRenderer {
                 this._scrollOffset -= midDeltaPx * samplesPerPx;
                 this._clampScroll();
                 this.render();
-            } else if (e.touches.length === 1 && !this._pinching && (this._dragging || this._draggingLoopMarker || this._draggingSelMarker || this._selMoveArmed || this._draggingSelMove)) {
+            } else if (e.touches.length === 1 && this._spectralDrawing) {
+                this._spectralMove(e.touches[0].clientX, e.touches[0].clientY);
+            } else if (e.touches.length === 1 && !this._pinching && (this._dragging || this._draggingLoopMarker || this._draggingSelMarker || this._selMoveArmed || this._draggingSelMove || this._draggingSliceMarker >= 0)) {
                 // _draggingSelMarker/_selMoveArmed/_draggingSelMove added alongside the
                 // long-press-to-move feature -- selection-edge dragging and the new
                 // move gesture both need live touchmove updates the same way loop-
@@ -1024,7 +1283,9 @@ class WaveformRenderer {
                 if (e.touches.length < 2) {
                     this._pinching = false;
                 }
-            } else {
+            } else if (this._spectralDrawing) {
+                this._spectralUp();
+            } else if (!this._spectralTool) {
                 this._pointerUp(e.changedTouches[0].clientX);
             }
         }, { passive: false });
@@ -1054,6 +1315,74 @@ class WaveformRenderer {
         }, { passive: false });
     }
 
+    _spectralDown(clientX, clientY) {
+        if (this.chromaticMode) return;
+        if (!this._mono || this._totalSamples === 0) return;
+        const p = { sample: this._clampSample(this.sampleAtX(clientX)), yFrac: this.yFractionAtY(clientY) };
+        this._spectralDrawing = true;
+        this._spectralAnchor = p;
+        this._spectralLastPx = { x: clientX, y: clientY };
+        this._spectralShape = [p];
+        this.render();
+    }
+
+    _spectralMove(clientX, clientY) {
+        const p = { sample: this._clampSample(this.sampleAtX(clientX)), yFrac: this.yFractionAtY(clientY) };
+        if (this._spectralTool === 'box') {
+            const a = this._spectralAnchor;
+            this._spectralShape = [
+                a, { sample: p.sample, yFrac: a.yFrac }, p, { sample: a.sample, yFrac: p.yFrac }
+            ];
+        } else {
+            // Thin the outline out to a point every few pixels
+            const last = this._spectralLastPx;
+            if (Math.abs(clientX - last.x) < MIN_DRAG_PX && Math.abs(clientY - last.y) < MIN_DRAG_PX) return;
+            this._spectralShape.push(p);
+        }
+        this._spectralLastPx = { x: clientX, y: clientY };
+        this.render();
+    }
+
+    _spectralUp() {
+        this._spectralDrawing = false;
+        const pts = this._spectralShape;
+        // A tap (or a sliver) clears the shape rather than leaving an empty one
+        const rect = this._canvas.getBoundingClientRect();
+        const xs = pts ? pts.map(p => this._sampleToX(p.sample, this._scrollOffset, this.getVisibleSamples(), this._width)) : [];
+        const ys = pts ? pts.map(p => p.yFrac * rect.height) : [];
+        if (!pts || pts.length < 3 ||
+            Math.max(...xs) - Math.min(...xs) < MIN_DRAG_PX ||
+            Math.max(...ys) - Math.min(...ys) < MIN_DRAG_PX) {
+            this._spectralShape = null;
+        }
+        this.render();
+        if (this.onSpectralSelect) this.onSpectralSelect(this.getSpectralShape());
+    }
+
+    _clampSample(sample) {
+        return Math.max(0, Math.min(sample, this._totalSamples));
+    }
+
+    /** Nearest beat (or end of the audio) to `sample` when snapping is on, else `sample` as is. */
+    _snapSample(sample) {
+        const g = this._beatGrid;
+        if (!this.snapToBeats || !g) return sample;
+        const beat = 60 / g.bpm * this._sampleRate;
+        const first = g.firstBeat * this._sampleRate;
+        let snapped = first + Math.round((sample - first) / beat) * beat;
+        for (const edge of [0, this._totalSamples]) {
+            if (Math.abs(sample - edge) < Math.abs(sample - snapped)) snapped = edge;
+        }
+        return this._clampSample(Math.round(snapped));
+    }
+
+    _moveSliceMarker(clientX) {
+        const i = this._draggingSliceMarker;
+        const lo = i > 0 ? this._sliceMarkers[i - 1] + 1 : 0;
+        const hi = i < this._sliceMarkers.length - 1 ? this._sliceMarkers[i + 1] - 1 : this._totalSamples - 1;
+        this._sliceMarkers[i] = Math.max(lo, Math.min(this.sampleAtX(clientX), hi));
+    }
+
     /** Distance between two touch points. */
     _touchDist(touches) {
         const dx = touches[1].clientX - touches[0].clientX;
@@ -1092,6 +1421,30 @@ class WaveformRenderer {
 
         const now = Date.now();
 
+        // Slice markers first (if shown) -- double-tap removes/adds, press drags
+        if (this._sliceMarkers) {
+            const idx = this._sliceMarkerAtX(clientX);
+            if (now - this._lastPointerDownTime < 300) {
+                this._lastPointerDownTime = 0;
+                if (idx >= 0) {
+                    this._sliceMarkers.splice(idx, 1);
+                } else {
+                    const sample = Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples - 1));
+                    this._sliceMarkers.push(sample);
+                    this._sliceMarkers.sort((a, b) => a - b);
+                }
+                this.render();
+                if (this.onSliceMarkersChange) this.onSliceMarkersChange(this.getSliceMarkers());
+                return;
+            }
+            if (idx >= 0) {
+                this._draggingSliceMarker = idx;
+                this._lastPointerDownTime = now;
+                this.render();
+                return;
+            }
+        }
+
         // Loop marker hit-test (if visible)
         if (this._loopVisible && this._loopStart >= 0 && this._loopEnd >= 0) {
             const rect = this._canvas.getBoundingClientRect();
@@ -1168,7 +1521,7 @@ class WaveformRenderer {
         this._lastPointerDownTime = now;
         this._dragging = true;
         this._dragStartX = clientX;
-        this._dragStartSample = this.sampleAtX(clientX);
+        this._dragStartSample = this._snapSample(this.sampleAtX(clientX));
     }
 
     _pointerMove(clientX) {
@@ -1196,8 +1549,8 @@ class WaveformRenderer {
             const currentSample = this.sampleAtX(clientX);
             const delta = currentSample - this._selMoveStartSample;
             const len = this._selMoveOrigEnd - this._selMoveOrigStart;
-            let newStart = this._selMoveOrigStart + delta;
-            let newEnd = this._selMoveOrigEnd + delta;
+            let newStart = this._snapSample(this._selMoveOrigStart + delta);
+            let newEnd = newStart + len;
             if (newStart < 0) { newStart = 0; newEnd = len; }
             if (newEnd > this._totalSamples) { newEnd = this._totalSamples; newStart = newEnd - len; }
             this._selStart = newStart;
@@ -1207,9 +1560,17 @@ class WaveformRenderer {
             return;
         }
 
+        // Slice marker dragging -- kept between its neighbours so the order
+        // (and the slice numbering) never changes mid-drag
+        if (this._draggingSliceMarker >= 0) {
+            this._moveSliceMarker(clientX);
+            this.render();
+            return;
+        }
+
         // Selection handle dragging
         if (this._draggingSelMarker) {
-            const sample = Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples));
+            const sample = this._snapSample(Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples)));
             if (this._draggingSelMarker === 'start') {
                 this._selStart = Math.min(sample, this._selEnd - 1);
             } else {
@@ -1222,7 +1583,7 @@ class WaveformRenderer {
 
         // Loop marker dragging
         if (this._draggingLoopMarker) {
-            const sample = Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples));
+            const sample = this._snapSample(Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples)));
             if (this._draggingLoopMarker === 'start') {
                 this._loopStart = Math.min(sample, this._loopEnd - 1);
             } else {
@@ -1236,7 +1597,7 @@ class WaveformRenderer {
         }
 
         if (!this._dragging) return;
-        const currentSample = this.sampleAtX(clientX);
+        const currentSample = this._snapSample(this.sampleAtX(clientX));
 
         const s = Math.max(0, Math.min(this._dragStartSample, currentSample));
         const e = Math.min(this._totalSamples, Math.max(this._dragStartSample, currentSample));
@@ -1275,9 +1636,18 @@ class WaveformRenderer {
             return;
         }
 
+        // Finalize slice marker drag
+        if (this._draggingSliceMarker >= 0) {
+            this._moveSliceMarker(clientX);
+            this._draggingSliceMarker = -1;
+            this.render();
+            if (this.onSliceMarkersChange) this.onSliceMarkersChange(this.getSliceMarkers());
+            return;
+        }
+
         // Finalize selection handle drag
         if (this._draggingSelMarker) {
-            const sample = Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples));
+            const sample = this._snapSample(Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples)));
             if (this._draggingSelMarker === 'start') {
                 this._selStart = Math.min(sample, this._selEnd - 1);
             } else {
@@ -1291,7 +1661,7 @@ class WaveformRenderer {
 
         // Finalize loop marker drag
         if (this._draggingLoopMarker) {
-            const sample = Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples));
+            const sample = this._snapSample(Math.max(0, Math.min(this.sampleAtX(clientX), this._totalSamples)));
             if (this._draggingLoopMarker === 'start') {
                 this._loopStart = Math.min(sample, this._loopEnd - 1);
             } else {
@@ -1322,7 +1692,7 @@ class WaveformRenderer {
             }
         } else {
             // Finalize selection
-            const currentSample = this.sampleAtX(clientX);
+            const currentSample = this._snapSample(this.sampleAtX(clientX));
             const s = Math.max(0, Math.min(this._dragStartSample, currentSample));
             const e = Math.min(this._totalSamples, Math.max(this._dragStartSample, currentSample));
             this._selStart = s;